@@ -0,0 +1,235 @@
+// vim: set filetype=javascript:
+// accounts.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+
+module.exports = createAccounts;
+
+/**
+ * Tags requested with reqAccountSummary, unless others are given to watch
+ */
+module.exports.tags = [
+    'AccountType', 'NetLiquidation', 'TotalCashValue', 'SettledCash', 'AccruedCash', 'BuyingPower',
+    'EquityWithLoanValue', 'PreviousDayEquityWithLoanValue', 'GrossPositionValue', 'RegTEquity', 'RegTMargin',
+    'SMA', 'InitMarginReq', 'MaintMarginReq', 'AvailableFunds', 'ExcessLiquidity', 'Cushion', 'FullInitMarginReq',
+    'FullMaintMarginReq', 'FullAvailableFunds', 'FullExcessLiquidity', 'LookAheadNextChange',
+    'LookAheadInitMarginReq', 'LookAheadMaintMarginReq', 'LookAheadAvailableFunds', 'LookAheadExcessLiquidity',
+    'HighestSeverity', 'DayTradesRemaining', 'Leverage'
+];
+
+/**
+ * Creates the accounts object for the client, which keeps the balances and positions of the managed accounts
+ * once watch() has subscribed to them. A changed(account, kind, key) event is emitted for each update, where
+ * kind is account, balance, position or time.
+ */
+function createAccounts(client, settings) {
+    const self = new EventEmitter();
+    const accounts = new Map();
+    const streams = [];
+    const pnl_streams = new Map();
+    let watching = null;
+    let options = {};
+    const account = code => {
+        if (!accounts.has(code)) {
+            accounts.set(code, {account: code, balances: {}, positions: {}, accountTime: null, updated: null});
+            self.emit('changed', code, 'account', code);
+        }
+        return accounts.get(code);
+    };
+    const setBalance = (code, tag, value, currency) => {
+        const state = account(code);
+        const balances = state.balances[tag] = state.balances[tag] || {};
+        balances[currency || ''] = value !== '' && isFinite(value) ? +value : value;
+        state.updated = Date.now();
+        self.emit('changed', code, 'balance', tag);
+    };
+    const setPosition = (code, contract, fields) => {
+        const state = account(code);
+        const conid = +contract.conid;
+        const key = `${code}:${conid}`;
+        if (fields.position === 0) {
+            // closed positions are removed, along with their PnL subscription
+            delete state.positions[conid];
+            if (pnl_streams.has(key)) pnl_streams.get(key).close();
+            pnl_streams.delete(key);
+        } else {
+            state.positions[conid] = Object.assign(state.positions[conid] || {
+                account: code,
+                conid,
+                position: null,
+                avgCost: null,
+                marketPrice: null,
+                marketValue: null,
+                unrealizedPnL: null,
+                realizedPnL: null,
+                dailyPnL: null
+            }, {contract: {...(state.positions[conid] || {}).contract, ...contract}}, fields, {updated: Date.now()});
+            if (watching && options.pnl && !pnl_streams.has(key)) {
+                const stream = client.subscribe('pnlSingle', [code, '', conid]);
+                pnl_streams.set(key, stream);
+                follow(stream, null, {pnlSingle: (pos, dailyPnL, unrealizedPnL, realizedPnL, value) => {
+                    if (state.positions[conid]) setPosition(code, contract, {
+                        dailyPnL: unset(dailyPnL),
+                        unrealizedPnL: unset(unrealizedPnL),
+                        realizedPnL: unset(realizedPnL),
+                        marketValue: unset(value)
+                    });
+                }}).catch(err => {});
+            }
+        }
+        state.updated = Date.now();
+        self.emit('changed', code, 'position', conid);
+    };
+    let update_account = null; // account of the reqAccountUpdates subscription
+    const handlers = {
+        accountSummary: (code, tag, value, currency) => setBalance(code, tag, value, currency),
+        updateAccountValue: (key, value, currency, code) => setBalance(code, key, value, currency),
+        updatePortfolio: (contract, position, marketPrice, marketValue, averageCost, unrealizedPNL, realizedPNL, code) => {
+            setPosition(code, contract, {
+                position: +position,
+                marketPrice: unset(marketPrice),
+                marketValue: unset(marketValue),
+                avgCost: unset(averageCost),
+                unrealizedPnL: unset(unrealizedPNL),
+                realizedPnL: unset(realizedPNL)
+            });
+        },
+        updateAccountTime: time_stamp => {
+            if (!update_account) return;
+            account(update_account).accountTime = time_stamp;
+            self.emit('changed', update_account, 'time', time_stamp);
+        },
+        position: (code, contract, pos, avgCost) => setPosition(code, contract, {position: +pos, avgCost: unset(avgCost)})
+    };
+    /**
+     * Updates the state from the records of the subscription, resolves once the end event is received
+     */
+    const follow = (stream, end_event, listeners) => new Promise((resolve, reject) => {
+        let ready = !end_event;
+        stream.on('data', ({event, args}) => {
+            if (event == end_event && !ready) {
+                ready = true;
+                resolve();
+            } else if (listeners[event]) {
+                listeners[event](...args);
+            }
+        }).on('error', err => {
+            if (!ready) reject(err);
+            else if (self.listenerCount('error')) self.emit('error', err);
+        }).on('end', () => resolve()); // unwatch was called before the end event
+        if (ready) resolve();
+    });
+    client.on('managedAccounts', accounts_list => {
+        String(accounts_list || '').split(',').filter(code => code.trim()).forEach(code => account(code.trim()));
+    });
+    Object.assign(self, {
+        /**
+         * Subscribes to the account summary of all accounts and to their positions, resolves once both are
+         * received. Options include tags, pnl (to subscribe to the PnL of each position) and accountUpdates
+         * (an account code to also subscribe to its account updates and portfolio values).
+         */
+        watch(opts) {
+            if (watching) return watching;
+            options = opts || {};
+            update_account = options.accountUpdates || null;
+            const subscribe = (name, args) => {
+                const stream = client.subscribe(name, args);
+                streams.push(stream);
+                return stream;
+            };
+            const tags = [].concat(options.tags || module.exports.tags).join(',');
+            watching = Promise.all([
+                follow(subscribe('accountSummary', ['All', tags]), 'accountSummaryEnd', handlers),
+                follow(subscribe('positions', []), 'positionEnd', handlers)
+            ].concat(update_account ? [
+                follow(subscribe('accountUpdates', [update_account]), 'accountDownloadEnd', handlers)
+            ] : [])).then(() => self, err => {
+                self.unwatch();
+                throw err;
+            });
+            return watching;
+        },
+        /**
+         * Cancels the subscriptions started by watch, the last known state is kept
+         */
+        unwatch() {
+            watching = null;
+            streams.splice(0).forEach(stream => stream.close());
+            Array.from(pnl_streams.values()).forEach(stream => stream.close());
+            pnl_streams.clear();
+            return self;
+        },
+        /**
+         * Account codes of the managed accounts
+         */
+        list() {
+            return Array.from(accounts.keys());
+        },
+        /**
+         * The balances and positions of an account
+         */
+        get(code) {
+            return accounts.get(code);
+        },
+        /**
+         * The value of the balance tag in the given currency, or in its only (or first) currency
+         */
+        balance(code, tag, currency) {
+            const state = accounts.get(code);
+            const balances = state && state.balances[tag];
+            if (!balances) return undefined;
+            else if (currency != null) return balances[currency];
+            else return balances[Object.keys(balances)[0]];
+        },
+        /**
+         * The positions of an account, or of all accounts
+         */
+        positions(code) {
+            const states = code == null ? Array.from(accounts.values()) : [accounts.get(code)].filter(state => state);
+            return [].concat(...states.map(state => Object.values(state.positions)));
+        },
+        /**
+         * The position of the account in the contract with the given conid
+         */
+        position(code, conid) {
+            const state = accounts.get(code);
+            return state && state.positions[+conid];
+        },
+        /**
+         * A copy of the state of every account that can be serialized as JSON
+         */
+        snapshot() {
+            return JSON.parse(JSON.stringify({
+                time: Date.now(),
+                accounts: Array.from(accounts.values()).reduce((snapshot, state) => {
+                    snapshot[state.account] = state;
+                    return snapshot;
+                }, {})
+            }));
+        }
+    });
+    return self;
+}
+
+/**
+ * TWS sends Double.MAX_VALUE for values that are not available
+ */
+function unset(value) {
+    return value == null || Math.abs(value) >= Number.MAX_VALUE ? null : +value;
+}
@@ -0,0 +1,287 @@
+// vim: set filetype=javascript:
+// builders.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { ValidationError } = require('./errors.js');
+const { isIncorrectPrimitive } = require('./schema.js');
+const recorded_schema = require('./ib-tws-schema.json');
+
+module.exports.order = order;
+module.exports.bracket = bracket;
+module.exports.oca = oca;
+module.exports.validate = validate;
+module.exports.validateGroup = validateGroup;
+
+/**
+ * Order types that need a limit price, a stop (aux) price, or a trailing amount or percent
+ */
+module.exports.needs = {
+    lmtPrice: ['LMT', 'STP LMT', 'LIT', 'LOC', 'REL + LMT', 'TRAIL LIMIT'],
+    auxPrice: ['STP', 'STP LMT', 'LIT', 'MIT'],
+    trailing: ['TRAIL', 'TRAIL LIMIT', 'TRAIL LIT', 'TRAIL MIT']
+};
+
+/**
+ * Order types that the Adaptive algo can be used with
+ */
+module.exports.adaptiveTypes = ['MKT', 'LMT'];
+
+/**
+ * Functions that create OrderCondition objects, each joined to the previous condition with AND,
+ * comparing with an operator of '>', '>=', '<' or '<='
+ */
+module.exports.condition = {
+    price: (conId, exchange, operator, price, triggerMethod) => ({
+        type: 'Price', conjunctionConnection: true, isMore: isMore(operator), price: +price, conId: +conId, exchange,
+        triggerMethod: triggerMethod || 0
+    }),
+    time: (operator, time) => ({type: 'Time', conjunctionConnection: true, isMore: isMore(operator), time}),
+    margin: (operator, percent) => ({type: 'Margin', conjunctionConnection: true, isMore: isMore(operator), percent: +percent}),
+    volume: (conId, exchange, operator, volume) => ({
+        type: 'Volume', conjunctionConnection: true, isMore: isMore(operator), volume: +volume, conId: +conId, exchange
+    }),
+    percentChange: (conId, exchange, operator, changePercent) => ({
+        type: 'PercentChange', conjunctionConnection: true, isMore: isMore(operator), changePercent: +changePercent,
+        conId: +conId, exchange
+    }),
+    execution: (symbol, secType, exchange) => ({type: 'Execution', conjunctionConnection: true, symbol, secType, exchange})
+};
+
+/**
+ * Fluent builder of an Order to BUY or SELL the quantity, as a market order until another type is given.
+ * build() returns the Order after checking it, so an invalid order is rejected before it is sent.
+ */
+function order(action, quantity) {
+    const props = {action, totalQuantity: String(quantity), orderType: 'MKT'};
+    const self = {
+        market() {
+            return self.set({orderType: 'MKT'});
+        },
+        limit(lmtPrice) {
+            return self.set({orderType: 'LMT', lmtPrice: +lmtPrice});
+        },
+        stop(auxPrice) {
+            return self.set({orderType: 'STP', auxPrice: +auxPrice});
+        },
+        stopLimit(auxPrice, lmtPrice) {
+            return self.set({orderType: 'STP LMT', auxPrice: +auxPrice, lmtPrice: +lmtPrice});
+        },
+        /**
+         * A trailing stop that trails the market by options.amount or options.percent, from options.stopPrice
+         */
+        trailing(options) {
+            return self.set({orderType: 'TRAIL', ...trail(options)});
+        },
+        /**
+         * A trailing stop limit, which is sent as a limit order options.limitOffset from the stop price once triggered
+         */
+        trailingLimit(options) {
+            return self.set({orderType: 'TRAIL LIMIT', lmtPriceOffset: +options.limitOffset, ...trail(options)});
+        },
+        tif(tif, goodTillDate) {
+            return self.set(goodTillDate ? {tif, goodTillDate} : {tif});
+        },
+        outsideRth(outsideRth) {
+            return self.set({outsideRth: outsideRth !== false});
+        },
+        account(account) {
+            return self.set({account});
+        },
+        ref(orderRef) {
+            return self.set({orderRef});
+        },
+        /**
+         * Works the order with the Adaptive algo at the priority of Urgent, Normal (the default) or Patient
+         */
+        adaptive(priority) {
+            return self.algo('Adaptive', {adaptivePriority: priority || 'Normal'});
+        },
+        /**
+         * Works the order with an IB algo, given its parameters as an object
+         */
+        algo(algoStrategy, params) {
+            const algoParams = Object.entries(params || {}).map(([tag, value]) => ({tag, value: String(value)}));
+            return self.set({algoStrategy, algoParams});
+        },
+        /**
+         * Adds the condition, joined to the previous condition with AND
+         */
+        when(condition) {
+            return self.set({conditions: (props.conditions || []).concat({...condition, conjunctionConnection: true})});
+        },
+        /**
+         * Adds the condition, joined to the previous condition with OR
+         */
+        orWhen(condition) {
+            return self.set({conditions: (props.conditions || []).concat({...condition, conjunctionConnection: false})});
+        },
+        /**
+         * Cancels the order, instead of submitting it, once its conditions are met
+         */
+        cancelWhenMet() {
+            return self.set({conditionsCancelOrder: true});
+        },
+        /**
+         * Sets any other Order properties
+         */
+        set(properties) {
+            Object.assign(props, properties);
+            return self;
+        },
+        build() {
+            return validate({...props});
+        }
+    };
+    return self;
+}
+
+/**
+ * A parent order with a take profit limit order and a stop loss order, returned as an Array that
+ * client.orders.placeGroup places with the children linked to the parent and only the last order transmitted.
+ * The parent is a limit order at options.entry, or a market order without it.
+ */
+function bracket(action, quantity, options) {
+    const opts = options || {};
+    const exit = action == 'BUY' ? 'SELL' : 'BUY';
+    const parent = opts.entry != null ? order(action, quantity).limit(opts.entry) : order(action, quantity);
+    const orders = [parent.set({transmit: false})];
+    if (opts.takeProfit != null) orders.push(order(exit, quantity).limit(opts.takeProfit).set({transmit: false}));
+    if (opts.stopLoss != null) orders.push(order(exit, quantity).stop(opts.stopLoss).set({transmit: false}));
+    if (orders.length < 2) throw new ValidationError({message: 'A bracket needs a takeProfit or stopLoss'});
+    const built = orders.map(builder => builder.set({tif: opts.tif || 'DAY'}).build());
+    built[built.length - 1].transmit = true;
+    return validateGroup(Object.assign(built, {bracket: true}));
+}
+
+/**
+ * The orders (or builders) in a one-cancels-all group, where ocaType 1 (the default) cancels the other orders
+ * when one fills, 2 reduces their size with block and 3 reduces their size without block
+ */
+function oca(orders, group, ocaType) {
+    const built = orders.map(o => typeof o.build == 'function' ? o.build() : o);
+    return validateGroup(built.map(o => ({...o, ocaGroup: group, ocaType: ocaType || 1})));
+}
+
+/**
+ * Checks the Order properties against the schema types and that its order type has the prices it needs,
+ * returning the order or throwing a ValidationError
+ */
+function validate(order) {
+    const types = recorded_schema.types;
+    const properties = types.Order;
+    const fail = message => {
+        throw new ValidationError({message});
+    };
+    Object.keys(order).forEach(name => {
+        if (!properties[name]) fail(`Unknown Order property ${name}`);
+        const type_name = properties[name][0];
+        const value = order[name];
+        if (Array.isArray(types[type_name]) && value != null && !~types[type_name].indexOf(value)) {
+            fail(`Expected ${name} ${value} to be one of ${types[type_name].join(', ')}`);
+        } else if (!types[type_name] && type_name.charAt(0) != '[' && isIncorrectPrimitive({type_name}, value)) {
+            fail(`Expected ${name} ${value} to be a(n) ${type_name}`);
+        }
+    });
+    const type = isSet(order, 'orderType') ? order.orderType : properties.orderType[1];
+    if (!(+order.totalQuantity > 0) && !isSet(order, 'cashQty')) fail('Order needs a totalQuantity');
+    if (~module.exports.needs.lmtPrice.indexOf(type) && !isSet(order, 'lmtPrice') && !(type == 'TRAIL LIMIT' && isSet(order, 'lmtPriceOffset'))) {
+        fail(`${type} order needs a lmtPrice`);
+    }
+    if (~module.exports.needs.auxPrice.indexOf(type) && !isSet(order, 'auxPrice')) fail(`${type} order needs an auxPrice`);
+    if (~module.exports.needs.trailing.indexOf(type) && isSet(order, 'auxPrice') == isSet(order, 'trailingPercent')) {
+        fail(`${type} order needs either a trailing amount (auxPrice) or trailingPercent`);
+    }
+    if (order.tif == 'GTD' && !order.goodTillDate) fail('GTD order needs a goodTillDate');
+    if (order.algoStrategy == 'Adaptive' && !~module.exports.adaptiveTypes.indexOf(type)) {
+        fail(`The Adaptive algo cannot be used with ${type} orders`);
+    }
+    (order.conditions || []).forEach(condition => {
+        if (!~types.OrderConditionType.indexOf(condition.type)) fail(`Unknown order condition type ${condition.type}`);
+        Object.keys(condition).forEach(name => {
+            if (!types.OrderCondition[name]) fail(`Unknown OrderCondition property ${name}`);
+        });
+    });
+    return order;
+}
+
+/**
+ * Checks that the orders of a bracket exit on the profitable side of the entry, and that every order
+ * of a one-cancels-all group has the same ocaGroup, returning the orders or throwing a ValidationError
+ */
+function validateGroup(orders) {
+    const fail = message => {
+        throw new ValidationError({message});
+    };
+    if (!orders.length) fail('The group has no orders');
+    orders.forEach(validate);
+    if (orders.bracket) {
+        const [parent, ...children] = orders;
+        const buy = parent.action == 'BUY';
+        const entry = isSet(parent, 'lmtPrice') ? +parent.lmtPrice : null;
+        children.forEach(child => {
+            if (child.action == parent.action) fail(`Bracket exit orders must ${buy ? 'SELL' : 'BUY'}`);
+            if (+child.totalQuantity != +parent.totalQuantity) fail('Bracket exit orders must have the quantity of the parent');
+        });
+        const profit = children.find(child => child.orderType == 'LMT');
+        const loss = children.find(child => child.orderType != 'LMT');
+        const above = (a, b) => buy ? a > b : a < b;
+        if (profit && entry != null && !above(+profit.lmtPrice, entry)) {
+            fail(`Take profit ${profit.lmtPrice} must be ${buy ? 'above' : 'below'} the entry ${entry}`);
+        }
+        if (loss && isSet(loss, 'auxPrice') && entry != null && !above(entry, +loss.auxPrice)) {
+            fail(`Stop loss ${loss.auxPrice} must be ${buy ? 'below' : 'above'} the entry ${entry}`);
+        }
+        if (profit && loss && isSet(loss, 'auxPrice') && !above(+profit.lmtPrice, +loss.auxPrice)) {
+            fail(`Take profit ${profit.lmtPrice} must be ${buy ? 'above' : 'below'} the stop loss ${loss.auxPrice}`);
+        }
+    } else if (orders.some(o => o.ocaGroup)) {
+        if (orders.length < 2) fail('A one-cancels-all group needs at least two orders');
+        if (orders.some(o => o.ocaGroup != orders[0].ocaGroup)) fail('Every order of the group must have the same ocaGroup');
+        if (!~[1, 2, 3].indexOf(+orders[0].ocaType)) fail(`Unknown ocaType ${orders[0].ocaType}`);
+    }
+    return orders;
+}
+
+/**
+ * If the Order property has a value other than its schema default, which TWS treats as unset
+ */
+function isSet(order, name) {
+    const value = order[name];
+    const property = recorded_schema.types.Order[name];
+    if (value == null || value === '') return false;
+    else if (property && property[1] != null && /^(double|int|long)$/.test(property[0])) return +value != +property[1];
+    else return true;
+}
+
+/**
+ * The isMore flag of a condition operator
+ */
+function isMore(operator) {
+    if (operator == '>' || operator == '>=') return true;
+    else if (operator == '<' || operator == '<=') return false;
+    throw new ValidationError({message: `Unknown condition operator ${operator}`});
+}
+
+/**
+ * The trailing amount or percent, and the initial stop price if given
+ */
+function trail(options) {
+    const opts = options || {};
+    const props = opts.percent != null ? {trailingPercent: +opts.percent} : {auxPrice: +opts.amount};
+    return opts.stopPrice != null ? {...props, trailStopPrice: +opts.stopPrice} : props;
+}
@@ -0,0 +1,265 @@
+// vim: set filetype=javascript:
+// config.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors.js');
+const HOME = require('os').homedir();
+const readFile = util.promisify(fs.readFile);
+
+module.exports = resolveConfig;
+module.exports.normalize = normalize;
+module.exports.fromEnv = fromEnv;
+module.exports.envName = envName;
+module.exports.userConfigFile = userConfigFile;
+
+/**
+ * Name of the project config file, read from the working directory
+ */
+module.exports.projectConfigFile = 'ib-tws-node.json';
+
+/**
+ * Type of each setting that can be given in a config file or environment variable, as alternatives separated by |,
+ * or the allowed values
+ */
+module.exports.settings = {
+    config: 'path|false',
+    profile: 'string',
+    launcher: 'string|array',
+    env: 'object',
+    javaHome: 'path',
+    twsApiJar: 'path',
+    twsApiPath: 'path',
+    jtsInstallDir: 'path',
+    jtsExeName: 'string',
+    jtsConfigDir: 'path',
+    twsPath: 'path',
+    twsVersion: 'string',
+    installation: 'object|string',
+    twsApiHost: 'string',
+    twsApiPort: 'integer',
+    jsonApiHost: 'string',
+    jsonApiPort: 'integer',
+    jsonApiPortOffset: 'integer',
+    jsonApiInet: 'string',
+    timeout: 'integer',
+    noLaunch: 'boolean',
+    interactive: 'boolean',
+    noPrompt: 'boolean',
+    clientId: 'integer',
+    firstRequestId: 'integer',
+    reconnect: 'boolean',
+    reconnectDelay: 'integer',
+    reconnectMaxDelay: 'integer',
+    reconnectAttempts: 'integer',
+    reconnectTimeout: 'integer',
+    offlinePolicy: ['queue', 'reject'],
+    requestTimeout: 'integer',
+    schemaCache: 'path|false',
+    contractCache: 'path|false',
+    contractCacheTtl: 'integer',
+    contractCacheSize: 'integer',
+    risk: 'object',
+    simulate: 'boolean|object',
+    pacing: 'boolean',
+    maxMessagesPerSecond: 'number',
+    historicalPacing: 'boolean',
+    quoteInterval: 'integer',
+    highWaterMark: 'integer',
+    overflow: ['latest', 'drop'],
+    priorities: 'object',
+    record: 'path|stream',
+    replay: 'path|stream',
+    replaySpeed: 'number',
+    replaySync: 'boolean',
+    replaySyncTimeout: 'integer',
+    native: 'boolean',
+    wsInet: 'string',
+    wsToken: 'string',
+    wsReadOnlyToken: 'string'
+};
+
+/**
+ * Converts a value to each type, or returns undefined if it cannot, along with how the type is described in errors
+ */
+const types = {
+    string: [value => typeof value == 'string' ? value : undefined, 'a string'],
+    path: [value => typeof value == 'string' && value ? value : undefined, 'a path'],
+    integer: [value => value !== '' && value !== null && typeof value != 'boolean' && Number.isInteger(+value) ? +value : undefined, 'an integer'],
+    number: [value => value !== '' && value !== null && typeof value != 'boolean' && isFinite(value) ? +value : undefined, 'a number'],
+    boolean: [value => value === true || value === 'true' ? true : value === false || value === 'false' ? false : undefined, 'true or false'],
+    false: [value => value === false || value === 'false' ? false : undefined, 'false'],
+    object: [value => {
+        const object = typeof value == 'string' ? parseJson(value) : value;
+        return object && typeof object == 'object' && !Array.isArray(object) ? object : undefined;
+    }, 'an object'],
+    array: [value => {
+        const array = typeof value == 'string' ? parseJson(value) : value;
+        return Array.isArray(array) ? array : undefined;
+    }, 'an array'],
+    stream: [value => value && typeof value == 'object' && typeof value.on == 'function' ? value : undefined, 'a stream']
+};
+
+/**
+ * Resolves the settings of a client, or the ib-tws-json command, from (in increasing precedence) the user config file,
+ * the project config file (or the file given by the config setting), the profile named by the profile setting,
+ * IB_ environment variables and the given settings. Setting config to false only uses the given settings.
+ * Options can give the env and cwd to use instead of process.env and process.cwd().
+ */
+async function resolveConfig(settings, options) {
+    const opts = options || {};
+    const env = opts.env || process.env;
+    const explicit = normalize(settings || {}, 'settings', false);
+    const from_env = explicit.config === false ? {} : fromEnv(env);
+    const config = explicit.config !== undefined ? explicit.config : from_env.config;
+    const files = config === false ? [] : [
+        [userConfigFile(env), false],
+        config ? [path.resolve(opts.cwd || process.cwd(), config), true] :
+            [path.resolve(opts.cwd || process.cwd(), module.exports.projectConfigFile), false]
+    ];
+    const layers = (await Promise.all(files.map(([file, required]) => readConfig(file, required)))).filter(layer => layer);
+    const base = Object.assign({}, ...layers.map(layer => ({...layer, profiles: undefined})));
+    const profiles = layers.reduce((profiles, layer) => {
+        Object.keys(layer.profiles || {}).forEach(name => {
+            profiles[name] = {...profiles[name], ...layer.profiles[name]};
+        });
+        return profiles;
+    }, {});
+    const profile = explicit.profile || from_env.profile || base.profile;
+    if (profile && !profiles[profile]) {
+        const names = Object.keys(profiles);
+        throw new ConfigError(`Unknown profile ${profile}${names.length ? `, the profiles are ${names.join(', ')}` :
+            `, add it to the profiles of ${files.map(([file]) => file).join(' or ')}`}`, 'profile', profile);
+    }
+    const resolved = {...base, ...(profile ? profiles[profile] : {}), ...from_env, ...explicit};
+    if (config) resolved.config = files[1][0];
+    return Object.keys(resolved).reduce((result, name) => {
+        if (resolved[name] !== undefined) result[name] = resolved[name];
+        return result;
+    }, {});
+}
+
+/**
+ * Copies the settings with their names in camelCase and their values converted to the type of each known setting.
+ * If strict, unknown settings are errors, otherwise they are copied as they are.
+ * Relative paths are resolved from dir, if given, and paths that start with ~/ from the home directory.
+ */
+function normalize(settings, source, strict, dir) {
+    return Object.keys(settings).reduce((result, key) => {
+        const name = key.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        const value = settings[key];
+        const type = module.exports.settings[name];
+        if (value === undefined || value === null) return result;
+        if (!type && strict) throw new ConfigError(`Unknown setting ${key} in ${source}`, source, key);
+        result[name] = !type ? value : convert(name, value, source, dir);
+        return result;
+    }, {});
+}
+
+/**
+ * The settings given in IB_ environment variables, such as IB_TWS_API_PORT for twsApiPort
+ */
+function fromEnv(env) {
+    return Object.keys(module.exports.settings).reduce((result, name) => {
+        const value = env[envName(name)];
+        if (value != null && value !== '') result[name] = convert(name, value, envName(name));
+        return result;
+    }, {});
+}
+
+/**
+ * The environment variable of the setting
+ */
+function envName(name) {
+    return `IB_${name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+}
+
+/**
+ * The config file of the user, in $XDG_CONFIG_HOME or ~/.config
+ */
+function userConfigFile(env) {
+    const config_home = (env || process.env).XDG_CONFIG_HOME || path.resolve(HOME, '.config');
+    return path.resolve(config_home, 'ib-tws-node', 'config.json');
+}
+
+/**
+ * Reads and normalizes the settings and profiles of the config file, or null if it does not exist and is not required
+ */
+async function readConfig(file, required) {
+    const text = await readFile(file, 'utf8').catch(err => {
+        if (err.code == 'ENOENT' && !required) return null;
+        throw new ConfigError(`Could not read config file ${file}: ${err.message}`, file);
+    });
+    if (text == null) return null;
+    const json = (() => {
+        try {
+            return JSON.parse(text);
+        } catch(err) {
+            throw new ConfigError(`Could not parse config file ${file}: ${err.message}`, file);
+        }
+    })();
+    if (!json || typeof json != 'object' || Array.isArray(json)) {
+        throw new ConfigError(`Config file ${file} must be a JSON object of settings`, file);
+    }
+    const dir = path.dirname(file);
+    const profiles = json.profiles || {};
+    if (typeof profiles != 'object' || Array.isArray(profiles)) {
+        throw new ConfigError(`Setting profiles in ${file} must be an object of profile names and their settings`, file, 'profiles');
+    }
+    return {
+        ...normalize({...json, profiles: undefined}, file, true, dir),
+        profiles: Object.keys(profiles).reduce((result, name) => {
+            return Object.assign(result, {[name]: normalize(profiles[name] || {}, `${file} profile ${name}`, true, dir)});
+        }, {})
+    };
+}
+
+/**
+ * The value converted to the first of the setting's types that it can be, or a ConfigError
+ */
+function convert(name, value, source, dir) {
+    const type = module.exports.settings[name];
+    if (Array.isArray(type)) {
+        if (~type.indexOf(value)) return value;
+        throw new ConfigError(`Setting ${name} in ${source} must be one of ${type.join(', ')}, not ${JSON.stringify(value)}`, source, name);
+    }
+    const alternatives = type.split('|');
+    const converted = alternatives.reduce((converted, alternative) => {
+        return converted !== undefined ? converted : types[alternative][0](value);
+    }, undefined);
+    if (converted === undefined) {
+        const expected = alternatives.map(alternative => types[alternative][1]).join(' or ');
+        throw new ConfigError(`Setting ${name} in ${source} must be ${expected}, not ${JSON.stringify(value)}`, source, name);
+    }
+    if (typeof converted != 'string' || !~alternatives.indexOf('path')) return converted;
+    else if (/^~[\/\\]/.test(converted)) return path.resolve(HOME, converted.substring(2));
+    else return dir ? path.resolve(dir, converted) : converted;
+}
+
+/**
+ * The parsed JSON, or undefined if it is not JSON
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch(err) {
+        return undefined;
+    }
+}
@@ -0,0 +1,233 @@
+// vim: set filetype=javascript:
+// contracts.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const path = require('path');
+const { AmbiguousContractError } = require('./errors.js');
+const { readCache, writeCache } = require('./schema.js');
+const HOME = require('os').homedir();
+const unlink = util.promisify(fs.unlink);
+
+module.exports = createContractResolver;
+module.exports.parse = parse;
+module.exports.format = format;
+
+/**
+ * Where resolved contracts are cached when settings.contractCache is not given
+ */
+module.exports.defaultCacheFile = path.resolve(HOME, '.ib-tws-node', 'contract-cache.json');
+
+/**
+ * Security types that can be given in a contract string
+ */
+module.exports.secTypes = [
+    'STK', 'OPT', 'FUT', 'CONTFUT', 'CASH', 'BOND', 'CFD', 'FOP', 'WAR', 'IOPT', 'FWD', 'BAG', 'IND', 'BILL',
+    'FUND', 'FIXED', 'SLB', 'NEWS', 'CMDTY', 'BSK', 'ICU', 'ICS', 'CRYPTO'
+];
+
+/**
+ * Currencies that are recognized in a contract string, other three letter words are exchanges
+ */
+module.exports.currencies = [
+    'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK', 'CNH', 'KRW',
+    'INR', 'MXN', 'ZAR', 'ILS', 'PLN', 'HUF', 'CZK', 'TRY', 'RUB'
+];
+
+/**
+ * Creates the contract resolver for the client, which qualifies partial contracts with their contract
+ * details and keeps them in memory and in the file settings.contractCache for settings.contractCacheTtl
+ * milliseconds (default one day), or until the contract expires. The file keeps the settings.contractCacheSize
+ * (default 1000) most recently resolved contracts.
+ */
+function createContractResolver(client, settings) {
+    const opts = settings || {};
+    const cache_file = opts.contractCache === false ? null : opts.contractCache || module.exports.defaultCacheFile;
+    const ttl = opts.contractCacheTtl != null ? +opts.contractCacheTtl : 24 * 60 * 60 * 1000;
+    const size = opts.contractCacheSize != null ? +opts.contractCacheSize : 1000;
+    const memory = new Map(); // normalized spec to a promise of {time, details}
+    let writing = Promise.resolve();
+    const fresh = entry => !!entry && Date.now() - entry.time < ttl && !entry.details.some(expired);
+    const prune = cache => Object.keys(cache).reverse().filter(key => fresh(cache[key]))
+        .sort((a, b) => cache[b].time - cache[a].time).slice(0, size)
+        .reduce((pruned, key) => Object.assign(pruned, {[key]: cache[key]}), {});
+    // a failed write only loses the cache entry, so it is a warning, for those that listen for them
+    const warn = err => client.listenerCount('warning') && setImmediate(() => client.emit('warning', err));
+    const fetch = async(key, contract) => {
+        const details = await client.request.contractDetails(contract);
+        const entry = {time: Date.now(), details};
+        if (cache_file && details.length) {
+            // writes are queued so that concurrent lookups do not overwrite each other's entries
+            writing = writing.then(() => writeCache(cache_file, key, entry, prune)).catch(warn);
+        }
+        return entry;
+    };
+    const lookup = async(contract, refresh) => {
+        const key = JSON.stringify(normalize(contract));
+        const pending = memory.get(key);
+        const entry = !refresh && pending && await pending.catch(err => null);
+        if (fresh(entry)) return entry.details;
+        const next = (async() => {
+            const cached = !refresh && cache_file && await readCache(cache_file, key);
+            return fresh(cached) ? cached : fetch(key, contract);
+        })();
+        memory.set(key, next);
+        next.catch(err => memory.get(key) == next && memory.delete(key));
+        const {details} = await next;
+        if (!details.length) memory.delete(key);
+        return details;
+    };
+    const self = {
+        parse,
+        format,
+        /**
+         * The contract details of every contract that matches the spec, which is a (partial) Contract or a
+         * string such as 'AAPL STK SMART USD', 'ES FUT 202612' or 'AAPL  261218C00200000'.
+         * Use options.refresh to skip the cache.
+         */
+        async details(spec, options) {
+            const contract = typeof spec == 'string' ? parse(spec) : spec;
+            return lookup(contract, options && options.refresh);
+        },
+        /**
+         * The fully qualified Contract, with conid, that the spec identifies.
+         * Rejects with an AmbiguousContractError, listing the candidates, if more than one contract matches.
+         */
+        async resolve(spec, options) {
+            const contract = typeof spec == 'string' ? parse(spec) : spec;
+            const details = await lookup(contract, options && options.refresh);
+            const candidates = details.map(detail => detail.contract).filter((candidate, i, list) => {
+                return list.findIndex(other => other.conid == candidate.conid) == i;
+            });
+            if (!candidates.length) throw Error(`No contract matches ${format(contract)}`);
+            else if (candidates.length > 1) throw new AmbiguousContractError(
+                `Ambiguous contract ${format(contract)} matches ${candidates.map(format).join(', ')}`, contract, candidates
+            );
+            return candidates[0];
+        },
+        /**
+         * The spec as a Contract, resolving strings, so helpers can be given either
+         */
+        async qualify(spec, options) {
+            return typeof spec == 'string' ? self.resolve(spec, options) : spec;
+        },
+        /**
+         * The descriptions of contracts whose symbol or name starts with the pattern
+         */
+        async search(pattern, options) {
+            return client.request('matchingSymbols', [pattern], options);
+        },
+        /**
+         * Resolves once the resolved contracts are written to the cache file
+         */
+        async flush() {
+            await writing;
+        },
+        /**
+         * Forgets the resolved contracts, in memory and in the cache file
+         */
+        async clear() {
+            memory.clear();
+            await writing;
+            if (cache_file) await unlink(cache_file).catch(err => {
+                if (err.code != 'ENOENT') throw err;
+            });
+        }
+    };
+    return self;
+}
+
+/**
+ * Parses a contract string, such as 'AAPL STK SMART USD', 'ES FUT 202612 CME', 'EUR.USD',
+ * 'SPY OPT 20261218 450 C' or an OCC option symbol, such as 'AAPL  261218C00200000', into a Contract
+ */
+function parse(text) {
+    const words = String(text).trim().toUpperCase().split(/\s+/);
+    const occ = /^([A-Z0-9.]{1,6})\s*(\d{6})([CP])(\d{8})$/.exec(String(text).trim().toUpperCase());
+    if (occ) return {
+        symbol: occ[1],
+        secType: 'OPT',
+        lastTradeDateOrContractMonth: `20${occ[2]}`,
+        strike: +occ[4] / 1000,
+        right: occ[3] == 'C' ? 'Call' : 'Put',
+        exchange: 'SMART',
+        currency: 'USD'
+    };
+    if (!words[0]) throw Error('Missing contract symbol');
+    const contract = {symbol: words[0]};
+    const pair = /^([A-Z]{3})\.([A-Z]{3})$/.exec(words[0]);
+    if (pair) Object.assign(contract, {symbol: pair[1], secType: 'CASH', currency: pair[2], exchange: 'IDEALPRO'});
+    words.slice(1).forEach(word => {
+        if (!contract.secType && ~module.exports.secTypes.indexOf(word)) contract.secType = word;
+        else if (!contract.lastTradeDateOrContractMonth && /^\d{6}(\d{2})?$/.test(word)) contract.lastTradeDateOrContractMonth = word;
+        else if (!contract.right && /^(C|P|CALL|PUT)$/.test(word)) contract.right = word.charAt(0) == 'C' ? 'Call' : 'Put';
+        else if (!contract.strike && /^\d+(\.\d+)?$/.test(word)) contract.strike = +word;
+        else if (!contract.currency && ~module.exports.currencies.indexOf(word)) contract.currency = word;
+        else if (!contract.exchange && /^[A-Z][A-Z0-9.]*(\/[A-Z][A-Z0-9.]*)?$/.test(word)) {
+            const [exchange, primary] = word.split('/');
+            contract.exchange = exchange;
+            if (primary) contract.primaryExch = primary;
+        } else throw Error(`Cannot parse ${word} in contract ${text}`);
+    });
+    if (!contract.secType) {
+        if (contract.right || contract.strike) contract.secType = 'OPT';
+        else if (contract.lastTradeDateOrContractMonth) contract.secType = 'FUT';
+        else contract.secType = 'STK';
+    }
+    if (!contract.exchange && (contract.secType == 'STK' || contract.secType == 'OPT')) contract.exchange = 'SMART';
+    return contract;
+}
+
+/**
+ * A short description of the contract, such as 'AAPL STK SMART USD (265598)'
+ */
+function format(contract) {
+    const c = contract || {};
+    const right = c.right == 'Call' ? 'C' : c.right == 'Put' ? 'P' : null;
+    const exchange = c.primaryExch && c.exchange ? `${c.exchange}/${c.primaryExch}` : c.exchange;
+    const words = [c.localSymbol && c.localSymbol != c.symbol ? `${c.symbol} ${c.localSymbol}` : c.symbol, c.secType,
+        c.lastTradeDateOrContractMonth, c.strike || null, right, exchange, c.currency];
+    const text = words.filter(word => word != null && word !== '' && word != 'None').join(' ');
+    return c.conid ? `${text} (${c.conid})` : text;
+}
+
+/**
+ * The properties of the contract that identify it, in a stable order, to key the cache
+ */
+function normalize(contract) {
+    return Object.keys(contract || {}).sort().reduce((normalized, name) => {
+        const value = contract[name];
+        if (value == null || value === '' || value === 'None' || name == 'strike' && !+value) return normalized;
+        else if (typeof value == 'object') return normalized;
+        return Object.assign(normalized, {[name]: value});
+    }, {});
+}
+
+/**
+ * If the last trade date (or month) of the contract details has passed
+ */
+function expired(details) {
+    const contract = details && details.contract || {};
+    const last = String(details && details.realExpirationDate || contract.lastTradeDateOrContractMonth || '');
+    const date = /^(\d{4})(\d{2})(\d{2})?/.exec(last);
+    if (!date) return false;
+    const now = new Date();
+    const today = now.getFullYear() * 10000 + (now.getMonth() + 1) * 100 + now.getDate();
+    return +date[1] * 10000 + +date[2] * 100 + (date[3] ? +date[3] : 31) < today;
+}
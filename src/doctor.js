@@ -0,0 +1,208 @@
+// vim: set filetype=javascript:
+// doctor.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const net = require('net');
+const { execFile } = require('child_process');
+const ib_tws_json = require('./ib-tws-json.js');
+const resolveConfig = require('./config.js');
+const pkg = require('../package.json');
+const access = util.promisify(fs.access);
+
+module.exports = diagnose;
+module.exports.format = format;
+module.exports.probe = probe;
+
+/**
+ * TWS API ports that are checked when settings.twsApiPort is not given:
+ * Gateway live, Gateway paper, TWS live and TWS paper
+ */
+module.exports.ports = [4001, 4002, 7496, 7497];
+
+/**
+ * Reports where TWS, the JRE, TwsApi.jar and ib-tws-json.jar were searched for and found, which TWS API and
+ * JSON API ports are listening, and hints to fix what is missing, using the same settings as the client
+ */
+async function diagnose(settings) {
+    const resolved = await resolveConfig(settings);
+    // the ib-tws-json search functions use the kebab-case names of its options
+    const options = Object.keys(resolved).reduce((options, name) => {
+        const key = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        return Object.assign(options, {[key]: resolved[name]});
+    }, {});
+    const jts_dirs = ib_tws_json.getJtsPathSearch(options);
+    const installations = await ib_tws_json.listInstallations(options);
+    const selected = await ib_tws_json.selectInstallation(options).catch(err => err);
+    const install4j = selected instanceof Error ? null : await ib_tws_json.getInstall4j(options);
+    const java_searched = [];
+    const java_exe = selected instanceof Error ? 'java' : await ib_tws_json.getJavaExe(options, java_searched);
+    const java_home = java_exe == 'java' ? null : java_exe.replace(/[\/\\]bin[\/\\]java$/, '');
+    const jar_searched = [];
+    const tws_api_jar = await ib_tws_json.getTwsApiJar(options, jar_searched);
+    const json_jar = ib_tws_json.jsonJar;
+    const report = {
+        config: resolved.config || null,
+        profile: resolved.profile || null,
+        jts: {
+            searched: jts_dirs,
+            installations,
+            selected: selected instanceof Error ? null : selected,
+            install4j: install4j || null
+        },
+        java: {
+            searched: java_searched,
+            home: java_home,
+            exe: java_exe,
+            version: await javaVersion(java_exe)
+        },
+        twsApiJar: {
+            searched: jar_searched,
+            file: tws_api_jar && await access(tws_api_jar).then(() => tws_api_jar, err => null)
+        },
+        jsonJar: {
+            file: json_jar,
+            present: await access(json_jar).then(() => true, err => false),
+            url: pkg['binary-dependencies']['lib/ib-tws-json.jar']
+        },
+        ports: await checkPorts(resolved),
+        hints: []
+    };
+    report.hints = [...(selected instanceof Error ? [selected.message] : []), ...hints(report, resolved)];
+    report.ok = !report.hints.length;
+    return report;
+}
+
+/**
+ * The report as human-readable text
+ */
+function format(report) {
+    const list = (label, items) => [`${label}:`, ...(items.length ? items.map(item => `  ${item}`) : ['  (none)'])];
+    const found = (label, value) => `${label}: ${value || 'not found'}`;
+    return [
+        ...(report.config ? [`Config: ${report.config}`] : []),
+        ...(report.profile ? [`Profile: ${report.profile}`] : []),
+        ...list('TWS and Gateway folders searched', report.jts.searched),
+        ...list('TWS and Gateway installations found', report.jts.installations.map(installation => {
+            return `${installation.product} ${installation.version || '?'} ${installation.path}`;
+        })),
+        found('Selected installation', report.jts.selected && report.jts.selected.path),
+        found('TWS install4j folder', report.jts.install4j),
+        ...list('JRE and install4j locations searched', report.java.searched),
+        found('Java', report.java.version ? `${report.java.exe} (version ${report.java.version})` : null),
+        ...list('TwsApi.jar folders searched', report.twsApiJar.searched),
+        found('TwsApi.jar', report.twsApiJar.file),
+        found('ib-tws-json.jar', report.jsonJar.present ? report.jsonJar.file : null),
+        ...list('Ports', report.ports.map(port => {
+            const state = listening => listening ? 'listening' : 'not listening';
+            return `TWS API ${port.host || 'localhost'}:${port.port} ${state(port.listening)}, ` +
+                `JSON API ${port.jsonHost || 'localhost'}:${port.jsonPort} ${state(port.jsonListening)}`;
+        })),
+        ...(report.hints.length ? list('Hints', report.hints) : ['No problems found'])
+    ].join('\n');
+}
+
+/**
+ * Whether the port is listening, by connecting to a remote host or trying to listen on a local port
+ */
+async function probe(host, port) {
+    if (host) return new Promise(ready => {
+        const socket = net.createConnection(port, host);
+        socket.setTimeout(5000, () => socket.destroy());
+        socket.once('connect', () => {
+            socket.destroy();
+            ready(true);
+        });
+        socket.once('close', () => ready(false));
+        socket.once('error', () => ready(false));
+    });
+    else return new Promise(ready => {
+        const server = net.createServer({ pauseOnConnect: true });
+        server.once('listening', () => server.close(() => ready(false)));
+        server.once('error', err => ready(err.code == 'EADDRINUSE'));
+        server.listen(port);
+    });
+}
+
+/**
+ * The TWS API ports to check with their JSON API ports, as the client would look for them
+ */
+async function checkPorts(settings) {
+    const offset = +settings.jsonApiPortOffset || 100;
+    const host = settings.twsApiHost || null;
+    const json_host = settings.jsonApiHost || host;
+    const ports = +settings.twsApiPort ? [+settings.twsApiPort] : module.exports.ports;
+    return ports.reduce(async(checked, port) => {
+        const json_port = +settings.jsonApiPort || port + offset;
+        return [...await checked, {
+            host,
+            port,
+            listening: await probe(host, port),
+            jsonHost: json_host,
+            jsonPort: json_port,
+            jsonListening: await probe(json_host, json_port)
+        }];
+    }, []);
+}
+
+/**
+ * The version that java -version prints, or null if it cannot be run
+ */
+function javaVersion(java_exe) {
+    return new Promise(ready => {
+        execFile(java_exe, ['-version'], {timeout: 10000}, (err, stdout, stderr) => {
+            const m = !err && /version "([^"]+)"/.exec(`${stderr}${stdout}`);
+            ready(m ? m[1] : null);
+        });
+    });
+}
+
+/**
+ * What to do about what is missing from the report
+ */
+function hints(report, settings) {
+    const hints = [];
+    if (!report.jsonJar.present) {
+        hints.push(`${report.jsonJar.file} is missing, run npm run postinstall in ib-tws-node to download it ` +
+            `from ${report.jsonJar.url}`);
+    }
+    if (!report.twsApiJar.file && settings.twsApiJar) {
+        hints.push(`The tws-api-jar ${settings.twsApiJar} does not exist`);
+    } else if (!report.twsApiJar.file) {
+        hints.push('Could not find TwsApi.jar, download the TWS API from https://interactivebrokers.github.io ' +
+            'and unzip it into ~/IBJts, or use --tws-api-path <dir> or --tws-api-jar <file>');
+    }
+    if (!report.java.version && report.java.home) {
+        hints.push(`Could not run ${report.java.exe}, use --java-home <path> of the JRE that came with TWS`);
+    } else if (!report.java.version) {
+        hints.push('Could not find a JRE or run java, install TWS or IB Gateway, ' +
+            'or use --java-home <path> of the JRE that came with it');
+    } else if (!report.jts.install4j && !settings.javaHome) {
+        hints.push(`No TWS or IB Gateway install was found, so ${report.java.exe} (version ${report.java.version}) is used, which may not be able to launch TWS`);
+    }
+    const listening = report.ports.filter(port => port.listening);
+    const json_listening = report.ports.filter(port => port.jsonListening);
+    if (!listening.length && !json_listening.length) {
+        hints.push(`Nothing is listening on ${report.ports.map(port => port.port).join(', ')}, start TWS or IB Gateway, log in and enable ActiveX and Socket Clients in its API settings, or use --tws-api-port <integer>`);
+    }
+    listening.filter(port => !port.jsonListening).forEach(port => {
+        hints.push(`TWS is listening on ${port.port} but the JSON API is not on ${port.jsonPort}, so ib-tws-json will be started to connect to it, or run ib-tws-json --install and restart TWS`);
+    });
+    return hints;
+}
@@ -0,0 +1,181 @@
+// vim: set filetype=javascript:
+// errors.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { AssertionError } = require('assert');
+
+/**
+ * Category of the TWS error codes that are known to be about connectivity, warnings, or status notices.
+ * Codes that are not listed are request errors, unless they are in the 2100-2199 warning range.
+ */
+module.exports.codes = {
+    // connectivity between the client, TWS, and IBKR
+    326: 'connection', // client id is already in use
+    502: 'connection', // could not connect to TWS
+    503: 'connection', // TWS is out of date
+    504: 'connection', // not connected
+    507: 'connection', // bad message length
+    1100: 'connection', // connectivity between IB and TWS has been lost
+    1300: 'connection', // TWS socket port has been reset
+    2110: 'connection', // connectivity between TWS and server is broken
+    // something changed that may need attention, but the request continues
+    399: 'warning', // order message, such as an order held until the market opens
+    1101: 'warning', // connectivity restored, but market data was lost
+    2100: 'warning', // account data unsubscribed
+    2101: 'warning', // account data already subscribed by another client
+    2102: 'warning', // order cannot be modified at this time
+    2103: 'warning', // market data farm connection is broken
+    2105: 'warning', // historical data farm connection is broken
+    2109: 'warning', // outside regular trading hours attribute is ignored
+    2137: 'warning', // cross side order warning
+    2148: 'warning', // margin cushion warning
+    2157: 'warning', // sec-def data farm connection is broken
+    10090: 'warning', // part of the requested market data is not subscribed
+    10167: 'warning', // displaying delayed market data
+    // informational status
+    202: 'notice', // order cancelled, confirming a cancelOrder
+    1102: 'notice', // connectivity restored and data maintained
+    2104: 'notice', // market data farm connection is OK
+    2106: 'notice', // historical data farm connection is OK
+    2107: 'notice', // historical data farm connection is inactive
+    2108: 'notice', // market data farm connection is inactive
+    2119: 'notice', // market data farm is connecting
+    2158: 'notice' // sec-def data farm connection is OK
+};
+
+/**
+ * Client event that the error of each category is emitted on
+ */
+module.exports.events = {
+    notice: 'notice',
+    warning: 'warning',
+    request: 'requestError',
+    connection: 'connectionError'
+};
+
+class TwsError extends Error {
+    /**
+     * An error event from TWS with the request id and code it was sent with
+     */
+    constructor(reqId, code, message, advancedOrderRejectJson) {
+        super(message);
+        this.name = 'TwsError';
+        this.reqId = reqId == null ? -1 : +reqId;
+        this.code = code == null ? null : +code;
+        this.advancedOrderRejectJson = advancedOrderRejectJson || null;
+        this.category = classify(code);
+    }
+
+    /**
+     * Parses the arguments of any of the three error event formats: Exception, string, or id/code/msg
+     */
+    static from(args) {
+        if (args.length > 2 && isFinite(args[1])) {
+            return new TwsError(args[0], args[1], args[2], args[3]);
+        }
+        const err = args[0];
+        const message = err && typeof err == 'object' ? err.message || JSON.stringify(err) : String(err);
+        return new TwsError(-1, null, message);
+    }
+}
+
+class ValidationError extends AssertionError {
+    /**
+     * Parameter values that do not conform to the help schema of the action
+     */
+    constructor(options) {
+        super(options);
+        this.name = 'ValidationError';
+    }
+
+    /**
+     * Converts a failed assertion into a ValidationError
+     */
+    static from(err) {
+        if (err instanceof ValidationError) return err;
+        const {actual, expected, operator} = err;
+        // the message of the failed assertion already includes the difference
+        return Object.assign(new ValidationError({message: err.message}), {actual, expected, operator});
+    }
+}
+
+class AmbiguousContractError extends Error {
+    /**
+     * More than one contract matches the spec, each of them is listed in candidates
+     */
+    constructor(message, spec, candidates) {
+        super(message);
+        this.name = 'AmbiguousContractError';
+        this.spec = spec;
+        this.candidates = candidates;
+    }
+}
+
+class RiskRejectedError extends Error {
+    /**
+     * An order that the pre-trade risk checks did not allow to be sent, with the rule it broke
+     */
+    constructor(message, rule, orderId, contract, order) {
+        super(message);
+        this.name = 'RiskRejectedError';
+        this.rule = rule;
+        this.orderId = orderId;
+        this.contract = contract;
+        this.order = order;
+    }
+}
+
+class ConfigError extends Error {
+    /**
+     * A config file, environment variable or setting that cannot be used, with where it was given
+     */
+    constructor(message, source, setting) {
+        super(message);
+        this.name = 'ConfigError';
+        this.source = source;
+        this.setting = setting;
+    }
+}
+
+module.exports.TwsError = TwsError;
+module.exports.ValidationError = ValidationError;
+module.exports.AmbiguousContractError = AmbiguousContractError;
+module.exports.RiskRejectedError = RiskRejectedError;
+module.exports.ConfigError = ConfigError;
+module.exports.classify = classify;
+module.exports.isWarning = isWarning;
+
+/**
+ * Category of the given TWS error code: notice, warning, request, or connection.
+ * Errors without a code are from the Java client's socket, so are connection errors.
+ */
+function classify(code) {
+    if (code == null || code === '' || !isFinite(code)) return 'connection';
+    const category = module.exports.codes[+code];
+    if (category) return category;
+    else if (+code >= 2100 && +code < 2200) return 'warning';
+    else return 'request';
+}
+
+/**
+ * Error codes that are sent with a request id, but do not indicate the request has failed
+ */
+function isWarning(code) {
+    const category = classify(code);
+    return category == 'notice' || category == 'warning';
+}
@@ -0,0 +1,423 @@
+// vim: set filetype=javascript:
+// gateway.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const http = require('http');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const createRequests = require('./requests.js');
+const createSubscriptions = require('./subscriptions.js');
+const { isWarning } = require('./errors.js');
+
+module.exports = createGateway;
+
+/**
+ * Actions that stay with the process that owns the client and are never called by a gateway connection
+ */
+module.exports.restricted = ['eConnect', 'eDisconnect', 'exit', 'sleep', 'help'];
+
+/**
+ * Actions that request market and reference data, which are the only actions a read-only token can call
+ */
+module.exports.reading = [
+    'describe', 'isConnected', 'serverVersion', 'getTwsConnectionTime', 'reqCurrentTime',
+    'reqMktData', 'cancelMktData', 'reqMktDepth', 'cancelMktDepth', 'reqMktDepthExchanges', 'reqSmartComponents',
+    'reqTickByTickData', 'cancelTickByTickData', 'reqRealTimeBars', 'cancelRealTimeBars',
+    'calculateImpliedVolatility', 'cancelCalculateImpliedVolatility', 'calculateOptionPrice', 'cancelCalculateOptionPrice',
+    'reqContractDetails', 'reqMatchingSymbols', 'reqSecDefOptParams', 'reqMarketRule', 'reqFamilyCodes',
+    'reqHistoricalData', 'cancelHistoricalData', 'reqHeadTimestamp', 'cancelHeadTimestamp',
+    'reqHistogramData', 'cancelHistogramData', 'reqHistoricalTicks',
+    'reqScannerParameters', 'reqScannerSubscription', 'cancelScannerSubscription',
+    'reqFundamentalData', 'cancelFundamentalData', 'reqNewsProviders', 'reqNewsArticle', 'reqHistoricalNews',
+    'reqWshMetaData', 'cancelWshMetaData', 'reqWshEventData', 'cancelWshEventData'
+];
+
+/**
+ * Events of an order, which are only sent to the connection that placed it, with its own order id
+ */
+module.exports.orderEvents = ['orderStatus', 'openOrder', 'orderBound', 'completedOrder', 'execDetails', 'commissionReport'];
+
+/**
+ * Events about the account without a request id, with the actions that request them,
+ * which are only sent to the connections that have called one of those actions
+ */
+module.exports.accountEvents = {
+    updateAccountValue: ['reqAccountUpdates'],
+    updatePortfolio: ['reqAccountUpdates'],
+    updateAccountTime: ['reqAccountUpdates'],
+    accountDownloadEnd: ['reqAccountUpdates'],
+    position: ['reqPositions'],
+    positionEnd: ['reqPositions'],
+    openOrderEnd: ['reqOpenOrders', 'reqAllOpenOrders', 'reqAutoOpenOrders'],
+    completedOrdersEnd: ['reqCompletedOrders'],
+    managedAccounts: ['reqManagedAccts'],
+    receiveFA: ['requestFA']
+};
+
+/**
+ * Parameter names that hold a request id, which are given a gateway id so connections do not collide
+ */
+const request_id_names = ['reqId', 'tickerId', 'requestId'];
+
+/**
+ * Async factory function to create a gateway that forwards the client's methods and events over WebSocket as
+ * JSON messages. Calls are {id, method, params} with params keyed by the schema parameter names (or an Array)
+ * and are answered with {id, result} or {id, error}. Events are sent as {event, params}.
+ * Request and order ids are local to each connection, and order and account events are only sent to the
+ * connection that placed the order or requested the account data.
+ * Each connection authenticates with a token given in the token query parameter or as a Bearer authorization
+ * header. settings.tokens maps each token to the actions it may call: '*', 'read-only' or an Array of names.
+ * Listens on settings.port and settings.host, or handles upgrades of settings.server if given.
+ */
+async function createGateway(client, settings) {
+    // only the tokens given, not the properties a settings object inherits, and never an empty token
+    const tokens = new Map(Object.entries(settings && settings.tokens || {}).filter(([token, allow]) => token && allow));
+    if (!tokens.size) throw Error('The gateway needs at least one token');
+    const self = new EventEmitter();
+    const wss = new WebSocket.Server({noServer: true});
+    const server = settings.server || http.createServer((req, res) => res.writeHead(426).end());
+    const connections = new Set();
+    const owners = new Map(); // upstream request id to {connection, id, action_name, param_values} or {shared}
+    const shared = new Map(); // market data subscriptions by contract, tick list and options
+    const orders = new Map(); // upstream order id to {connection, id}
+    const executions = new Map(); // execId to the connection that placed its order, until its commissionReport
+    const interfaces = await client.describe();
+    const event_names = [].concat(...Object.values(interfaces.events));
+    const event_params = {};
+    const action_params = {};
+    for (const event_name of event_names) {
+        const item = await client.describe(event_name);
+        event_params[event_name] = item && item.param_names || [];
+    }
+    const paramsOf = async(action_name) => {
+        if (!action_params[action_name]) {
+            const item = await client.describe(action_name);
+            if (!item || !item.action_name) return null;
+            action_params[action_name] = item.param_names;
+        }
+        return action_params[action_name];
+    };
+    const message = (event_name, args) => JSON.stringify({
+        event: event_name,
+        params: (event_params[event_name] || []).reduce((params, name, i) => Object.assign(params, {[name]: args[i]}), {})
+    });
+    const deliver = (connection, data) => {
+        if (connection.ws.readyState == WebSocket.OPEN) connection.ws.send(data);
+    };
+    // the order id the connection gave to the upstream order id, if it placed the order
+    const localId = (connection, order_id) => {
+        const owner = orders.get(+order_id);
+        return owner && owner.connection == connection ? owner.id : order_id;
+    };
+    // the connection that placed the order of an order event and the event arguments with its own ids
+    const orderEvent = (event_name, args) => {
+        if (event_name == 'commissionReport') {
+            const connection = args[0] && executions.get(args[0].execId);
+            if (connection) executions.delete(args[0].execId);
+            return connection && [connection, args];
+        }
+        const order_id = {
+            orderStatus: args[0],
+            openOrder: args[0],
+            orderBound: args[2],
+            completedOrder: args[1] && args[1].orderId,
+            execDetails: args[2] && args[2].orderId
+        }[event_name];
+        const owner = orders.get(+order_id);
+        if (!owner) return null;
+        const connection = owner.connection;
+        const local = order => order && {
+            ...order,
+            orderId: localId(connection, order.orderId),
+            parentId: localId(connection, order.parentId)
+        };
+        if (event_name == 'orderStatus') {
+            return [connection, [owner.id, ...args.slice(1, 6), localId(connection, args[6]), ...args.slice(7)]];
+        } else if (event_name == 'openOrder') {
+            return [connection, [owner.id, args[1], local(args[2]), ...args.slice(3)]];
+        } else if (event_name == 'orderBound') {
+            return [connection, [args[0], args[1], owner.id]];
+        } else if (event_name == 'completedOrder') {
+            return [connection, [args[0], local(args[1]), ...args.slice(2)]];
+        }
+        // execDetails keeps the request id if the connection asked for it with reqExecutions
+        const request = owners.get(args[0]);
+        executions.set(args[2].execId, connection);
+        const req_id = request && request.connection == connection ? request.id : -1;
+        return [connection, [req_id, args[1], {...args[2], orderId: owner.id}]];
+    };
+    const listeners = event_names.reduce((listeners, event_name) => Object.assign(listeners, {
+        [event_name]: (...args) => {
+            if (event_name == 'error' && args[0] instanceof Error) {
+                const data = JSON.stringify({event: 'error', params: {errorMsg: args[0].message}});
+                return connections.forEach(connection => deliver(connection, data));
+            }
+            const id_name = (event_params[event_name] || [])[0];
+            const owner = owners.get(args[0]);
+            const order_owner = event_name == 'error' && orders.get(args[0]);
+            const account_calls = module.exports.accountEvents[event_name];
+            if (~module.exports.orderEvents.indexOf(event_name)) {
+                const routed = orderEvent(event_name, args);
+                if (routed) deliver(routed[0], message(event_name, routed[1]));
+            } else if (account_calls) {
+                const data = message(event_name, args);
+                connections.forEach(connection => {
+                    if (account_calls.some(name => connection.calls.has(name))) deliver(connection, data);
+                });
+            } else if (order_owner) {
+                deliver(order_owner.connection, message(event_name, [order_owner.id].concat(args.slice(1))));
+            } else if (event_name == 'error' && !owner && args[0] != null && +args[0] >= 0) {
+                // an error for a request or order that was not made through the gateway
+            } else if (!~request_id_names.indexOf(id_name) && !(event_name == 'error' && owner)) {
+                const data = message(event_name, args);
+                connections.forEach(connection => deliver(connection, data));
+            } else if (owner && owner.shared) {
+                const entry = owner.shared;
+                entry.last.set(`${event_name} ${args[1]}`, [event_name, args]);
+                entry.subscribers.forEach(([connection, id]) => {
+                    deliver(connection, message(event_name, [id].concat(args.slice(1))));
+                });
+                // TWS has ended the subscription, so the next subscriber requests it again
+                if (event_name == 'error' && !isWarning(args[1])) unshare(entry);
+            } else if (owner) {
+                deliver(owner.connection, message(event_name, [owner.id].concat(args.slice(1))));
+                if (endOf(owner.action_name) == event_name) release(owner.connection, owner.id);
+            }
+        }
+    }), {});
+    Object.entries(listeners).forEach(([event_name, listener]) => client.on(event_name, listener));
+    const onexit = () => self.close();
+    client.once('exit', onexit);
+    const upstream = (connection, id) => {
+        if (!connection.ids.has(id)) {
+            const upstream_id = client.nextRequestId();
+            connection.ids.set(id, upstream_id);
+        }
+        return connection.ids.get(id);
+    };
+    const release = (connection, id) => {
+        const upstream_id = connection.ids.get(id);
+        connection.ids.delete(id);
+        owners.delete(upstream_id);
+    };
+    const unshare = entry => {
+        if (shared.get(entry.key) == entry) shared.delete(entry.key);
+        owners.delete(entry.upstream_id);
+        entry.subscribers.forEach(([connection, id]) => connection.ids.delete(id));
+    };
+    const subscribe = async(connection, id, param_values) => {
+        const [, contract, genericTickList, snapshot, , mktDataOptions] = param_values;
+        const key = JSON.stringify([contract, genericTickList, mktDataOptions || []]);
+        if (snapshot || !shared.has(key)) {
+            const upstream_id = upstream(connection, id);
+            const entry = {key, upstream_id, subscribers: [[connection, id]], last: new Map()};
+            if (!snapshot) shared.set(key, entry);
+            owners.set(upstream_id, snapshot ? {connection, id} : {shared: entry});
+            return client.reqMktData(upstream_id, ...param_values.slice(1)).catch(err => {
+                if (snapshot) release(connection, id);
+                else unshare(entry);
+                throw err;
+            });
+        }
+        const entry = shared.get(key);
+        entry.subscribers.push([connection, id]);
+        connection.ids.set(id, entry.upstream_id);
+        // the latest of each tick is sent to a new subscriber, as it may not change again for a while
+        entry.last.forEach(([event_name, args]) => deliver(connection, message(event_name, [id].concat(args.slice(1)))));
+    };
+    const unsubscribe = async(connection, id) => {
+        const upstream_id = connection.ids.get(id);
+        const owner = owners.get(upstream_id);
+        connection.ids.delete(id);
+        if (!owner || !owner.shared) {
+            owners.delete(upstream_id);
+            return upstream_id != null && client.cancelMktData(upstream_id);
+        }
+        const entry = owner.shared;
+        entry.subscribers = entry.subscribers.filter(([c, i]) => c != connection || i != id);
+        if (entry.subscribers.length) return;
+        shared.delete(entry.key);
+        owners.delete(upstream_id);
+        return client.cancelMktData(upstream_id);
+    };
+    const upstreamOrder = (connection, id) => {
+        if (!connection.orders.has(id)) throw Error(`Unknown order id ${id}`);
+        return connection.orders.get(id);
+    };
+    const placeOrder = async(connection, param_values) => {
+        const [id, contract, order] = param_values;
+        const parent_id = order && +order.parentId ? upstreamOrder(connection, order.parentId) : null;
+        const placed = id != null && connection.orders.has(id);
+        const order_id = placed ? connection.orders.get(id) : await client.nextOrderId();
+        const local_id = id != null ? id : order_id;
+        if (!placed) {
+            connection.orders.set(local_id, order_id);
+            orders.set(order_id, {connection, id: local_id});
+        }
+        const linked = parent_id == null ? order : {...order, parentId: parent_id};
+        await client.placeOrder(order_id, contract, linked, ...param_values.slice(3)).catch(err => {
+            if (!placed) {
+                connection.orders.delete(local_id);
+                orders.delete(order_id);
+            }
+            throw err;
+        });
+        return local_id;
+    };
+    const call = async(connection, action_name, params) => {
+        const param_names = await paramsOf(action_name);
+        if (!param_names || ~module.exports.restricted.indexOf(action_name)) throw Error(`Unknown method ${action_name}`);
+        if (!allowed(connection.allow, action_name)) throw Error(`Not allowed to call ${action_name}`);
+        const param_values = Array.isArray(params) ? params.slice() : param_names.map(name => (params || {})[name]);
+        if (action_name == 'reqMktData') return subscribe(connection, param_values[0], param_values).then(() => param_values[0]);
+        if (action_name == 'cancelMktData') return unsubscribe(connection, param_values[0]).then(() => null);
+        connection.calls.add(action_name);
+        if (action_name == 'placeOrder') return placeOrder(connection, param_values);
+        if (action_name == 'cancelOrder') param_values[0] = upstreamOrder(connection, param_values[0]);
+        if (action_name == 'reqGlobalCancel') {
+            // only the orders of this connection are cancelled
+            const order_ids = Array.from(connection.orders.values());
+            return Promise.all(order_ids.map(order_id => client.cancelOrder(order_id, ''))).then(() => null);
+        }
+        if (~request_id_names.indexOf(param_names[0])) {
+            const id = param_values[0];
+            const cancel = /^cancel/.test(action_name) && connection.ids.has(id);
+            param_values[0] = upstream(connection, id);
+            if (cancel) release(connection, id);
+            else owners.set(param_values[0], {connection, id, action_name, param_values});
+            await client[action_name](...param_values);
+            return id;
+        }
+        await client[action_name](...param_values);
+        return null;
+    };
+    const cleanup = connection => {
+        connections.delete(connection);
+        connection.orders.forEach(order_id => orders.delete(order_id));
+        executions.forEach((owner, exec_id) => owner == connection && executions.delete(exec_id));
+        Array.from(connection.ids.keys()).forEach(id => {
+            const owner = owners.get(connection.ids.get(id));
+            if (owner && owner.shared) return unsubscribe(connection, id).catch(err => self.emit('error', err));
+            const cancel = owner && cancelOf(owner.action_name, owner.param_values);
+            release(connection, id);
+            if (cancel) client[cancel[0]](...cancel[1]).catch(err => self.emit('error', err));
+        });
+    };
+    wss.on('connection', (ws, req, allow) => {
+        const connection = {ws, allow, ids: new Map(), orders: new Map(), calls: new Set()};
+        connections.add(connection);
+        ws.on('close', () => cleanup(connection)).on('error', err => self.emit('error', err));
+        ws.on('message', data => {
+            let request;
+            try {
+                request = JSON.parse(data);
+            } catch (err) {
+                return ws.send(JSON.stringify({id: null, error: {message: err.message}}));
+            }
+            const {id, method, params} = request || {};
+            const result = method != 'describe' ? call(connection, method, params) :
+                !allowed(connection.allow, method) ? Promise.reject(Error(`Not allowed to call ${method}`)) :
+                client.describe(params && params.name);
+            result.then(result => {
+                if (ws.readyState == WebSocket.OPEN) ws.send(JSON.stringify({id, result: result === undefined ? null : result}));
+            }, err => {
+                if (ws.readyState == WebSocket.OPEN) ws.send(JSON.stringify({id, error: {message: err.message, code: err.code}}));
+            });
+        });
+        self.emit('connection', ws, req);
+    });
+    server.on('upgrade', (req, socket, head) => {
+        const token = tokenOf(req);
+        const allow = token && tokens.get(token);
+        if (!allow) {
+            socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return socket.destroy();
+        }
+        wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req, allow));
+    });
+    Object.assign(self, {
+        server,
+        /**
+         * The number of open WebSocket connections
+         */
+        get size() {
+            return connections.size;
+        },
+        /**
+         * The address the gateway is listening on
+         */
+        address() {
+            return server.address();
+        },
+        /**
+         * Closes the WebSocket connections, cancels their subscriptions and stops listening
+         */
+        close(callback) {
+            Object.entries(listeners).forEach(([event_name, listener]) => client.removeListener(event_name, listener));
+            client.removeListener('exit', onexit);
+            wss.clients.forEach(ws => ws.close(1001));
+            Array.from(connections).forEach(cleanup);
+            if (settings.server) return callback && setImmediate(callback);
+            return server.close(callback);
+        }
+    });
+    if (settings.server) return self;
+    return new Promise((ready, fail) => {
+        server.once('error', fail);
+        server.listen(settings.port || 0, settings.host || 'localhost', () => {
+            server.removeListener('error', fail);
+            ready(self);
+        });
+    });
+}
+
+/**
+ * The token in the query string or authorization header of the upgrade request
+ */
+function tokenOf(req) {
+    const query = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const header = /^Bearer\s+(\S+)$/i.exec(req.headers['authorization'] || '');
+    return query || header && header[1];
+}
+
+/**
+ * If the allowlist of a token includes the action
+ */
+function allowed(allow, action_name) {
+    if (allow == '*') return true;
+    else if (allow == 'read-only') return !!~module.exports.reading.indexOf(action_name);
+    else return Array.isArray(allow) && !!~allow.indexOf(action_name);
+}
+
+/**
+ * The event that ends the responses to a request, if it is not a subscription
+ */
+function endOf(action_name) {
+    const request = Object.values(createRequests.requests).find(request => request.call == action_name);
+    return request && !cancelOf(action_name, []) ? request.end : null;
+}
+
+/**
+ * The cancel call name and parameters of a request, if it is a subscription
+ */
+function cancelOf(action_name, param_values) {
+    const subscription = Object.values(createSubscriptions.subscriptions).find(sub => sub.call == action_name);
+    if (!subscription || subscription.id === false || !subscription.cancel) return null;
+    else if (typeof subscription.cancel == 'function') return subscription.cancel(param_values[0], param_values.slice(1));
+    else return [subscription.cancel, [param_values[0]]];
+}
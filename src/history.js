@@ -0,0 +1,214 @@
+// vim: set filetype=javascript:
+// history.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+module.exports = createHistory;
+
+/**
+ * Duration of each historical data request for the bar size, the longest that TWS accepts
+ */
+module.exports.durations = {
+    '1 secs': '1800 S',
+    '5 secs': '3600 S',
+    '10 secs': '14400 S',
+    '15 secs': '14400 S',
+    '30 secs': '28800 S',
+    '1 min': '1 D',
+    '2 mins': '2 D',
+    '3 mins': '1 W',
+    '5 mins': '1 W',
+    '10 mins': '1 W',
+    '15 mins': '1 W',
+    '20 mins': '1 W',
+    '30 mins': '1 M',
+    '1 hour': '1 M',
+    '2 hours': '1 M',
+    '3 hours': '1 M',
+    '4 hours': '1 M',
+    '8 hours': '1 M',
+    '1 day': '1 Y',
+    '1 week': '5 Y',
+    '1 month': '10 Y'
+};
+
+/**
+ * Properties of the Bar type, in the order they are written as CSV columns
+ */
+module.exports.columns = ['time', 'open', 'high', 'low', 'close', 'volume', 'wap', 'count'];
+
+module.exports.formatBars = formatBars;
+
+/**
+ * Creates the history object for the client to download bars over a date range in as many requests as needed
+ */
+function createHistory(client, settings) {
+    return {
+        /**
+         * Requests the bars of the contract from the end (default now) back to the start (default as far as
+         * TWS has), one duration at a time, and resolves to the bars in time order without duplicates.
+         * Options include barSize, whatToShow, useRTH, start, end, file, format, retries, retryDelay,
+         * timeout and onChunk(bars). The contract can also be a string for client.contracts to resolve.
+         */
+        async download(spec, options) {
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            const opts = options || {};
+            const bar_size = opts.barSize || '1 day';
+            const duration = opts.duration || module.exports.durations[bar_size];
+            if (!duration) throw Error(`Unknown bar size ${bar_size}`);
+            const what_to_show = opts.whatToShow || 'TRADES';
+            const use_rth = opts.useRTH == null || opts.useRTH ? 1 : 0;
+            const start = opts.start == null ? null : toTime(opts.start);
+            const end = opts.end == null ? null : toTime(opts.end);
+            const retries = opts.retries != null ? +opts.retries : 3;
+            const retry_delay = opts.retryDelay != null ? +opts.retryDelay : 15000;
+            const format = opts.format || (opts.file && /\.csv$/i.test(opts.file) ? 'csv' : 'jsonl');
+            const bars = new Map();
+            const sorted = () => Array.from(bars.keys()).sort((a, b) => a - b).map(time => bars.get(time));
+            const save = () => opts.file ? writeBars(opts.file, format, sorted()) : null;
+            const fetch = async(end_time) => {
+                const end_date_time = end_time == null ? '' : formatEndDateTime(end_time);
+                for (let attempt = 1;; attempt++) {
+                    try {
+                        return await client.request('historicalData', [
+                            contract, end_date_time, duration, bar_size, what_to_show, use_rth, 2, false, []
+                        ], {timeout: opts.timeout});
+                    } catch(err) {
+                        if (err.code == 162 && /no data/i.test(err.message)) return [];
+                        if (attempt > retries || !isRetryable(err)) throw err;
+                        await new Promise(cont => setTimeout(cont, retry_delay * attempt));
+                    }
+                }
+            };
+            // walks back from end_time until a bar at or before stop_time is received
+            const walk = async(end_time, stop_time, persist) => {
+                let earliest = Infinity;
+                for (let chunk_end = end_time;;) {
+                    const chunk = await fetch(chunk_end);
+                    const times = chunk.map(bar => barTime(bar.time));
+                    chunk.forEach((bar, i) => {
+                        if ((start == null || times[i] >= start) && (end == null || times[i] <= end)) bars.set(times[i], bar);
+                    });
+                    if (opts.onChunk) opts.onChunk(chunk);
+                    if (persist) await save();
+                    const first = Math.min(...times);
+                    if (!chunk.length || first >= earliest || stop_time != null && first <= stop_time) return;
+                    chunk_end = earliest = first;
+                }
+            };
+            const existing = opts.file ? await readBars(opts.file, format) : [];
+            existing.forEach(bar => bars.set(barTime(bar.time), bar));
+            if (!existing.length) {
+                await walk(end, start, true);
+            } else {
+                // only the bars after and before those in the file are requested
+                const times = Array.from(bars.keys()).sort((a, b) => a - b);
+                const first = times[0];
+                const last = times[times.length - 1];
+                // the file is written after the newer bars meet the existing bars, so it never has a gap
+                if (end == null || end > last) await walk(end, last, false);
+                if (start != null && start < first) await walk(first, start, true);
+            }
+            await save();
+            return sorted();
+        }
+    };
+}
+
+/**
+ * Pacing violations and timeouts are worth trying again after a delay
+ */
+function isRetryable(err) {
+    return err.code == 162 && /pacing/i.test(err.message) || err.code == null && /timed out/.test(err.message);
+}
+
+/**
+ * Milliseconds since epoch of a Bar time in formatDate 2 (epoch seconds) or 1 (yyyyMMdd or yyyyMMdd HH:mm:ss)
+ */
+function barTime(time) {
+    const str = String(time).trim();
+    const date = str.match(/^(\d{4})(\d{2})(\d{2})(?:[ -]+(\d{2}):(\d{2}):(\d{2}))?/);
+    if (/^\d{8}$/.test(str) || date && date[4]) {
+        return Date.UTC(+date[1], +date[2] - 1, +date[3], +date[4] || 0, +date[5] || 0, +date[6] || 0);
+    } else if (/^\d+$/.test(str)) {
+        return +str * 1000;
+    } else {
+        return Date.parse(str);
+    }
+}
+
+/**
+ * Milliseconds since epoch of a Date, a number of milliseconds, or a date string
+ */
+function toTime(value) {
+    if (value instanceof Date) return value.getTime();
+    else if (typeof value == 'number') return value;
+    else if (/^\d{8}/.test(String(value))) return barTime(value);
+    const time = Date.parse(value);
+    if (isNaN(time)) throw Error(`Invalid date ${value}`);
+    return time;
+}
+
+/**
+ * The endDateTime parameter for the given time, in UTC
+ */
+function formatEndDateTime(time) {
+    const iso = new Date(time).toISOString();
+    return `${iso.substring(0, 10).replace(/-/g, '')}-${iso.substring(11, 19)}`;
+}
+
+/**
+ * Reads the bars of a CSV or JSON Lines file, or none if the file does not exist
+ */
+async function readBars(file, format) {
+    const content = await readFile(file, 'utf8').catch(err => {
+        if (err.code == 'ENOENT') return '';
+        throw err;
+    });
+    const lines = content.split('\n').filter(line => line.trim());
+    if (format != 'csv') return lines.map(line => JSON.parse(line));
+    const columns = lines.length ? lines[0].split(',') : [];
+    return lines.slice(1).map(line => line.split(',').reduce((bar, value, i) => {
+        bar[columns[i]] = columns[i] == 'time' || value === '' ? value || null : +value;
+        return bar;
+    }, {}));
+}
+
+/**
+ * Replaces the file with the given bars as CSV or JSON Lines
+ */
+async function writeBars(file, format, bars) {
+    await writeFile(`${file}.tmp`, formatBars(format, bars));
+    await rename(`${file}.tmp`, file);
+}
+
+/**
+ * The content of a CSV (with a header line) or JSON Lines file of the given bars
+ */
+function formatBars(format, bars) {
+    const columns = module.exports.columns;
+    const lines = format == 'csv' ? [columns.join(',')].concat(bars.map(bar => columns.map(column => {
+        return bar[column] == null ? '' : bar[column];
+    }).join(','))) : bars.map(bar => JSON.stringify(bar));
+    return lines.map(line => `${line}\n`).join('');
+}
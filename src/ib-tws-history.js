@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// vim: set filetype=javascript:
+// ib-tws-history.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const {Command} = require('commander');
+const pkg = require('../package.json');
+const createInstanceAsync = require('./ib-tws-node.js');
+const resolveConfig = require('./config.js');
+const { formatBars } = require('./history.js');
+
+/**
+ * Client settings that can be given on the command line
+ */
+const client_options = [
+    'twsApiHost', 'twsApiPort', 'jsonApiHost', 'jsonApiPort', 'twsApiJar', 'javaHome', 'timeout', 'clientId', 'profile', 'config'
+];
+
+/**
+ * If launched directly, download the historical bars of the contract to a file or stdout.
+ * Otherwise, export a function to do the same with the given settings.
+ */
+if (require.main === module) {
+    const program = new Command();
+    program.name('ib-tws-history').usage('[options] <symbol>')
+        .storeOptionsAsProperties(false)
+        .version(pkg.version, '-v, --version', 'output the current version')
+        .option("--sec-type <type>", "Security type of the contract", 'STK')
+        .option("--exchange <exchange>", "Exchange of the contract", 'SMART')
+        .option("--primary-exchange <exchange>", "Primary exchange of the contract")
+        .option("--currency <currency>", "Currency of the contract", 'USD')
+        .option("--conid <integer>", "Contract id, instead of the symbol and security type")
+        .option("--bar-size <size>", "Bar size, such as '1 min', '1 hour' or '1 day'", '1 day')
+        .option("--what-to-show <type>", "Type of data, such as TRADES, MIDPOINT, BID or ASK", 'TRADES')
+        .option("--start <date>", "Earliest bar to download, defaults to as far back as TWS has")
+        .option("--end <date>", "Latest bar to download, defaults to now")
+        .option("--no-use-rth", "Include bars outside of regular trading hours")
+        .option("-o, --output <file>", "CSV or JSON Lines file to write, resuming from the bars already in it")
+        .option("--format <format>", "csv or jsonl, defaults to the output file extension or csv for stdout")
+        .option("--client-id <integer>", "Client id to connect to TWS with (default: 0)")
+        .option("--profile <name>", "Named profile of settings to use from the config files")
+        .option("--config <file>", "Config file to read instead of ./ib-tws-node.json")
+        .option("--tws-api-host <inet>", "Hostname or IP running TWS")
+        .option("-p, --tws-api-port <integer>", "Port TWS API is running on")
+        .option("--json-api-host <inet>", "Hostname or IP running the TWS JSON API")
+        .option("--json-api-port <integer>", "Port the TWS JSON API is running on")
+        .option("-j, --tws-api-jar <file>", "The TwsApi.jar filename")
+        .option("--java-home <path>", "The location of the jre to launch");
+    program.parse(process.argv);
+    if (!program.args.length && !program.opts().conid) {
+        program.outputHelp();
+        process.exitCode = 1;
+    } else {
+        downloadHistory({...program.opts(), symbol: program.args[0]}).then(bars => {
+            console.error(`${bars.length} bars downloaded`);
+        }, err => {
+            console.error(err.message);
+            process.exitCode = 1;
+        });
+    }
+}
+
+module.exports = downloadHistory;
+
+/**
+ * Connects to TWS and downloads the bars of the contract given in settings to settings.output, or stdout
+ */
+async function downloadHistory(settings) {
+    const resolved = await resolveConfig(client_options.reduce((options, name) => {
+        if (settings[name] != null) options[name] = settings[name];
+        return options;
+    }, {}));
+    const client = await createInstanceAsync(resolved);
+    try {
+        await new Promise((ready, abort) => {
+            client.once('nextValidId', ready);
+            client.once('connectionError', abort);
+            client.on('notice', err => {});
+            client.on('warning', err => console.error(err.message));
+            client.on('requestError', err => {}); // rejected by the request
+            client.eConnect(+resolved.clientId || 0, false).catch(abort);
+        });
+        const contract = settings.conid ? {conid: +settings.conid, exchange: settings.exchange} : {
+            symbol: settings.symbol,
+            secType: settings.secType,
+            exchange: settings.exchange,
+            primaryExch: settings.primaryExchange,
+            currency: settings.currency
+        };
+        const format = settings.format || (settings.output ? null : 'csv');
+        const bars = await client.history.download(contract, {
+            barSize: settings.barSize,
+            whatToShow: settings.whatToShow,
+            useRTH: settings.useRth !== false,
+            start: settings.start,
+            end: settings.end,
+            file: settings.output,
+            format,
+            onChunk: chunk => chunk.length && console.error(`${chunk[0].time} - ${chunk[chunk.length - 1].time}`)
+        });
+        if (!settings.output) process.stdout.write(formatBars(format, bars));
+        return bars;
+    } finally {
+        await client.exit();
+    }
+}
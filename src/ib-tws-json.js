@@ -25,16 +25,38 @@ const { spawn } = require('child_process');
 const EventEmitter = require('events');
 const assert = require('assert').strict;
 const {Command} = require('commander');
+const resolveConfig = require('./config.js');
+const { ConfigError } = require('./errors.js');
 const pkg = require('../package.json');
 const HOME = require('os').homedir();
 const realpath = util.promisify(fs.realpath);
 const readFile = util.promisify(fs.readFile);
 const access = util.promisify(fs.access);
 const readdir = util.promisify(fs.readdir);
+const stat = util.promisify(fs.stat);
+
+module.exports = create_shell;
+module.exports.getJtsPathSearch = getJtsPathSearch;
+module.exports.getInstall4j = getInstall4j;
+module.exports.findJavaRuntimeEnvironment = findJavaRuntimeEnvironment;
+module.exports.getJavaExe = getJavaExe;
+module.exports.getTwsApiJar = getTwsApiJar;
+module.exports.listInstallations = listInstallations;
+module.exports.selectInstallation = selectInstallation;
+module.exports.parseInstallation = parseInstallation;
 
 /**
- * If launched directly, open a shell to the underlying ib-tws-json java process.
- * Otherwise, export a factory function to create a new process
+ * The ib-tws-json.jar that is downloaded by the postinstall script
+ */
+module.exports.jsonJar = path.resolve(__dirname, '..', 'lib/ib-tws-json.jar');
+
+/**
+ * If launched directly, open a shell to the underlying ib-tws-json java process,
+ * write the TypeScript declarations of its help schema when given --emit-types,
+ * serve a connected client over WebSocket when given --serve-ws,
+ * print the settings resolved from the config files, environment and profile when given --print-config,
+ * report where TWS, Java and the jars were looked for and which ports are listening when given --doctor,
+ * or list the TWS and IB Gateway installations when given --list-installations.
  */
 if (require.main === module) {
     const program = new Command();
@@ -58,7 +80,20 @@ if (require.main === module) {
 		.option("--jts-install-dir <path>",
 				"Location of Jts/ibgateway/Trader Workstation/IB Gateway folder to use")
 		.option("--jts-config-dir <path>", "Where TWS will read/store settings")
+        .option("--installation <spec>", "Product and version of the TWS or IB Gateway install to use, such as 'gateway >=1019'")
+        .option("--list-installations [format]", "Lists the TWS and IB Gateway installations found, as text or json")
         .option("--java-home <path>", "The location of the jre to launch")
+        .option("--json-api-host <inet>", "Hostname or IP running the TWS JSON API to read the help schema from")
+        .option("--emit-types <file>", "Writes TypeScript declarations of the help schema to file and exits")
+        .option("--serve-ws <port>", "Connects to TWS and serves the client over WebSocket on port")
+        .option("--ws-inet <inet>", "Network interface for the WebSocket gateway to listen on (default: localhost)")
+        .option("--ws-token <token>", "Token for WebSocket connections that may call any method")
+        .option("--ws-read-only-token <token>", "Token for WebSocket connections that can only request market data")
+        .option("--client-id <integer>", "Client id used to connect to TWS when serving WebSocket (default: 0)")
+        .option("--profile <name>", "Named profile of settings to use from the config files")
+        .option("--config <file>", "Config file to read instead of ./ib-tws-node.json")
+        .option("--print-config", "Prints the settings resolved from the config files, environment and options")
+        .option("--doctor [format]", "Reports what was found to launch and connect to TWS, as text or json")
         .option("-h, --help", "This message");
     program.parse(process.argv);
     const settings = program.options.reduce((settings, option) => {
@@ -75,17 +110,38 @@ if (require.main === module) {
     if (settings['help']) {
         program.outputHelp();
     } else {
-        spawn_shell(settings, program.args, 'inherit').then(java => {
-            java.on('error', err => {
-                console.error(err);
-            }).on('exit', code => {
-                process.exitCode = code;
-                process.stdin.destroy();
-            });
+        resolveConfig(settings).then(resolved => {
+            // ib-tws-json and the functions below use the kebab-case names of the options
+            const options = Object.keys(resolved).reduce((options, name) => {
+                const key = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+                return Object.assign(options, {[key]: resolved[name]});
+            }, {});
+            if (options['print-config']) {
+                delete resolved.printConfig;
+                process.stdout.write(`${JSON.stringify(resolved, null, 2)}\n`);
+            } else if (options['list-installations']) {
+                return list_installations(options, options['list-installations']);
+            } else if (options['doctor']) {
+                return doctor(resolved, options['doctor']);
+            } else if (options['emit-types']) {
+                return emit_types(options);
+            } else if (options['serve-ws']) {
+                return serve_ws(options);
+            } else {
+                return spawn_shell(options, program.args, 'inherit').then(java => {
+                    java.on('error', err => {
+                        console.error(err);
+                    }).on('exit', code => {
+                        process.exitCode = code;
+                        process.stdin.destroy();
+                    });
+                });
+            }
+        }).catch(err => {
+            console.error(err.name == 'ConfigError' ? err.message : err);
+            process.exitCode = 1;
         });
     }
-} else {
-    module.exports = create_shell;
 }
 
 /**
@@ -97,14 +153,104 @@ async function create_shell(settings) {
     return shell;
 }
 
+/**
+ * Prints the installations that are found, as text or json, marking the one the settings select with *
+ */
+async function list_installations(settings, format) {
+    const installations = await listInstallations(settings);
+    const selected = await selectInstallation(settings);
+    if (format == 'json') {
+        process.stdout.write(`${JSON.stringify(installations, null, 2)}\n`);
+    } else if (!installations.length) {
+        process.stdout.write(`No TWS or IB Gateway installations found in ${getJtsPathSearch(settings).join(', ')}\n`);
+    } else {
+        process.stdout.write(installations.map(installation => {
+            const mark = selected && selected.path == installation.path ? '*' : ' ';
+            return `${mark} ${installation.product} ${installation.version || '?'} ${installation.path}` +
+                ` (exe ${installation.exeName || 'not found'}, jre ${installation.jre || 'not found'})`;
+        }).join('\n') + '\n');
+    }
+}
+
+/**
+ * Prints the installation report for the given settings, as text or json, and fails if it has hints
+ */
+async function doctor(settings, format) {
+    const diagnose = require('./doctor.js');
+    const report = await diagnose({...settings, doctor: undefined});
+    if (format == 'json') process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    else process.stdout.write(`${diagnose.format(report)}\n`);
+    if (!report.ok) process.exitCode = 1;
+}
+
+/**
+ * Connects a client with the given settings and writes the declarations of its help schema
+ */
+async function emit_types(settings) {
+    // required here as ib-tws-node also requires this module
+    const createInstanceAsync = require('./ib-tws-node.js');
+    const emitTypes = require('./ib-tws-types.js');
+    const client = await createInstanceAsync(Object.keys(settings).reduce((options, key) => {
+        const name = key.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        return Object.assign(options, {[name]: settings[key]});
+    }, {}));
+    try {
+        const types = await emitTypes(client);
+        if (settings['emit-types'] == '-') process.stdout.write(types);
+        else await util.promisify(fs.writeFile)(settings['emit-types'], types);
+    } finally {
+        await client.exit();
+    }
+}
+
+/**
+ * Connects a client with the given settings and serves it over WebSocket until interrupted
+ */
+async function serve_ws(settings) {
+    // required here as ib-tws-node also requires this module
+    const createInstanceAsync = require('./ib-tws-node.js');
+    const createGateway = require('./gateway.js');
+    const tokens = {};
+    if (settings['ws-token']) tokens[settings['ws-token']] = '*';
+    if (settings['ws-read-only-token']) tokens[settings['ws-read-only-token']] = 'read-only';
+    if (!Object.keys(tokens).length) {
+        tokens[require('crypto').randomBytes(16).toString('hex')] = '*';
+        console.error(`WebSocket token ${Object.keys(tokens)[0]}`);
+    }
+    const client = await createInstanceAsync(Object.keys(settings).reduce((options, key) => {
+        const name = key.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+        return Object.assign(options, {[name]: settings[key]});
+    }, {}));
+    const gateway = await createGateway(client, {
+        port: +settings['serve-ws'],
+        host: settings['ws-inet'] || 'localhost',
+        tokens
+    });
+    gateway.on('error', err => console.error(err.message));
+    await client.eConnect(+settings['client-id'] || 0, false).catch(async(err) => {
+        // nothing can be served without TWS, so stop listening and exit with the error
+        await new Promise(ready => gateway.close(ready));
+        await client.exit();
+        throw err;
+    });
+    client.on('exit', () => process.exit());
+    console.error(`ib-tws-json serving WebSocket on ${gateway.address().address}:${gateway.address().port}`);
+    process.once('SIGINT', () => gateway.close(() => client.exit()));
+}
+
 /**
  * Spawns a ib-tws-json process with the given settings
  */
-async function spawn_shell(settings, scripts, stdio) {
+async function spawn_shell(shell_settings, scripts, stdio) {
+    const installation = shell_settings['installation'] && await selectInstallation(shell_settings);
+    const settings = !installation ? shell_settings : {
+        ...shell_settings,
+        'jts-install-dir': installation.path,
+        'jts-exe-name': shell_settings['jts-exe-name'] || installation.exeName
+    };
     const java_exe = await getJavaExe(settings);
     const launcher = [].concat(settings['launcher'])[0] || java_exe;
-    const jar = path.resolve(module.filename, '../..', 'lib/ib-tws-json.jar');
-    const cp = await getClassPath(jar, settings);
+    const cp = await getClassPath(module.exports.jsonJar, settings);
     const args = [];
     if (settings['launcher']) {
         args.push(...[].concat(settings['launcher']).slice(1));
@@ -135,27 +281,37 @@ async function spawn_shell(settings, scripts, stdio) {
 }
 
 /**
- * Locates the java executable
+ * Locates the java executable, adding the locations that are looked in to searched, if given
  */
-async function getJavaExe(settings) {
-    const jre = await findJavaRuntimeEnvironment(settings);
+async function getJavaExe(settings, searched) {
+    const jre = await findJavaRuntimeEnvironment(settings, searched);
     if (await access(jre).then(() => jre, err => {})) return `${jre}/bin/java`;
     else return 'java';
 }
 
 /**
- * Locals the JRE on the system by looking in the usual TWS locations.
+ * Locals the JRE on the system by looking in the usual TWS locations, adding them to searched, if given.
  */
-async function findJavaRuntimeEnvironment(settings) {
+async function findJavaRuntimeEnvironment(settings, searched) {
     const arg_value = settings['java-home'];
+    if (arg_value && searched) searched.push(arg_value);
     if (arg_value) return arg_value;
-    const install4j = await getInstall4j(settings);
+    const install4j = await getInstall4j(settings, searched);
+    if (!install4j && searched && process.env['JAVA_HOME']) searched.push(process.env['JAVA_HOME']);
     if (!install4j) return process.env['JAVA_HOME'];
+    return getBundledJre(install4j, searched);
+}
+
+/**
+ * Locates the JRE that the install4j installer of TWS bundled with it
+ */
+async function getBundledJre(install4j, searched) {
     const search = [
         path.resolve(install4j, 'jre.bundle', 'Contents', 'Home', 'jre'),
         await readFile(path.resolve(install4j, 'pref_jre.cfg'), 'utf8').catch(err => {}),
         await readFile(path.resolve(install4j, 'inst_jre.cfg'), 'utf8').catch(err => {})
     ].map(jre => jre && jre.trim()).filter(jre => jre);
+    if (searched) searched.push(...search);
     const jre = await search.reduce(async(p, jre) => {
         return await p || await access(jre).then(() => jre, err => {});
     }, null);
@@ -163,9 +319,131 @@ async function findJavaRuntimeEnvironment(settings) {
 }
 
 /**
- * Locates the .install4j folders of a TWS install
+ * Lists the TWS and IB Gateway installations in settings['jts-install-dir'] and the common install locations,
+ * in the order they are preferred, as {product, version, path, install4j, jre, exeName} with product tws or gateway
+ */
+async function listInstallations(settings) {
+    const opts = settings || {};
+    const install_dir = opts['jts-install-dir'];
+    const install_dirs = install_dir ? [install_dir, path.resolve(install_dir, 'ibgateway')] : [];
+    return listInstallDirs([...install_dirs, ...getJtsPathSearch(opts)]);
+}
+
+/**
+ * The installation of settings['jts-install-dir'], or the first of listInstallations that matches
+ * settings['installation'], such as 'gateway >=1019' or {product: 'tws', version: '1030'}
  */
-async function getInstall4j(settings) {
+async function selectInstallation(settings) {
+    const criteria = parseInstallation(settings['installation']);
+    const install_dir = settings['jts-install-dir'];
+    const installations = install_dir ? await listInstallDirs([install_dir, path.resolve(install_dir, 'ibgateway')]) :
+        await listInstallations(settings);
+    const selected = installations.find(installation => {
+        return (!criteria.product || installation.product == criteria.product) &&
+            criteria.versions.every(([op, version]) => compareVersions(op, installation.version, version));
+    });
+    if (!selected && settings['installation']) {
+        const found = installations.map(installation => `${installation.product} ${installation.version}`);
+        throw new ConfigError(`No TWS or IB Gateway installation matches ${formatInstallation(criteria)}, ` +
+            (found.length ? `found ${found.join(', ')}` : `none were found, try --jts-install-dir=...`),
+            'installation', 'installation');
+    }
+    return selected || null;
+}
+
+/**
+ * Parses the installation setting, a string such as 'gateway >=1019 <1030' or an object with product and version,
+ * into {product, versions} with versions as [operator, version] pairs
+ */
+function parseInstallation(installation) {
+    const spec = typeof installation == 'string' ? installation.trim().split(/\s+/).reduce((spec, word) => {
+        if (/^[a-z ]+$/i.test(word)) return {...spec, product: word};
+        else return {...spec, version: spec.version ? `${spec.version} ${word}` : word};
+    }, {}) : installation || {};
+    const product = spec.product &&
+        String(spec.product).toLowerCase().replace(/^ib\s*/, '').replace('workstation', 'tws');
+    if (product && !~['tws', 'gateway'].indexOf(product)) {
+        throw new ConfigError(`Unknown installation product ${spec.product}, use tws or gateway`,
+            'installation', 'installation');
+    }
+    const versions = String(spec.version || '').split(/\s+/).filter(word => word).map(word => {
+        const m = word.match(/^(>=|<=|>|<|=)?([0-9][0-9.]*)$/);
+        if (!m) throw new ConfigError(`Invalid installation version ${word}, use a version such as 1019 or >=10.19`,
+            'installation', 'installation');
+        return [m[1] || '=', m[2].replace(/\./g, '')];
+    });
+    return {product, versions};
+}
+
+/**
+ * Formats the parsed installation criteria for messages
+ */
+function formatInstallation(criteria) {
+    return [criteria.product || 'tws or gateway', ...criteria.versions.map(([op, version]) => {
+        return op == '=' ? version : `${op}${version}`;
+    })].join(' ');
+}
+
+/**
+ * Compares the versions, as numbers, with the operator
+ */
+function compareVersions(op, version, other) {
+    const cmp = +version - +other;
+    return op == '>=' ? cmp >= 0 : op == '<=' ? cmp <= 0 : op == '>' ? cmp > 0 : op == '<' ? cmp < 0 : cmp == 0;
+}
+
+/**
+ * The installations that are each of the folders, or are in them, without duplicates
+ */
+async function listInstallDirs(dirs) {
+    const installations = await dirs.reduce(async(found, dir) => {
+        const list = await listNumerically(dir);
+        const installations = await Promise.all([
+            getInstallation(path.dirname(dir), path.basename(dir), true),
+            ...list.map(name => getInstallation(dir, name, false))
+        ]);
+        return [...await found, ...installations.filter(installation => installation)];
+    }, []);
+    return installations.filter((installation, i) => {
+        return installations.findIndex(other => other.path == installation.path) == i;
+    });
+}
+
+/**
+ * The installation in the folder name of jts_path, if it is a TWS or IB Gateway install folder.
+ * If any_name, the folder name need not include the version, but must have an .install4j folder or exe.
+ */
+async function getInstallation(jts_path, name, any_name) {
+    const m = name.match(/^(IB Gateway |Trader Workstation |ibgateway-|tws-)?([0-9][0-9.]*)$/);
+    const dir = path.resolve(jts_path, name);
+    if (!m && !any_name || !await stat(dir).then(stats => stats.isDirectory(), err => false)) return null;
+    const i4j = path.resolve(dir, '.install4j');
+    const install4j = await access(i4j).then(() => i4j, err => null);
+    const exes = await Promise.all(['ibgateway', 'ibgateway.exe', 'tws', 'tws.exe'].map(exe => {
+        return stat(path.resolve(dir, exe)).then(stats => stats.isFile() ? exe : null, err => null);
+    }));
+    const exe_name = exes.find(exe => exe) || null;
+    if (!m && !install4j && !exe_name) return null;
+    return {
+        product: exe_name ? exe_name.replace('.exe', '').replace('ibgateway', 'gateway') :
+            /gateway/i.test(m && m[1] || path.basename(jts_path)) ? 'gateway' : 'tws',
+        version: m ? m[2].replace(/\./g, '') : null,
+        path: dir,
+        install4j,
+        jre: install4j && await getBundledJre(install4j),
+        exeName: exe_name
+    };
+}
+
+/**
+ * Locates the .install4j folders of a TWS install, adding the folders that are looked for to searched, if given
+ */
+async function getInstall4j(settings, searched) {
+    const selected = (settings['installation'] || settings['jts-install-dir']) && await selectInstallation(settings);
+    if (selected) {
+        if (searched) searched.push(path.resolve(selected.path, '.install4j'));
+        return selected.install4j;
+    }
     return getJtsPathSearch(settings).reduce(async(found, jts_path) => {
         if (await found) return found;
         const version = await getJtsVersion(jts_path, settings);
@@ -180,6 +458,7 @@ async function getInstall4j(settings) {
             path.resolve(jts_path, 'IB Gateway', '.install4j'),
             path.resolve(jts_path, 'Trader Workstation', '.install4j')
         ];
+        if (searched) searched.push(...search);
         const i4j = await search.reduce(async(p, i4j) => {
             return await p || await access(i4j).then(() => i4j, err => {});
         }, null);
@@ -213,7 +492,12 @@ function getJtsPathSearch(settings) {
         "C:\\Jts",
         HOME + "/Jts/ibgateway",
         HOME + "/Jts",
-        HOME + "/Applications"
+        HOME + "/Applications",
+        "/opt/ibgateway",
+        "/opt/Jts/ibgateway",
+        "/opt/Jts",
+        "/opt/tws",
+        "/Applications"
     ];
 }
 
@@ -222,23 +506,28 @@ function getJtsPathSearch(settings) {
  */
 async function getJtsVersion(jts_path, settings) {
     if (settings['tws-version']) return settings['tws-version'];
+    const versions = await getJtsVersions(jts_path);
+    return versions.length ? versions[0] : null;
+}
+
+/**
+ * The TWS and Gateway versions installed in the folder, in the order that getJtsVersion prefers them
+ */
+async function getJtsVersions(jts_path) {
     const list = await listNumerically(jts_path);
-    return list.reduce(async(found, name) => {
-        if (await found) return found;
-        const m = name.match(/^(IB Gateway |Trader Workstation |ibgateway-|tws-)?([0-9]+)(\.vmoptions)?$/);
-        const dir = path.resolve(jts_path, name);
-        if (m) return access(dir).then(() => m[2], () => null);
-        else return null;
-    }, null);
+    return list.map(name => {
+        return name.match(/^(IB Gateway |Trader Workstation |ibgateway-|tws-)?([0-9]+)(\.vmoptions)?$/);
+    }).filter(m => m).map(m => m[2]).filter((version, i, versions) => versions.indexOf(version) == i);
 }
 
 /**
- * Finds the TwsApi.jar file
+ * Finds the TwsApi.jar file, adding the folders that are searched to searched, if given
  */
-async function getTwsApiJar(settings) {
+async function getTwsApiJar(settings, searched) {
     if (settings["tws-api-jar"])
         return settings["tws-api-jar"];
     if (settings["tws-api-path"]) {
+        if (searched) searched.push(settings["tws-api-path"]);
         const jar = await searchFor(settings["tws-api-path"], "TwsApi.jar");
         return jar;
     }
@@ -251,6 +540,7 @@ async function getTwsApiJar(settings) {
         path.resolve(HOME, "lib"),
         path.resolve(HOME, "libs")
     ];
+    if (searched) searched.push(...tws_api_path_search);
     const jar = await tws_api_path_search.reduce(async(found, dir) => {
         if (await found) return found;
         else return searchFor(dir, "TwsApi.jar");
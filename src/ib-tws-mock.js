@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// vim: set filetype=javascript:
+// ib-tws-mock.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const net = require('net');
+const {Command} = require('commander');
+const pkg = require('../package.json');
+const recorded_schema = require('./ib-tws-schema.json');
+
+/**
+ * Actions from EClient that TWS will answer before eConnect
+ */
+const offline_actions = ['eConnect', 'eDisconnect', 'isConnected', 'serverVersion', 'getTwsConnectionTime', 'faMsgTypeName'];
+
+/**
+ * If launched directly, listen on the given port until interrupted.
+ * Otherwise, export a factory function to create a new mock server
+ */
+if (require.main === module) {
+    const program = new Command();
+    program.name('ib-tws-mock').usage('[options]')
+        .storeOptionsAsProperties(false)
+        .version(pkg.version, '-v, --version', 'output the current version')
+        .option("--json-api-port <integer>", "Server port for the mock JSON API to listen on", 7596)
+        .option("--json-api-inet <inet>", "Server local network interface to listen on", 'localhost');
+    program.parse(process.argv);
+    createMockServer({
+        port: +program.opts().jsonApiPort,
+        host: program.opts().jsonApiInet
+    }).then(server => {
+        console.error(`ib-tws-mock listening on ${server.address().address}:${server.address().port}`);
+    }, err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = createMockServer;
+module.exports.schema = recorded_schema;
+module.exports.helpLines = helpLines;
+
+/**
+ * Async factory function to create a mock ib-tws-json server that answers help
+ * from the recorded schema and responds to calls with the handlers given to respond
+ */
+async function createMockServer(settings) {
+    const schema = settings && settings.schema || recorded_schema;
+    const handlers = createDefaultHandlers(schema, settings || {});
+    const sessions = new Set();
+    const calls = [];
+    const actions = Object.keys(schema.actions).reduce((actions, action_type) => {
+        Object.keys(schema.actions[action_type]).forEach(name => actions[name] = action_type);
+        return actions;
+    }, {});
+    const server = net.createServer(socket => {
+        const session = createSession(server, socket);
+        let buffer = '';
+        let queue = Promise.resolve();
+        sessions.add(session);
+        socket.setEncoding('utf8');
+        socket.on('close', () => sessions.delete(session)).on('error', err => {
+            server.emit('error', err);
+        }).on('data', chunk => {
+            const lines = (buffer + chunk).split('\n');
+            buffer = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                // calls are answered in order, so sleep delays the following calls
+                queue = queue.then(() => receive(session, line)).catch(err => server.emit('error', err));
+            });
+        });
+    });
+    const receive = async(session, line) => {
+        const [name, ...args] = line.split('\t').filter((json, i) => i == 0 || json).map((json, i) => {
+            if (i == 0) return json.trim();
+            try {
+                return JSON.parse(json);
+            } catch (e) {
+                return json;
+            }
+        });
+        calls.push([name, ...args]);
+        server.emit('call', session, name, args);
+        if (!actions[name]) {
+            session.send('error', `Unknown command ${name}`);
+        } else if (actions[name] == 'EClient' && !session.connected && !~offline_actions.indexOf(name)) {
+            session.error(-1, 504, 'Not connected');
+        } else if (handlers[name]) {
+            await handlers[name].call(server, session, ...args);
+        }
+    };
+    Object.assign(server, {
+        schema,
+        calls,
+        sessions,
+        /**
+         * Uses the given handler(session, ...args) to respond when the given action is called
+         */
+        respond(action_name, handler) {
+            handlers[action_name] = handler;
+            return server;
+        },
+        /**
+         * Sends the given event to every connected session
+         */
+        broadcast(event_name, ...args) {
+            sessions.forEach(session => session.send(event_name, ...args));
+            return server;
+        },
+        /**
+         * Closes the server and disconnects any remaining sessions
+         */
+        close(callback) {
+            sessions.forEach(session => session.socket.destroy());
+            return net.Server.prototype.close.call(server, callback);
+        }
+    });
+    return new Promise((ready, fail) => {
+        server.once('error', fail);
+        server.listen(settings && settings.port || 0, settings && settings.host || 'localhost', () => {
+            server.removeListener('error', fail);
+            ready(server);
+        });
+    });
+}
+
+/**
+ * Creates the session object that is given to the handlers to send events back to the client
+ */
+function createSession(server, socket) {
+    const self = {
+        server,
+        socket,
+        connected: false,
+        clientId: null,
+        /**
+         * Sends the event and arguments as a line to the client
+         */
+        send(event_name, ...args) {
+            return self.sendLines([[event_name].concat(args.map(arg => JSON.stringify(arg))).join('\t')]);
+        },
+        /**
+         * Sends the given lines together, so they are received in the same chunk
+         */
+        sendLines(lines) {
+            if (!socket.destroyed && socket.writable) socket.write(lines.map(line => `${line}\n`).join(''));
+            return self;
+        },
+        /**
+         * Sends an error event for the given request id
+         */
+        error(id, code, msg, advancedOrderRejectJson) {
+            return self.send('error', id, code, msg, advancedOrderRejectJson || '');
+        },
+        /**
+         * Ends the session, as if ib-tws-json had exited
+         */
+        end() {
+            socket.end();
+        }
+    };
+    return self;
+}
+
+/**
+ * Handlers that behave like an idle TWS login with a paper trading account
+ */
+function createDefaultHandlers(schema, settings) {
+    let next_valid_id = +settings.nextValidId || 1;
+    const accounts = settings.managedAccounts || 'DU1234567';
+    const server_version = +settings.serverVersion || 176;
+    return {
+        help(session, about) {
+            session.sendLines(helpLines(schema, about));
+        },
+        exit(session) {
+            session.end();
+        },
+        sleep(session, millis) {
+            return new Promise(ready => setTimeout(ready, +millis || 0));
+        },
+        eConnect(session, clientId, extraAuth) {
+            if (session.connected) return session.error(-1, 501, 'Already connected.');
+            Object.assign(session, {connected: true, clientId});
+            session.send('connectAck');
+            session.send('managedAccounts', accounts);
+            session.send('nextValidId', next_valid_id);
+        },
+        eDisconnect(session) {
+            session.connected = false;
+        },
+        isConnected(session) {
+            session.send('isConnected', session.connected);
+        },
+        serverVersion(session) {
+            session.send('serverVersion', session.connected ? server_version : 0);
+        },
+        faMsgTypeName(session, faDataType) {
+            session.send('faMsgTypeName', [null, 'GROUPS', 'PROFILES', 'ALIASES'][faDataType] || null);
+        },
+        reqIds(session) {
+            session.send('nextValidId', next_valid_id);
+        },
+        reqCurrentTime(session) {
+            session.send('currentTime', Math.floor(Date.now() / 1000));
+        },
+        reqManagedAccts(session) {
+            session.send('managedAccounts', accounts);
+        },
+        placeOrder(session, id, contract, order) {
+            next_valid_id = Math.max(next_valid_id, +id + 1);
+        }
+    };
+}
+
+/**
+ * Lines that ib-tws-json would send in response to help with the given topic
+ */
+function helpLines(schema, about) {
+    const line = values => ['help'].concat(values.map(value => JSON.stringify(value))).join('\t');
+    const types = schema.types;
+    const methods = Object.assign({}, ...Object.values(schema.actions), ...Object.values(schema.events));
+    if (about == null) {
+        return [].concat(
+            ...Object.keys(schema.actions).map(action_type => [line(['actions', action_type])].concat(
+                Object.keys(schema.actions[action_type]).map(name => line([action_type, name])))),
+            ...Object.keys(schema.events).map(event_type => [line(['events', event_type])].concat(
+                Object.keys(schema.events[event_type]).map(name => line([event_type, name])))),
+            'helpEnd'
+        );
+    } else if (methods[about]) {
+        return methods[about].map(([param_name, param_type]) => line([about, param_name, param_type]))
+            .concat(`helpEnd\t${JSON.stringify(about)}`);
+    } else if (Array.isArray(types[about])) {
+        return types[about].map(value => line([about, value])).concat(`helpEnd\t${JSON.stringify(about)}`);
+    } else if (types[about]) {
+        return Object.entries(types[about]).map(([name, [type, default_value]]) => line([about, name, type, default_value]))
+            .concat(`helpEnd\t${JSON.stringify(about)}`);
+    } else {
+        return [`helpEnd\t${JSON.stringify(about)}`];
+    }
+}
@@ -0,0 +1,1268 @@
+// Type definitions for ib-tws-node 1.0.0
+// Generated by ib-tws-json --emit-types from the help schema, do not edit
+
+/// <reference types="node" />
+
+import { AssertionError } from 'assert';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+declare function createInstanceAsync(settings?: createInstanceAsync.Settings): Promise<createInstanceAsync.Client>;
+
+declare namespace createInstanceAsync {
+    const logger: Pick<Console, 'log' | 'info' | 'warn' | 'error'>;
+    const requests: {[name: string]: RequestEntry};
+    const subscriptions: {[name: string]: SubscriptionEntry};
+    const priorities: {[action_name: string]: PacerLane};
+    function validate<A extends keyof Actions>(action_name: A, args: Parameters<Actions[A]>, settings?: Settings): Promise<void>;
+    function validate(action_name: string, args: any[], settings?: Settings): Promise<void>;
+    function createGateway(client: Client, settings: GatewaySettings): Promise<Gateway>;
+    function resolveConfig(settings?: Settings, options?: {env?: {[key: string]: string | undefined}; cwd?: string}): Promise<Settings>;
+    function listInstallations(): Promise<Installation[]>;
+    function selectInstallation(settings?: Settings): Promise<Installation | null>;
+    const diagnose: {
+        (settings?: Settings): Promise<Diagnosis>;
+        format(report: Diagnosis): string;
+    };
+    const builders: Builders;
+
+    type ErrorCategory = 'notice' | 'warning' | 'request' | 'connection';
+
+    class TwsError extends Error {
+        constructor(reqId: number | null, code: number | null, message: string, advancedOrderRejectJson?: string | null);
+        static from(args: any[]): TwsError;
+        readonly reqId: number;
+        readonly code: number | null;
+        readonly advancedOrderRejectJson: string | null;
+        readonly category: ErrorCategory;
+    }
+
+    class ValidationError extends AssertionError {
+        static from(err: AssertionError): ValidationError;
+    }
+
+    class AmbiguousContractError extends Error {
+        constructor(message: string, spec: Contract, candidates: Contract[]);
+        readonly spec: Contract;
+        readonly candidates: Contract[];
+    }
+
+    class RiskRejectedError extends Error {
+        constructor(message: string, rule: string, orderId: number, contract: Contract, order: Order);
+        readonly rule: string;
+        readonly orderId: number;
+        readonly contract: Contract;
+        readonly order: Order;
+    }
+
+    class ConfigError extends Error {
+        constructor(message: string, source?: string, setting?: string);
+        readonly source?: string;
+        readonly setting?: string;
+    }
+
+    interface Installation {
+        product: 'tws' | 'gateway';
+        version: string | null;
+        path: string;
+        install4j: string | null;
+        jre: string | null;
+        exeName: string | null;
+    }
+
+    interface InstallationSpec {
+        product?: 'tws' | 'gateway';
+        version?: string;
+    }
+
+    interface Diagnosis {
+        ok: boolean;
+        config: string | null;
+        profile: string | null;
+        jts: {searched: string[]; installations: Installation[]; selected: Installation | null; install4j: string | null};
+        java: {searched: string[]; home: string | null; exe: string; version: string | null};
+        twsApiJar: {searched: string[]; file: string | null};
+        jsonJar: {file: string; present: boolean; url: string};
+        ports: {host: string | null; port: number; listening: boolean; jsonHost: string | null; jsonPort: number; jsonListening: boolean}[];
+        hints: string[];
+    }
+
+    interface Settings {
+        config?: string | false;
+        profile?: string;
+        launcher?: string | string[];
+        env?: {[key: string]: string};
+        javaHome?: string;
+        twsApiJar?: string;
+        twsApiPath?: string;
+        jtsInstallDir?: string;
+        jtsExeName?: string;
+        jtsConfigDir?: string;
+        twsPath?: string;
+        twsVersion?: string;
+        installation?: string | InstallationSpec;
+        twsApiHost?: string;
+        twsApiPort?: number;
+        jsonApiHost?: string;
+        jsonApiPort?: number;
+        jsonApiPortOffset?: number;
+        jsonApiInet?: string;
+        timeout?: number;
+        noLaunch?: boolean;
+        clientId?: number;
+        firstRequestId?: number;
+        reconnect?: boolean;
+        reconnectDelay?: number;
+        reconnectMaxDelay?: number;
+        reconnectAttempts?: number;
+        reconnectTimeout?: number;
+        offlinePolicy?: 'queue' | 'reject';
+        requestTimeout?: number;
+        schemaCache?: string | false;
+        contractCache?: string | false;
+        contractCacheTtl?: number;
+        contractCacheSize?: number;
+        risk?: RiskLimits;
+        simulate?: boolean | SimulatorOptions;
+        pacing?: boolean;
+        maxMessagesPerSecond?: number;
+        historicalPacing?: boolean;
+        priorities?: {[action_name: string]: PacerLane};
+        quoteInterval?: number;
+        record?: string | NodeJS.WritableStream;
+        replay?: string | NodeJS.ReadableStream;
+        replaySpeed?: number;
+        replaySync?: boolean;
+        replaySyncTimeout?: number;
+        native?: boolean;
+        highWaterMark?: number;
+        overflow?: 'latest' | 'drop';
+    }
+
+    interface ClientEvents extends Omit<Events, 'error'> {
+        error: Events['error'] | [err: Error];
+        exit: [code?: number];
+        help: [method_or_type: string, name: string, type?: string, default_value?: any];
+        helpEnd: [method_or_type?: string];
+        disconnected: [reason: string];
+        reconnecting: [attempt: number, delay: number, last_error: Error | null];
+        reconnected: [reason: string];
+        notice: [err: TwsError];
+        warning: [err: TwsError | Error];
+        requestError: [err: TwsError];
+        connectionError: [err: TwsError];
+    }
+
+    interface Client extends EventEmitter, Actions {
+        on<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        addListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        addListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        prependListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        prependListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        off<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        off(event: string | symbol, listener: (...args: any[]) => void): this;
+        removeListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        removeListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        emit<E extends keyof ClientEvents>(event: E, ...args: ClientEvents[E]): boolean;
+        emit(event: string | symbol, ...args: any[]): boolean;
+        kill(signal?: string): void;
+        ref(): void;
+        unref(): void;
+        describe(name?: string): Promise<any>;
+        nextOrderId(): Promise<number>;
+        nextRequestId(): number;
+        syncIds(): Promise<number>;
+        request: Request;
+        subscribe: Subscribe;
+        orders: Orders;
+        pacer: Pacer | null;
+        quotes: QuoteBook;
+        accounts: Accounts;
+        history: History;
+        contracts: ContractResolver;
+        risk: Risk;
+        use(middleware: Middleware): () => void;
+        simulator: Simulator | null;
+    }
+
+    interface RequestEntry {
+        call: keyof Actions | string;
+        data: string[];
+        end?: string;
+        cancel?: string;
+        id?: false;
+    }
+
+    interface Request extends RequestHelpers {
+        (name: string, args?: any[], options?: {timeout?: number}): Promise<any>;
+        define(name: string, entry: RequestEntry): Request;
+        table: {[name: string]: RequestEntry};
+    }
+
+    interface SubscriptionEntry {
+        call: keyof Actions | string;
+        data: string[];
+        cancel: string | ((req_id: number | null, args: any[]) => [string, any[]]);
+        id?: false;
+        params?: (args: any[]) => any[];
+    }
+
+    interface SubscriptionOptions {
+        signal?: AbortSignal;
+        highWaterMark?: number;
+        overflow?: 'latest' | 'drop';
+    }
+
+    interface SubscriptionRecord {
+        event: string;
+        args: any[];
+    }
+
+    interface Subscription extends Readable {
+        [Symbol.asyncIterator](): AsyncIterableIterator<SubscriptionRecord>;
+        readonly reqId: number | null;
+        readonly dropped: number;
+        close(): void;
+    }
+
+    interface Subscribe extends SubscriptionHelpers {
+        (name: string, args?: any[], options?: SubscriptionOptions): Subscription;
+        define(name: string, entry: SubscriptionEntry): Subscribe;
+        table: {[name: string]: SubscriptionEntry};
+    }
+
+    type OrderHandleState = 'PendingSubmit' | 'Submitted' | 'PartiallyFilled' | 'PendingCancel' | 'Filled' | 'Cancelled' | 'Inactive';
+
+    interface Fill {
+        execId: string;
+        time: string;
+        exchange: string;
+        side: string;
+        shares: number;
+        price: number;
+        cumQty: number;
+        avgPrice: number;
+        commission: number | null;
+        currency: string | null;
+        realizedPNL: number | null;
+    }
+
+    interface OrderHandle extends EventEmitter {
+        readonly id: number;
+        readonly contract: Contract;
+        readonly order: Order;
+        readonly orderState: OrderState | null;
+        readonly permId: number | null;
+        readonly state: OrderHandleState;
+        readonly completed: boolean;
+        readonly filledQuantity: number;
+        readonly remaining: number;
+        readonly avgFillPrice: number;
+        readonly lastFillPrice: number;
+        readonly commission: number;
+        readonly fills: Fill[];
+        readonly error: Error | null;
+        filled(): Promise<OrderHandle>;
+        done(): Promise<OrderHandle>;
+        modify(changes: Order): Promise<OrderHandle>;
+        cancel(): Promise<OrderHandle>;
+    }
+
+    interface Orders {
+        place(contract: ContractSpec, order: Order): Promise<OrderHandle>;
+        placeGroup(contract: ContractSpec, orders: OrderGroup | Order[]): Promise<OrderHandle[]>;
+        get(id: number): OrderHandle | undefined;
+        list(): OrderHandle[];
+    }
+
+    interface Greeks {
+        tickAttrib: number;
+        impliedVol: number | null;
+        delta: number | null;
+        optPrice: number | null;
+        pvDividend: number | null;
+        gamma: number | null;
+        vega: number | null;
+        theta: number | null;
+        undPrice: number | null;
+    }
+
+    interface Quote {
+        contract: Contract;
+        tickerId: number;
+        bid: number | null;
+        bidSize: number | null;
+        ask: number | null;
+        askSize: number | null;
+        last: number | null;
+        lastSize: number | null;
+        lastTimestamp: number | null;
+        high: number | null;
+        low: number | null;
+        open: number | null;
+        close: number | null;
+        volume: number | null;
+        avgVolume: number | null;
+        markPrice: number | null;
+        halted: boolean | null;
+        bidGreeks: Greeks | null;
+        askGreeks: Greeks | null;
+        lastGreeks: Greeks | null;
+        modelGreeks: Greeks | null;
+        marketDataType: number | null;
+        delayed: boolean;
+        error: TwsError | null;
+        updated: {[field: string]: number};
+        time: number | null;
+    }
+
+    interface QuoteOptions {
+        genericTickList?: string;
+        mktDataOptions?: TagValue[];
+    }
+
+    interface SnapshotOptions extends QuoteOptions {
+        regulatorySnapshot?: boolean;
+        timeout?: number;
+    }
+
+    interface QuoteBook extends EventEmitter {
+        on(event: 'quote', listener: (quote: Quote, fields: string[]) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once(event: 'quote', listener: (quote: Quote, fields: string[]) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        watch(contract: ContractSpec, options?: QuoteOptions): Promise<Quote>;
+        unwatch(contract: ContractSpec): Promise<Quote | undefined>;
+        snapshot(contract: ContractSpec, options?: SnapshotOptions): Promise<Quote>;
+        get(contract: Contract): Quote | undefined;
+        contract(tickerId: number): Contract | undefined;
+        list(): Quote[];
+    }
+
+    interface AccountPosition {
+        account: string;
+        conid: number;
+        contract: Contract;
+        position: number | null;
+        avgCost: number | null;
+        marketPrice: number | null;
+        marketValue: number | null;
+        unrealizedPnL: number | null;
+        realizedPnL: number | null;
+        dailyPnL: number | null;
+        updated: number;
+    }
+
+    interface AccountState {
+        account: string;
+        balances: {[tag: string]: {[currency: string]: number | string}};
+        positions: {[conid: string]: AccountPosition};
+        accountTime: string | null;
+        updated: number | null;
+    }
+
+    interface AccountsOptions {
+        tags?: string[];
+        pnl?: boolean;
+        accountUpdates?: string;
+    }
+
+    interface AccountsSnapshot {
+        time: number;
+        accounts: {[account: string]: AccountState};
+    }
+
+    interface Accounts extends EventEmitter {
+        on(event: 'changed', listener: (account: string, kind: 'account' | 'balance' | 'position' | 'time', key: string | number) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        watch(options?: AccountsOptions): Promise<Accounts>;
+        unwatch(): Accounts;
+        list(): string[];
+        get(account: string): AccountState | undefined;
+        balance(account: string, tag: string, currency?: string): number | string | undefined;
+        positions(account?: string): AccountPosition[];
+        position(account: string, conid: number): AccountPosition | undefined;
+        snapshot(): AccountsSnapshot;
+    }
+
+    interface HistoryOptions {
+        barSize?: string;
+        duration?: string;
+        whatToShow?: string;
+        useRTH?: boolean;
+        start?: Date | number | string;
+        end?: Date | number | string;
+        file?: string;
+        format?: 'csv' | 'jsonl';
+        retries?: number;
+        retryDelay?: number;
+        timeout?: number;
+        onChunk?(bars: Bar[]): void;
+    }
+
+    interface History {
+        download(contract: ContractSpec, options?: HistoryOptions): Promise<Bar[]>;
+    }
+
+    type ContractSpec = Contract | string;
+
+    interface RiskLimits {
+        maxQuantity?: number;
+        maxNotional?: number;
+        maxPosition?: number | {[symbol: string]: number};
+        symbols?: string[];
+        secTypes?: string[];
+        collar?: number;
+        maxOrdersPerMinute?: number;
+    }
+
+    interface RiskAudit {
+        time: number;
+        decision: 'accepted' | 'rejected' | 'killed' | 'resumed';
+        orderId: number | null;
+        contract: Contract | null;
+        order: Order | null;
+        rule?: string;
+        reason?: string;
+    }
+
+    interface Risk extends EventEmitter {
+        on(event: 'audit', listener: (record: RiskAudit) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once(event: 'audit', listener: (record: RiskAudit) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        readonly limits: RiskLimits;
+        readonly killed: string | null;
+        check(id: number, contract: Contract, order: Order): Promise<void>;
+        evaluate(id: number, contract: Contract, order: Order): {rule: string, message: string} | null;
+        kill(reason?: string): Promise<void>;
+        resume(): void;
+    }
+
+    interface MiddlewareContext {
+        name: string;
+        params: {[name: string]: any};
+        readonly args: any[];
+    }
+
+    interface CallContext extends MiddlewareContext {
+        interface_name: string;
+    }
+
+    interface Middleware {
+        call?(ctx: CallContext, next: () => Promise<void>): any;
+        event?(ctx: MiddlewareContext, next: () => Promise<void>): any;
+    }
+
+    interface SimulatorOptions {
+        account?: string;
+        latency?: number;
+        slippage?: number | ((fill: {contract: Contract, order: Order, price: number, market: SimulatedMarket}) => number);
+        commission?: number | ((fill: {contract: Contract, order: Order, execution: Execution}) => number);
+    }
+
+    interface SimulatedMarket {
+        bid: number | null;
+        ask: number | null;
+        last: number | null;
+    }
+
+    interface SimulatedOrder {
+        id: number;
+        contract: Contract;
+        order: Order;
+        status: 'PreSubmitted' | 'Submitted' | 'Filled' | 'Cancelled';
+        filled: number;
+        remaining: number;
+        avgFillPrice: number;
+    }
+
+    interface Simulator extends Middleware {
+        price(contract: Contract, prices: Partial<SimulatedMarket>): void;
+        orders(): SimulatedOrder[];
+        positions(): {account: string, contract: Contract, position: number, avgCost: number}[];
+    }
+
+    type ConditionOperator = '>' | '>=' | '<' | '<=';
+
+    type OrderGroup = Order[] & {bracket?: boolean};
+
+    interface TrailOptions {
+        amount?: number;
+        percent?: number;
+        stopPrice?: number;
+    }
+
+    interface OrderBuilder {
+        market(): OrderBuilder;
+        limit(lmtPrice: number): OrderBuilder;
+        stop(auxPrice: number): OrderBuilder;
+        stopLimit(auxPrice: number, lmtPrice: number): OrderBuilder;
+        trailing(options: TrailOptions): OrderBuilder;
+        trailingLimit(options: TrailOptions & {limitOffset: number}): OrderBuilder;
+        tif(tif: string, goodTillDate?: string): OrderBuilder;
+        outsideRth(outsideRth?: boolean): OrderBuilder;
+        account(account: string): OrderBuilder;
+        ref(orderRef: string): OrderBuilder;
+        adaptive(priority?: 'Urgent' | 'Normal' | 'Patient'): OrderBuilder;
+        algo(algoStrategy: string, params?: {[tag: string]: string | number | boolean}): OrderBuilder;
+        when(condition: OrderCondition): OrderBuilder;
+        orWhen(condition: OrderCondition): OrderBuilder;
+        cancelWhenMet(): OrderBuilder;
+        set(properties: Order): OrderBuilder;
+        build(): Order;
+    }
+
+    interface Builders {
+        order(action: string, quantity: number | string): OrderBuilder;
+        bracket(action: string, quantity: number | string, options: {entry?: number, takeProfit?: number, stopLoss?: number, tif?: string}): OrderGroup;
+        oca(orders: (Order | OrderBuilder)[], group: string, ocaType?: 1 | 2 | 3): OrderGroup;
+        validate(order: Order): Order;
+        validateGroup(orders: OrderGroup | Order[]): OrderGroup;
+        needs: {lmtPrice: string[], auxPrice: string[], trailing: string[]};
+        adaptiveTypes: string[];
+        condition: {
+            price(conId: number, exchange: string, operator: ConditionOperator, price: number, triggerMethod?: number): OrderCondition;
+            time(operator: ConditionOperator, time: string): OrderCondition;
+            margin(operator: ConditionOperator, percent: number): OrderCondition;
+            volume(conId: number, exchange: string, operator: ConditionOperator, volume: number): OrderCondition;
+            percentChange(conId: number, exchange: string, operator: ConditionOperator, changePercent: number): OrderCondition;
+            execution(symbol: string, secType: string, exchange: string): OrderCondition;
+        };
+    }
+
+    interface ContractResolver {
+        parse(text: string): Contract;
+        format(contract: Contract): string;
+        details(spec: ContractSpec, options?: {refresh?: boolean}): Promise<ContractDetails[]>;
+        resolve(spec: ContractSpec, options?: {refresh?: boolean}): Promise<Contract>;
+        qualify(spec: ContractSpec, options?: {refresh?: boolean}): Promise<Contract>;
+        search(pattern: string, options?: {timeout?: number}): Promise<ContractDescription[]>;
+        flush(): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    interface GatewaySettings {
+        tokens: {[token: string]: '*' | 'read-only' | string[]};
+        port?: number;
+        host?: string;
+        server?: import('http').Server;
+    }
+
+    interface Gateway extends EventEmitter {
+        readonly server: import('http').Server;
+        readonly size: number;
+        address(): import('net').AddressInfo | string | null;
+        close(callback?: () => void): void;
+    }
+
+    type PacerLane = 'order' | 'default' | 'bulk';
+
+    interface PacerStats {
+        queued: number;
+        lanes: {[lane in PacerLane]: number};
+        sent: number;
+        delayed: number;
+        averageWait: number;
+        maxWait: number;
+        historicalRequests: number;
+    }
+
+    interface Pacer {
+        schedule(action_name: string, args: any[]): Promise<void>;
+        stats(): PacerStats;
+        close(): void;
+    }
+
+    interface EClient {
+        eConnect(clientId: number, extraAuth: boolean): Promise<Client>;
+        eDisconnect(): Promise<Client>;
+        isConnected(): Promise<Client>;
+        serverVersion(): Promise<Client>;
+        getTwsConnectionTime(): Promise<Client>;
+        reqCurrentTime(): Promise<Client>;
+        reqIds(numIds: number): Promise<Client>;
+        setServerLogLevel(logLevel: number): Promise<Client>;
+        faMsgTypeName(faDataType: number): Promise<Client>;
+        reqMktData(tickerId: number, contract: Contract, genericTickList: string, snapshot: boolean, regulatorySnapshot: boolean, mktDataOptions: TagValue[]): Promise<Client>;
+        cancelMktData(tickerId: number): Promise<Client>;
+        reqMarketDataType(marketDataType: number): Promise<Client>;
+        reqMktDepth(tickerId: number, contract: Contract, numRows: number, isSmartDepth: boolean, mktDepthOptions: TagValue[]): Promise<Client>;
+        cancelMktDepth(tickerId: number, isSmartDepth: boolean): Promise<Client>;
+        reqMktDepthExchanges(): Promise<Client>;
+        reqSmartComponents(reqId: number, bboExchange: string): Promise<Client>;
+        reqTickByTickData(reqId: number, contract: Contract, tickType: string, numberOfTicks: number, ignoreSize: boolean): Promise<Client>;
+        cancelTickByTickData(reqId: number): Promise<Client>;
+        calculateImpliedVolatility(reqId: number, contract: Contract, optionPrice: number, underPrice: number, impliedVolatilityOptions: TagValue[]): Promise<Client>;
+        cancelCalculateImpliedVolatility(reqId: number): Promise<Client>;
+        calculateOptionPrice(reqId: number, contract: Contract, volatility: number, underPrice: number, optionPriceOptions: TagValue[]): Promise<Client>;
+        cancelCalculateOptionPrice(reqId: number): Promise<Client>;
+        exerciseOptions(tickerId: number, contract: Contract, exerciseAction: number, exerciseQuantity: number, account: string, override: number): Promise<Client>;
+        placeOrder(id: number, contract: Contract, order: Order): Promise<Client>;
+        cancelOrder(id: number, manualOrderCancelTime: string): Promise<Client>;
+        reqOpenOrders(): Promise<Client>;
+        reqAllOpenOrders(): Promise<Client>;
+        reqAutoOpenOrders(bAutoBind: boolean): Promise<Client>;
+        reqGlobalCancel(): Promise<Client>;
+        reqCompletedOrders(apiOnly: boolean): Promise<Client>;
+        reqAccountUpdates(subscribe: boolean, acctCode: string): Promise<Client>;
+        reqAccountSummary(reqId: number, group: string, tags: string): Promise<Client>;
+        cancelAccountSummary(reqId: number): Promise<Client>;
+        reqAccountUpdatesMulti(reqId: number, account: string, modelCode: string, ledgerAndNLV: boolean): Promise<Client>;
+        cancelAccountUpdatesMulti(reqId: number): Promise<Client>;
+        reqPositions(): Promise<Client>;
+        cancelPositions(): Promise<Client>;
+        reqPositionsMulti(reqId: number, account: string, modelCode: string): Promise<Client>;
+        cancelPositionsMulti(reqId: number): Promise<Client>;
+        reqPnL(reqId: number, account: string, modelCode: string): Promise<Client>;
+        cancelPnL(reqId: number): Promise<Client>;
+        reqPnLSingle(reqId: number, account: string, modelCode: string, conId: number): Promise<Client>;
+        cancelPnLSingle(reqId: number): Promise<Client>;
+        reqManagedAccts(): Promise<Client>;
+        requestFA(faDataType: number): Promise<Client>;
+        replaceFA(reqId: number, faDataType: number, xml: string): Promise<Client>;
+        reqExecutions(reqId: number, filter: ExecutionFilter): Promise<Client>;
+        reqContractDetails(reqId: number, contract: Contract): Promise<Client>;
+        reqMatchingSymbols(reqId: number, pattern: string): Promise<Client>;
+        reqSecDefOptParams(reqId: number, underlyingSymbol: string, futFopExchange: string, underlyingSecType: string, underlyingConId: number): Promise<Client>;
+        reqHistoricalData(tickerId: number, contract: Contract, endDateTime: string, durationStr: string, barSizeSetting: string, whatToShow: string, useRTH: number, formatDate: number, keepUpToDate: boolean, chartOptions: TagValue[]): Promise<Client>;
+        cancelHistoricalData(tickerId: number): Promise<Client>;
+        reqHeadTimestamp(tickerId: number, contract: Contract, whatToShow: string, useRTH: number, formatDate: number): Promise<Client>;
+        cancelHeadTimestamp(tickerId: number): Promise<Client>;
+        reqHistogramData(tickerId: number, contract: Contract, useRTH: boolean, timePeriod: string): Promise<Client>;
+        cancelHistogramData(tickerId: number): Promise<Client>;
+        reqHistoricalTicks(reqId: number, contract: Contract, startDateTime: string, endDateTime: string, numberOfTicks: number, whatToShow: string, useRth: number, ignoreSize: boolean, miscOptions: TagValue[]): Promise<Client>;
+        reqRealTimeBars(tickerId: number, contract: Contract, barSize: number, whatToShow: string, useRTH: boolean, realTimeBarsOptions: TagValue[]): Promise<Client>;
+        cancelRealTimeBars(tickerId: number): Promise<Client>;
+        reqScannerParameters(): Promise<Client>;
+        reqScannerSubscription(tickerId: number, subscription: ScannerSubscription, scannerSubscriptionOptions: TagValue[], scannerSubscriptionFilterOptions: TagValue[]): Promise<Client>;
+        cancelScannerSubscription(tickerId: number): Promise<Client>;
+        reqFundamentalData(reqId: number, contract: Contract, reportType: string, fundamentalDataOptions: TagValue[]): Promise<Client>;
+        cancelFundamentalData(reqId: number): Promise<Client>;
+        reqNewsBulletins(allMsgs: boolean): Promise<Client>;
+        cancelNewsBulletins(): Promise<Client>;
+        reqNewsProviders(): Promise<Client>;
+        reqNewsArticle(requestId: number, providerCode: string, articleId: string, newsArticleOptions: TagValue[]): Promise<Client>;
+        reqHistoricalNews(requestId: number, conId: number, providerCodes: string, startDateTime: string, endDateTime: string, totalResults: number, historicalNewsOptions: TagValue[]): Promise<Client>;
+        reqFamilyCodes(): Promise<Client>;
+        reqMarketRule(marketRuleId: number): Promise<Client>;
+        reqSoftDollarTiers(reqId: number): Promise<Client>;
+        queryDisplayGroups(reqId: number): Promise<Client>;
+        subscribeToGroupEvents(reqId: number, groupId: number): Promise<Client>;
+        updateDisplayGroup(reqId: number, contractInfo: string): Promise<Client>;
+        unsubscribeFromGroupEvents(reqId: number): Promise<Client>;
+        reqUserInfo(reqId: number): Promise<Client>;
+        reqWshMetaData(reqId: number): Promise<Client>;
+        cancelWshMetaData(reqId: number): Promise<Client>;
+        reqWshEventData(reqId: number, wshEventData: WshEventData): Promise<Client>;
+        cancelWshEventData(reqId: number): Promise<Client>;
+    }
+
+    interface Shell {
+        help(about: string): Promise<Client>;
+        sleep(millis: number): Promise<Client>;
+        exit(): Promise<Client>;
+    }
+
+    interface EWrapper {
+        tickPrice: [tickerId: number, field: number, price: number, attrib: TickAttrib];
+        tickSize: [tickerId: number, field: number, size: number | string];
+        tickOptionComputation: [tickerId: number, field: number, tickAttrib: number, impliedVol: number, delta: number, optPrice: number, pvDividend: number, gamma: number, vega: number, theta: number, undPrice: number];
+        tickGeneric: [tickerId: number, tickType: number, value: number];
+        tickString: [tickerId: number, tickType: number, value: string];
+        tickEFP: [tickerId: number, tickType: number, basisPoints: number, formattedBasisPoints: string, impliedFuture: number, holdDays: number, futureLastTradeDate: string, dividendImpact: number, dividendsToLastTradeDate: number];
+        orderStatus: [orderId: number, status: string, filled: number | string, remaining: number | string, avgFillPrice: number, permId: number, parentId: number, lastFillPrice: number, clientId: number, whyHeld: string, mktCapPrice: number];
+        openOrder: [orderId: number, contract: Contract, order: Order, orderState: OrderState];
+        openOrderEnd: [];
+        updateAccountValue: [key: string, value: string, currency: string, accountName: string];
+        updatePortfolio: [contract: Contract, position: number | string, marketPrice: number, marketValue: number, averageCost: number, unrealizedPNL: number, realizedPNL: number, accountName: string];
+        updateAccountTime: [timeStamp: string];
+        accountDownloadEnd: [accountName: string];
+        nextValidId: [orderId: number];
+        contractDetails: [reqId: number, contractDetails: ContractDetails];
+        bondContractDetails: [reqId: number, contractDetails: ContractDetails];
+        contractDetailsEnd: [reqId: number];
+        execDetails: [reqId: number, contract: Contract, execution: Execution];
+        execDetailsEnd: [reqId: number];
+        updateMktDepth: [tickerId: number, position: number, operation: number, side: number, price: number, size: number | string];
+        updateMktDepthL2: [tickerId: number, position: number, marketMaker: string, operation: number, side: number, price: number, size: number | string, isSmartDepth: boolean];
+        updateNewsBulletin: [msgId: number, msgType: number, message: string, origExchange: string];
+        managedAccounts: [accountsList: string];
+        receiveFA: [faDataType: number, xml: string];
+        historicalData: [reqId: number, bar: Bar];
+        historicalDataEnd: [reqId: number, startDateStr: string, endDateStr: string];
+        scannerParameters: [xml: string];
+        scannerData: [reqId: number, rank: number, contractDetails: ContractDetails, distance: string, benchmark: string, projection: string, legsStr: string];
+        scannerDataEnd: [reqId: number];
+        realtimeBar: [reqId: number, time: number, open: number, high: number, low: number, close: number, volume: number | string, wap: number | string, count: number];
+        currentTime: [time: number];
+        fundamentalData: [reqId: number, data: string];
+        deltaNeutralValidation: [reqId: number, deltaNeutralContract: DeltaNeutralContract];
+        tickSnapshotEnd: [reqId: number];
+        marketDataType: [reqId: number, marketDataType: number];
+        commissionReport: [commissionReport: CommissionReport];
+        position: [account: string, contract: Contract, pos: number | string, avgCost: number];
+        positionEnd: [];
+        accountSummary: [reqId: number, account: string, tag: string, value: string, currency: string];
+        accountSummaryEnd: [reqId: number];
+        displayGroupList: [reqId: number, groups: string];
+        displayGroupUpdated: [reqId: number, contractInfo: string];
+        error: [id: number, errorCode: number, errorMsg: string, advancedOrderRejectJson: string];
+        connectionClosed: [];
+        connectAck: [];
+        positionMulti: [reqId: number, account: string, modelCode: string, contract: Contract, pos: number | string, avgCost: number];
+        positionMultiEnd: [reqId: number];
+        accountUpdateMulti: [reqId: number, account: string, modelCode: string, key: string, value: string, currency: string];
+        accountUpdateMultiEnd: [reqId: number];
+        securityDefinitionOptionalParameter: [reqId: number, exchange: string, underlyingConId: number, tradingClass: string, multiplier: string, expirations: string[], strikes: number[]];
+        securityDefinitionOptionalParameterEnd: [reqId: number];
+        softDollarTiers: [reqId: number, tiers: SoftDollarTier[]];
+        familyCodes: [familyCodes: FamilyCode[]];
+        symbolSamples: [reqId: number, contractDescriptions: ContractDescription[]];
+        mktDepthExchanges: [depthMktDataDescriptions: DepthMktDataDescription[]];
+        tickNews: [tickerId: number, timeStamp: number, providerCode: string, articleId: string, headline: string, extraData: string];
+        smartComponents: [reqId: number, theMap: SmartComponent[]];
+        tickReqParams: [tickerId: number, minTick: number, bboExchange: string, snapshotPermissions: number];
+        newsProviders: [newsProviders: NewsProvider[]];
+        newsArticle: [requestId: number, articleType: number, articleText: string];
+        historicalNews: [requestId: number, time: string, providerCode: string, articleId: string, headline: string];
+        historicalNewsEnd: [requestId: number, hasMore: boolean];
+        headTimestamp: [reqId: number, headTimestamp: string];
+        histogramData: [reqId: number, items: HistogramEntry[]];
+        historicalDataUpdate: [reqId: number, bar: Bar];
+        rerouteMktDataReq: [reqId: number, conId: number, exchange: string];
+        rerouteMktDepthReq: [reqId: number, conId: number, exchange: string];
+        marketRule: [marketRuleId: number, priceIncrements: PriceIncrement[]];
+        pnl: [reqId: number, dailyPnL: number, unrealizedPnL: number, realizedPnL: number];
+        pnlSingle: [reqId: number, pos: number | string, dailyPnL: number, unrealizedPnL: number, realizedPnL: number, value: number];
+        historicalTicks: [reqId: number, ticks: HistoricalTick[], done: boolean];
+        historicalTicksBidAsk: [reqId: number, ticks: HistoricalTickBidAsk[], done: boolean];
+        historicalTicksLast: [reqId: number, ticks: HistoricalTickLast[], done: boolean];
+        tickByTickAllLast: [reqId: number, tickType: number, time: number, price: number, size: number | string, tickAttribLast: TickAttribLast, exchange: string, specialConditions: string];
+        tickByTickBidAsk: [reqId: number, time: number, bidPrice: number, askPrice: number, bidSize: number | string, askSize: number | string, tickAttribBidAsk: TickAttribBidAsk];
+        tickByTickMidPoint: [reqId: number, time: number, midPoint: number];
+        orderBound: [orderId: number, apiClientId: number, apiOrderId: number];
+        completedOrder: [contract: Contract, order: Order, orderState: OrderState];
+        completedOrdersEnd: [];
+        replaceFAEnd: [reqId: number, text: string];
+        wshMetaData: [reqId: number, dataJson: string];
+        wshEventData: [reqId: number, dataJson: string];
+        historicalSchedule: [reqId: number, startDateTime: string, endDateTime: string, timeZone: string, sessions: HistoricalSession[]];
+        userInfo: [reqId: number, whiteBrandingId: string];
+    }
+
+    interface Actions extends EClient, Shell {}
+
+    interface Events extends EWrapper {}
+
+    interface RequestHelpers {
+        accountSummary(group: Parameters<Actions['reqAccountSummary']>[1], tags: Parameters<Actions['reqAccountSummary']>[2]): Promise<any>;
+        accountUpdatesMulti(account: Parameters<Actions['reqAccountUpdatesMulti']>[1], modelCode: Parameters<Actions['reqAccountUpdatesMulti']>[2], ledgerAndNLV: Parameters<Actions['reqAccountUpdatesMulti']>[3]): Promise<any>;
+        completedOrders(apiOnly: Parameters<Actions['reqCompletedOrders']>[0]): Promise<any>;
+        contractDetails(contract: Parameters<Actions['reqContractDetails']>[1]): Promise<any>;
+        currentTime(): Promise<any>;
+        executions(filter: Parameters<Actions['reqExecutions']>[1]): Promise<any>;
+        familyCodes(): Promise<any>;
+        fundamentalData(contract: Parameters<Actions['reqFundamentalData']>[1], reportType: Parameters<Actions['reqFundamentalData']>[2], fundamentalDataOptions: Parameters<Actions['reqFundamentalData']>[3]): Promise<any>;
+        headTimestamp(contract: Parameters<Actions['reqHeadTimestamp']>[1], whatToShow: Parameters<Actions['reqHeadTimestamp']>[2], useRTH: Parameters<Actions['reqHeadTimestamp']>[3], formatDate: Parameters<Actions['reqHeadTimestamp']>[4]): Promise<any>;
+        histogramData(contract: Parameters<Actions['reqHistogramData']>[1], useRTH: Parameters<Actions['reqHistogramData']>[2], timePeriod: Parameters<Actions['reqHistogramData']>[3]): Promise<any>;
+        historicalData(contract: Parameters<Actions['reqHistoricalData']>[1], endDateTime: Parameters<Actions['reqHistoricalData']>[2], durationStr: Parameters<Actions['reqHistoricalData']>[3], barSizeSetting: Parameters<Actions['reqHistoricalData']>[4], whatToShow: Parameters<Actions['reqHistoricalData']>[5], useRTH: Parameters<Actions['reqHistoricalData']>[6], formatDate: Parameters<Actions['reqHistoricalData']>[7], keepUpToDate: Parameters<Actions['reqHistoricalData']>[8], chartOptions: Parameters<Actions['reqHistoricalData']>[9]): Promise<any>;
+        historicalNews(conId: Parameters<Actions['reqHistoricalNews']>[1], providerCodes: Parameters<Actions['reqHistoricalNews']>[2], startDateTime: Parameters<Actions['reqHistoricalNews']>[3], endDateTime: Parameters<Actions['reqHistoricalNews']>[4], totalResults: Parameters<Actions['reqHistoricalNews']>[5], historicalNewsOptions: Parameters<Actions['reqHistoricalNews']>[6]): Promise<any>;
+        impliedVolatility(contract: Parameters<Actions['calculateImpliedVolatility']>[1], optionPrice: Parameters<Actions['calculateImpliedVolatility']>[2], underPrice: Parameters<Actions['calculateImpliedVolatility']>[3], impliedVolatilityOptions: Parameters<Actions['calculateImpliedVolatility']>[4]): Promise<any>;
+        managedAccounts(): Promise<any>;
+        matchingSymbols(pattern: Parameters<Actions['reqMatchingSymbols']>[1]): Promise<any>;
+        mktDepthExchanges(): Promise<any>;
+        newsArticle(providerCode: Parameters<Actions['reqNewsArticle']>[1], articleId: Parameters<Actions['reqNewsArticle']>[2], newsArticleOptions: Parameters<Actions['reqNewsArticle']>[3]): Promise<any>;
+        newsProviders(): Promise<any>;
+        openOrders(): Promise<any>;
+        optionPrice(contract: Parameters<Actions['calculateOptionPrice']>[1], volatility: Parameters<Actions['calculateOptionPrice']>[2], underPrice: Parameters<Actions['calculateOptionPrice']>[3], optionPriceOptions: Parameters<Actions['calculateOptionPrice']>[4]): Promise<any>;
+        positions(): Promise<any>;
+        positionsMulti(account: Parameters<Actions['reqPositionsMulti']>[1], modelCode: Parameters<Actions['reqPositionsMulti']>[2]): Promise<any>;
+        scannerParameters(): Promise<any>;
+        secDefOptParams(underlyingSymbol: Parameters<Actions['reqSecDefOptParams']>[1], futFopExchange: Parameters<Actions['reqSecDefOptParams']>[2], underlyingSecType: Parameters<Actions['reqSecDefOptParams']>[3], underlyingConId: Parameters<Actions['reqSecDefOptParams']>[4]): Promise<any>;
+        smartComponents(bboExchange: Parameters<Actions['reqSmartComponents']>[1]): Promise<any>;
+        softDollarTiers(): Promise<any>;
+    }
+
+    interface SubscriptionHelpers {
+        accountSummary(group: Parameters<Actions['reqAccountSummary']>[1], tags: Parameters<Actions['reqAccountSummary']>[2]): Subscription;
+        accountUpdates(...args: any[]): Subscription;
+        accountUpdatesMulti(account: Parameters<Actions['reqAccountUpdatesMulti']>[1], modelCode: Parameters<Actions['reqAccountUpdatesMulti']>[2], ledgerAndNLV: Parameters<Actions['reqAccountUpdatesMulti']>[3]): Subscription;
+        historicalData(contract: Parameters<Actions['reqHistoricalData']>[1], endDateTime: Parameters<Actions['reqHistoricalData']>[2], durationStr: Parameters<Actions['reqHistoricalData']>[3], barSizeSetting: Parameters<Actions['reqHistoricalData']>[4], whatToShow: Parameters<Actions['reqHistoricalData']>[5], useRTH: Parameters<Actions['reqHistoricalData']>[6], formatDate: Parameters<Actions['reqHistoricalData']>[7], keepUpToDate: Parameters<Actions['reqHistoricalData']>[8], chartOptions: Parameters<Actions['reqHistoricalData']>[9]): Subscription;
+        mktData(contract: Parameters<Actions['reqMktData']>[1], genericTickList: Parameters<Actions['reqMktData']>[2], snapshot: Parameters<Actions['reqMktData']>[3], regulatorySnapshot: Parameters<Actions['reqMktData']>[4], mktDataOptions: Parameters<Actions['reqMktData']>[5]): Subscription;
+        mktDepth(contract: Parameters<Actions['reqMktDepth']>[1], numRows: Parameters<Actions['reqMktDepth']>[2], isSmartDepth: Parameters<Actions['reqMktDepth']>[3], mktDepthOptions: Parameters<Actions['reqMktDepth']>[4]): Subscription;
+        newsBulletins(allMsgs: Parameters<Actions['reqNewsBulletins']>[0]): Subscription;
+        pnl(account: Parameters<Actions['reqPnL']>[1], modelCode: Parameters<Actions['reqPnL']>[2]): Subscription;
+        pnlSingle(account: Parameters<Actions['reqPnLSingle']>[1], modelCode: Parameters<Actions['reqPnLSingle']>[2], conId: Parameters<Actions['reqPnLSingle']>[3]): Subscription;
+        positions(): Subscription;
+        positionsMulti(account: Parameters<Actions['reqPositionsMulti']>[1], modelCode: Parameters<Actions['reqPositionsMulti']>[2]): Subscription;
+        realTimeBars(contract: Parameters<Actions['reqRealTimeBars']>[1], barSize: Parameters<Actions['reqRealTimeBars']>[2], whatToShow: Parameters<Actions['reqRealTimeBars']>[3], useRTH: Parameters<Actions['reqRealTimeBars']>[4], realTimeBarsOptions: Parameters<Actions['reqRealTimeBars']>[5]): Subscription;
+        scannerSubscription(subscription: Parameters<Actions['reqScannerSubscription']>[1], scannerSubscriptionOptions: Parameters<Actions['reqScannerSubscription']>[2], scannerSubscriptionFilterOptions: Parameters<Actions['reqScannerSubscription']>[3]): Subscription;
+        tickByTickData(contract: Parameters<Actions['reqTickByTickData']>[1], tickType: Parameters<Actions['reqTickByTickData']>[2], numberOfTicks: Parameters<Actions['reqTickByTickData']>[3], ignoreSize: Parameters<Actions['reqTickByTickData']>[4]): Subscription;
+    }
+
+    type Action = "BUY" | "SELL" | "SSHORT";
+
+    interface Bar {
+        close?: number | null;
+        count?: number | null;
+        high?: number | null;
+        low?: number | null;
+        open?: number | null;
+        time?: string | null;
+        volume?: number | string | null;
+        wap?: number | string | null;
+    }
+
+    interface ComboLeg {
+        action?: Action | null;
+        conid?: number | null;
+        designatedLocation?: string | null;
+        exchange?: string | null;
+        exemptCode?: number | null;
+        openClose?: number | null;
+        ratio?: number | null;
+        shortSaleSlot?: number | null;
+    }
+
+    interface CommissionReport {
+        commission?: number | null;
+        currency?: string | null;
+        execId?: string | null;
+        realizedPNL?: number | null;
+        yield?: number | null;
+        yieldRedemptionDate?: number | null;
+    }
+
+    interface Contract {
+        comboLegs?: ComboLeg[] | null;
+        comboLegsDescrip?: string | null;
+        conid?: number | null;
+        currency?: string | null;
+        deltaNeutralContract?: DeltaNeutralContract | null;
+        exchange?: string | null;
+        includeExpired?: boolean | null;
+        lastTradeDateOrContractMonth?: string | null;
+        localSymbol?: string | null;
+        multiplier?: string | null;
+        primaryExch?: string | null;
+        right?: Right | null;
+        secId?: string | null;
+        secIdType?: SecIdType | null;
+        secType?: SecType | null;
+        strike?: number | null;
+        symbol?: string | null;
+        tradingClass?: string | null;
+    }
+
+    interface ContractDescription {
+        contract?: Contract | null;
+        derivativeSecTypes?: string[] | null;
+    }
+
+    interface ContractDetails {
+        aggGroup?: number | null;
+        bondType?: string | null;
+        callable?: boolean | null;
+        category?: string | null;
+        contract?: Contract | null;
+        contractMonth?: string | null;
+        convertible?: boolean | null;
+        coupon?: number | null;
+        couponType?: string | null;
+        cusip?: string | null;
+        descAppend?: string | null;
+        evMultiplier?: number | null;
+        evRule?: string | null;
+        industry?: string | null;
+        issueDate?: string | null;
+        lastTradeTime?: string | null;
+        liquidHours?: string | null;
+        longName?: string | null;
+        marketName?: string | null;
+        marketRuleIds?: string | null;
+        maturity?: string | null;
+        mdSizeMultiplier?: number | null;
+        minSize?: number | string | null;
+        minTick?: number | null;
+        nextOptionDate?: string | null;
+        nextOptionPartial?: boolean | null;
+        nextOptionType?: string | null;
+        notes?: string | null;
+        orderTypes?: string | null;
+        priceMagnifier?: number | null;
+        putable?: boolean | null;
+        ratings?: string | null;
+        realExpirationDate?: string | null;
+        secIdList?: TagValue[] | null;
+        sizeIncrement?: number | string | null;
+        stockType?: string | null;
+        subcategory?: string | null;
+        suggestedSizeIncrement?: number | string | null;
+        timeZoneId?: string | null;
+        tradingHours?: string | null;
+        underConid?: number | null;
+        underSecType?: string | null;
+        underSymbol?: string | null;
+        validExchanges?: string | null;
+    }
+
+    interface DeltaNeutralContract {
+        conid?: number | null;
+        delta?: number | null;
+        price?: number | null;
+    }
+
+    interface DepthMktDataDescription {
+        aggGroup?: number | null;
+        exchange?: string | null;
+        listingExch?: string | null;
+        secType?: string | null;
+        serviceDataType?: string | null;
+    }
+
+    interface Execution {
+        acctNumber?: string | null;
+        avgPrice?: number | null;
+        clientId?: number | null;
+        cumQty?: number | string | null;
+        evMultiplier?: number | null;
+        evRule?: string | null;
+        exchange?: string | null;
+        execId?: string | null;
+        lastLiquidity?: number | null;
+        liquidation?: number | null;
+        modelCode?: string | null;
+        orderId?: number | null;
+        orderRef?: string | null;
+        pendingPriceRevision?: boolean | null;
+        permId?: number | null;
+        price?: number | null;
+        shares?: number | string | null;
+        side?: string | null;
+        time?: string | null;
+    }
+
+    interface ExecutionFilter {
+        acctCode?: string | null;
+        clientId?: number | null;
+        exchange?: string | null;
+        secType?: string | null;
+        side?: string | null;
+        symbol?: string | null;
+        time?: string | null;
+    }
+
+    interface FamilyCode {
+        accountID?: string | null;
+        familyCodeStr?: string | null;
+    }
+
+    type HedgeType = "None" | "Delta" | "Beta" | "Fx" | "Pair";
+
+    interface HistogramEntry {
+        price?: number | null;
+        size?: number | string | null;
+    }
+
+    interface HistoricalSession {
+        endDateTime?: string | null;
+        refDate?: string | null;
+        startDateTime?: string | null;
+    }
+
+    interface HistoricalTick {
+        price?: number | null;
+        size?: number | string | null;
+        time?: number | null;
+    }
+
+    interface HistoricalTickBidAsk {
+        priceAsk?: number | null;
+        priceBid?: number | null;
+        sizeAsk?: number | string | null;
+        sizeBid?: number | string | null;
+        tickAttribBidAsk?: TickAttribBidAsk | null;
+        time?: number | null;
+    }
+
+    interface HistoricalTickLast {
+        exchange?: string | null;
+        price?: number | null;
+        size?: number | string | null;
+        specialConditions?: string | null;
+        tickAttribLast?: TickAttribLast | null;
+        time?: number | null;
+    }
+
+    type Method = "None" | "EqualQuantity" | "AvailableEquity" | "NetLiq" | "PctChange";
+
+    interface NewsProvider {
+        providerCode?: string | null;
+        providerName?: string | null;
+    }
+
+    interface Order {
+        account?: string | null;
+        action?: Action | null;
+        activeStartTime?: string | null;
+        activeStopTime?: string | null;
+        adjustableTrailingUnit?: number | null;
+        adjustedOrderType?: string | null;
+        adjustedStopLimitPrice?: number | null;
+        adjustedStopPrice?: number | null;
+        adjustedTrailingAmount?: number | null;
+        advancedErrorOverride?: string | null;
+        algoId?: string | null;
+        algoParams?: TagValue[] | null;
+        algoStrategy?: string | null;
+        allOrNone?: boolean | null;
+        auctionStrategy?: number | null;
+        autoCancelDate?: string | null;
+        autoCancelParent?: boolean | null;
+        auxPrice?: number | null;
+        basisPoints?: number | null;
+        basisPointsType?: number | null;
+        blockOrder?: boolean | null;
+        cashQty?: number | null;
+        clearingAccount?: string | null;
+        clearingIntent?: string | null;
+        clientId?: number | null;
+        competeAgainstBestOffset?: number | null;
+        conditions?: OrderCondition[] | null;
+        conditionsCancelOrder?: boolean | null;
+        conditionsIgnoreRth?: boolean | null;
+        continuousUpdate?: boolean | null;
+        delta?: number | null;
+        deltaNeutralAuxPrice?: number | null;
+        deltaNeutralConId?: number | null;
+        deltaNeutralOrderType?: string | null;
+        designatedLocation?: string | null;
+        discretionaryAmt?: number | null;
+        discretionaryUpToLimitPrice?: boolean | null;
+        displaySize?: number | null;
+        dontUseAutoPriceForHedge?: boolean | null;
+        duration?: number | null;
+        exemptCode?: number | null;
+        extOperator?: string | null;
+        faGroup?: string | null;
+        faMethod?: Method | null;
+        faPercentage?: string | null;
+        faProfile?: string | null;
+        filledQuantity?: number | string | null;
+        goodAfterTime?: string | null;
+        goodTillDate?: string | null;
+        hedgeParam?: string | null;
+        hedgeType?: HedgeType | null;
+        hidden?: boolean | null;
+        isOmsContainer?: boolean | null;
+        isPeggedChangeAmountDecrease?: boolean | null;
+        lmtPrice?: number | null;
+        lmtPriceOffset?: number | null;
+        manualOrderTime?: string | null;
+        midOffsetAtHalf?: number | null;
+        midOffsetAtWhole?: number | null;
+        minCompeteSize?: number | null;
+        minQty?: number | null;
+        minTradeQty?: number | null;
+        mifid2DecisionAlgo?: string | null;
+        mifid2DecisionMaker?: string | null;
+        mifid2ExecutionAlgo?: string | null;
+        mifid2ExecutionTrader?: string | null;
+        modelCode?: string | null;
+        notHeld?: boolean | null;
+        ocaGroup?: string | null;
+        ocaType?: number | null;
+        openClose?: string | null;
+        optOutSmartRouting?: boolean | null;
+        orderComboLegs?: OrderComboLeg[] | null;
+        orderId?: number | null;
+        orderMiscOptions?: TagValue[] | null;
+        orderRef?: string | null;
+        orderType?: OrderType | null;
+        origin?: number | null;
+        outsideRth?: boolean | null;
+        overridePercentageConstraints?: boolean | null;
+        parentId?: number | null;
+        parentPermId?: number | null;
+        peggedChangeAmount?: number | null;
+        percentOffset?: number | null;
+        permId?: number | null;
+        postToAts?: number | null;
+        randomizePrice?: boolean | null;
+        randomizeSize?: boolean | null;
+        refFuturesConId?: number | null;
+        referenceChangeAmount?: number | null;
+        referenceContractId?: number | null;
+        referenceExchangeId?: string | null;
+        referencePriceType?: number | null;
+        routeMarketableToBbo?: boolean | null;
+        rule80A?: Rule80A | null;
+        scaleAutoReset?: boolean | null;
+        scaleInitFillQty?: number | null;
+        scaleInitLevelSize?: number | null;
+        scaleInitPosition?: number | null;
+        scalePriceAdjustInterval?: number | null;
+        scalePriceAdjustValue?: number | null;
+        scalePriceIncrement?: number | null;
+        scaleProfitOffset?: number | null;
+        scaleRandomPercent?: boolean | null;
+        scaleSubsLevelSize?: number | null;
+        scaleTable?: string | null;
+        settlingFirm?: string | null;
+        shareholder?: string | null;
+        shortSaleSlot?: number | null;
+        smartComboRoutingParams?: TagValue[] | null;
+        softDollarTier?: SoftDollarTier | null;
+        solicited?: boolean | null;
+        startingPrice?: number | null;
+        stockRangeLower?: number | null;
+        stockRangeUpper?: number | null;
+        stockRefPrice?: number | null;
+        sweepToFill?: boolean | null;
+        tif?: TimeInForce | null;
+        totalQuantity?: number | string | null;
+        trailStopPrice?: number | null;
+        trailingPercent?: number | null;
+        transmit?: boolean | null;
+        triggerMethod?: number | null;
+        triggerPrice?: number | null;
+        usePriceMgmtAlgo?: boolean | null;
+        volatility?: number | null;
+        volatilityType?: number | null;
+        whatIf?: boolean | null;
+    }
+
+    interface OrderComboLeg {
+        price?: number | null;
+    }
+
+    interface OrderCondition {
+        changePercent?: number | null;
+        conId?: number | null;
+        conjunctionConnection?: boolean | null;
+        exchange?: string | null;
+        isMore?: boolean | null;
+        percent?: number | null;
+        price?: number | null;
+        secType?: string | null;
+        symbol?: string | null;
+        time?: string | null;
+        triggerMethod?: number | null;
+        type?: OrderConditionType | null;
+        volume?: number | null;
+    }
+
+    type OrderConditionType = "Price" | "Time" | "Margin" | "Execution" | "Volume" | "PercentChange";
+
+    interface OrderState {
+        commission?: number | null;
+        commissionCurrency?: string | null;
+        completedStatus?: string | null;
+        completedTime?: string | null;
+        equityWithLoanAfter?: string | null;
+        equityWithLoanBefore?: string | null;
+        equityWithLoanChange?: string | null;
+        initMarginAfter?: string | null;
+        initMarginBefore?: string | null;
+        initMarginChange?: string | null;
+        maintMarginAfter?: string | null;
+        maintMarginBefore?: string | null;
+        maintMarginChange?: string | null;
+        maxCommission?: number | null;
+        minCommission?: number | null;
+        status?: string | null;
+        warningText?: string | null;
+    }
+
+    type OrderType = "None" | "MKT" | "LMT" | "STP" | "STP LMT" | "REL" | "TRAIL" | "BOX TOP" | "FIX PEGGED" | "LIT" | "LMT + MKT" | "LOC" | "MIDPRICE" | "MIT" | "MKT PRT" | "MOC" | "MTL" | "PASSV REL" | "PEG BENCH" | "PEG BEST" | "PEG MID" | "PEG MKT" | "PEG PRIM" | "PEG STK" | "REL + LMT" | "REL + MKT" | "SNAP MID" | "SNAP MKT" | "SNAP PRIM" | "STP PRT" | "TRAIL LIMIT" | "TRAIL LIT" | "TRAIL LMT + MKT" | "TRAIL MIT" | "TRAIL REL + MKT" | "VOL" | "VWAP" | "QUOTE" | "PEG PRIM VOL" | "PEG MID VOL" | "PEG MKT VOL" | "PEG SRF VOL";
+
+    interface PriceIncrement {
+        increment?: number | null;
+        lowEdge?: number | null;
+    }
+
+    type Right = "None" | "Put" | "Call";
+
+    type Rule80A = "None" | "IndivArb" | "IndivBigNonArb" | "IndivSmallNonArb" | "INST_ARB" | "INST_BIG_NONARB" | "INST_SMALL_NONARB";
+
+    interface ScannerSubscription {
+        abovePrice?: number | null;
+        aboveVolume?: number | null;
+        averageOptionVolumeAbove?: number | null;
+        belowPrice?: number | null;
+        couponRateAbove?: number | null;
+        couponRateBelow?: number | null;
+        excludeConvertible?: string | null;
+        instrument?: string | null;
+        locationCode?: string | null;
+        marketCapAbove?: number | null;
+        marketCapBelow?: number | null;
+        maturityDateAbove?: string | null;
+        maturityDateBelow?: string | null;
+        moodyRatingAbove?: string | null;
+        moodyRatingBelow?: string | null;
+        numberOfRows?: number | null;
+        scanCode?: string | null;
+        scannerSettingPairs?: string | null;
+        spRatingAbove?: string | null;
+        spRatingBelow?: string | null;
+        stockTypeFilter?: string | null;
+    }
+
+    type SecIdType = "None" | "CUSIP" | "SEDOL" | "ISIN" | "RIC";
+
+    type SecType = "None" | "STK" | "OPT" | "FUT" | "CONTFUT" | "CASH" | "BOND" | "CFD" | "FOP" | "WAR" | "IOPT" | "FWD" | "BAG" | "IND" | "BILL" | "FUND" | "FIXED" | "SLB" | "NEWS" | "CMDTY" | "BSK" | "ICU" | "ICS" | "CRYPTO";
+
+    interface SmartComponent {
+        bitNumber?: number | null;
+        exchange?: string | null;
+        exchangeLetter?: string | null;
+    }
+
+    interface SoftDollarTier {
+        displayName?: string | null;
+        name?: string | null;
+        value?: string | null;
+    }
+
+    interface TagValue {
+        tag?: string | null;
+        value?: string | null;
+    }
+
+    interface TickAttrib {
+        canAutoExecute?: boolean | null;
+        pastLimit?: boolean | null;
+        preOpen?: boolean | null;
+    }
+
+    interface TickAttribBidAsk {
+        askPastHigh?: boolean | null;
+        bidPastLow?: boolean | null;
+    }
+
+    interface TickAttribLast {
+        pastLimit?: boolean | null;
+        unreported?: boolean | null;
+    }
+
+    type TimeInForce = "DAY" | "GTC" | "OPG" | "IOC" | "GTD" | "GTT" | "AUC" | "FOK" | "GTX" | "DTC" | "Minutes";
+
+    interface WshEventData {
+        conId?: number | null;
+        endDate?: string | null;
+        fillCompetitors?: boolean | null;
+        fillPortfolio?: boolean | null;
+        fillWatchlist?: boolean | null;
+        filter?: string | null;
+        startDate?: string | null;
+        totalLimit?: number | null;
+    }
+}
+
+export = createInstanceAsync;
@@ -23,8 +23,26 @@ const path = require('path');
 const net = require('net');
 const { spawn } = require('child_process');
 const EventEmitter = require('events');
-const assert = require('assert').strict;
 const ib_tws_json = require('./ib-tws-json.js');
+const createIds = require('./ids.js');
+const createRequests = require('./requests.js');
+const createSubscriptions = require('./subscriptions.js');
+const createOrders = require('./orders.js');
+const createSupervisor = require('./supervisor.js');
+const createSchema = require('./schema.js');
+const errors = require('./errors.js');
+const createPacer = require('./pacer.js');
+const createQuoteBook = require('./quotes.js');
+const createAccounts = require('./accounts.js');
+const createHistory = require('./history.js');
+const createContractResolver = require('./contracts.js');
+const createRisk = require('./risk.js');
+const createMiddleware = require('./middleware.js');
+const createSimulator = require('./simulator.js');
+const resolveConfig = require('./config.js');
+const createRecorder = require('./recorder.js');
+const createReplayShell = require('./replay.js');
+const createNativeShell = require('./native.js');
 const HOME = require('os').homedir();
 const realpath = util.promisify(fs.realpath);
 const readFile = util.promisify(fs.readFile);
@@ -33,120 +51,220 @@ const readdir = util.promisify(fs.readdir);
 
 module.exports = createInstanceAsync;
 module.exports.logger = console;
+module.exports.requests = createRequests.requests;
+module.exports.subscriptions = createSubscriptions.subscriptions;
+module.exports.priorities = createPacer.priorities;
+module.exports.validate = validate;
+module.exports.createGateway = require('./gateway.js');
+module.exports.builders = require('./builders.js');
+module.exports.TwsError = errors.TwsError;
+module.exports.ValidationError = errors.ValidationError;
+module.exports.AmbiguousContractError = errors.AmbiguousContractError;
+module.exports.RiskRejectedError = errors.RiskRejectedError;
+module.exports.ConfigError = errors.ConfigError;
+module.exports.resolveConfig = resolveConfig;
+module.exports.diagnose = require('./doctor.js');
+module.exports.listInstallations = listInstallations;
+module.exports.selectInstallation = selectInstallation;
 
 /**
- * Async factory function to create a new client object
+ * Async factory function to create a new client object, with the given settings added to those
+ * of the config files, environment variables and profile
  */
-async function createInstanceAsync(settings) {
+async function createInstanceAsync(options) {
+    const settings = await resolveConfig(options);
     const self = new EventEmitter();
     const onerror = err => self.emit('error', err);
-    const shell = await createShell(settings);
-    const schema = {};
+    const cache_file = settings['schemaCache'] === false ? null : settings['schemaCache'] || createSchema.defaultCacheFile;
+    const cache_key = cache_file && await createSchema.cacheKey(settings);
+    const cached = cache_file && await createSchema.readCache(cache_file, cache_key);
+    const recorder = settings['record'] ? createRecorder(settings['record']).on('error', onerror) : null;
+    const open = async() => {
+        const opened = await createShell(settings);
+        return recorder ? recorder.attach(opened) : opened;
+    };
+    let shell = await open();
+    const schema = createSchema();
     const finished = () => shell.destroyed || shell.killed;
-    shell.on('close', () => {
-        Object.keys(schema).forEach(key => {
-            const item = schema[key];
-            delete schema[key];
-            while (item && !item.complete && item.listeners.length) {
-                item.listeners.shift()();
+    const request_help = name => send(shell, 'help', [name]);
+    const pacer = settings['pacing'] === false ? null : createPacer(settings);
+    const supervisor = settings['reconnect'] ? createSupervisor(self, settings, {
+        async open() {
+            const next_shell = await open();
+            shell = next_shell;
+            attach(next_shell);
+            await new Promise((ready, fail) => {
+                const onclose = () => {
+                    self.removeListener('helpEnd', onhelp);
+                    fail(Error("ib-tws-json closed while reconnecting"));
+                };
+                const onhelp = () => {
+                    next_shell.removeListener('close', onclose);
+                    ready();
+                };
+                next_shell.once('close', onclose);
+                self.once('helpEnd', onhelp);
+                send(next_shell, 'help', []).catch(fail);
+            });
+        },
+        finished,
+        send: (call_name, args) => send(shell, call_name, args),
+        destroy: () => shell.destroy()
+    }) : null;
+    // calls are validated, checked by the risk limits, simulated and paced after any middleware has changed them
+    const middleware = createMiddleware([{
+        async call(ctx, next) {
+            await schema.validate(ctx.name, ctx.args, request_help).catch(err => {
+                if (!finished()) throw err;
+            });
+            return next();
+        }
+    }, {
+        async call(ctx, next) {
+            if (ctx.name == 'placeOrder') await self.risk.check(...ctx.args);
+            return next();
+        }
+    }, {
+        call(ctx, next) {
+            return self.simulator ? self.simulator.call(ctx, next) : next();
+        }
+    }, {
+        async call(ctx, next) {
+            if (pacer && ctx.interface_name == 'EClient') await pacer.schedule(ctx.name, ctx.args);
+            return next();
+        }
+    }]);
+    let incoming = Promise.resolve();
+    let queued = 0;
+    const receive = line => {
+        const [name, args] = parse_line(line);
+        if (supervisor) supervisor.received(name, args);
+        dispatch(name, args);
+    };
+    // events wait for any event middleware in the order they were received, except help that the schema needs
+    const dispatch = (name, args) => {
+        if (name == 'help' || name == 'helpEnd' || !queued && !middleware.hasEvents()) return emit_event(self, name, args);
+        queued++;
+        incoming = incoming.then(async() => {
+            const item = await schema.complete(name, !finished() && request_help).catch(err => null);
+            const ctx = createMiddleware.context({name}, item && item.param_names || [], args);
+            await middleware.event(ctx, ctx => emit_event(self, ctx.name, ctx.args));
+        }).catch(onerror).catch(err => module.exports.logger.error(err)).then(() => queued--);
+    };
+    const attach = shell_attached => {
+        let buffer = '';
+        shell_attached.on('close', () => {
+            if (shell_attached != shell) return;
+            schema.release();
+            const exit = () => (!supervisor || !supervisor.closed()) && self.emit('exit');
+            // events still waiting for middleware are emitted before exit
+            if (queued) incoming.then(exit);
+            else exit();
+        }).on('error', onerror).on('data', chunk => {
+            try {
+                const lines = (buffer ? `${buffer}${chunk}` : chunk).split('\n');
+                lines.forEach((line, i) => {
+                    if (i == lines.length -1) buffer = line;
+                    else receive(line);
+                });
+            } catch(err) {
+                module.exports.logger.error(chunk);
+                self.emit('error', err);
             }
         });
-        self.emit('exit');
-    }).on('error', onerror);
-    self.kill = signal => shell.destroy();
+    };
+    attach(shell);
+    self.kill = signal => {
+        if (supervisor) supervisor.stop();
+        shell.destroy();
+    };
     self.ref = () => shell.ref();
     self.unref = () => shell.unref();
-    let buffer = '';
-    shell.on('data', chunk => {
-        try {
-            const lines = (buffer ? `buffer${chunk}` : chunk).split('\n');
-            lines.forEach((line, i) => {
-                if (i == lines.length -1) buffer = line;
-                else emit_line(self, line);
-            });
-        } catch(err) {
-            module.exports.logger.error(chunk);
-            self.emit('error', err);
+    Object.assign(self, createIds(self, settings));
+    self.request = createRequests(self, settings);
+    self.subscribe = createSubscriptions(self, settings);
+    self.orders = createOrders(self, settings);
+    self.pacer = pacer;
+    self.quotes = createQuoteBook(self, settings);
+    self.accounts = createAccounts(self, settings);
+    self.history = createHistory(self, settings);
+    self.contracts = createContractResolver(self, settings);
+    self.risk = createRisk(self, settings);
+    self.use = middleware.use;
+    self.simulator = settings['simulate'] ? createSimulator(self, settings, dispatch) : null;
+    // copy of the help schema for an action, event, or type, or the names of all actions and events
+    self.describe = async(name) => {
+        if (name == null) return schema.interfaces();
+        // ask about types that have not been seen in a parameter yet
+        if (!finished()) schema.expect(name);
+        const item = await schema.complete(name, !finished() && request_help);
+        return item ? JSON.parse(JSON.stringify({...item, listeners: undefined, requested: undefined, complete: undefined})) : null;
+    };
+    const defineAction = item => Object.assign(self, {
+        async [item.action_name]() {
+            if (supervisor) await supervisor.ready(item.action_name);
+            const param_values = Array.prototype.slice.call(arguments);
+            if (!finished()) {
+                // the parameter names are needed to give the middleware named params
+                await schema.complete(item.action_name, request_help).catch(err => {
+                    if (!finished()) throw err;
+                });
+                const ctx = createMiddleware.context({
+                    name: item.action_name,
+                    interface_name: item.interface_name
+                }, item.param_names, param_values);
+                await middleware.call(ctx, async() => {
+                    if (supervisor && !finished()) supervisor.track(ctx.name, ctx.args);
+                    if (!finished()) await send(shell, ctx.name, ctx.args);
+                });
+            }
+            // the recording is complete once exit resolves
+            if (recorder && item.action_name == 'exit') await recorder.close();
+            if (!finished() || item.action_name == 'exit') {
+                return self;
+            } else if (item.action_name == 'isConnected') {
+                self.emit('isConnected', false);
+                return self;
+            } else {
+                throw Error(`ib-tws-json has closed and cannot call ${item.action_name}`);
+            }
         }
     });
+    if (cached) schema.load(cached).forEach(defineAction);
+    // the listing from help is compared with the cached listing before the cache is trusted
+    const cached_interfaces = cached && schema.interfaces();
+    if (cached) schema.unlist();
+    let save_timer = null;
+    const save = () => {
+        clearTimeout(save_timer);
+        save_timer = null;
+        return createSchema.writeCache(cache_file, cache_key, schema.serialize()).catch(err => {
+            module.exports.logger.error(err.message);
+        });
+    };
     self.on('help', (method_or_type, name, type, default_value) => {
-        if (type) {
-            if (schema[method_or_type].object_properties) schema[method_or_type].object_properties[name] = type;
-            if (schema[method_or_type].object_values) schema[method_or_type].object_values[name] = default_value;
-            if (schema[method_or_type].param_names) schema[method_or_type].param_names.push(name);
-            if (schema[method_or_type].param_types) schema[method_or_type].param_types.push(type);
-            const type_name = type.charAt(0) == '[' ? type.substring(1, type.length-1) : type;
-            if (!schema[type_name]) {
-                schema[type_name] = {
-                    type_name,
-                    values: [],
-                    object_properties: {},
-                    object_values: {},
-                    listeners: [],
-                    requested: false,
-                    complete: false
-                };
-            }
-        } else if (schema[method_or_type] && schema[method_or_type].action_type) {
-            const action_name = name;
-            const item = schema[action_name] = schema[action_name] || {
-                action_name,
-                param_names: [],
-                param_types: [],
-                listeners: [],
-                requested: false,
-                complete: false
-            };
-            Object.assign(self, {
-                async [item.action_name]() {
-                    if (!finished()) {
-                        await completeItem(shell, schema, item.action_name);
-                        const param_values = Array.prototype.slice.call(arguments);
-                        if (!finished() && param_values.length != item.param_types.length) {
-                            assert.fail(`Incorrect parameters ${JSON.stringify(param_values)} for ${item.action_name}(${item.param_types.join(',')})`)
-                        }
-                        await Promise.all(item.param_types.map(async(param_type, i) => {
-                            await assertType(shell, schema, param_type, param_values[i]);
-                        }));
-                        if (!finished()) await send(shell, item.action_name, param_values);
-                    }
-                    if (!finished() || item.action_name == 'exit') {
-                        return self;
-                    } else if (item.action_name == 'isConnected') {
-                        self.emit('isConnected', false);
-                        return self;
-                    } else {
-                        throw Error(`ib-tws-json has closed and cannot call ${item.action_name}`);
-                    }
-                }
+        const action_item = schema.help(method_or_type, name, type, default_value);
+        if (action_item) defineAction(action_item);
+    }).on('helpEnd', method_or_type => {
+        schema.helpEnd(method_or_type);
+        if (method_or_type == null && cached_interfaces &&
+                JSON.stringify(cached_interfaces) != JSON.stringify(schema.interfaces())) {
+            // the cache does not match this shell, so ask for the details again as they are needed
+            const listed = [].concat(...Object.values(schema.interfaces().actions));
+            [].concat(...Object.values(cached_interfaces.actions)).filter(name => !~listed.indexOf(name)).forEach(name => {
+                delete self[name];
+                delete schema.items[name];
             });
-        } else if (method_or_type == "actions") {
-            schema[name] = schema[name] || {
-                action_type: name,
-                values: [],
-                listeners: [],
-                requested: false,
-                complete: false
-            };
-        } else if (method_or_type == "events") {
-            schema[name] = schema[name] || {
-                event_type: name,
-                values: [],
-                listeners: [],
-                requested: false,
-                complete: false
-            };
-        } else if (schema[method_or_type]) {
-            schema[method_or_type].values.push(name);
+            schema.invalidate();
         }
-    }).on('helpEnd', method_or_type => {
-        const item = schema[method_or_type];
-        if (item) {
-            item.complete = true;
-            while (item.listeners.length) {
-                item.listeners.shift()();
-            }
+        if (cache_file && !save_timer) {
+            save_timer = setTimeout(save, 1000);
+            if (save_timer.unref) save_timer.unref();
         }
+    }).on('exit', () => {
+        if (save_timer) save();
+        if (pacer) pacer.close();
+        if (recorder) recorder.close();
     });
     return new Promise((ready, fail) => {
         self.once('exit', code => fail(Error(`Could not start ib-tws-json exit with code ${code}`)));
@@ -154,13 +272,20 @@ async function createInstanceAsync(settings) {
         self.once('helpEnd', ready);
         if (finished()) fail(Error("Could not start ib-tws-json"));
         else send(shell, 'help', []).catch(fail);
-    }).then(() => self);
+        // the cached schema can be used while the help is checked against it
+        if (cached && !finished()) ready();
+    }).then(() => {
+        if (supervisor) supervisor.start();
+        return self;
+    });
 }
 
 /**
  * Creates a socket or socket-like option to communicate with TWS over ib-tws-json
  */
 async function createShell(settings) {
+    if (settings['replay']) return createReplayShell(settings['replay'], settings);
+    if (settings['native']) return createNativeShell(settings);
     const json_port_offset = +settings['jsonApiPortOffset'] || 100;
     const tws_ports = settings['twsApiHost'] ? [] : +settings['twsApiPort'] ? [+settings['twsApiPort']] :
         [4002,7497,4001,7496];
@@ -227,6 +352,7 @@ async function standAloneJsonShell(tws_port, settings) {
         'tws-api-port': tws_port,
         'tws-api-host': settings.twsApiHost,
         'java-home': settings.javaHome,
+        'installation': settings.installation,
         'env': settings.env
     });
     process.destroy = () => process.kill();
@@ -289,6 +415,8 @@ async function scanLocalPorts(ports) {
  * Tells ib-tws-json to launch TWS with the JSON API extension
  */
 async function launchTws(json_port_offset, settings) {
+    // the JRE and the launched TWS come from the same installation
+    const installation = await selectInstallation(settings);
     const process = await ib_tws_json({
         'launch': true,
         'launcher': settings.launcher,
@@ -299,10 +427,10 @@ async function launchTws(json_port_offset, settings) {
         'json-api-port': settings.jsonApiPort,
         'json-api-port-offset': json_port_offset,
         'json-api-inet': settings.jsonApiInet || settings.jsonApiHost,
-        'jts-exe-name': settings.jtsExeName,
-        'jts-install-dir': settings.jtsInstallDir,
+        'jts-exe-name': settings.jtsExeName || installation && installation.exeName,
+        'jts-install-dir': installation ? installation.path : settings.jtsInstallDir,
         'jts-config-dir': settings.jtsConfigDir,
-        'java-home': settings.javaHome,
+        'java-home': settings.javaHome || installation && installation.jre,
         'env': settings.env
     });
     process.stdin.destroy();
@@ -316,9 +444,9 @@ async function launchTws(json_port_offset, settings) {
 }
 
 /**
- * Parses the line from the shell and emits the event
+ * Parses the line from the shell into the event name and its arguments
  */
-function emit_line(emitter, line) {
+function parse_line(line) {
     const record = line.match(/^\s*(\S+)\s+([\S\s]*)$/);
     const name = record && record[1] || line;
     const args = record ? record[2].split('\t').map(json => {
@@ -328,26 +456,28 @@ function emit_line(emitter, line) {
             return json;
         }
     }) : [];
+    return [name, args];
+}
+
+/**
+ * Emits the event with its arguments, or the error event and its category event
+ */
+function emit_event(emitter, name, args) {
+    if (name == 'error') return emit_error(emitter, args);
     return emitter.emit(name, ...args);
 }
 
 /**
- * Checks and waits for the remote help info to be available for the given item in the schema
+ * Emits the error event with its original arguments, followed by the parsed TwsError on the
+ * notice, warning, requestError, or connectionError event for its category. If there are no
+ * error listeners, but the category has listeners, the error event is skipped so it is not thrown.
  */
-async function completeItem(shell, schema, name) {
-    const item_name = name.charAt(0) == '[' ? name.substring(1, name.length-1) : name;
-    const item = schema[item_name];
-    if (item && !item.complete) {
-        await new Promise((ready, fail) => {
-            if (item.complete) return ready();
-            item.listeners.push(ready);
-            if (!item.requested) {
-                item.requested = true;
-                send(shell, 'help', [item.action_name || item.type_name]).catch(fail);
-            }
-        });
-    }
-    return item;
+function emit_error(emitter, args) {
+    const err = errors.TwsError.from(args);
+    const event_name = errors.events[err.category];
+    const compatible = emitter.listenerCount('error') > 0 || emitter.listenerCount(event_name) == 0;
+    if (compatible) emitter.emit('error', ...args);
+    return emitter.emit(event_name, err) || compatible;
 }
 
 /**
@@ -361,64 +491,34 @@ async function send(shell, call_name, args) {
 }
 
 /**
- * Checks that param_value conforms the given schema param_type
+ * Lists the TWS and IB Gateway installations that are found, in the order they are preferred,
+ * with the product (tws or gateway), version, path, install4j folder, bundled jre and exeName of each
  */
-async function assertType(shell, schema, param_type, param_value) {
-    const type = await completeItem(shell, schema, param_type);
-    if (!type) {
-        return; // shell has already exited
-    } else if (param_type.charAt(0) == '[') {
-        if (Array.isArray(param_value)) {
-            return param_value.reduce(async(promise, value) => {
-                await promise;
-                await assertType(shell, schema, type.type_name, value);
-            }, null);
-        } else if (param_value != null) {
-            assert.fail(`Expected ${param_value} to be an Array`);
-        }
-    } else if (type.values.length && !~type.values.indexOf(param_value)) {
-        assert.fail(`Expected ${param_value} to be one of ${type.values.join(', ')}`);
-    } else if (param_value != null && typeof param_value == 'object' &&
-            Object.keys(type.object_properties).length) {
-        const keys = Object.keys(type.object_properties);
-        await Promise.all(Object.keys(param_value).map(async(key) => {
-            if (!~keys.indexOf(key)) {
-                const correct_entries = Object.entries(param_value).filter(entry => ~keys.indexOf(entry[0]));
-                const example = correct_entries.reduce((example, entry) => {
-                    example[entry[0]] = entry[1];
-                    return example;
-                }, {...type.object_values});
-                assert.deepEqual(param_value, example);
-            } else {
-                await assertType(shell, schema, type.object_properties[key], param_value[key]);
-            }
-        }));
-    } else if (param_value != null && Object.keys(type.object_properties).length) {
-        assert.fail(`Expected ${param_value} to be an object`);
-    } else if (param_value != null && isIncorrectPrimitive(type, param_value)) {
-        assert.fail(`Expected ${param_value} to be a(n) ${param_type}`);
-    }
+async function listInstallations() {
+    return ib_tws_json.listInstallations({});
 }
 
 /**
- * Checks that integers are integers, doubles are floats, booleans are booleans, and strings are strings
+ * The installation that is launched with the given settings, the one in settings.jtsInstallDir or the first
+ * that matches settings.installation, such as {product: 'gateway', version: '>=1019'} or 'gateway >=1019'
  */
-function isIncorrectPrimitive(type, value) {
-    switch(type.type_name) {
-        case 'int':
-        case 'Integer':
-        case 'long':
-        case 'Long':
-            return Number.isNaN(Number.parseFloat(value)) || Number.isNaN(+value) || !Number.isInteger(+value);
-        case 'double':
-        case 'Double':
-            return Number.isNaN(Number.parseFloat(value)) || Number.isNaN(+value);
-        case 'boolean':
-        case 'Boolean':
-            return value && typeof value != 'boolean';
-        case 'String':
-            return value != null && typeof value == 'object';
-        default:
-            return false;
-    }
+async function selectInstallation(settings) {
+    const opts = settings || {};
+    return ib_tws_json.selectInstallation({
+        'installation': opts.installation,
+        'jts-install-dir': opts.jtsInstallDir
+    });
+}
+
+/**
+ * Validates the parameters of the action offline, using the cached schema
+ * or the schema of the bundled ib-tws-json if no schema has been cached
+ */
+async function validate(action_name, param_values, settings) {
+    const options = settings || {};
+    const cache_file = options['schemaCache'] === false ? null : options['schemaCache'] || createSchema.defaultCacheFile;
+    const cached = cache_file && await createSchema.readCache(cache_file, await createSchema.cacheKey(options));
+    const schema = createSchema();
+    schema.load(cached || createSchema.fromRecorded(require('./ib-tws-schema.json')));
+    await schema.validate(action_name, param_values || [], null);
 }
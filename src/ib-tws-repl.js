@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// vim: set filetype=javascript:
+// ib-tws-repl.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const repl = require('repl');
+const readline = require('readline');
+const {Command} = require('commander');
+const pkg = require('../package.json');
+const createInstanceAsync = require('./ib-tws-node.js');
+const resolveConfig = require('./config.js');
+const HOME = require('os').homedir();
+
+/**
+ * Client settings that can be given on the command line, the same as ib-tws-json uses to locate TWS
+ */
+const client_options = [
+    'launcher', 'twsApiPath', 'twsApiJar', 'twsApiHost', 'twsApiPort', 'jsonApiPort', 'jsonApiPortOffset',
+    'jsonApiInet', 'jsonApiHost', 'jtsExeName', 'jtsInstallDir', 'jtsConfigDir', 'installation', 'javaHome', 'native',
+    'clientId', 'profile', 'config'
+];
+
+/**
+ * If launched directly, connect a client and start a REPL until it is closed.
+ * Otherwise, export a function to start a REPL for a given client.
+ */
+if (require.main === module) {
+    const program = new Command();
+    program.name('ib-tws-node').usage('[options]')
+        .storeOptionsAsProperties(false)
+        .version(pkg.version, '-v, --version', 'output the current version')
+        .option("--launcher <exe>", "Launch script used to setup shell environment")
+        .option("--tws-api-path <path>", "The TwsApi directory to be searched for TwsApi.jar")
+        .option("-j, --tws-api-jar <file>", "The TwsApi.jar filename")
+        .option("--tws-api-host <inet>", "Hostname or IP running TWS")
+        .option("-p, --tws-api-port <integer>", "Port TWS API is running on")
+        .option("--json-api-port <integer>", "Server port for TWS JSON API to listen on")
+        .option("--json-api-port-offset <integer>", "Server JSON port offset from tws-api-port")
+        .option("--json-api-inet <inet>", "Server local network interface to listen on for TWS JSON API")
+        .option("--json-api-host <inet>", "Hostname or IP running the TWS JSON API")
+        .option("--jts-exe-name <filename>", "The primary launch filename installed by TWS software")
+        .option("--jts-install-dir <path>", "Location of Jts/ibgateway/Trader Workstation/IB Gateway folder to use")
+        .option("--jts-config-dir <path>", "Where TWS will read/store settings")
+        .option("--installation <spec>", "Product and version range of the TWS or IB Gateway install to use, such as 'gateway >=1019'")
+        .option("--java-home <path>", "The location of the jre to launch")
+        .option("--native", "Speak the TWS API socket protocol without launching ib-tws-json")
+        .option("--client-id <integer>", "Client id to connect to TWS with (default: 0)")
+        .option("--profile <name>", "Named profile of settings to use from the config files")
+        .option("--config <file>", "Config file to read instead of ./ib-tws-node.json")
+        .option("--no-connect", "Start without calling eConnect")
+        .option("--history <file>", "File to keep the REPL history in", path.resolve(HOME, '.ib-tws-node', 'repl_history'));
+    program.parse(process.argv);
+    const settings = program.opts();
+    resolveConfig(client_options.reduce((options, name) => {
+        if (settings[name] != null) options[name] = settings[name];
+        return options;
+    }, {})).then(async(resolved) => {
+        const client = await createInstanceAsync(resolved);
+        const server = await startRepl(client, {history: settings.history});
+        server.on('exit', () => client.exit());
+        if (settings.connect !== false) await client.eConnect(+resolved.clientId || 0, false);
+    }).catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = startRepl;
+module.exports.complete = complete;
+module.exports.signature = signature;
+module.exports.formatEvent = formatEvent;
+
+/**
+ * Starts a REPL with the client and its actions in the context, completion from the help schema,
+ * signature hints as calls are typed, events printed as they are received and history kept in options.history
+ */
+async function startRepl(client, options) {
+    const opts = options || {};
+    const interfaces = await client.describe();
+    const event_names = [].concat(...Object.values(interfaces.events));
+    const action_names = [].concat(...Object.values(interfaces.actions));
+    const param_names = {};
+    for (const event_name of event_names) {
+        const item = await client.describe(event_name);
+        param_names[event_name] = item && item.param_names || [];
+    }
+    const server = repl.start({
+        prompt: 'ib-tws> ',
+        input: opts.input || process.stdin,
+        output: opts.output || process.stdout,
+        terminal: opts.terminal,
+        useGlobal: false,
+        ignoreUndefined: true,
+        // calls resolve to the client, which is not worth printing
+        writer: output => output === client ? '' : util.inspect(output, {colors: server.useColors, depth: 4})
+    });
+    const terminal = server.terminal;
+    const print = text => {
+        if (terminal) {
+            readline.clearLine(server.output, 0);
+            readline.cursorTo(server.output, 0);
+        }
+        server.output.write(`${text}\n`);
+        if (terminal) server.prompt(true);
+    };
+    const default_completer = server.completer;
+    server.completer = (line, callback) => {
+        complete(client, line).then(completion => {
+            if (!completion) return default_completer.call(server, line, callback);
+            if (completion.merge) default_completer.call(server, line, (err, [hits, token]) => {
+                callback(null, [Array.from(new Set(completion[0].concat(err ? [] : hits))).sort(), completion[1]]);
+            });
+            else callback(null, completion);
+        }, err => callback(err));
+    };
+    server.context.client = client;
+    action_names.forEach(name => server.context[name] = client[name].bind(client));
+    const listeners = event_names.reduce((listeners, event_name) => Object.assign(listeners, {
+        [event_name](...args) {
+            if (args[0] instanceof Error) print(formatEvent(event_name, ['err'], [args[0].message], server.useColors));
+            else print(formatEvent(event_name, param_names[event_name], args, server.useColors));
+        }
+    }), {});
+    Object.entries(listeners).forEach(([event_name, listener]) => client.on(event_name, listener));
+    client.once('exit', () => server.close());
+    server.on('exit', () => {
+        Object.entries(listeners).forEach(([event_name, listener]) => client.removeListener(event_name, listener));
+    });
+    if (terminal) server.input.on('keypress', async(ch) => {
+        if (ch != '(') return;
+        const name = (server.line.substring(0, server.cursor).match(/([A-Za-z_$][\w$]*)\s*\($/) || [])[1];
+        const item = name && ~action_names.indexOf(name) && await client.describe(name);
+        if (item) print(server.useColors ? `\x1b[2m${signature(item)}\x1b[22m` : signature(item));
+    });
+    server.defineCommand('describe', {
+        help: 'Show the help schema of an action, event or type',
+        async action(name) {
+            const item = await client.describe(name.trim() || null);
+            server.output.write(`${item && item.param_names ? signature(item) : util.inspect(item, {colors: server.useColors, depth: 4})}\n`);
+            server.displayPrompt();
+        }
+    });
+    if (terminal && opts.history) {
+        await util.promisify(fs.mkdir)(path.dirname(opts.history), {recursive: true});
+        await util.promisify(server.setupHistory.bind(server))(opts.history);
+    }
+    return server;
+}
+
+/**
+ * The completions of parameter names, property names and enum values from the help schema at the end of the line,
+ * or the action names as [completions, token] with merge:true to add the default completions, otherwise null
+ */
+async function complete(client, line) {
+    const frames = scan(line);
+    const top = frames[frames.length - 1];
+    if (top && (top.char == '"' || top.char == "'")) {
+        const type = await slotType(client, line, frames, frames.length - 1);
+        const item = type && await client.describe(type);
+        if (!item || !item.values || !item.values.length) return null;
+        const partial = line.substring(top.pos + 1);
+        return [item.values.filter(value => value.startsWith(partial)).map(value => `${value}${top.char}`), partial];
+    }
+    const token = (line.match(/[A-Za-z_$][\w$]*$/) || [''])[0];
+    const before = line.substring(0, line.length - token.length);
+    if (top && top.char == '{' && /[{,]\s*$/.test(before)) {
+        const type = await slotType(client, line, frames, frames.length - 1);
+        const item = type && await client.describe(type);
+        if (!item || !item.object_properties) return null;
+        return [Object.keys(item.object_properties).filter(name => name.startsWith(token)).map(name => `${name}: `), token];
+    }
+    if (/(^|[^\w$.])$/.test(before) && token) {
+        const interfaces = await client.describe();
+        const names = [].concat(...Object.values(interfaces.actions)).filter(name => name.startsWith(token));
+        return Object.assign([names, token], {merge: true});
+    }
+    return null;
+}
+
+/**
+ * The signature of an action or event, such as reqMktData(tickerId: int, contract: Contract, ...)
+ */
+function signature(item) {
+    const name = item.action_name || item.event_name;
+    return `${name}(${item.param_names.map((param, i) => `${param}: ${item.param_types[i]}`).join(', ')})`;
+}
+
+/**
+ * An event with its arguments keyed by parameter name
+ */
+function formatEvent(event_name, param_names, args, colors) {
+    const params = args.reduce((params, arg, i) => Object.assign(params, {[param_names[i] || i]: arg}), {});
+    const name = colors ? `\x1b[36m${event_name}\x1b[39m` : event_name;
+    return `${name} ${util.inspect(params, {colors, depth: 4, breakLength: Infinity})}`;
+}
+
+/**
+ * The unclosed brackets and string quote at the end of the line, as {char, pos}
+ */
+function scan(line) {
+    const frames = [];
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quote) {
+            if (ch == '\\') i++;
+            else if (ch == quote.char) quote = null;
+        } else if (ch == '"' || ch == "'" || ch == '`') {
+            quote = {char: ch, pos: i};
+        } else if (ch == '(' || ch == '{' || ch == '[') {
+            frames.push({char: ch, pos: i});
+        } else if (ch == ')' || ch == '}' || ch == ']') {
+            frames.pop();
+        }
+    }
+    return quote ? frames.concat(quote) : frames;
+}
+
+/**
+ * The number of commas in text outside of brackets and strings
+ */
+function commas(text) {
+    let count = 0;
+    let depth = 0;
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            if (ch == '\\') i++;
+            else if (ch == quote) quote = null;
+        } else if (ch == '"' || ch == "'" || ch == '`') quote = ch;
+        else if (ch == '(' || ch == '{' || ch == '[') depth++;
+        else if (ch == ')' || ch == '}' || ch == ']') depth--;
+        else if (ch == ',' && depth == 0) count++;
+    }
+    return count;
+}
+
+/**
+ * The schema type of the value that starts at the given frame, from the call or object it is in
+ */
+async function slotType(client, line, frames, i) {
+    const parent = frames[i - 1];
+    const frame = frames[i];
+    if (!parent) return null;
+    const text = line.substring(parent.pos + 1, frame.pos);
+    if (parent.char == '(') {
+        const name = (line.substring(0, parent.pos).match(/([A-Za-z_$][\w$]*)\s*$/) || [])[1];
+        const item = name && await client.describe(name);
+        return item && item.param_types ? item.param_types[commas(text)] : null;
+    } else if (parent.char == '{') {
+        const key = (text.match(/([A-Za-z_$][\w$]*)['"]?\s*:\s*$/) || [])[1];
+        const type = await slotType(client, line, frames, i - 1);
+        const item = key && type && await client.describe(type);
+        return item && item.object_properties ? item.object_properties[key] : null;
+    } else if (parent.char == '[') {
+        const type = await slotType(client, line, frames, i - 1);
+        return type && type.charAt(0) == '[' ? type.substring(1, type.length - 1) : null;
+    }
+    return null;
+}
@@ -0,0 +1,751 @@
+// vim: set filetype=javascript:
+// ib-tws-types.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const pkg = require('../package.json');
+const createRequests = require('./requests.js');
+const createSubscriptions = require('./subscriptions.js');
+
+module.exports = emitTypes;
+
+/**
+ * TypeScript types of the Java primitives and their wrappers used in the help schema
+ */
+module.exports.primitives = {
+    int: 'number',
+    Integer: 'number',
+    long: 'number',
+    Long: 'number',
+    double: 'number',
+    Double: 'number',
+    float: 'number',
+    Float: 'number',
+    Decimal: 'number | string',
+    boolean: 'boolean',
+    Boolean: 'boolean',
+    char: 'string',
+    Character: 'string',
+    String: 'string'
+};
+
+const reserved = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'implements', 'interface',
+    'package', 'private', 'protected', 'public', 'await'
+];
+
+/**
+ * Walks the actions, events, and types from the help schema of the given client
+ * and resolves to the TypeScript declarations of the ib-tws-node module
+ */
+async function emitTypes(client) {
+    const primitives = module.exports.primitives;
+    const top = await client.describe();
+    const queue = [];
+    const seen = {};
+    const tsType = type => {
+        if (type.charAt(0) == '[') {
+            const item_type = tsType(type.substring(1, type.length-1));
+            return ~item_type.indexOf(' ') ? `(${item_type})[]` : `${item_type}[]`;
+        } else if (primitives[type]) {
+            return primitives[type];
+        } else {
+            if (!seen[type]) queue.push(type);
+            seen[type] = true;
+            return type;
+        }
+    };
+    const signature = item => item.param_names.map((name, i) => {
+        return `${identifier(name)}: ${tsType(item.param_types[i])}`;
+    }).join(', ');
+    const interfaces = [];
+    const actions = {};
+    await Object.keys(top.actions).reduce(async(promise, action_type) => {
+        await promise;
+        const items = await Promise.all(top.actions[action_type].map(name => client.describe(name)));
+        items.forEach(item => actions[item.action_name] = item);
+        interfaces.push(block(`interface ${action_type}`, items.map(item => {
+            return `${item.action_name}(${signature(item)}): Promise<Client>;`;
+        })));
+    }, null);
+    await Object.keys(top.events).reduce(async(promise, event_type) => {
+        await promise;
+        const items = await Promise.all(top.events[event_type].map(name => client.describe(name)));
+        interfaces.push(block(`interface ${event_type}`, items.map(item => {
+            return `${item.event_name}: [${signature(item)}];`;
+        })));
+    }, null);
+    interfaces.push(`interface Actions extends ${Object.keys(top.actions).join(', ') || 'Object'} {}`);
+    interfaces.push(`interface Events extends ${Object.keys(top.events).join(', ') || 'Object'} {}`);
+    interfaces.push(helpers('RequestHelpers', createRequests.requests, actions, 'Promise<any>'));
+    interfaces.push(helpers('SubscriptionHelpers', createSubscriptions.subscriptions, actions, 'Subscription'));
+    // used by the order handle declarations
+    ['Contract', 'Order', 'OrderState'].forEach(tsType);
+    const types = {};
+    while (queue.length) {
+        const names = queue.splice(0);
+        const items = await Promise.all(names.map(name => client.describe(name)));
+        items.forEach((item, i) => {
+            if (!item) {
+                types[names[i]] = `type ${names[i]} = any;`;
+                return;
+            }
+            const properties = Object.keys(item.object_properties);
+            if (item.values.length) {
+                types[item.type_name] = `type ${item.type_name} = ${item.values.map(value => JSON.stringify(value)).join(' | ')};`;
+            } else if (properties.length) {
+                types[item.type_name] = block(`interface ${item.type_name}`, properties.map(name => {
+                    return `${property(name)}?: ${tsType(item.object_properties[name])} | null;`;
+                }));
+            } else {
+                types[item.type_name] = `type ${item.type_name} = any;`;
+            }
+        });
+    }
+    return declarations(interfaces.concat(Object.keys(types).sort().map(name => types[name])));
+}
+
+/**
+ * Declares a helper method for each entry in the given table, using the parameters of its call
+ */
+function helpers(name, table, actions, returns) {
+    return block(`interface ${name}`, Object.keys(table).map(helper_name => {
+        const entry = table[helper_name];
+        const action = actions[entry.call];
+        const first = entry.id === false ? 0 : 1; // skip the request id
+        const params = !action || entry.params ? '...args: any[]' : action.param_names.slice(first).map((param_name, i) => {
+            return `${identifier(param_name)}: Parameters<Actions['${entry.call}']>[${first + i}]`;
+        }).join(', ');
+        return `${helper_name}(${params}): ${returns};`;
+    }));
+}
+
+/**
+ * Formats the declaration with the given lines in its body
+ */
+function block(declaration, lines) {
+    return [`${declaration} {`].concat(lines.map(line => `    ${line}`), '}').join('\n');
+}
+
+/**
+ * Avoids reserved words when used as a parameter name
+ */
+function identifier(name) {
+    return ~reserved.indexOf(name) ? `${name}_` : name;
+}
+
+/**
+ * Quotes the property name if it is not a valid identifier
+ */
+function property(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * The module declarations with the given generated interfaces and types
+ */
+function declarations(generated) {
+    const indent = text => text.split('\n').map(line => line ? `    ${line}` : line).join('\n');
+    return `// Type definitions for ${pkg.name} ${pkg.version}
+// Generated by ib-tws-json --emit-types from the help schema, do not edit
+
+/// <reference types="node" />
+
+import { AssertionError } from 'assert';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+declare function createInstanceAsync(settings?: createInstanceAsync.Settings): Promise<createInstanceAsync.Client>;
+
+declare namespace createInstanceAsync {
+    const logger: Pick<Console, 'log' | 'info' | 'warn' | 'error'>;
+    const requests: {[name: string]: RequestEntry};
+    const subscriptions: {[name: string]: SubscriptionEntry};
+    const priorities: {[action_name: string]: PacerLane};
+    function validate<A extends keyof Actions>(action_name: A, args: Parameters<Actions[A]>, settings?: Settings): Promise<void>;
+    function validate(action_name: string, args: any[], settings?: Settings): Promise<void>;
+    function createGateway(client: Client, settings: GatewaySettings): Promise<Gateway>;
+    function resolveConfig(settings?: Settings, options?: {env?: {[key: string]: string | undefined}; cwd?: string}): Promise<Settings>;
+    function listInstallations(): Promise<Installation[]>;
+    function selectInstallation(settings?: Settings): Promise<Installation | null>;
+    const diagnose: {
+        (settings?: Settings): Promise<Diagnosis>;
+        format(report: Diagnosis): string;
+    };
+    const builders: Builders;
+
+    type ErrorCategory = 'notice' | 'warning' | 'request' | 'connection';
+
+    class TwsError extends Error {
+        constructor(reqId: number | null, code: number | null, message: string, advancedOrderRejectJson?: string | null);
+        static from(args: any[]): TwsError;
+        readonly reqId: number;
+        readonly code: number | null;
+        readonly advancedOrderRejectJson: string | null;
+        readonly category: ErrorCategory;
+    }
+
+    class ValidationError extends AssertionError {
+        static from(err: AssertionError): ValidationError;
+    }
+
+    class AmbiguousContractError extends Error {
+        constructor(message: string, spec: Contract, candidates: Contract[]);
+        readonly spec: Contract;
+        readonly candidates: Contract[];
+    }
+
+    class RiskRejectedError extends Error {
+        constructor(message: string, rule: string, orderId: number, contract: Contract, order: Order);
+        readonly rule: string;
+        readonly orderId: number;
+        readonly contract: Contract;
+        readonly order: Order;
+    }
+
+    class ConfigError extends Error {
+        constructor(message: string, source?: string, setting?: string);
+        readonly source?: string;
+        readonly setting?: string;
+    }
+
+    interface Installation {
+        product: 'tws' | 'gateway';
+        version: string | null;
+        path: string;
+        install4j: string | null;
+        jre: string | null;
+        exeName: string | null;
+    }
+
+    interface InstallationSpec {
+        product?: 'tws' | 'gateway';
+        version?: string;
+    }
+
+    interface Diagnosis {
+        ok: boolean;
+        config: string | null;
+        profile: string | null;
+        jts: {searched: string[]; installations: Installation[]; selected: Installation | null; install4j: string | null};
+        java: {searched: string[]; home: string | null; exe: string; version: string | null};
+        twsApiJar: {searched: string[]; file: string | null};
+        jsonJar: {file: string; present: boolean; url: string};
+        ports: {host: string | null; port: number; listening: boolean; jsonHost: string | null; jsonPort: number; jsonListening: boolean}[];
+        hints: string[];
+    }
+
+    interface Settings {
+        config?: string | false;
+        profile?: string;
+        launcher?: string | string[];
+        env?: {[key: string]: string};
+        javaHome?: string;
+        twsApiJar?: string;
+        twsApiPath?: string;
+        jtsInstallDir?: string;
+        jtsExeName?: string;
+        jtsConfigDir?: string;
+        twsPath?: string;
+        twsVersion?: string;
+        installation?: string | InstallationSpec;
+        twsApiHost?: string;
+        twsApiPort?: number;
+        jsonApiHost?: string;
+        jsonApiPort?: number;
+        jsonApiPortOffset?: number;
+        jsonApiInet?: string;
+        timeout?: number;
+        noLaunch?: boolean;
+        clientId?: number;
+        firstRequestId?: number;
+        reconnect?: boolean;
+        reconnectDelay?: number;
+        reconnectMaxDelay?: number;
+        reconnectAttempts?: number;
+        reconnectTimeout?: number;
+        offlinePolicy?: 'queue' | 'reject';
+        requestTimeout?: number;
+        schemaCache?: string | false;
+        contractCache?: string | false;
+        contractCacheTtl?: number;
+        contractCacheSize?: number;
+        risk?: RiskLimits;
+        simulate?: boolean | SimulatorOptions;
+        pacing?: boolean;
+        maxMessagesPerSecond?: number;
+        historicalPacing?: boolean;
+        priorities?: {[action_name: string]: PacerLane};
+        quoteInterval?: number;
+        record?: string | NodeJS.WritableStream;
+        replay?: string | NodeJS.ReadableStream;
+        replaySpeed?: number;
+        replaySync?: boolean;
+        replaySyncTimeout?: number;
+        native?: boolean;
+        highWaterMark?: number;
+        overflow?: 'latest' | 'drop';
+    }
+
+    interface ClientEvents extends Omit<Events, 'error'> {
+        error: Events['error'] | [err: Error];
+        exit: [code?: number];
+        help: [method_or_type: string, name: string, type?: string, default_value?: any];
+        helpEnd: [method_or_type?: string];
+        disconnected: [reason: string];
+        reconnecting: [attempt: number, delay: number, last_error: Error | null];
+        reconnected: [reason: string];
+        notice: [err: TwsError];
+        warning: [err: TwsError | Error];
+        requestError: [err: TwsError];
+        connectionError: [err: TwsError];
+    }
+
+    interface Client extends EventEmitter, Actions {
+        on<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        addListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        addListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        prependListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        prependListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        off<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        off(event: string | symbol, listener: (...args: any[]) => void): this;
+        removeListener<E extends keyof ClientEvents>(event: E, listener: (...args: ClientEvents[E]) => void): this;
+        removeListener(event: string | symbol, listener: (...args: any[]) => void): this;
+        emit<E extends keyof ClientEvents>(event: E, ...args: ClientEvents[E]): boolean;
+        emit(event: string | symbol, ...args: any[]): boolean;
+        kill(signal?: string): void;
+        ref(): void;
+        unref(): void;
+        describe(name?: string): Promise<any>;
+        nextOrderId(): Promise<number>;
+        nextRequestId(): number;
+        syncIds(): Promise<number>;
+        request: Request;
+        subscribe: Subscribe;
+        orders: Orders;
+        pacer: Pacer | null;
+        quotes: QuoteBook;
+        accounts: Accounts;
+        history: History;
+        contracts: ContractResolver;
+        risk: Risk;
+        use(middleware: Middleware): () => void;
+        simulator: Simulator | null;
+    }
+
+    interface RequestEntry {
+        call: keyof Actions | string;
+        data: string[];
+        end?: string;
+        cancel?: string;
+        id?: false;
+    }
+
+    interface Request extends RequestHelpers {
+        (name: string, args?: any[], options?: {timeout?: number}): Promise<any>;
+        define(name: string, entry: RequestEntry): Request;
+        table: {[name: string]: RequestEntry};
+    }
+
+    interface SubscriptionEntry {
+        call: keyof Actions | string;
+        data: string[];
+        cancel: string | ((req_id: number | null, args: any[]) => [string, any[]]);
+        id?: false;
+        params?: (args: any[]) => any[];
+    }
+
+    interface SubscriptionOptions {
+        signal?: AbortSignal;
+        highWaterMark?: number;
+        overflow?: 'latest' | 'drop';
+    }
+
+    interface SubscriptionRecord {
+        event: string;
+        args: any[];
+    }
+
+    interface Subscription extends Readable {
+        [Symbol.asyncIterator](): AsyncIterableIterator<SubscriptionRecord>;
+        readonly reqId: number | null;
+        readonly dropped: number;
+        close(): void;
+    }
+
+    interface Subscribe extends SubscriptionHelpers {
+        (name: string, args?: any[], options?: SubscriptionOptions): Subscription;
+        define(name: string, entry: SubscriptionEntry): Subscribe;
+        table: {[name: string]: SubscriptionEntry};
+    }
+
+    type OrderHandleState = 'PendingSubmit' | 'Submitted' | 'PartiallyFilled' | 'PendingCancel' | 'Filled' | 'Cancelled' | 'Inactive';
+
+    interface Fill {
+        execId: string;
+        time: string;
+        exchange: string;
+        side: string;
+        shares: number;
+        price: number;
+        cumQty: number;
+        avgPrice: number;
+        commission: number | null;
+        currency: string | null;
+        realizedPNL: number | null;
+    }
+
+    interface OrderHandle extends EventEmitter {
+        readonly id: number;
+        readonly contract: Contract;
+        readonly order: Order;
+        readonly orderState: OrderState | null;
+        readonly permId: number | null;
+        readonly state: OrderHandleState;
+        readonly completed: boolean;
+        readonly filledQuantity: number;
+        readonly remaining: number;
+        readonly avgFillPrice: number;
+        readonly lastFillPrice: number;
+        readonly commission: number;
+        readonly fills: Fill[];
+        readonly error: Error | null;
+        filled(): Promise<OrderHandle>;
+        done(): Promise<OrderHandle>;
+        modify(changes: Order): Promise<OrderHandle>;
+        cancel(): Promise<OrderHandle>;
+    }
+
+    interface Orders {
+        place(contract: ContractSpec, order: Order): Promise<OrderHandle>;
+        placeGroup(contract: ContractSpec, orders: OrderGroup | Order[]): Promise<OrderHandle[]>;
+        get(id: number): OrderHandle | undefined;
+        list(): OrderHandle[];
+    }
+
+    interface Greeks {
+        tickAttrib: number;
+        impliedVol: number | null;
+        delta: number | null;
+        optPrice: number | null;
+        pvDividend: number | null;
+        gamma: number | null;
+        vega: number | null;
+        theta: number | null;
+        undPrice: number | null;
+    }
+
+    interface Quote {
+        contract: Contract;
+        tickerId: number;
+        bid: number | null;
+        bidSize: number | null;
+        ask: number | null;
+        askSize: number | null;
+        last: number | null;
+        lastSize: number | null;
+        lastTimestamp: number | null;
+        high: number | null;
+        low: number | null;
+        open: number | null;
+        close: number | null;
+        volume: number | null;
+        avgVolume: number | null;
+        markPrice: number | null;
+        halted: boolean | null;
+        bidGreeks: Greeks | null;
+        askGreeks: Greeks | null;
+        lastGreeks: Greeks | null;
+        modelGreeks: Greeks | null;
+        marketDataType: number | null;
+        delayed: boolean;
+        error: TwsError | null;
+        updated: {[field: string]: number};
+        time: number | null;
+    }
+
+    interface QuoteOptions {
+        genericTickList?: string;
+        mktDataOptions?: TagValue[];
+    }
+
+    interface SnapshotOptions extends QuoteOptions {
+        regulatorySnapshot?: boolean;
+        timeout?: number;
+    }
+
+    interface QuoteBook extends EventEmitter {
+        on(event: 'quote', listener: (quote: Quote, fields: string[]) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once(event: 'quote', listener: (quote: Quote, fields: string[]) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        watch(contract: ContractSpec, options?: QuoteOptions): Promise<Quote>;
+        unwatch(contract: ContractSpec): Promise<Quote | undefined>;
+        snapshot(contract: ContractSpec, options?: SnapshotOptions): Promise<Quote>;
+        get(contract: Contract): Quote | undefined;
+        contract(tickerId: number): Contract | undefined;
+        list(): Quote[];
+    }
+
+    interface AccountPosition {
+        account: string;
+        conid: number;
+        contract: Contract;
+        position: number | null;
+        avgCost: number | null;
+        marketPrice: number | null;
+        marketValue: number | null;
+        unrealizedPnL: number | null;
+        realizedPnL: number | null;
+        dailyPnL: number | null;
+        updated: number;
+    }
+
+    interface AccountState {
+        account: string;
+        balances: {[tag: string]: {[currency: string]: number | string}};
+        positions: {[conid: string]: AccountPosition};
+        accountTime: string | null;
+        updated: number | null;
+    }
+
+    interface AccountsOptions {
+        tags?: string[];
+        pnl?: boolean;
+        accountUpdates?: string;
+    }
+
+    interface AccountsSnapshot {
+        time: number;
+        accounts: {[account: string]: AccountState};
+    }
+
+    interface Accounts extends EventEmitter {
+        on(event: 'changed', listener: (account: string, kind: 'account' | 'balance' | 'position' | 'time', key: string | number) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        watch(options?: AccountsOptions): Promise<Accounts>;
+        unwatch(): Accounts;
+        list(): string[];
+        get(account: string): AccountState | undefined;
+        balance(account: string, tag: string, currency?: string): number | string | undefined;
+        positions(account?: string): AccountPosition[];
+        position(account: string, conid: number): AccountPosition | undefined;
+        snapshot(): AccountsSnapshot;
+    }
+
+    interface HistoryOptions {
+        barSize?: string;
+        duration?: string;
+        whatToShow?: string;
+        useRTH?: boolean;
+        start?: Date | number | string;
+        end?: Date | number | string;
+        file?: string;
+        format?: 'csv' | 'jsonl';
+        retries?: number;
+        retryDelay?: number;
+        timeout?: number;
+        onChunk?(bars: Bar[]): void;
+    }
+
+    interface History {
+        download(contract: ContractSpec, options?: HistoryOptions): Promise<Bar[]>;
+    }
+
+    type ContractSpec = Contract | string;
+
+    interface RiskLimits {
+        maxQuantity?: number;
+        maxNotional?: number;
+        maxPosition?: number | {[symbol: string]: number};
+        symbols?: string[];
+        secTypes?: string[];
+        collar?: number;
+        maxOrdersPerMinute?: number;
+    }
+
+    interface RiskAudit {
+        time: number;
+        decision: 'accepted' | 'rejected' | 'killed' | 'resumed';
+        orderId: number | null;
+        contract: Contract | null;
+        order: Order | null;
+        rule?: string;
+        reason?: string;
+    }
+
+    interface Risk extends EventEmitter {
+        on(event: 'audit', listener: (record: RiskAudit) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+        once(event: 'audit', listener: (record: RiskAudit) => void): this;
+        once(event: string | symbol, listener: (...args: any[]) => void): this;
+        readonly limits: RiskLimits;
+        readonly killed: string | null;
+        check(id: number, contract: Contract, order: Order): Promise<void>;
+        evaluate(id: number, contract: Contract, order: Order): {rule: string, message: string} | null;
+        kill(reason?: string): Promise<void>;
+        resume(): void;
+    }
+
+    interface MiddlewareContext {
+        name: string;
+        params: {[name: string]: any};
+        readonly args: any[];
+    }
+
+    interface CallContext extends MiddlewareContext {
+        interface_name: string;
+    }
+
+    interface Middleware {
+        call?(ctx: CallContext, next: () => Promise<void>): any;
+        event?(ctx: MiddlewareContext, next: () => Promise<void>): any;
+    }
+
+    interface SimulatorOptions {
+        account?: string;
+        latency?: number;
+        slippage?: number | ((fill: {contract: Contract, order: Order, price: number, market: SimulatedMarket}) => number);
+        commission?: number | ((fill: {contract: Contract, order: Order, execution: Execution}) => number);
+    }
+
+    interface SimulatedMarket {
+        bid: number | null;
+        ask: number | null;
+        last: number | null;
+    }
+
+    interface SimulatedOrder {
+        id: number;
+        contract: Contract;
+        order: Order;
+        status: 'PreSubmitted' | 'Submitted' | 'Filled' | 'Cancelled';
+        filled: number;
+        remaining: number;
+        avgFillPrice: number;
+    }
+
+    interface Simulator extends Middleware {
+        price(contract: Contract, prices: Partial<SimulatedMarket>): void;
+        orders(): SimulatedOrder[];
+        positions(): {account: string, contract: Contract, position: number, avgCost: number}[];
+    }
+
+    type ConditionOperator = '>' | '>=' | '<' | '<=';
+
+    type OrderGroup = Order[] & {bracket?: boolean};
+
+    interface TrailOptions {
+        amount?: number;
+        percent?: number;
+        stopPrice?: number;
+    }
+
+    interface OrderBuilder {
+        market(): OrderBuilder;
+        limit(lmtPrice: number): OrderBuilder;
+        stop(auxPrice: number): OrderBuilder;
+        stopLimit(auxPrice: number, lmtPrice: number): OrderBuilder;
+        trailing(options: TrailOptions): OrderBuilder;
+        trailingLimit(options: TrailOptions & {limitOffset: number}): OrderBuilder;
+        tif(tif: string, goodTillDate?: string): OrderBuilder;
+        outsideRth(outsideRth?: boolean): OrderBuilder;
+        account(account: string): OrderBuilder;
+        ref(orderRef: string): OrderBuilder;
+        adaptive(priority?: 'Urgent' | 'Normal' | 'Patient'): OrderBuilder;
+        algo(algoStrategy: string, params?: {[tag: string]: string | number | boolean}): OrderBuilder;
+        when(condition: OrderCondition): OrderBuilder;
+        orWhen(condition: OrderCondition): OrderBuilder;
+        cancelWhenMet(): OrderBuilder;
+        set(properties: Order): OrderBuilder;
+        build(): Order;
+    }
+
+    interface Builders {
+        order(action: string, quantity: number | string): OrderBuilder;
+        bracket(action: string, quantity: number | string, options: {entry?: number, takeProfit?: number, stopLoss?: number, tif?: string}): OrderGroup;
+        oca(orders: (Order | OrderBuilder)[], group: string, ocaType?: 1 | 2 | 3): OrderGroup;
+        validate(order: Order): Order;
+        validateGroup(orders: OrderGroup | Order[]): OrderGroup;
+        needs: {lmtPrice: string[], auxPrice: string[], trailing: string[]};
+        adaptiveTypes: string[];
+        condition: {
+            price(conId: number, exchange: string, operator: ConditionOperator, price: number, triggerMethod?: number): OrderCondition;
+            time(operator: ConditionOperator, time: string): OrderCondition;
+            margin(operator: ConditionOperator, percent: number): OrderCondition;
+            volume(conId: number, exchange: string, operator: ConditionOperator, volume: number): OrderCondition;
+            percentChange(conId: number, exchange: string, operator: ConditionOperator, changePercent: number): OrderCondition;
+            execution(symbol: string, secType: string, exchange: string): OrderCondition;
+        };
+    }
+
+    interface ContractResolver {
+        parse(text: string): Contract;
+        format(contract: Contract): string;
+        details(spec: ContractSpec, options?: {refresh?: boolean}): Promise<ContractDetails[]>;
+        resolve(spec: ContractSpec, options?: {refresh?: boolean}): Promise<Contract>;
+        qualify(spec: ContractSpec, options?: {refresh?: boolean}): Promise<Contract>;
+        search(pattern: string, options?: {timeout?: number}): Promise<ContractDescription[]>;
+        flush(): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    interface GatewaySettings {
+        tokens: {[token: string]: '*' | 'read-only' | string[]};
+        port?: number;
+        host?: string;
+        server?: import('http').Server;
+    }
+
+    interface Gateway extends EventEmitter {
+        readonly server: import('http').Server;
+        readonly size: number;
+        address(): import('net').AddressInfo | string | null;
+        close(callback?: () => void): void;
+    }
+
+    type PacerLane = 'order' | 'default' | 'bulk';
+
+    interface PacerStats {
+        queued: number;
+        lanes: {[lane in PacerLane]: number};
+        sent: number;
+        delayed: number;
+        averageWait: number;
+        maxWait: number;
+        historicalRequests: number;
+    }
+
+    interface Pacer {
+        schedule(action_name: string, args: any[]): Promise<void>;
+        stats(): PacerStats;
+        close(): void;
+    }
+
+${generated.map(indent).join('\n\n')}
+}
+
+export = createInstanceAsync;
+`;
+}
@@ -0,0 +1,90 @@
+// vim: set filetype=javascript:
+// ids.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = createIds;
+
+/**
+ * Creates the id allocator for the client, with separate sequences for order ids and request ids.
+ * Order ids follow the nextValidId events from TWS and request ids start from settings.firstRequestId.
+ */
+function createIds(client, settings) {
+    const first_req_id = settings && +settings.firstRequestId || 1 << 30;
+    const waiting = [];
+    let next_order_id = null;
+    let unused_order_id = 0; // never reallocate an order id, even after a reconnect
+    let last_req_id = first_req_id - 1;
+    let requested = false;
+    let connected = false;
+    client.on('nextValidId', id => {
+        next_order_id = Math.max(+id, next_order_id || 0, unused_order_id);
+        requested = false;
+        while (waiting.length) waiting.shift().resolve();
+    }).on('connectAck', () => {
+        // order ids must be confirmed by TWS again after a (re)connect
+        next_order_id = null;
+        connected = true;
+    }).on('connectionClosed', () => {
+        connected = false;
+    }).on('exit', () => {
+        connected = false;
+        const err = Error('ib-tws-json has closed before nextValidId was received');
+        while (waiting.length) waiting.shift().reject(err);
+    });
+    const nextValidId = async() => {
+        while (next_order_id == null) {
+            await new Promise((resolve, reject) => {
+                waiting.push({resolve, reject});
+                // nextValidId is sent after connecting, so only ask for it if already connected
+                if (connected && !requested && typeof client.reqIds == 'function') {
+                    requested = true;
+                    client.reqIds(-1).catch(err => {
+                        requested = false;
+                        reject(err);
+                    });
+                }
+            });
+        }
+        return next_order_id;
+    };
+    return {
+        /**
+         * Resolves to the next unused order id, once TWS has provided a nextValidId
+         */
+        async nextOrderId() {
+            await nextValidId();
+            unused_order_id = next_order_id + 1;
+            return next_order_id++;
+        },
+        /**
+         * Returns the next id in the request id sequence
+         */
+        nextRequestId() {
+            if (last_req_id >= 0x7fffffff) last_req_id = first_req_id - 1;
+            return ++last_req_id;
+        },
+        /**
+         * Asks TWS for the next valid order id and resolves when it is received
+         */
+        async syncIds() {
+            next_order_id = null;
+            requested = false;
+            return nextValidId();
+        }
+    };
+}
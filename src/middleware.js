@@ -0,0 +1,97 @@
+// vim: set filetype=javascript:
+// middleware.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = createMiddleware;
+module.exports.context = context;
+module.exports.compose = compose;
+
+/**
+ * Creates the middleware stack of a client. Each middleware is an object with a call(ctx, next) function for
+ * outgoing calls and/or an event(ctx, next) function for incoming events, which may change ctx.params before
+ * calling next(), wait before calling it, throw to reject, or not call it at all to skip the rest of the stack.
+ * Middleware added by use() run in the order they were added, before the given core middleware.
+ */
+function createMiddleware(core) {
+    const stack = [];
+    const handlers = kind => stack.concat(core || []).map(middleware => middleware[kind]).filter(fn => fn);
+    return {
+        /**
+         * Adds the middleware and returns a function that removes it
+         */
+        use(middleware) {
+            if (!middleware || typeof middleware != 'object' || typeof middleware.call != 'function' && typeof middleware.event != 'function') {
+                throw Error('Middleware needs a call(ctx, next) or event(ctx, next) function');
+            }
+            stack.push(middleware);
+            return () => {
+                const i = stack.indexOf(middleware);
+                if (~i) stack.splice(i, 1);
+            };
+        },
+        /**
+         * If any middleware handles incoming events
+         */
+        hasEvents() {
+            return stack.some(middleware => typeof middleware.event == 'function');
+        },
+        /**
+         * Runs the call middleware with the ctx, then the terminal function if every middleware called next()
+         */
+        call(ctx, terminal) {
+            return compose(handlers('call'), ctx, terminal);
+        },
+        /**
+         * Runs the event middleware with the ctx, then the terminal function if every middleware called next()
+         */
+        event(ctx, terminal) {
+            return compose(handlers('event'), ctx, terminal);
+        }
+    };
+}
+
+/**
+ * The context of a call or event, with its parameters keyed by the given names (or by position, if there are
+ * more values than names) and args for the values in order
+ */
+function context(fields, param_names, param_values) {
+    const names = param_values.map((value, i) => param_names[i] || String(i));
+    const params = names.reduce((params, name, i) => Object.assign(params, {[name]: param_values[i]}), {});
+    return Object.defineProperty({...fields, params}, 'args', {
+        enumerable: false,
+        get() {
+            return names.map(name => this.params[name]);
+        }
+    });
+}
+
+/**
+ * Calls each handler with the ctx and a next function that calls the handler after it, and the terminal at the end
+ */
+async function compose(handlers, ctx, terminal) {
+    const dispatch = async(i) => {
+        if (i == handlers.length) return terminal(ctx);
+        let called = false;
+        return handlers[i](ctx, () => {
+            if (called) throw Error('next() was called more than once');
+            called = true;
+            return dispatch(i + 1);
+        });
+    };
+    return dispatch(0);
+}
@@ -0,0 +1,231 @@
+// vim: set filetype=javascript:
+// native.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const net = require('net');
+const EventEmitter = require('events');
+const wire = require('./wire.js');
+const recorded_schema = require('./ib-tws-schema.json');
+const {helpLines} = require('./ib-tws-mock.js');
+
+module.exports = createNativeShell;
+
+/**
+ * Actions from EClient that are answered before eConnect
+ */
+const offline_actions = ['eConnect', 'eDisconnect', 'isConnected', 'serverVersion', 'getTwsConnectionTime', 'faMsgTypeName'];
+
+/**
+ * The recorded schema, with only the EClient actions that are encoded
+ */
+const schema = module.exports.schema = {
+    ...recorded_schema,
+    actions: {
+        ...recorded_schema.actions,
+        EClient: Object.keys(recorded_schema.actions.EClient).reduce((actions, name) => {
+            if (wire.encoders[name] || ~offline_actions.indexOf(name)) actions[name] = recorded_schema.actions.EClient[name];
+            return actions;
+        }, {})
+    }
+};
+
+/**
+ * Async factory function to create a socket-like shell that answers the JSON lines of ib-tws-json
+ * by speaking the TWS API socket protocol itself, so no JVM is needed.
+ * eConnect opens a connection to settings.twsApiHost and settings.twsApiPort,
+ * or the first local port of 4002, 7497, 4001 and 7496 that accepts it.
+ */
+async function createNativeShell(settings) {
+    const host = settings['twsApiHost'] || 'localhost';
+    const ports = +settings['twsApiPort'] ? [+settings['twsApiPort']] : [4002, 7497, 4001, 7496];
+    const self = new EventEmitter();
+    let buffer = '';
+    let queue = Promise.resolve();
+    let referenced = true;
+    const handlers = createHandlers(self, host, ports, () => referenced);
+    const receive = async(line) => {
+        const [name, ...args] = line.split('\t').filter((json, i) => i == 0 || json).map((json, i) => {
+            if (i == 0) return json.trim();
+            try {
+                return JSON.parse(json);
+            } catch (e) {
+                return json;
+            }
+        });
+        if (self.destroyed) return;
+        else if (!schema.actions.EClient[name] && !schema.actions.Shell[name]) self.send('error', `Unknown command ${name}`);
+        else if (handlers[name]) await handlers[name](...args);
+        else if (!self.connected) self.send('error', -1, 504, 'Not connected');
+        else self.socket.write(wire.frame(wire.encoders[name](...args)));
+    };
+    return Object.assign(self, {
+        destroyed: false,
+        connected: false,
+        socket: null,
+        write(data) {
+            const lines = `${buffer}${data}`.split('\n');
+            buffer = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                // calls are sent in order, so sleep delays the following calls
+                queue = queue.then(() => receive(line)).catch(err => self.send('error', err.message));
+            });
+            return true;
+        },
+        end(data) {
+            if (data) self.write(data);
+            queue.then(() => self.destroy());
+        },
+        destroy() {
+            if (self.destroyed) return;
+            self.destroyed = true;
+            if (self.socket) self.socket.destroy();
+            setImmediate(() => self.emit('close'));
+        },
+        ref() {
+            referenced = true;
+            if (self.socket) self.socket.ref();
+        },
+        unref() {
+            referenced = false;
+            if (self.socket) self.socket.unref();
+        },
+        /**
+         * Emits the given events as JSON lines, after the current call has returned
+         */
+        send(event_name, ...args) {
+            return self.sendLines([[event_name].concat(args.map(arg => JSON.stringify(arg))).join('\t')]);
+        },
+        sendLines(lines) {
+            const data = lines.map(line => `${line}\n`).join('');
+            setImmediate(() => {
+                if (!self.destroyed) self.emit('data', data);
+            });
+            return self;
+        }
+    });
+}
+
+/**
+ * Handlers for the actions that are answered without being sent to TWS as they are
+ */
+function createHandlers(self, host, ports, referenced) {
+    let server_version = 0;
+    let connection_time = null;
+    return {
+        help(about) {
+            self.sendLines(helpLines(schema, about));
+        },
+        exit() {
+            self.destroy();
+        },
+        sleep(millis) {
+            return new Promise(ready => setTimeout(ready, +millis || 0));
+        },
+        async eConnect(clientId, extraAuth) {
+            if (self.connected) return self.send('error', -1, 501, 'Already connected.');
+            const socket = await openFirst(host, ports);
+            if (!socket) return self.send('error', -1, 502, `Couldn't connect to TWS. Confirm that "Enable ActiveX and Socket Clients" is enabled and connection port is the same as "Socket Port" on the TWS "Edit->Global Configuration...->API->Settings" menu. Live Trading ports: TWS: 7496; IB Gateway: 4001. Simulated Trading ports for new installations of version 954.1 or newer: TWS: 7497; IB Gateway: 4002`);
+            if (self.destroyed) return socket.destroy();
+            if (!referenced()) socket.unref();
+            const read = wire.createFrameReader();
+            const handshake = new Promise((ready, fail) => {
+                socket.once('error', fail).once('close', () => fail(Error('Connection closed during handshake')));
+                socket.on('data', chunk => read(chunk).forEach(fields => {
+                    if (!server_version) {
+                        [server_version, connection_time] = [+fields[0], fields[1]];
+                        return ready();
+                    }
+                    decode(self, fields);
+                }));
+            });
+            socket.write(wire.handshake());
+            await handshake.then(() => {
+                socket.removeAllListeners('error').removeAllListeners('close');
+            }, err => {
+                socket.destroy();
+                throw err;
+            });
+            if (server_version < wire.version) {
+                self.send('error', -1, 506, `Unsupported version ${server_version}, TWS API ${wire.version} or later is needed`);
+                server_version = 0;
+                return socket.destroy();
+            }
+            Object.assign(self, {connected: true, socket});
+            socket.on('error', err => self.send('error', err.message)).on('close', () => {
+                if (self.socket != socket) return; // after eDisconnect
+                Object.assign(self, {connected: false, socket: null});
+                server_version = 0;
+                self.send('connectionClosed');
+            });
+            socket.write(wire.frame(wire.encoders.startAPI(clientId, '')));
+            self.send('connectAck');
+        },
+        eDisconnect() {
+            const socket = self.socket;
+            Object.assign(self, {connected: false, socket: null});
+            server_version = 0;
+            if (socket) socket.end();
+        },
+        isConnected() {
+            self.send('isConnected', self.connected);
+        },
+        serverVersion() {
+            self.send('serverVersion', server_version);
+        },
+        getTwsConnectionTime() {
+            self.send('getTwsConnectionTime', connection_time);
+        },
+        faMsgTypeName(faDataType) {
+            self.send('faMsgTypeName', [null, 'GROUPS', 'PROFILES', 'ALIASES'][faDataType] || null);
+        }
+    };
+}
+
+/**
+ * Emits the events of a message received from TWS, messages that are not decoded are skipped
+ */
+function decode(self, fields) {
+    const decoder = wire.decoders[fields[0]];
+    if (!decoder) return;
+    try {
+        const reader = wire.createFieldReader(fields);
+        reader.int(); // message id
+        self.sendLines(decoder(reader).map(([event_name, ...args]) => {
+            return [event_name].concat(args.map(arg => JSON.stringify(arg))).join('\t');
+        }));
+    } catch (err) {
+        self.send('error', err.message);
+    }
+}
+
+/**
+ * Opens a socket to the first of the given ports that accepts it, or null
+ */
+async function openFirst(host, ports) {
+    for (const port of ports) {
+        const socket = await new Promise(ready => {
+            const socket = net.connect(port, host);
+            socket.once('connect', () => {
+                socket.removeAllListeners('error');
+                ready(socket);
+            }).once('error', () => ready(null));
+        });
+        if (socket) return socket;
+    }
+    return null;
+}
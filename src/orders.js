@@ -0,0 +1,341 @@
+// vim: set filetype=javascript:
+// orders.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createRouter = require('./router.js');
+const { TwsError, isWarning } = require('./errors.js');
+const { validateGroup } = require('./builders.js');
+
+module.exports = createOrders;
+
+/**
+ * Order states that a handle can move to from each state, orderStatus events
+ * that would move a handle to any other state are ignored as out of date
+ */
+module.exports.transitions = {
+    PendingSubmit: ['PendingSubmit', 'Submitted', 'PartiallyFilled', 'Filled', 'PendingCancel', 'Cancelled', 'Inactive'],
+    Submitted: ['Submitted', 'PartiallyFilled', 'Filled', 'PendingCancel', 'Cancelled', 'Inactive'],
+    PartiallyFilled: ['PartiallyFilled', 'Filled', 'PendingCancel', 'Cancelled', 'Inactive'],
+    PendingCancel: ['PendingCancel', 'Submitted', 'PartiallyFilled', 'Filled', 'Cancelled', 'Inactive'],
+    Inactive: ['Inactive', 'PendingSubmit', 'Submitted', 'PartiallyFilled', 'Filled', 'Cancelled'],
+    Filled: ['Filled'],
+    Cancelled: ['Cancelled']
+};
+
+/**
+ * Creates the orders object for the client to place orders and follow them until they are done
+ */
+function createOrders(client, settings) {
+    const router = createRouter(client);
+    const handles = new Map();
+    const fills = new Map(); // execId to the tracker of its order, until its commissionReport
+    const commissions = new Map(); // commission reports received before their execDetails, by execId
+    const buffered = 100;
+    const timeout = settings && +settings.requestTimeout || 60000;
+    client.on('orderStatus', (orderId, status, filled, remaining, avgFillPrice, permId, parentId, lastFillPrice) => {
+        const tracker = handles.get(+orderId);
+        if (tracker) tracker.onOrderStatus(status, +filled, +remaining, +avgFillPrice, permId, +lastFillPrice);
+    }).on('openOrder', (orderId, contract, order, orderState) => {
+        const tracker = handles.get(+orderId);
+        if (tracker) tracker.onOpenOrder(contract, order, orderState);
+    }).on('execDetails', (reqId, contract, execution) => {
+        const tracker = execution && handles.get(+execution.orderId);
+        if (tracker) {
+            tracker.onExecution(execution);
+            const report = commissions.get(execution.execId);
+            if (report) tracker.onCommissionReport(report);
+            else fills.set(execution.execId, tracker);
+            commissions.delete(execution.execId);
+        }
+    }).on('commissionReport', report => {
+        const tracker = report && fills.get(report.execId);
+        if (tracker) {
+            tracker.onCommissionReport(report);
+            fills.delete(report.execId);
+        } else if (report && handles.size) {
+            // the report may be for an order placed elsewhere, so only the latest are kept for a later execDetails
+            commissions.set(report.execId, report);
+            if (commissions.size > buffered) commissions.delete(commissions.keys().next().value);
+        }
+    }).on('exit', () => {
+        const err = Error('ib-tws-json has closed');
+        Array.from(handles.values()).forEach(tracker => tracker.onError(err));
+    });
+    // the next order id, unless TWS does not give one within the requestTimeout, such as when not connected
+    const nextOrderId = (contract, order) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            const name = [order.action, order.totalQuantity, contract.symbol || contract.conid, order.orderType].join(' ');
+            reject(Error(`Order ${name} was not placed, as no order id was received from TWS within ${timeout}ms`));
+        }, timeout);
+        client.nextOrderId().then(resolve, reject).then(() => clearTimeout(timer));
+    });
+    const submit = async(id, contract, order) => {
+        const tracker = createOrderHandle(client, id, contract, order);
+        const handle = tracker.handle;
+        handles.set(id, tracker);
+        // only listen for errors while the order is active, so unhandled errors are still thrown
+        const unroute = router.route('error', id, (code, msg, advancedOrderRejectJson) => {
+            if (+code == 202) {
+                // TWS confirms a cancel with this error, which can come before the orderStatus
+                tracker.onCancelled();
+            } else if (!isWarning(code)) {
+                tracker.onError(new TwsError(id, code, msg, advancedOrderRejectJson));
+            }
+        });
+        // forget the order once it is done, so handles of completed orders are not kept
+        const forget = () => {
+            unroute();
+            if (handles.get(id) == tracker) handles.delete(id);
+        };
+        handle.done().then(forget, forget);
+        try {
+            await client.placeOrder(id, contract, order);
+        } catch(err) {
+            handles.delete(id);
+            unroute();
+            throw err;
+        }
+        return handle;
+    };
+    return {
+        /**
+         * Places a new order with the next valid order id and returns its handle.
+         * The contract can also be a string for client.contracts to resolve.
+         */
+        async place(spec, order) {
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            return submit(await nextOrderId(contract, order), contract, order);
+        },
+        /**
+         * Places linked orders, such as from the bracket and oca builders, and returns their handles.
+         * The orders are checked before any is sent, and the children of a bracket are given the parent's id
+         * and sent after it, with only the last order transmitted, so TWS does not act on any of them until
+         * all have been received. If an order cannot be placed, those already placed are cancelled.
+         */
+        async placeGroup(spec, orders) {
+            validateGroup(orders);
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            const ids = [];
+            for (let i = 0; i < orders.length; i++) ids.push(await nextOrderId(contract, orders[i]));
+            const linked = orders.map((order, i) => !orders.bracket ? order : {
+                ...order,
+                parentId: i ? ids[0] : order.parentId,
+                transmit: i == orders.length - 1
+            });
+            const placed = [];
+            try {
+                for (let i = 0; i < linked.length; i++) placed.push(await submit(ids[i], contract, linked[i]));
+            } catch(err) {
+                await Promise.all(placed.map((handle, i) => client.cancelOrder(ids[i], '').catch(err => {})));
+                throw err;
+            }
+            return placed;
+        },
+        /**
+         * The handle of an order placed with place(contract, order), until it is done
+         */
+        get(id) {
+            const tracker = handles.get(+id);
+            return tracker && tracker.handle;
+        },
+        /**
+         * Handles of all orders placed with place(contract, order) that are not yet done
+         */
+        list() {
+            return Array.from(handles.values()).map(tracker => tracker.handle);
+        }
+    };
+}
+
+/**
+ * Creates an Order handle that follows the given order id through its states,
+ * returned with the functions that update it from client events
+ */
+function createOrderHandle(client, id, contract, order) {
+    const self = new EventEmitter();
+    const filled_promise = {};
+    const done_promise = {};
+    const pending = [];
+    filled_promise.promise = new Promise((resolve, reject) => Object.assign(filled_promise, {resolve, reject}));
+    done_promise.promise = new Promise((resolve, reject) => Object.assign(done_promise, {resolve, reject}));
+    // avoid unhandled rejections when only one of filled() or done() is used
+    filled_promise.promise.catch(err => {});
+    done_promise.promise.catch(err => {});
+    const settle = () => {
+        if (self.state == 'Filled') {
+            filled_promise.resolve(self);
+            done_promise.resolve(self);
+        } else if (self.state == 'Cancelled' || self.state == 'Inactive') {
+            filled_promise.reject(Object.assign(Error(`Order ${id} is ${self.state}`), {reqId: id}));
+            done_promise.resolve(self);
+        }
+        if (self.completed) {
+            pending.splice(0).forEach(p => p.resolve(self));
+        }
+    };
+    Object.defineProperty(self, 'completed', {
+        get() {
+            return ~['Filled', 'Cancelled', 'Inactive'].indexOf(self.state) ? true : false;
+        }
+    });
+    Object.assign(self, {
+        id,
+        contract,
+        order,
+        orderState: null,
+        permId: null,
+        state: 'PendingSubmit',
+        filledQuantity: 0,
+        remaining: +order.totalQuantity || 0,
+        avgFillPrice: 0,
+        lastFillPrice: 0,
+        commission: 0,
+        fills: [],
+        error: null,
+        /**
+         * Promise that resolves when the order is completely filled
+         */
+        filled() {
+            return filled_promise.promise;
+        },
+        /**
+         * Promise that resolves when the order is Filled, Cancelled, or Inactive
+         */
+        done() {
+            return done_promise.promise;
+        },
+        /**
+         * Resubmits the order with the given changes and resolves when TWS acknowledges it
+         */
+        async modify(changes) {
+            const modified = {...self.order, ...changes};
+            const ack = new Promise((resolve, reject) => pending.push({type: 'modify', resolve, reject}));
+            await client.placeOrder(id, self.contract, modified).catch(err => {
+                const index = pending.findIndex(p => p.type == 'modify');
+                if (index >= 0) pending.splice(index, 1);
+                throw err;
+            });
+            self.order = modified;
+            return ack;
+        },
+        /**
+         * Requests the order be cancelled and resolves when it is done
+         */
+        async cancel() {
+            if (self.completed) return self;
+            const cancelled = new Promise((resolve, reject) => pending.push({type: 'cancel', resolve, reject}));
+            await client.cancelOrder(id, '');
+            return cancelled;
+        }
+    });
+    const resolveModify = () => {
+        pending.filter(p => p.type == 'modify').forEach(p => {
+            pending.splice(pending.indexOf(p), 1);
+            p.resolve(self);
+        });
+    };
+    const tracker = {
+        handle: self,
+        onOrderStatus(status, filled, remaining, avgFillPrice, permId, lastFillPrice) {
+            const state = toState(status, filled, remaining);
+            if (!~module.exports.transitions[self.state].indexOf(state)) return;
+            const previous = self.state;
+            Object.assign(self, {state, filledQuantity: filled, remaining, avgFillPrice, permId, lastFillPrice});
+            resolveModify();
+            if (previous != state) self.emit('state', state, previous);
+            self.emit('orderStatus', status, filled, remaining, avgFillPrice);
+            settle();
+        },
+        onCancelled() {
+            tracker.onOrderStatus('Cancelled', self.filledQuantity, self.remaining, self.avgFillPrice, self.permId,
+                self.lastFillPrice);
+        },
+        onOpenOrder(contract, order, orderState) {
+            Object.assign(self, {contract, order, orderState});
+            resolveModify();
+            self.emit('openOrder', contract, order, orderState);
+        },
+        onExecution(execution) {
+            const existing = self.fills.find(fill => fill.execId == execution.execId);
+            const fill = Object.assign(existing || {commission: null, currency: null, realizedPNL: null}, {
+                execId: execution.execId,
+                time: execution.time,
+                exchange: execution.exchange,
+                side: execution.side,
+                shares: +execution.shares,
+                price: +execution.price,
+                cumQty: +execution.cumQty,
+                avgPrice: +execution.avgPrice
+            });
+            if (!existing) self.fills.push(fill);
+            self.emit('fill', fill);
+            return fill;
+        },
+        onCommissionReport(report) {
+            const fill = self.fills.find(fill => fill.execId == report.execId);
+            if (fill) {
+                Object.assign(fill, {
+                    commission: +report.commission,
+                    currency: report.currency,
+                    realizedPNL: report.realizedPNL
+                });
+                self.commission = self.fills.reduce((sum, fill) => sum + (fill.commission || 0), 0);
+                self.emit('commissionReport', fill);
+            }
+        },
+        onError(err) {
+            const cancel = pending.find(p => p.type == 'cancel');
+            const modify = pending.find(p => p.type == 'modify');
+            if (!self.completed && (cancel || modify)) {
+                pending.splice(pending.indexOf(cancel || modify), 1);
+                (cancel || modify).reject(err);
+            } else if (!self.completed) {
+                self.error = err;
+                filled_promise.reject(err);
+                done_promise.reject(err);
+                pending.splice(0).forEach(p => p.reject(err));
+            }
+        }
+    };
+    return tracker;
+}
+
+/**
+ * Converts the TWS order status into a handle state
+ */
+function toState(status, filled, remaining) {
+    switch(status) {
+        case 'ApiPending':
+        case 'PendingSubmit':
+            return 'PendingSubmit';
+        case 'PreSubmitted':
+        case 'Submitted':
+            return filled > 0 && remaining > 0 ? 'PartiallyFilled' : 'Submitted';
+        case 'PendingCancel':
+            return 'PendingCancel';
+        case 'ApiCancelled':
+        case 'Cancelled':
+            return 'Cancelled';
+        case 'Filled':
+            return remaining > 0 ? 'PartiallyFilled' : 'Filled';
+        case 'Inactive':
+        default:
+            return 'Inactive';
+    }
+}
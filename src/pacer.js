@@ -0,0 +1,245 @@
+// vim: set filetype=javascript:
+// pacer.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = createPacer;
+
+/**
+ * Priority lanes, in the order they are sent
+ */
+module.exports.lanes = ['order', 'default', 'bulk'];
+
+/**
+ * Lane of the EClient calls that do not use the default lane
+ */
+module.exports.priorities = {
+    placeOrder: 'order',
+    cancelOrder: 'order',
+    reqGlobalCancel: 'order',
+    exerciseOptions: 'order',
+    reqHistoricalData: 'bulk',
+    reqHistoricalTicks: 'bulk',
+    reqHeadTimestamp: 'bulk',
+    reqHistogramData: 'bulk',
+    reqContractDetails: 'bulk',
+    reqSecDefOptParams: 'bulk',
+    reqMatchingSymbols: 'bulk',
+    reqScannerParameters: 'bulk'
+};
+
+/**
+ * EClient calls that cancel a request by its request id, with the call that made the request, so the cancel is
+ * queued in the same lane and is not sent before its request
+ */
+module.exports.cancels = {
+    cancelHistoricalData: 'reqHistoricalData',
+    cancelHeadTimestamp: 'reqHeadTimestamp',
+    cancelHistogramData: 'reqHistogramData',
+    cancelMktData: 'reqMktData',
+    cancelMktDepth: 'reqMktDepth',
+    cancelRealTimeBars: 'reqRealTimeBars',
+    cancelTickByTickData: 'reqTickByTickData',
+    cancelFundamentalData: 'reqFundamentalData',
+    cancelCalculateImpliedVolatility: 'calculateImpliedVolatility',
+    cancelCalculateOptionPrice: 'calculateOptionPrice',
+    cancelScannerSubscription: 'reqScannerSubscription'
+};
+
+/**
+ * EClient calls that are subject to historical data pacing, with the argument index of the contract and
+ * of the tick type (whatToShow), if any, and of the bar size, if pacing only applies to bars of 30 seconds or less
+ */
+module.exports.historical = {
+    reqHistoricalData: {contract: 1, tickType: 5, barSize: 4},
+    reqHistoricalTicks: {contract: 1, tickType: 5},
+    reqHeadTimestamp: {contract: 1, tickType: 2},
+    reqHistogramData: {contract: 1}
+};
+
+/**
+ * Historical data pacing limits from the TWS API documentation: no identical requests within 15 seconds,
+ * no more than 60 requests within 10 minutes and fewer than 6 requests for the same contract and
+ * tick type within 2 seconds
+ */
+module.exports.limits = {
+    identicalInterval: 15000,
+    maxRequests: 60,
+    requestsInterval: 600000,
+    maxContractRequests: 5,
+    contractInterval: 2000
+};
+
+/**
+ * EClient calls that are answered by the Java client without sending a message to TWS
+ */
+module.exports.unpaced = ['isConnected', 'serverVersion', 'getTwsConnectionTime', 'faMsgTypeName'];
+
+module.exports.contractKey = contractKey;
+module.exports.smallBars = smallBars;
+
+/**
+ * Creates a pacer that queues outgoing calls to keep within the TWS message rate and historical data pacing.
+ * schedule(action_name, args) resolves when the call can be sent, taking calls from the order lane first.
+ */
+function createPacer(settings) {
+    const rate = +settings['maxMessagesPerSecond'] || 45;
+    const historical_pacing = settings['historicalPacing'] !== false;
+    const priorities = {...module.exports.priorities, ...settings['priorities']};
+    const historical = module.exports.historical;
+    const cancels = module.exports.cancels;
+    const limits = module.exports.limits;
+    const unpaced = module.exports.unpaced;
+    const lanes = module.exports.lanes.reduce((lanes, lane) => Object.assign(lanes, {[lane]: []}), {});
+    const history = []; // historical requests sent within the last requestsInterval
+    const totals = {sent: 0, delayed: 0, wait: 0, maxWait: 0};
+    let tokens = rate;
+    let refilled = Date.now();
+    let timer = null;
+    const refill = now => {
+        tokens = Math.min(rate, tokens + (now - refilled) * rate / 1000);
+        refilled = now;
+    };
+    const allowedAt = (entry, now) => {
+        if (!entry.historical) return now;
+        while (history.length && now - history[0].time >= limits.requestsInterval) history.shift();
+        const identical = history.filter(sent => sent.identical == entry.historical.identical);
+        const contract = history.filter(sent => sent.contract == entry.historical.contract &&
+            now - sent.time < limits.contractInterval);
+        return Math.max(now,
+            identical.length ? identical[identical.length - 1].time + limits.identicalInterval : now,
+            history.length >= limits.maxRequests ?
+                history[history.length - limits.maxRequests].time + limits.requestsInterval : now,
+            contract.length >= limits.maxContractRequests ?
+                contract[contract.length - limits.maxContractRequests].time + limits.contractInterval : now);
+    };
+    // the queued request that the cancel entry is for, if it has not been sent yet
+    const requestOf = entry => {
+        if (!entry.cancels) return null;
+        for (const lane of Object.values(lanes)) {
+            const request = lane.find(queued => queued.action_name == entry.cancels && queued.reqId == entry.reqId);
+            if (request) return request;
+        }
+        return null;
+    };
+    const dispatch = (entry, now) => {
+        tokens -= 1;
+        if (entry.historical) history.push({time: now, ...entry.historical});
+        const wait = now - entry.queued;
+        totals.sent++;
+        if (wait > 0) totals.delayed++;
+        totals.wait += wait;
+        totals.maxWait = Math.max(totals.maxWait, wait);
+        entry.resolve();
+    };
+    const pump = () => {
+        clearTimeout(timer);
+        timer = null;
+        const now = Date.now();
+        let next_at = Infinity;
+        let exhausted = false;
+        refill(now);
+        for (const lane of Object.values(lanes)) {
+            for (let i = 0; i < lane.length && !exhausted;) {
+                const request = requestOf(lane[i]);
+                const at = allowedAt(lane[i], now);
+                if (request) {
+                    // a cancel waits for its request, without holding up the calls behind it
+                    next_at = Math.min(next_at, Math.max(allowedAt(request, now), now + 1));
+                    i++;
+                } else if (at > now) {
+                    // a paced historical request does not hold up the calls behind it
+                    next_at = Math.min(next_at, at);
+                    i++;
+                } else if (tokens < 1) {
+                    exhausted = true;
+                    next_at = Math.min(next_at, now + Math.ceil((1 - tokens) * 1000 / rate));
+                } else {
+                    dispatch(lane.splice(i, 1)[0], now);
+                }
+            }
+        }
+        if (next_at < Infinity) timer = setTimeout(pump, Math.max(next_at - now, 1));
+    };
+    return {
+        /**
+         * Resolves when the given call can be sent to TWS
+         */
+        schedule(action_name, args) {
+            if (~unpaced.indexOf(action_name)) return Promise.resolve();
+            const paced = historical_pacing && historical[action_name];
+            const rule = paced && (paced.barSize == null || smallBars(args[paced.barSize])) ? paced : null;
+            const lane = lanes[priorities[action_name] || priorities[cancels[action_name]]] || lanes.default;
+            return new Promise(resolve => {
+                lane.push({
+                    action_name,
+                    reqId: args && args[0],
+                    cancels: cancels[action_name] || null,
+                    queued: Date.now(),
+                    historical: rule ? {
+                        // the request id is different for every request, so is not compared
+                        identical: JSON.stringify([action_name].concat(args.slice(1))),
+                        contract: JSON.stringify([contractKey(args[rule.contract]), args[rule.tickType]])
+                    } : null,
+                    resolve
+                });
+                pump();
+            });
+        },
+        /**
+         * Queue depth by lane and wait times (in milliseconds) of the calls sent so far
+         */
+        stats() {
+            const queued = Object.keys(lanes).reduce((queued, lane) => Object.assign(queued, {[lane]: lanes[lane].length}), {});
+            return {
+                queued: Object.values(queued).reduce((sum, length) => sum + length, 0),
+                lanes: queued,
+                sent: totals.sent,
+                delayed: totals.delayed,
+                averageWait: totals.sent ? totals.wait / totals.sent : 0,
+                maxWait: totals.maxWait,
+                historicalRequests: history.length
+            };
+        },
+        /**
+         * Releases any queued calls, such as when the client has closed
+         */
+        close() {
+            clearTimeout(timer);
+            timer = null;
+            Object.values(lanes).forEach(lane => lane.splice(0).forEach(entry => entry.resolve()));
+        }
+    };
+}
+
+/**
+ * If the bar size, such as '30 secs' or '1 day', is 30 seconds or less, or is not one that TWS knows
+ */
+function smallBars(bar_size) {
+    const m = /^\s*(\d+)\s*(secs?|mins?|hours?|days?|weeks?|months?)\s*$/i.exec(bar_size || '');
+    return !m || /^sec/i.test(m[2]) && +m[1] <= 30;
+}
+
+/**
+ * Identifies a contract by the properties that select it
+ */
+function contractKey(contract) {
+    if (!contract || typeof contract != 'object') return contract;
+    if (contract.conid) return [contract.conid, contract.exchange];
+    return ['symbol', 'secType', 'lastTradeDateOrContractMonth', 'strike', 'right', 'multiplier', 'exchange',
+        'currency', 'localSymbol'].map(key => contract[key]);
+}
@@ -0,0 +1,261 @@
+// vim: set filetype=javascript:
+// quotes.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createRouter = require('./router.js');
+const { contractKey } = require('./pacer.js');
+const { TwsError, isWarning } = require('./errors.js');
+
+module.exports = createQuoteBook;
+
+/**
+ * Quote field of each market data tick type, delayed tick types use the same field as their real-time tick type
+ */
+module.exports.ticks = {
+    0: 'bidSize', 1: 'bid', 2: 'ask', 3: 'askSize', 4: 'last', 5: 'lastSize', 6: 'high', 7: 'low', 8: 'volume',
+    9: 'close', 10: 'bidGreeks', 11: 'askGreeks', 12: 'lastGreeks', 13: 'modelGreeks', 14: 'open',
+    21: 'avgVolume', 37: 'markPrice', 45: 'lastTimestamp', 49: 'halted',
+    66: 'bid', 67: 'ask', 68: 'last', 69: 'bidSize', 70: 'askSize', 71: 'lastSize', 72: 'high', 73: 'low',
+    74: 'volume', 75: 'close', 76: 'open', 80: 'bidGreeks', 81: 'askGreeks', 82: 'lastGreeks', 83: 'modelGreeks',
+    88: 'lastTimestamp'
+};
+
+/**
+ * Tick types that are sent instead of their real-time tick type when the market data is delayed
+ */
+module.exports.delayedTicks = [66, 67, 68, 69, 70, 71, 72, 73, 74, 75, 76, 80, 81, 82, 83, 88];
+
+/**
+ * Creates the quote book for the client, which keeps the latest market data of the watched contracts.
+ * A coalesced quote(quote, fields) event is emitted after ticks change the fields of a quote.
+ */
+function createQuoteBook(client, settings) {
+    const router = createRouter(client);
+    const interval = settings && +settings.quoteInterval || 0;
+    const default_timeout = settings && +settings.requestTimeout || 60000;
+    const self = new EventEmitter();
+    const quotes = new Map();
+    const stops = new Map();
+    const contracts = new Map();
+    const changes = new Map();
+    let timer = null;
+    const flush = () => {
+        timer = null;
+        const changed = Array.from(changes.entries());
+        changes.clear();
+        changed.forEach(([quote, fields]) => self.emit('quote', quote, Array.from(fields)));
+    };
+    const changed = (quote, field) => {
+        if (!changes.has(quote)) changes.set(quote, new Set());
+        changes.get(quote).add(field);
+        if (!timer) timer = setTimeout(flush, interval);
+    };
+    const stop = key => {
+        const quote = quotes.get(key);
+        (stops.get(key) || []).forEach(fn => fn());
+        stops.delete(key);
+        quotes.delete(key);
+        if (quote) contracts.delete(quote.tickerId);
+        return quote;
+    };
+    Object.assign(self, {
+        /**
+         * Requests streaming market data for the contract, unless already watched, and resolves to its quote.
+         * The contract can also be a string for client.contracts to resolve.
+         * Options include genericTickList and mktDataOptions.
+         */
+        async watch(spec, options) {
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            const key = JSON.stringify(contractKey(contract));
+            if (quotes.has(key)) return quotes.get(key);
+            const opts = options || {};
+            const quote = createQuote(contract, client.nextRequestId());
+            quotes.set(key, quote);
+            contracts.set(quote.tickerId, contract);
+            const cleanup = follow(router, quote, field => changed(quote, field));
+            cleanup.push(router.route('error', quote.tickerId, (code, msg, advancedOrderRejectJson) => {
+                if (!isWarning(code)) {
+                    // TWS does not send any more ticks after an error
+                    quote.error = new TwsError(quote.tickerId, code, msg, advancedOrderRejectJson);
+                    stop(key);
+                    changed(quote, 'error');
+                }
+            }));
+            stops.set(key, cleanup);
+            try {
+                await client.reqMktData(quote.tickerId, contract, opts.genericTickList || '', false, false, opts.mktDataOptions || []);
+                return quote;
+            } catch(err) {
+                if (quotes.get(key) == quote) stop(key);
+                throw err;
+            }
+        },
+        /**
+         * Cancels the market data of the contract and removes its quote from the book
+         */
+        async unwatch(spec) {
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            const quote = stop(JSON.stringify(contractKey(contract)));
+            if (quote) await client.cancelMktData(quote.tickerId);
+            return quote;
+        },
+        /**
+         * Requests a snapshot of the contract's market data and resolves to its quote after tickSnapshotEnd.
+         * Options include genericTickList, regulatorySnapshot, mktDataOptions and timeout.
+         */
+        async snapshot(spec, options) {
+            const contract = typeof spec == 'string' ? await client.contracts.resolve(spec) : spec;
+            const opts = options || {};
+            const timeout = opts.timeout != null ? +opts.timeout : default_timeout;
+            const quote = createQuote(contract, client.nextRequestId());
+            contracts.set(quote.tickerId, contract);
+            return new Promise((resolve, reject) => {
+                const cleanup = follow(router, quote, field => {});
+                const done = err => {
+                    cleanup.forEach(fn => fn());
+                    contracts.delete(quote.tickerId);
+                    if (err) reject(err);
+                    else resolve(quote);
+                };
+                cleanup.push(router.route('tickSnapshotEnd', quote.tickerId, () => done()));
+                cleanup.push(router.route('error', quote.tickerId, (code, msg, advancedOrderRejectJson) => {
+                    if (!isWarning(code)) done(new TwsError(quote.tickerId, code, msg, advancedOrderRejectJson));
+                }));
+                const onexit = () => done(Error('ib-tws-json has closed before the snapshot completed'));
+                client.once('exit', onexit);
+                cleanup.push(() => client.removeListener('exit', onexit));
+                if (timeout) {
+                    const timer = setTimeout(() => {
+                        done(Object.assign(Error(`snapshot timed out after ${timeout}ms`), {reqId: quote.tickerId}));
+                    }, timeout);
+                    cleanup.push(() => clearTimeout(timer));
+                }
+                client.reqMktData(quote.tickerId, contract, opts.genericTickList || '', true,
+                    !!opts.regulatorySnapshot, opts.mktDataOptions || []).catch(done);
+            });
+        },
+        /**
+         * The quote of a watched contract
+         */
+        get(contract) {
+            return quotes.get(JSON.stringify(contractKey(contract)));
+        },
+        /**
+         * The contract that market data with the given tickerId was requested for
+         */
+        contract(tickerId) {
+            return contracts.get(+tickerId);
+        },
+        /**
+         * Quotes of all watched contracts
+         */
+        list() {
+            return Array.from(quotes.values());
+        }
+    });
+    return self;
+}
+
+/**
+ * The initial quote for a contract, before any ticks are received
+ */
+function createQuote(contract, tickerId) {
+    return {
+        contract,
+        tickerId,
+        bid: null,
+        bidSize: null,
+        ask: null,
+        askSize: null,
+        last: null,
+        lastSize: null,
+        lastTimestamp: null,
+        high: null,
+        low: null,
+        open: null,
+        close: null,
+        volume: null,
+        avgVolume: null,
+        markPrice: null,
+        halted: null,
+        bidGreeks: null,
+        askGreeks: null,
+        lastGreeks: null,
+        modelGreeks: null,
+        marketDataType: null,
+        delayed: false,
+        error: null,
+        updated: {},
+        time: null
+    };
+}
+
+/**
+ * Routes the tick events for the quote's tickerId into the quote, calling changed(field) for each update.
+ * Returns the functions to remove the routes.
+ */
+function follow(router, quote, changed) {
+    const ticks = module.exports.ticks;
+    const delayed_ticks = module.exports.delayedTicks;
+    const set = (field, value) => {
+        const now = Date.now();
+        quote[field] = value;
+        quote.updated[field] = now;
+        quote.time = now;
+        changed(field);
+    };
+    const tick = (tick_type, value) => {
+        const field = ticks[+tick_type];
+        if (!field) return;
+        const delayed = !!~delayed_ticks.indexOf(+tick_type);
+        // only tick types that come as a real-time and delayed pair tell whether the market data is delayed
+        const paired = delayed || delayed_ticks.some(delayed_tick => ticks[delayed_tick] == field);
+        if (paired && quote.delayed != delayed) set('delayed', delayed);
+        if (field == 'halted') set(field, +value > 0);
+        else if (field == 'lastTimestamp') set(field, +value * 1000);
+        else set(field, value == null || typeof value == 'object' ? value : +value);
+    };
+    const unset = value => value == null || Math.abs(value) >= Number.MAX_VALUE ? null : +value;
+    return [
+        // TWS sends a price of -1 when there is none, such as no bid
+        router.route('tickPrice', quote.tickerId, (field, price) => tick(field, +price == -1 ? null : price)),
+        router.route('tickSize', quote.tickerId, (field, size) => tick(field, size)),
+        router.route('tickString', quote.tickerId, (tick_type, value) => tick(tick_type, value)),
+        router.route('tickGeneric', quote.tickerId, (tick_type, value) => tick(tick_type, value)),
+        router.route('tickOptionComputation', quote.tickerId,
+                (field, tickAttrib, impliedVol, delta, optPrice, pvDividend, gamma, vega, theta, undPrice) => {
+            tick(field, {
+                tickAttrib,
+                impliedVol: unset(impliedVol),
+                delta: unset(delta),
+                optPrice: unset(optPrice),
+                pvDividend: unset(pvDividend),
+                gamma: unset(gamma),
+                vega: unset(vega),
+                theta: unset(theta),
+                undPrice: unset(undPrice)
+            });
+        }),
+        router.route('marketDataType', quote.tickerId, market_data_type => {
+            set('marketDataType', +market_data_type);
+            // 3 is delayed and 4 is delayed frozen
+            if (quote.delayed != (+market_data_type >= 3)) set('delayed', +market_data_type >= 3);
+        })
+    ];
+}
@@ -0,0 +1,72 @@
+// vim: set filetype=javascript:
+// recorder.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+
+module.exports = createRecorder;
+
+/**
+ * Creates a recorder that writes every line sent to and received from the shells it is attached to as JSON Lines,
+ * {time, send} or {time, receive}, to the given file name or writable stream
+ */
+function createRecorder(file) {
+    const self = new EventEmitter();
+    const output = typeof file == 'string' ? fs.createWriteStream(file) : file;
+    let closed = null;
+    const record = (direction, line) => {
+        if (closed || !output.writable) return;
+        output.write(`${JSON.stringify({time: now(), [direction]: line})}\n`);
+    };
+    output.on('error', err => self.emit('error', err));
+    return Object.assign(self, {
+        /**
+         * Records the lines written to and the data emitted by the shell, and returns the shell
+         */
+        attach(shell) {
+            const write = shell.write;
+            let buffer = '';
+            shell.write = function(data) {
+                String(data).split('\n').filter(line => line).forEach(line => record('send', line));
+                return write.apply(shell, arguments);
+            };
+            shell.on('data', chunk => {
+                const lines = `${buffer}${chunk}`.split('\n');
+                buffer = lines.pop();
+                lines.forEach(line => record('receive', line));
+            });
+            return shell;
+        },
+        /**
+         * Finishes writing the recording, streams given to the recorder are left open
+         */
+        close() {
+            if (!closed) closed = output == file ? Promise.resolve() : new Promise(ready => output.end(ready));
+            return closed;
+        }
+    });
+}
+
+/**
+ * Milliseconds since epoch, with microseconds
+ */
+function now() {
+    return Math.round((performance.timeOrigin + performance.now()) * 1000) / 1000;
+}
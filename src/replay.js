@@ -0,0 +1,159 @@
+// vim: set filetype=javascript:
+// replay.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+
+module.exports = createReplayShell;
+
+/**
+ * Async factory function to create a socket-like shell that emits the lines received in a recording
+ * (a file name or readable stream written by the recorder) once the client writes its first call.
+ * Lines are emitted at the recorded pace divided by settings.replaySpeed, or as fast as possible when it is 0.
+ * Unless settings.replaySync is false, the replay waits at each recorded call (other than help) until the
+ * client has made the same call, so events are not emitted before the client is listening for them.
+ * If the client has not made the call within settings.replaySyncTimeout milliseconds (30000 by default, or 0 to
+ * wait forever), the shell emits an error naming the call and closes, as the client is no longer following
+ * the recording.
+ * Calls written to the shell are emitted as call events and the shell closes at the end of the recording.
+ */
+async function createReplayShell(recording, settings) {
+    const speed = settings && settings['replaySpeed'] != null ? +settings['replaySpeed'] : 1;
+    const sync = !settings || settings['replaySync'] !== false;
+    const sync_timeout = settings && settings['replaySyncTimeout'] != null ? +settings['replaySyncTimeout'] : 30000;
+    const input = typeof recording == 'string' ? await openFile(recording) : recording;
+    const self = new EventEmitter();
+    const written = {}; // number of calls made by the client, by name
+    const recorded = {}; // number of calls in the recording so far, by name
+    let referenced = true;
+    let timer = null;
+    let waiting = null;
+    let sync_timer = null;
+    let last_call = null;
+    let started = false;
+    const wait = ms => new Promise(resolve => {
+        timer = ms > 0 ? setTimeout(resolve, ms) : setImmediate(resolve);
+        timer.cancel = () => ms > 0 ? clearTimeout(timer) : clearImmediate(timer);
+        timer.resolve = resolve;
+        if (!referenced) timer.unref();
+    });
+    const called = name => new Promise((resolve, reject) => {
+        recorded[name] = (recorded[name] || 0) + 1;
+        if ((written[name] || 0) >= recorded[name]) return resolve(0);
+        const since = performance.now();
+        if (sync_timeout) sync_timer = setTimeout(() => {
+            waiting = null;
+            sync_timer = null;
+            const last = last_call ? `its last call was ${last_call}` : 'it has not made any calls';
+            reject(Error(`The replay waited ${sync_timeout}ms for the client to make call ${recorded[name]} ` +
+                `of ${name} in the recording, but ${last}`));
+        }, sync_timeout);
+        if (sync_timer && !referenced) sync_timer.unref();
+        waiting = () => {
+            if (!self.destroyed && (written[name] || 0) < recorded[name]) return;
+            waiting = null;
+            clearTimeout(sync_timer);
+            sync_timer = null;
+            resolve(performance.now() - since);
+        };
+    });
+    const play = async() => {
+        const lines = readline.createInterface({input, crlfDelay: Infinity});
+        let start = null;
+        let started_at = null;
+        try {
+            for await (const line of lines) {
+                if (self.destroyed) break;
+                if (!line.trim()) continue;
+                const entry = JSON.parse(line);
+                if (start == null) {
+                    start = +entry.time;
+                    started_at = performance.now();
+                }
+                const name = entry.send != null && String(entry.send).split('\t')[0].trim();
+                if (sync && name && name != 'help') {
+                    // the time spent waiting for the client is not made up for
+                    started_at += await called(name);
+                }
+                if (entry.receive == null) continue;
+                // waits until the time of the line since the start, so delays do not add up
+                await wait(speed ? started_at + (entry.time - start) / speed - performance.now() : 0);
+                if (self.destroyed) break;
+                self.emit('data', `${entry.receive}\n`);
+            }
+        } finally {
+            lines.close();
+        }
+    };
+    return Object.assign(self, {
+        destroyed: false,
+        write(data) {
+            String(data).split('\n').filter(line => line).forEach(line => {
+                const name = line.split('\t')[0].trim();
+                written[name] = (written[name] || 0) + 1;
+                last_call = name;
+                self.emit('call', name, line);
+                if (waiting) waiting();
+                if (name == 'exit') setImmediate(() => self.destroy());
+            });
+            if (!started) {
+                started = true;
+                play().catch(err => self.emit('error', err)).then(() => self.destroy());
+            }
+            return true;
+        },
+        end(data) {
+            if (data) self.write(data);
+            self.destroy();
+        },
+        destroy() {
+            if (self.destroyed) return;
+            self.destroyed = true;
+            if (timer) {
+                timer.cancel();
+                timer.resolve();
+            }
+            if (waiting) waiting();
+            if (typeof input.destroy == 'function') input.destroy();
+            setImmediate(() => self.emit('close'));
+        },
+        ref() {
+            referenced = true;
+            if (timer) timer.ref();
+            if (sync_timer) sync_timer.ref();
+        },
+        unref() {
+            referenced = false;
+            if (timer) timer.unref();
+            if (sync_timer) sync_timer.unref();
+        }
+    });
+}
+
+/**
+ * Opens the file for reading, rejects if it cannot be read
+ */
+function openFile(file) {
+    return new Promise((ready, fail) => {
+        const stream = fs.createReadStream(file, {encoding: 'utf8'});
+        stream.once('open', () => ready(stream)).once('error', fail);
+    });
+}
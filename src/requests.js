@@ -0,0 +1,249 @@
+// vim: set filetype=javascript:
+// requests.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const createRouter = require('./router.js');
+const { TwsError, isWarning } = require('./errors.js');
+
+module.exports = createRequests;
+module.exports.isWarning = isWarning;
+
+/**
+ * Pairs request helper names with the EClient call that starts them, the events that carry
+ * the response and the event (if any) that marks the response as complete.
+ * Entries without an end event resolve with the first data event received, and then send their cancel call (if any)
+ * to stop TWS sending updates.
+ * Entries with id:false do not take a request id and their events are not correlated.
+ */
+module.exports.requests = {
+    accountSummary: {
+        call: 'reqAccountSummary',
+        data: ['accountSummary'],
+        end: 'accountSummaryEnd',
+        cancel: 'cancelAccountSummary'
+    },
+    accountUpdatesMulti: {
+        call: 'reqAccountUpdatesMulti',
+        data: ['accountUpdateMulti'],
+        end: 'accountUpdateMultiEnd',
+        cancel: 'cancelAccountUpdatesMulti'
+    },
+    completedOrders: {
+        call: 'reqCompletedOrders',
+        id: false,
+        data: ['completedOrder'],
+        end: 'completedOrdersEnd'
+    },
+    contractDetails: {
+        call: 'reqContractDetails',
+        data: ['contractDetails', 'bondContractDetails'],
+        end: 'contractDetailsEnd'
+    },
+    currentTime: {
+        call: 'reqCurrentTime',
+        id: false,
+        data: ['currentTime']
+    },
+    executions: {
+        call: 'reqExecutions',
+        data: ['execDetails'],
+        end: 'execDetailsEnd'
+    },
+    familyCodes: {
+        call: 'reqFamilyCodes',
+        id: false,
+        data: ['familyCodes']
+    },
+    fundamentalData: {
+        call: 'reqFundamentalData',
+        data: ['fundamentalData'],
+        cancel: 'cancelFundamentalData'
+    },
+    headTimestamp: {
+        call: 'reqHeadTimestamp',
+        data: ['headTimestamp'],
+        cancel: 'cancelHeadTimestamp'
+    },
+    histogramData: {
+        call: 'reqHistogramData',
+        data: ['histogramData'],
+        cancel: 'cancelHistogramData'
+    },
+    historicalData: {
+        call: 'reqHistoricalData',
+        data: ['historicalData'],
+        end: 'historicalDataEnd',
+        cancel: 'cancelHistoricalData'
+    },
+    historicalNews: {
+        call: 'reqHistoricalNews',
+        data: ['historicalNews'],
+        end: 'historicalNewsEnd'
+    },
+    impliedVolatility: {
+        call: 'calculateImpliedVolatility',
+        data: ['tickOptionComputation'],
+        cancel: 'cancelCalculateImpliedVolatility'
+    },
+    managedAccounts: {
+        call: 'reqManagedAccts',
+        id: false,
+        data: ['managedAccounts']
+    },
+    matchingSymbols: {
+        call: 'reqMatchingSymbols',
+        data: ['symbolSamples']
+    },
+    mktDepthExchanges: {
+        call: 'reqMktDepthExchanges',
+        id: false,
+        data: ['mktDepthExchanges']
+    },
+    newsArticle: {
+        call: 'reqNewsArticle',
+        data: ['newsArticle']
+    },
+    newsProviders: {
+        call: 'reqNewsProviders',
+        id: false,
+        data: ['newsProviders']
+    },
+    openOrders: {
+        call: 'reqOpenOrders',
+        id: false,
+        data: ['openOrder'],
+        end: 'openOrderEnd'
+    },
+    optionPrice: {
+        call: 'calculateOptionPrice',
+        data: ['tickOptionComputation'],
+        cancel: 'cancelCalculateOptionPrice'
+    },
+    positions: {
+        call: 'reqPositions',
+        id: false,
+        data: ['position'],
+        end: 'positionEnd',
+        cancel: 'cancelPositions'
+    },
+    positionsMulti: {
+        call: 'reqPositionsMulti',
+        data: ['positionMulti'],
+        end: 'positionMultiEnd',
+        cancel: 'cancelPositionsMulti'
+    },
+    scannerParameters: {
+        call: 'reqScannerParameters',
+        id: false,
+        data: ['scannerParameters']
+    },
+    secDefOptParams: {
+        call: 'reqSecDefOptParams',
+        data: ['securityDefinitionOptionalParameter'],
+        end: 'securityDefinitionOptionalParameterEnd'
+    },
+    smartComponents: {
+        call: 'reqSmartComponents',
+        data: ['smartComponents']
+    },
+    softDollarTiers: {
+        call: 'reqSoftDollarTiers',
+        data: ['softDollarTiers']
+    }
+};
+
+/**
+ * Creates the request function for the client, with a helper method for every entry in the requests table.
+ * request(name, args, options) returns a promise of the response events for the request name, and is the way
+ * to give options, such as a timeout, as the helper methods pass all of their arguments to the request call.
+ */
+function createRequests(client, settings) {
+    const router = createRouter(client);
+    const table = {...module.exports.requests};
+    const default_timeout = settings && +settings.requestTimeout || 60000;
+    const request = async function(name, args, options) {
+        const entry = table[name];
+        if (!entry) throw Error(`Unknown request ${name}`);
+        const timeout = options && options.timeout != null ? +options.timeout : default_timeout;
+        const req_id = entry.id === false ? null : client.nextRequestId();
+        const params = entry.id === false ? [].concat(args || []) : [req_id].concat(args || []);
+        return new Promise((resolve, reject) => {
+            const records = [];
+            const cancel = () => client[entry.cancel](...(req_id == null ? [] : [req_id])).catch(err => {});
+            const cleanup = [];
+            const done = (err, result) => {
+                cleanup.forEach(fn => fn());
+                if (err) reject(err);
+                else resolve(result);
+            };
+            const listen = (event_name, listener) => {
+                if (entry.id === false) {
+                    client.on(event_name, listener);
+                    cleanup.push(() => client.removeListener(event_name, listener));
+                } else {
+                    cleanup.push(router.route(event_name, req_id, listener));
+                }
+            };
+            entry.data.forEach(event_name => listen(event_name, (...args) => {
+                const record = args.length == 1 ? args[0] : args;
+                if (entry.end) {
+                    records.push(record);
+                } else {
+                    done(null, record);
+                    if (entry.cancel) cancel();
+                }
+            }));
+            if (entry.end) {
+                listen(entry.end, () => done(null, records));
+            }
+            if (entry.id !== false) {
+                cleanup.push(router.route('error', req_id, (code, msg, advancedOrderRejectJson) => {
+                    if (!isWarning(code)) {
+                        done(new TwsError(req_id, code, msg, advancedOrderRejectJson));
+                    }
+                }));
+            }
+            const onexit = () => done(Error(`ib-tws-json has closed before ${name} completed`));
+            client.once('exit', onexit);
+            cleanup.push(() => client.removeListener('exit', onexit));
+            if (timeout) {
+                const timer = setTimeout(() => {
+                    done(Object.assign(Error(`${name} timed out after ${timeout}ms`), {reqId: req_id}));
+                    if (entry.cancel) cancel();
+                }, timeout);
+                cleanup.push(() => clearTimeout(timer));
+            }
+            if (typeof client[entry.call] != 'function') {
+                done(Error(`${entry.call} is not available in this TWS API`));
+            } else {
+                client[entry.call](...params).catch(done);
+            }
+        });
+    };
+    /**
+     * Adds or replaces an entry in the requests table of this client and creates its helper method
+     */
+    request.define = (name, entry) => {
+        table[name] = entry;
+        request[name] = (...args) => request(name, args);
+        return request;
+    };
+    request.table = table;
+    Object.keys(table).forEach(name => request.define(name, table[name]));
+    return request;
+}
@@ -0,0 +1,170 @@
+// vim: set filetype=javascript:
+// risk.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const { RiskRejectedError } = require('./errors.js');
+
+module.exports = createRisk;
+
+/**
+ * Creates the pre-trade risk checks for the client, which every placeOrder call must pass before it is sent.
+ * settings.risk may limit maxQuantity, maxNotional, maxPosition (a number, or by symbol with '*' for the rest),
+ * symbols and secTypes (allowlists), collar (the fraction a limit or stop price may be from the last known quote)
+ * and maxOrdersPerMinute. Each decision is emitted as an audit event.
+ */
+function createRisk(client, settings) {
+    const limits = settings && settings.risk || {};
+    const self = new EventEmitter();
+    const placed = []; // times of the orders placed in the last minute
+    let killed = null;
+    const audit = (decision, id, contract, order, rule, reason) => {
+        const record = {time: Date.now(), decision, orderId: id, contract, order};
+        self.emit('audit', rule ? Object.assign(record, {rule, reason}) : record);
+    };
+    /**
+     * The reason the kill switch is on, or null
+     */
+    Object.defineProperty(self, 'killed', {
+        get() {
+            return killed;
+        }
+    });
+    Object.assign(self, {
+        limits,
+        /**
+         * Resolves if the order passes every check, otherwise rejects with a RiskRejectedError
+         */
+        async check(id, contract, order) {
+            const rejection = self.evaluate(id, contract, order);
+            if (rejection) {
+                audit('rejected', id, contract, order, rejection.rule, rejection.message);
+                throw new RiskRejectedError(rejection.message, rejection.rule, id, contract, order);
+            }
+            placed.push(Date.now());
+            audit('accepted', id, contract, order);
+        },
+        /**
+         * The rule the order would break as {rule, message}, or null if it passes
+         */
+        evaluate(id, contract, order) {
+            const c = contract || {};
+            const o = order || {};
+            const quantity = Math.abs(+o.totalQuantity || 0);
+            const signed = o.action == 'BUY' ? quantity : -quantity;
+            if (killed) return {rule: 'killed', message: `Trading is stopped: ${killed}`};
+            if (limits.symbols && !~limits.symbols.indexOf(c.symbol)) {
+                return {rule: 'symbols', message: `${c.symbol} is not in the allowed symbols`};
+            }
+            if (limits.secTypes && !~limits.secTypes.indexOf(c.secType)) {
+                return {rule: 'secTypes', message: `${c.secType} is not in the allowed security types`};
+            }
+            if (limits.maxQuantity != null && quantity > +limits.maxQuantity) {
+                return {rule: 'maxQuantity', message: `Order quantity ${quantity} is over the limit of ${limits.maxQuantity}`};
+            }
+            const quote = client.quotes && client.quotes.get(c);
+            const reference = quote && (quote.last || (quote.bid && quote.ask ? (quote.bid + quote.ask) / 2 : null));
+            const price = orderPrice(o) || reference;
+            if (limits.maxNotional != null) {
+                if (!price) return {rule: 'maxNotional', message: `The notional of ${c.symbol} cannot be checked without a price or quote`};
+                const notional = quantity * price * (+c.multiplier || 1);
+                if (notional > +limits.maxNotional) {
+                    return {rule: 'maxNotional', message: `Order notional ${notional} is over the limit of ${limits.maxNotional}`};
+                }
+            }
+            if (limits.collar != null && reference) {
+                const off = prices(o).find(p => Math.abs(p - reference) > reference * +limits.collar);
+                if (off != null) {
+                    return {rule: 'collar', message: `Price ${off} is more than ${+limits.collar * 100}% from the last quote ${reference}`};
+                }
+            }
+            const max_position = limits.maxPosition == null || typeof limits.maxPosition != 'object' ? limits.maxPosition :
+                limits.maxPosition[c.symbol] != null ? limits.maxPosition[c.symbol] : limits.maxPosition['*'];
+            if (max_position != null) {
+                const account = o.account || (client.accounts && client.accounts.list().length == 1 ? client.accounts.list()[0] : null);
+                const position = exposure(client, account, c, id, signed);
+                if (Math.abs(position) > +max_position) {
+                    return {rule: 'maxPosition', message: `${c.symbol} position of ${position} would be over the limit of ${max_position}`};
+                }
+            }
+            if (limits.maxOrdersPerMinute != null) {
+                while (placed.length && placed[0] <= Date.now() - 60000) placed.shift();
+                if (placed.length >= +limits.maxOrdersPerMinute) {
+                    return {rule: 'maxOrdersPerMinute', message: `Over the limit of ${limits.maxOrdersPerMinute} orders per minute`};
+                }
+            }
+            return null;
+        },
+        /**
+         * Turns on the kill switch, which rejects every order until resume() and cancels all open orders
+         */
+        async kill(reason) {
+            killed = reason || 'kill switch';
+            audit('killed', null, null, null, 'killed', killed);
+            await client.reqGlobalCancel();
+        },
+        /**
+         * Turns off the kill switch
+         */
+        resume() {
+            killed = null;
+            audit('resumed', null, null, null);
+        }
+    });
+    return self;
+}
+
+/**
+ * The position of the account (or every account if null) in the contract once the signed quantity is filled,
+ * along with the remaining quantity of the other working orders for it in the same direction
+ */
+function exposure(client, account, contract, id, signed) {
+    const same = other => other && (contract.conid ? +other.conid == +contract.conid :
+        other.symbol == contract.symbol && other.secType == contract.secType);
+    const positions = client.accounts ? client.accounts.positions(account).filter(position => same(position.contract)) : [];
+    const position = positions.reduce((sum, position) => sum + (+position.position || 0), 0);
+    const working = client.orders ? client.orders.list().filter(handle => {
+        return handle.id != id && !handle.completed && same(handle.contract) &&
+            (handle.order.action == 'BUY') == (signed > 0) &&
+            (!account || !handle.order.account || handle.order.account == account);
+    }) : [];
+    const pending = working.reduce((sum, handle) => sum + handle.remaining, 0);
+    return position + signed + (signed > 0 ? pending : -pending);
+}
+
+/**
+ * The limit and stop prices of the order that are set, where the auxPrice of a trailing order is its amount
+ */
+function prices(order) {
+    const aux = /^TRAIL/.test(order.orderType || '') ? order.trailStopPrice : order.auxPrice;
+    return [order.lmtPrice, aux].filter(isPrice).map(price => +price);
+}
+
+/**
+ * The limit or stop price of the order, if set
+ */
+function orderPrice(order) {
+    return prices(order)[0] || null;
+}
+
+/**
+ * If the value is a price, rather than unset
+ */
+function isPrice(value) {
+    return value != null && value !== '' && isFinite(value) && +value > 0 && +value < Number.MAX_VALUE;
+}
@@ -0,0 +1,64 @@
+// vim: set filetype=javascript:
+// router.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = createRouter;
+
+/**
+ * Creates a router that dispatches client events to listeners by the request id in their first argument.
+ * Only one listener per event name is added to the client, regardless of how many requests are waiting.
+ */
+function createRouter(client) {
+    const routes = {};
+    return {
+        /**
+         * Calls listener with the remaining arguments of event_name events for req_id,
+         * returns a function that removes the route
+         */
+        route(event_name, req_id, listener) {
+            const route = routes[event_name] = routes[event_name] || createRoute(client, event_name, routes);
+            const key = +req_id;
+            const listeners = route.listeners.get(key) || [];
+            route.listeners.set(key, listeners.concat(listener));
+            return () => {
+                const remaining = (route.listeners.get(key) || []).filter(fn => fn != listener);
+                if (remaining.length) route.listeners.set(key, remaining);
+                else route.listeners.delete(key);
+                if (!route.listeners.size && routes[event_name] == route) {
+                    client.removeListener(event_name, route.dispatch);
+                    delete routes[event_name];
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Adds a single dispatching listener to the client for the given event_name
+ */
+function createRoute(client, event_name, routes) {
+    const route = {
+        listeners: new Map(),
+        dispatch(req_id, ...args) {
+            const listeners = route.listeners.get(+req_id);
+            if (listeners) listeners.forEach(listener => listener(...args));
+        }
+    };
+    client.on(event_name, route.dispatch);
+    return route;
+}
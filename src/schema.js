@@ -0,0 +1,411 @@
+// vim: set filetype=javascript:
+// schema.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert').strict;
+const { ValidationError } = require('./errors.js');
+const pkg = require('../package.json');
+const HOME = require('os').homedir();
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+const stat = util.promisify(fs.stat);
+
+module.exports = createSchema;
+module.exports.cacheKey = cacheKey;
+module.exports.readCache = readCache;
+module.exports.writeCache = writeCache;
+module.exports.fromRecorded = fromRecorded;
+module.exports.isIncorrectPrimitive = isIncorrectPrimitive;
+
+/**
+ * Where the collected schema is cached when settings.schemaCache is not given
+ */
+module.exports.defaultCacheFile = path.resolve(HOME, '.ib-tws-node', 'schema-cache.json');
+
+/**
+ * Creates the schema of actions, events, and types that is collected from help events
+ * and used to validate the parameters of actions before they are sent
+ */
+function createSchema() {
+    const items = {};
+    const typeItem = type_name => ({
+        type_name,
+        values: [],
+        object_properties: {},
+        object_values: {},
+        listeners: [],
+        requested: false,
+        complete: false
+    });
+    const self = {
+        items,
+        /**
+         * Updates the schema from a help event and returns the action item if an action was listed
+         */
+        help(method_or_type, name, type, default_value) {
+            if (type) {
+                const item = items[method_or_type];
+                if (item.object_properties) item.object_properties[name] = type;
+                if (item.object_values) item.object_values[name] = default_value;
+                if (item.param_names) item.param_names.push(name);
+                if (item.param_types) item.param_types.push(type);
+                const type_name = type.charAt(0) == '[' ? type.substring(1, type.length-1) : type;
+                if (!items[type_name]) items[type_name] = typeItem(type_name);
+            } else if (items[method_or_type] && items[method_or_type].event_type) {
+                const event_name = name;
+                if (!~items[method_or_type].values.indexOf(event_name)) items[method_or_type].values.push(event_name);
+                items[event_name] = items[event_name] || {
+                    event_name,
+                    interface_name: method_or_type,
+                    param_names: [],
+                    param_types: [],
+                    listeners: [],
+                    requested: false,
+                    complete: false
+                };
+            } else if (items[method_or_type] && items[method_or_type].action_type) {
+                const action_name = name;
+                if (!~items[method_or_type].values.indexOf(action_name)) items[method_or_type].values.push(action_name);
+                return items[action_name] = items[action_name] || {
+                    action_name,
+                    interface_name: method_or_type,
+                    param_names: [],
+                    param_types: [],
+                    listeners: [],
+                    requested: false,
+                    complete: false
+                };
+            } else if (method_or_type == "actions") {
+                items[name] = items[name] || {
+                    action_type: name,
+                    values: [],
+                    listeners: [],
+                    requested: false,
+                    complete: false
+                };
+            } else if (method_or_type == "events") {
+                items[name] = items[name] || {
+                    event_type: name,
+                    values: [],
+                    listeners: [],
+                    requested: false,
+                    complete: false
+                };
+            } else if (items[method_or_type]) {
+                items[method_or_type].values.push(name);
+            }
+        },
+        /**
+         * Marks the item as complete and notifies anyone waiting for it
+         */
+        helpEnd(method_or_type) {
+            const item = items[method_or_type];
+            if (method_or_type == null) {
+                // the end of the listing of actions and events
+                Object.values(items).filter(item => item.action_type || item.event_type).forEach(item => {
+                    item.complete = true;
+                });
+            } else if (item) {
+                item.complete = true;
+                while (item.listeners.length) {
+                    item.listeners.shift()();
+                }
+            }
+        },
+        /**
+         * Releases anyone waiting for help that will not come, such as when the shell has closed,
+         * and forgets the items that are incomplete
+         */
+        release() {
+            Object.keys(items).forEach(key => {
+                const item = items[key];
+                if (!item.complete) delete items[key];
+                while (item && !item.complete && item.listeners.length) {
+                    item.listeners.shift()();
+                }
+            });
+        },
+        /**
+         * Forgets the details of every action, event, and type, such as when the cached schema
+         * does not match the shell, so they are asked for again when next needed
+         */
+        invalidate() {
+            Object.keys(items).filter(key => !items[key].action_type && !items[key].event_type).forEach(key => {
+                Object.assign(items[key], {requested: false, complete: false});
+                ['values', 'param_names', 'param_types'].forEach(list => items[key][list] && items[key][list].splice(0));
+                ['object_properties', 'object_values'].forEach(map => items[key][map] && (items[key][map] = {}));
+            });
+        },
+        /**
+         * Forgets the names listed for each interface, so they can be listed again
+         */
+        unlist() {
+            Object.values(items).filter(item => item.action_type || item.event_type).forEach(item => item.values.splice(0));
+        },
+        /**
+         * Registers a type that has not been seen in a parameter yet, so its help can be requested
+         */
+        expect(name) {
+            const type_name = name.charAt(0) == '[' ? name.substring(1, name.length-1) : name;
+            if (!items[type_name]) items[type_name] = typeItem(type_name);
+            return items[type_name];
+        },
+        /**
+         * Checks and waits for the remote help info to be available for the given item,
+         * using request(name) to ask for it, or without waiting if request is null
+         */
+        async complete(name, request) {
+            const item_name = name.charAt(0) == '[' ? name.substring(1, name.length-1) : name;
+            const item = items[item_name];
+            if (item && !item.complete && request) {
+                await new Promise((ready, fail) => {
+                    if (item.complete) return ready();
+                    item.listeners.push(ready);
+                    if (!item.requested) {
+                        item.requested = true;
+                        request(item.action_name || item.event_name || item.type_name).catch(fail);
+                    }
+                });
+            }
+            return item;
+        },
+        /**
+         * Checks that param_value conforms the given schema param_type
+         */
+        async assertType(param_type, param_value, request) {
+            const type = await self.complete(param_type, request);
+            if (!type) {
+                return; // shell has already exited or the type is unknown
+            } else if (param_type.charAt(0) == '[') {
+                if (Array.isArray(param_value)) {
+                    return param_value.reduce(async(promise, value) => {
+                        await promise;
+                        await self.assertType(type.type_name, value, request);
+                    }, null);
+                } else if (param_value != null) {
+                    fail(`Expected ${param_value} to be an Array`);
+                }
+            } else if (type.values.length && !~type.values.indexOf(param_value)) {
+                fail(`Expected ${param_value} to be one of ${type.values.join(', ')}`);
+            } else if (param_value != null && typeof param_value == 'object' &&
+                    Object.keys(type.object_properties).length) {
+                const keys = Object.keys(type.object_properties);
+                await Promise.all(Object.keys(param_value).map(async(key) => {
+                    if (!~keys.indexOf(key)) {
+                        const correct_entries = Object.entries(param_value).filter(entry => ~keys.indexOf(entry[0]));
+                        const example = correct_entries.reduce((example, entry) => {
+                            example[entry[0]] = entry[1];
+                            return example;
+                        }, {...type.object_values});
+                        try {
+                            assert.deepEqual(param_value, example);
+                        } catch (err) {
+                            throw ValidationError.from(err);
+                        }
+                    } else {
+                        await self.assertType(type.object_properties[key], param_value[key], request);
+                    }
+                }));
+            } else if (param_value != null && Object.keys(type.object_properties).length) {
+                fail(`Expected ${param_value} to be an object`);
+            } else if (param_value != null && isIncorrectPrimitive(type, param_value)) {
+                fail(`Expected ${param_value} to be a(n) ${param_type}`);
+            }
+        },
+        /**
+         * Checks the number and types of the parameter values for the given action
+         */
+        async validate(action_name, param_values, request) {
+            const item = await self.complete(action_name, request);
+            if (!item || !item.action_name) {
+                if (!request) fail(`Unknown action ${action_name}`);
+                return; // shell has already exited
+            }
+            if (param_values.length != item.param_types.length) {
+                fail(`Incorrect parameters ${JSON.stringify(param_values)} for ${item.action_name}(${item.param_types.join(',')})`);
+            }
+            await Promise.all(item.param_types.map(async(param_type, i) => {
+                await self.assertType(param_type, param_values[i], request);
+            }));
+        },
+        /**
+         * Names of the available actions and events by their interface
+         */
+        interfaces() {
+            const interfaces = Object.values(items).filter(item => item.action_type || item.event_type);
+            return {
+                actions: interfaces.filter(item => item.action_type).reduce((actions, item) => {
+                    return Object.assign(actions, {[item.action_type]: item.values.slice(0)});
+                }, {}),
+                events: interfaces.filter(item => item.event_type).reduce((events, item) => {
+                    return Object.assign(events, {[item.event_type]: item.values.slice(0)});
+                }, {})
+            };
+        },
+        /**
+         * Copies the complete items, without their listeners, to be cached
+         */
+        serialize() {
+            return Object.keys(items).filter(key => items[key].complete || items[key].action_type || items[key].event_type)
+                .reduce((copy, key) => Object.assign(copy, {[key]: copyItem(items[key])}), {});
+        },
+        /**
+         * Adds the serialized items as complete items
+         */
+        load(serialized) {
+            Object.keys(serialized || {}).forEach(key => {
+                items[key] = Object.assign(copyItem(serialized[key]), {
+                    listeners: [],
+                    requested: false,
+                    complete: true
+                });
+            });
+            return Object.values(items).filter(item => item.action_name);
+        }
+    };
+    return self;
+}
+
+/**
+ * Copies the item, without its listeners or request state
+ */
+function copyItem(item) {
+    return Object.entries(item).reduce((copy, [key, value]) => {
+        if (~['listeners', 'requested', 'complete'].indexOf(key)) return copy;
+        return Object.assign(copy, {[key]: Array.isArray(value) ? value.slice(0) :
+            value && typeof value == 'object' ? {...value} : value});
+    }, {});
+}
+
+/**
+ * Checks that integers are integers, doubles are floats, booleans are booleans, and strings are strings
+ */
+function isIncorrectPrimitive(type, value) {
+    switch(type.type_name) {
+        case 'int':
+        case 'Integer':
+        case 'long':
+        case 'Long':
+            return Number.isNaN(Number.parseFloat(value)) || Number.isNaN(+value) || !Number.isInteger(+value);
+        case 'double':
+        case 'Double':
+            return Number.isNaN(Number.parseFloat(value)) || Number.isNaN(+value);
+        case 'boolean':
+        case 'Boolean':
+            return value && typeof value != 'boolean';
+        case 'String':
+            return value != null && typeof value == 'object';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Identifies the ib-tws-json jar and TwsApi.jar versions that the cached schema was collected from.
+ * The TwsApi.jar version is read from the API_VersionNum.txt of its install, or its size and date.
+ */
+async function cacheKey(settings) {
+    const url = pkg['binary-dependencies'] && pkg['binary-dependencies']['lib/ib-tws-json.jar'] || '';
+    const json_version = (url.match(/ib-tws-json-([^/]*)\.jar$/) || [])[1] || pkg.version;
+    const jar = settings && settings.twsApiJar;
+    if (!jar) return `ib-tws-json@${json_version} TwsApi@unknown`;
+    const api_version = await [1, 2, 3, 4].reduce(async(found, depth) => {
+        if (await found) return found;
+        const dir = path.resolve(jar, ...new Array(depth).fill('..'));
+        const txt = await readFile(path.resolve(dir, 'API_VersionNum.txt'), 'utf8').catch(err => '');
+        const m = txt.match(/API_Version\s*=\s*(\S+)/);
+        return m && m[1];
+    }, null) || await stat(jar).then(stats => `${stats.size}-${Math.floor(stats.mtimeMs)}`, err => 'unknown');
+    return `ib-tws-json@${json_version} TwsApi@${api_version}`;
+}
+
+/**
+ * Reads the serialized schema for the given key from the cache file, or null
+ */
+async function readCache(file, key) {
+    const json = await readFile(file, 'utf8').catch(err => null);
+    try {
+        const cache = json && JSON.parse(json);
+        return cache && cache[key] || null;
+    } catch (e) {
+        return null; // corrupt cache is ignored and replaced
+    }
+}
+
+/**
+ * Writes the serialized schema for the given key into the cache file, keeping other keys,
+ * or those that prune(cache) keeps, if given
+ */
+async function writeCache(file, key, serialized, prune) {
+    const json = await readFile(file, 'utf8').catch(err => null);
+    let cache = {};
+    try {
+        cache = json && JSON.parse(json) || {};
+    } catch (e) {
+        // corrupt cache is replaced
+    }
+    cache[key] = serialized;
+    await mkdir(path.dirname(file), {recursive: true});
+    await writeFile(file, JSON.stringify(prune ? prune(cache) : cache));
+}
+
+/**
+ * Converts a recorded schema, such as ib-tws-schema.json, to serialized items
+ */
+function fromRecorded(recorded) {
+    const schema = createSchema();
+    const lines = [];
+    Object.keys(recorded.actions).forEach(action_type => {
+        lines.push(['actions', action_type]);
+        Object.keys(recorded.actions[action_type]).forEach(name => {
+            lines.push([action_type, name]);
+            recorded.actions[action_type][name].forEach(([param, type]) => lines.push([name, param, type]));
+            lines.push([name]);
+        });
+    });
+    Object.keys(recorded.events).forEach(event_type => {
+        lines.push(['events', event_type]);
+        Object.keys(recorded.events[event_type]).forEach(name => {
+            lines.push([event_type, name]);
+            recorded.events[event_type][name].forEach(([param, type]) => lines.push([name, param, type]));
+            lines.push([name]);
+        });
+    });
+    Object.keys(recorded.types).forEach(type_name => {
+        schema.expect(type_name);
+        const type = recorded.types[type_name];
+        if (Array.isArray(type)) type.forEach(value => lines.push([type_name, value]));
+        else Object.entries(type).forEach(([name, [type, default_value]]) => lines.push([type_name, name, type, default_value]));
+        lines.push([type_name]);
+    });
+    lines.forEach(line => line.length == 1 ? schema.helpEnd(line[0]) : schema.help(...line));
+    // primitive types have no help of their own
+    Object.values(schema.items).filter(item => item.type_name).forEach(item => schema.helpEnd(item.type_name));
+    return schema.serialize();
+}
+
+/**
+ * Throws a ValidationError with the given message
+ */
+function fail(message) {
+    throw new ValidationError({message});
+}
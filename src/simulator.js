@@ -0,0 +1,346 @@
+// vim: set filetype=javascript:
+// simulator.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { contractKey } = require('./pacer.js');
+const { ticks } = require('./quotes.js');
+const { withDefaults } = require('./wire.js');
+
+module.exports = createSimulator;
+
+/**
+ * Order types the simulator can fill
+ */
+module.exports.orderTypes = ['MKT', 'LMT', 'STP', 'STP LMT', 'TRAIL', 'TRAIL LIMIT'];
+
+/**
+ * Account the fills are booked to, unless the order or settings.simulate give one, or TWS has sent managedAccounts
+ */
+module.exports.defaultAccount = 'DU0000000';
+
+/**
+ * Creates the paper-trading simulator of the client, which handles placeOrder, cancelOrder, reqGlobalCancel,
+ * reqOpenOrders, reqAllOpenOrders, reqCompletedOrders, reqPositions and reqExecutions locally instead of sending
+ * them to TWS. Working orders are filled against the bid, ask and last prices of the market data the client
+ * receives (or is given to price()), and the events TWS would send are passed to emit(name, args).
+ * settings.simulate may be true, or give the account, latency (milliseconds before each event is emitted),
+ * slippage (a price amount against the order, or a function of {contract, order, price, market} that returns the fill price)
+ * and commission (an amount per unit, or a function of {contract, order, execution} that returns the commission).
+ */
+function createSimulator(client, settings, emit) {
+    const options = settings && typeof settings.simulate == 'object' ? settings.simulate : {};
+    const latency = +options.latency || 0;
+    const markets = new Map(); // by contract key, the latest bid, ask and last
+    const tickers = new Map(); // contract of each tickerId of reqMktData
+    const orders = new Map();
+    const positions = new Map();
+    const executions = [];
+    const timers = new Set();
+    let client_id = 0;
+    let next_perm_id = 1;
+    let next_exec_id = 1;
+    const send = (name, ...args) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            emit(name, args);
+        }, latency);
+        timers.add(timer);
+    };
+    const reject = (id, code, msg) => send('error', id, code, msg, '');
+    const report = state => {
+        send('openOrder', state.id, state.contract, state.order, orderState(state));
+        send('orderStatus', state.id, state.status, String(state.filled), String(state.remaining), state.avgFillPrice,
+            state.permId, state.parentId, state.lastFillPrice, client_id, '', 0);
+    };
+    const working = () => Array.from(orders.values()).filter(state => state.status == 'Submitted' || state.status == 'PreSubmitted');
+    const cancel = state => {
+        Object.assign(state, {status: 'Cancelled'});
+        send('orderStatus', state.id, state.status, String(state.filled), String(state.remaining), state.avgFillPrice,
+            state.permId, state.parentId, state.lastFillPrice, client_id, '', 0);
+        // children of a cancelled parent are never activated
+        working().filter(child => child.parentId == state.id).forEach(cancel);
+    };
+    const fill = (state, price) => {
+        const { id, contract, order } = state;
+        const quantity = state.remaining;
+        const buy = order.action == 'BUY';
+        const account = order.account || options.account || client.accounts && client.accounts.list()[0] || module.exports.defaultAccount;
+        const exec_id = `0000${(next_exec_id++).toString(16).padStart(4, '0')}.${state.permId.toString(16)}.01.01`;
+        Object.assign(state, {
+            status: 'Filled',
+            filled: state.filled + quantity,
+            remaining: 0,
+            avgFillPrice: (state.avgFillPrice * state.filled + price * quantity) / (state.filled + quantity),
+            lastFillPrice: price
+        });
+        const execution = withDefaults('Execution', {
+            orderId: id,
+            execId: exec_id,
+            time: formatTime(new Date()),
+            acctNumber: account,
+            exchange: contract.exchange == 'SMART' && contract.primaryExch || contract.exchange,
+            side: buy ? 'BOT' : 'SLD',
+            shares: String(quantity),
+            price,
+            permId: state.permId,
+            clientId: client_id,
+            cumQty: String(state.filled),
+            avgPrice: state.avgFillPrice,
+            orderRef: order.orderRef || null
+        });
+        const commission = typeof options.commission == 'function' ? +options.commission({contract, order, execution}) :
+            (+options.commission || 0) * quantity;
+        state.commission = (state.commission || 0) + commission;
+        const position = book(positions, account, contract, buy ? quantity : -quantity, price, commission);
+        executions.push({contract, execution});
+        send('execDetails', -1, contract, execution);
+        report(state);
+        send('commissionReport', withDefaults('CommissionReport', {
+            execId: exec_id,
+            commission,
+            currency: contract.currency,
+            realizedPNL: position.realized
+        }));
+        send('position', account, contract, String(position.position), position.avgCost);
+        // the other orders of its OCA group, or the other exit of a bracket, are cancelled
+        working().filter(other => {
+            return order.ocaGroup && other.order.ocaGroup == order.ocaGroup || state.parentId && other.parentId == state.parentId;
+        }).forEach(cancel);
+        // the exit orders of a bracket start working once its parent is filled
+        working().filter(other => other.parentId == id).forEach(other => {
+            other.status = 'Submitted';
+            report(other);
+            match(other);
+        });
+    };
+    const match = state => {
+        const market = markets.get(state.key);
+        if (!market || state.status != 'Submitted') return;
+        const price = execute(state, market);
+        if (price == null) return;
+        const slipped = typeof options.slippage == 'function' ? +options.slippage({
+            contract: state.contract, order: state.order, price, market: {...market}
+        }) : state.order.action == 'BUY' ? price + (+options.slippage || 0) : price - (+options.slippage || 0);
+        const limit = state.limit;
+        fill(state, limit == null ? slipped : state.order.action == 'BUY' ? Math.min(slipped, limit) : Math.max(slipped, limit));
+    };
+    client.on('tickPrice', (tickerId, tickType, price) => {
+        const contract = tickers.get(+tickerId) || client.quotes && client.quotes.contract(tickerId);
+        const field = ticks[tickType];
+        if (contract && ~['bid', 'ask', 'last'].indexOf(field) && +price > 0) self.price(contract, {[field]: +price});
+    }).on('exit', () => {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+    });
+    const handlers = {
+        placeOrder(id, contract, order) {
+            const existing = orders.get(+id);
+            if (existing && existing.status != 'Submitted' && existing.status != 'PreSubmitted') {
+                return reject(id, 104, `Can't modify a ${existing.status.toLowerCase()} order.`);
+            } else if (!~module.exports.orderTypes.indexOf(order.orderType)) {
+                return reject(id, 201, `Order rejected - reason:The simulator does not support ${order.orderType} orders`);
+            } else if (!(+order.totalQuantity > 0)) {
+                return reject(id, 201, 'Order rejected - reason:The order quantity must be positive');
+            }
+            const perm_id = existing ? existing.permId : next_perm_id++;
+            const parent = isSet(order.parentId) && +order.parentId ? orders.get(+order.parentId) : null;
+            const state = Object.assign(existing || {
+                id: +id,
+                filled: 0,
+                avgFillPrice: 0,
+                lastFillPrice: 0,
+                commission: null
+            }, {
+                key: JSON.stringify(contractKey(contract)),
+                contract: withDefaults('Contract', contract),
+                order: withDefaults('Order', {...order, orderId: +id, permId: perm_id, clientId: client_id}),
+                permId: perm_id,
+                parentId: parent ? parent.id : 0,
+                status: parent && parent.status != 'Filled' ? 'PreSubmitted' : 'Submitted',
+                remaining: +order.totalQuantity - (existing ? existing.filled : 0),
+                triggered: false,
+                stop: null,
+                limit: null
+            });
+            orders.set(+id, state);
+            report(state);
+            match(state);
+        },
+        cancelOrder(id) {
+            const state = orders.get(+id);
+            if (!state) return reject(id, 10147, `OrderId ${id} that needs to be cancelled is not found.`);
+            if (state.status != 'Submitted' && state.status != 'PreSubmitted') {
+                return reject(id, 10148, `OrderId ${id} that needs to be cancelled cannot be cancelled, state: ${state.status}.`);
+            }
+            cancel(state);
+        },
+        reqGlobalCancel() {
+            working().forEach(cancel);
+        },
+        reqOpenOrders() {
+            working().forEach(report);
+            send('openOrderEnd');
+        },
+        reqAllOpenOrders() {
+            handlers.reqOpenOrders();
+        },
+        reqAutoOpenOrders(bAutoBind) {},
+        reqCompletedOrders(apiOnly) {
+            Array.from(orders.values()).filter(state => state.status == 'Filled' || state.status == 'Cancelled').forEach(state => {
+                send('completedOrder', state.contract, state.order, orderState(state));
+            });
+            send('completedOrdersEnd');
+        },
+        reqPositions() {
+            Array.from(positions.values()).forEach(position => {
+                send('position', position.account, position.contract, String(position.position), position.avgCost);
+            });
+            send('positionEnd');
+        },
+        cancelPositions() {},
+        reqExecutions(reqId, filter) {
+            const f = filter || {};
+            executions.filter(({contract, execution}) => {
+                return (!f.acctCode || f.acctCode == execution.acctNumber) && (!f.symbol || f.symbol == contract.symbol) &&
+                    (!f.secType || f.secType == contract.secType) && (!f.side || f.side == (execution.side == 'BOT' ? 'BUY' : 'SELL'));
+            }).forEach(({contract, execution}) => send('execDetails', reqId, contract, execution));
+            send('execDetailsEnd', reqId);
+        }
+    };
+    const self = {
+        /**
+         * Handles the order calls locally, and follows the market data requests to know the contract of each tick
+         */
+        call(ctx, next) {
+            if (ctx.name == 'eConnect') client_id = +ctx.args[0] || 0;
+            if (ctx.name == 'reqMktData') tickers.set(+ctx.args[0], ctx.args[1]);
+            if (ctx.name == 'cancelMktData') tickers.delete(+ctx.args[0]);
+            if (!handlers[ctx.name]) return next();
+            handlers[ctx.name](...ctx.args);
+        },
+        /**
+         * Updates the bid, ask and/or last price of the contract and fills the working orders that it reaches
+         */
+        price(contract, prices) {
+            const key = JSON.stringify(contractKey(contract));
+            markets.set(key, Object.assign(markets.get(key) || {bid: null, ask: null, last: null}, prices));
+            working().filter(state => state.key == key).forEach(match);
+        },
+        /**
+         * The simulated orders, both working and done
+         */
+        orders() {
+            return Array.from(orders.values()).map(state => ({
+                id: state.id,
+                contract: state.contract,
+                order: state.order,
+                status: state.status,
+                filled: state.filled,
+                remaining: state.remaining,
+                avgFillPrice: state.avgFillPrice
+            }));
+        },
+        /**
+         * The simulated positions of each account
+         */
+        positions() {
+            return Array.from(positions.values()).map(({account, contract, position, avgCost}) => ({account, contract, position, avgCost}));
+        }
+    };
+    return self;
+}
+
+/**
+ * The price the working order would be filled at in the market, or null if it would not be filled yet.
+ * Stop orders are triggered by the last price (or the bid or ask if there is no last price),
+ * and trailing orders move their stop price as the market moves in their favour.
+ */
+function execute(state, market) {
+    const order = state.order;
+    const type = order.orderType;
+    const buy = order.action == 'BUY';
+    const quote = buy ? market.ask : market.bid;
+    const touch = market.last != null ? market.last : quote;
+    const available = quote != null ? quote : market.last;
+    if (touch == null || available == null) return null;
+    if (/^TRAIL/.test(type)) {
+        const trail = isSet(order.trailingPercent) ? touch * order.trailingPercent / 100 : +order.auxPrice;
+        const stop = buy ? touch + trail : touch - trail;
+        if (state.stop == null) state.stop = isSet(order.trailStopPrice) ? +order.trailStopPrice : stop;
+        else state.stop = buy ? Math.min(state.stop, stop) : Math.max(state.stop, stop);
+    }
+    if (!state.triggered) {
+        const stop = /^TRAIL/.test(type) ? state.stop : /^STP/.test(type) ? +order.auxPrice : null;
+        if (stop != null && (buy ? touch < stop : touch > stop)) return null;
+        state.triggered = true;
+        if (type == 'LMT' || type == 'STP LMT') state.limit = +order.lmtPrice;
+        else if (type == 'TRAIL LIMIT') state.limit = !isSet(order.lmtPriceOffset) ? +order.lmtPrice :
+            buy ? stop + +order.lmtPriceOffset : stop - +order.lmtPriceOffset;
+    }
+    if (state.limit != null && (buy ? available > state.limit : available < state.limit)) return null;
+    return available;
+}
+
+/**
+ * Adds the signed quantity at the price to the position of the account in the contract, and returns the position
+ * with the profit realized by any of it that was closed, or the unset double if none was closed, as TWS reports it
+ */
+function book(positions, account, contract, quantity, price, commission) {
+    const key = `${account} ${JSON.stringify(contractKey(contract))}`;
+    const multiplier = +contract.multiplier || 1;
+    const current = positions.get(key) || {account, contract, position: 0, avgCost: 0};
+    const closed = current.position && Math.sign(current.position) != Math.sign(quantity) ?
+        Math.min(Math.abs(quantity), Math.abs(current.position)) : 0;
+    const opened = Math.abs(quantity) - closed;
+    const position = current.position + quantity;
+    const realized = closed ? (price * multiplier - current.avgCost) * closed * Math.sign(current.position) -
+        commission * closed / Math.abs(quantity) : Number.MAX_VALUE;
+    const kept = closed ? 0 : Math.abs(current.position);
+    const avgCost = !position ? 0 : !opened ? current.avgCost :
+        (kept * current.avgCost + opened * (price * multiplier + Math.sign(quantity) * commission / Math.abs(quantity))) / Math.abs(position);
+    const updated = {account, contract, position, avgCost, realized};
+    positions.set(key, updated);
+    return updated;
+}
+
+/**
+ * The OrderState of the simulated order, as sent with openOrder
+ */
+function orderState(state) {
+    return withDefaults('OrderState', {
+        status: state.status,
+        commission: state.commission != null ? state.commission : undefined,
+        commissionCurrency: state.commission != null ? state.contract.currency : undefined
+    });
+}
+
+/**
+ * If the number is set, rather than empty or the unset double
+ */
+function isSet(value) {
+    return value != null && value !== '' && isFinite(value) && +value < Number.MAX_VALUE;
+}
+
+/**
+ * The time of an execution, in the yyyyMMdd  HH:mm:ss format TWS uses
+ */
+function formatTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}  ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
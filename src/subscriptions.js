@@ -0,0 +1,230 @@
+// vim: set filetype=javascript:
+// subscriptions.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { Readable } = require('stream');
+const createRouter = require('./router.js');
+const { TwsError, isWarning } = require('./errors.js');
+
+module.exports = createSubscriptions;
+
+/**
+ * Pairs subscription helper names with the EClient call that starts them, the events they produce
+ * and the call that cancels them. A cancel function is given the request id and the subscription
+ * arguments and returns the cancel call name and its parameters.
+ * Entries with id:false do not take a request id and use params to create the call parameters.
+ */
+module.exports.subscriptions = {
+    accountSummary: {
+        call: 'reqAccountSummary',
+        data: ['accountSummary', 'accountSummaryEnd'],
+        cancel: 'cancelAccountSummary'
+    },
+    accountUpdates: {
+        call: 'reqAccountUpdates',
+        id: false,
+        params: args => [true].concat(args),
+        data: ['updateAccountValue', 'updatePortfolio', 'updateAccountTime', 'accountDownloadEnd'],
+        cancel: (req_id, args) => ['reqAccountUpdates', [false].concat(args)]
+    },
+    accountUpdatesMulti: {
+        call: 'reqAccountUpdatesMulti',
+        data: ['accountUpdateMulti', 'accountUpdateMultiEnd'],
+        cancel: 'cancelAccountUpdatesMulti'
+    },
+    historicalData: {
+        call: 'reqHistoricalData',
+        data: ['historicalData', 'historicalDataEnd', 'historicalDataUpdate'],
+        cancel: 'cancelHistoricalData'
+    },
+    mktData: {
+        call: 'reqMktData',
+        data: [
+            'tickPrice', 'tickSize', 'tickString', 'tickGeneric', 'tickOptionComputation', 'tickEFP',
+            'tickReqParams', 'tickSnapshotEnd', 'tickNews', 'marketDataType'
+        ],
+        cancel: 'cancelMktData'
+    },
+    mktDepth: {
+        call: 'reqMktDepth',
+        data: ['updateMktDepth', 'updateMktDepthL2'],
+        cancel: (req_id, args) => ['cancelMktDepth', [req_id, args[2]]]
+    },
+    newsBulletins: {
+        call: 'reqNewsBulletins',
+        id: false,
+        data: ['updateNewsBulletin'],
+        cancel: 'cancelNewsBulletins'
+    },
+    pnl: {
+        call: 'reqPnL',
+        data: ['pnl'],
+        cancel: 'cancelPnL'
+    },
+    pnlSingle: {
+        call: 'reqPnLSingle',
+        data: ['pnlSingle'],
+        cancel: 'cancelPnLSingle'
+    },
+    positions: {
+        call: 'reqPositions',
+        id: false,
+        data: ['position', 'positionEnd'],
+        cancel: 'cancelPositions'
+    },
+    positionsMulti: {
+        call: 'reqPositionsMulti',
+        data: ['positionMulti', 'positionMultiEnd'],
+        cancel: 'cancelPositionsMulti'
+    },
+    realTimeBars: {
+        call: 'reqRealTimeBars',
+        data: ['realtimeBar'],
+        cancel: 'cancelRealTimeBars'
+    },
+    scannerSubscription: {
+        call: 'reqScannerSubscription',
+        data: ['scannerData', 'scannerDataEnd'],
+        cancel: 'cancelScannerSubscription'
+    },
+    tickByTickData: {
+        call: 'reqTickByTickData',
+        data: ['tickByTickAllLast', 'tickByTickBidAsk', 'tickByTickMidPoint'],
+        cancel: 'cancelTickByTickData'
+    }
+};
+
+/**
+ * Creates the subscribe function for the client, with a helper method for every entry in the subscriptions table.
+ * subscribe(name, args, options) returns an object mode Readable of {event, args} for the subscription.
+ * Options include signal, highWaterMark (default 1000) and overflow ('latest' or 'drop').
+ */
+function createSubscriptions(client, settings) {
+    const router = createRouter(client);
+    const table = {...module.exports.subscriptions};
+    const subscribe = function(name, args, options) {
+        const entry = table[name];
+        if (!entry) throw Error(`Unknown subscription ${name}`);
+        const opts = options || {};
+        const high_water_mark = opts.highWaterMark != null ? +opts.highWaterMark :
+            settings && settings.highWaterMark != null ? +settings.highWaterMark : 1000;
+        const overflow = opts.overflow || settings && settings.overflow || 'latest';
+        const req_id = entry.id === false ? null : client.nextRequestId();
+        const call_args = [].concat(args || []);
+        const params = entry.id === false ? entry.params ? entry.params(call_args) : call_args :
+            [req_id].concat(call_args);
+        const queue = [];
+        const cleanup = [];
+        let reading = false;
+        let cancelled = false;
+        const cancel = () => {
+            cleanup.splice(0).forEach(fn => fn());
+            if (cancelled) return;
+            cancelled = true;
+            const [cancel_name, cancel_params] = typeof entry.cancel == 'function' ?
+                entry.cancel(req_id, call_args) : [entry.cancel, req_id == null ? [] : [req_id]];
+            if (cancel_name && typeof client[cancel_name] == 'function') {
+                client[cancel_name](...cancel_params).catch(err => {});
+            }
+        };
+        const stream = new Readable({
+            objectMode: true,
+            highWaterMark: 1,
+            read() {
+                while (queue.length) {
+                    if (!stream.push(queue.shift())) return;
+                }
+                reading = true;
+            },
+            destroy(err, callback) {
+                cancel();
+                callback(err);
+            }
+        });
+        const enqueue = record => {
+            if (reading && !queue.length) {
+                reading = stream.push(record);
+            } else {
+                queue.push(record);
+                if (queue.length > high_water_mark) {
+                    if (overflow == 'drop') queue.pop();
+                    else queue.shift();
+                    stream.dropped++;
+                }
+            }
+        };
+        const listen = (event_name, listener) => {
+            if (entry.id === false) {
+                client.on(event_name, listener);
+                cleanup.push(() => client.removeListener(event_name, listener));
+            } else {
+                cleanup.push(router.route(event_name, req_id, listener));
+            }
+        };
+        entry.data.forEach(event_name => listen(event_name, (...args) => enqueue({event: event_name, args})));
+        if (entry.id !== false) {
+            listen('error', (code, msg, advancedOrderRejectJson) => {
+                if (!isWarning(code)) {
+                    stream.destroy(new TwsError(req_id, code, msg, advancedOrderRejectJson));
+                }
+            });
+        }
+        const onexit = () => stream.destroy(Error(`ib-tws-json has closed during ${name} subscription`));
+        client.once('exit', onexit);
+        cleanup.push(() => client.removeListener('exit', onexit));
+        if (opts.signal) {
+            const onabort = () => stream.close();
+            if (opts.signal.aborted) process.nextTick(onabort);
+            else opts.signal.addEventListener('abort', onabort, {once: true});
+            cleanup.push(() => opts.signal.removeEventListener('abort', onabort));
+        }
+        Object.assign(stream, {
+            reqId: req_id,
+            dropped: 0,
+            /**
+             * Cancels the subscription and ends the stream
+             */
+            close() {
+                cancel();
+                queue.splice(0);
+                if (!stream.destroyed && !stream.readableEnded) stream.push(null);
+                return stream;
+            }
+        });
+        if (typeof client[entry.call] != 'function') {
+            process.nextTick(() => stream.destroy(Error(`${entry.call} is not available in this TWS API`)));
+        } else {
+            client[entry.call](...params).catch(err => {
+                cancelled = true;
+                stream.destroy(err);
+            });
+        }
+        return stream;
+    };
+    /**
+     * Adds or replaces an entry in the subscriptions table of this client and creates its helper method
+     */
+    subscribe.define = (name, entry) => {
+        table[name] = entry;
+        subscribe[name] = (...args) => subscribe(name, args);
+        return subscribe;
+    };
+    subscribe.table = table;
+    Object.keys(table).forEach(name => subscribe.define(name, table[name]));
+    return subscribe;
+}
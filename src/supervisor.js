@@ -0,0 +1,211 @@
+// vim: set filetype=javascript:
+// supervisor.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { TwsError } = require('./errors.js');
+
+module.exports = createSupervisor;
+
+/**
+ * Calls that start or end a subscription that TWS forgets when the connection is lost.
+ * Each function is given the call arguments and records the subscription to replay
+ * with active.set(key, args) or removes it with active.delete(key).
+ */
+module.exports.replays = {
+    reqMktData: (args, active) => args[3] ? null : active.set(`mktData:${args[0]}`, args),
+    cancelMktData: (args, active) => active.delete(`mktData:${args[0]}`),
+    reqMktDepth: (args, active) => active.set(`mktDepth:${args[0]}`, args),
+    cancelMktDepth: (args, active) => active.delete(`mktDepth:${args[0]}`),
+    reqRealTimeBars: (args, active) => active.set(`realTimeBars:${args[0]}`, args),
+    cancelRealTimeBars: (args, active) => active.delete(`realTimeBars:${args[0]}`),
+    reqTickByTickData: (args, active) => active.set(`tickByTickData:${args[0]}`, args),
+    cancelTickByTickData: (args, active) => active.delete(`tickByTickData:${args[0]}`),
+    reqPnL: (args, active) => active.set(`pnl:${args[0]}`, args),
+    cancelPnL: (args, active) => active.delete(`pnl:${args[0]}`),
+    reqPnLSingle: (args, active) => active.set(`pnlSingle:${args[0]}`, args),
+    cancelPnLSingle: (args, active) => active.delete(`pnlSingle:${args[0]}`),
+    reqAccountSummary: (args, active) => active.set(`accountSummary:${args[0]}`, args),
+    cancelAccountSummary: (args, active) => active.delete(`accountSummary:${args[0]}`),
+    reqAccountUpdatesMulti: (args, active) => active.set(`accountUpdatesMulti:${args[0]}`, args),
+    cancelAccountUpdatesMulti: (args, active) => active.delete(`accountUpdatesMulti:${args[0]}`),
+    reqPositionsMulti: (args, active) => active.set(`positionsMulti:${args[0]}`, args),
+    cancelPositionsMulti: (args, active) => active.delete(`positionsMulti:${args[0]}`),
+    reqScannerSubscription: (args, active) => active.set(`scannerSubscription:${args[0]}`, args),
+    cancelScannerSubscription: (args, active) => active.delete(`scannerSubscription:${args[0]}`),
+    reqAccountUpdates: (args, active) => args[0] ? active.set('accountUpdates', args) : active.delete('accountUpdates'),
+    reqPositions: (args, active) => active.set('positions', args),
+    cancelPositions: (args, active) => active.delete('positions'),
+    reqNewsBulletins: (args, active) => active.set('newsBulletins', args),
+    cancelNewsBulletins: (args, active) => active.delete('newsBulletins'),
+    reqMarketDataType: (args, active) => active.set('marketDataType', args)
+};
+
+/**
+ * Creates a supervisor that reconnects the client when ib-tws-json closes or TWS disconnects.
+ * The shell parameter provides open() to create a new shell and wait for its help schema,
+ * finished() to check if the current shell has closed, send(name, args), and destroy().
+ */
+function createSupervisor(client, settings, shell) {
+    const initial_delay = +settings['reconnectDelay'] || 1000;
+    const max_delay = +settings['reconnectMaxDelay'] || 60000;
+    const max_attempts = +settings['reconnectAttempts'] || Infinity;
+    const timeout = +settings['reconnectTimeout'] || 30000;
+    const policy = settings['offlinePolicy'] || 'queue';
+    const replays = module.exports.replays;
+    const active = new Map();
+    const queue = [];
+    let connect_args = null;
+    let connected = false;
+    let connecting = null;
+    let started = false;
+    let stopping = false;
+    let reconnecting = false;
+    const replay = async() => {
+        for (const [key, entry] of Array.from(active.entries())) {
+            await shell.send(entry.name, entry.args);
+        }
+    };
+    const econnect = () => new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timer);
+            client.removeListener('nextValidId', onid);
+            connecting = null;
+        };
+        const onid = () => {
+            cleanup();
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(Error(`Timed out waiting for nextValidId after eConnect`));
+        }, timeout);
+        connecting = err => {
+            cleanup();
+            reject(err);
+        };
+        client.once('nextValidId', onid);
+        shell.send('eConnect', connect_args).catch(connecting);
+    });
+    const run = async(reason) => {
+        reconnecting = true;
+        connected = false;
+        client.emit('disconnected', reason);
+        let last_error = null;
+        for (let attempt = 1; attempt <= max_attempts && !stopping; attempt++) {
+            const delay = Math.min(max_delay, initial_delay * Math.pow(2, attempt - 1));
+            client.emit('reconnecting', attempt, delay, last_error);
+            await new Promise(cont => setTimeout(cont, delay));
+            if (stopping) break;
+            try {
+                if (shell.finished()) await shell.open();
+                if (connect_args) await econnect();
+                await replay();
+                reconnecting = false;
+                client.emit('reconnected', reason);
+                queue.splice(0).forEach(waiting => waiting.resolve());
+                return;
+            } catch(err) {
+                last_error = err;
+            }
+        }
+        reconnecting = false;
+        stopping = true;
+        const err = Error(`ib-tws-json could not reconnect after ${reason}`);
+        queue.splice(0).forEach(waiting => waiting.reject(err));
+        if (shell.finished()) client.emit('exit');
+        else shell.destroy();
+    };
+    const reconnect = reason => {
+        if (!started || stopping) return false;
+        if (!reconnecting) run(reason);
+        return true;
+    };
+    return {
+        /**
+         * Starts supervising once the client is ready
+         */
+        start() {
+            started = true;
+        },
+        /**
+         * Stops any reconnecting, such as when the client is killed
+         */
+        stop() {
+            stopping = true;
+            const err = Error('ib-tws-json has been stopped');
+            queue.splice(0).forEach(waiting => waiting.reject(err));
+        },
+        /**
+         * Called when the shell has closed, returns true if the client will reconnect
+         */
+        closed() {
+            return reconnect('close');
+        },
+        /**
+         * Resolves when the given action can be sent, rejects if offline and the policy is to reject
+         */
+        async ready(action_name) {
+            if (!reconnecting || action_name == 'exit') return;
+            if (policy == 'reject') throw Error(`ib-tws-json is reconnecting and cannot call ${action_name}`);
+            await new Promise((resolve, reject) => queue.push({resolve, reject}));
+        },
+        /**
+         * Remembers the calls that need to be sent again after reconnecting
+         */
+        track(action_name, args) {
+            if (action_name == 'exit') {
+                stopping = true;
+            } else if (action_name == 'eConnect') {
+                connect_args = args;
+            } else if (action_name == 'eDisconnect') {
+                connect_args = null;
+                connected = false;
+                active.clear();
+            } else if (replays[action_name]) {
+                replays[action_name](args, {
+                    set: (key, args) => active.set(key, {name: action_name, args}),
+                    delete: key => active.delete(key)
+                });
+            }
+        },
+        /**
+         * Checks events from the shell for TWS connectivity changes
+         */
+        received(event_name, args) {
+            if (event_name == 'connectAck') {
+                connected = true;
+            } else if (event_name == 'connectionClosed') {
+                if (connected && connect_args) reconnect('connectionClosed');
+            } else if (event_name == 'error' && args.length > 2 && isFinite(args[1])) {
+                const code = +args[1];
+                if (connecting && (code == 502 || code == 504)) {
+                    connecting(TwsError.from(args));
+                } else if (code == 504 && connected && connect_args) {
+                    reconnect('notConnected');
+                } else if (code == 1100) {
+                    client.emit('disconnected', 'connectivity');
+                } else if (code == 1101) {
+                    // connectivity restored but data lost
+                    replay().then(() => client.emit('reconnected', 'connectivity'), err => client.emit('error', err));
+                } else if (code == 1102) {
+                    client.emit('reconnected', 'connectivity');
+                }
+            }
+        }
+    };
+}
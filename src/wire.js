@@ -0,0 +1,683 @@
+// vim: set filetype=javascript:
+// wire.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const recorded_schema = require('./ib-tws-schema.json');
+
+module.exports.frame = frame;
+module.exports.handshake = handshake;
+module.exports.createFrameReader = createFrameReader;
+module.exports.createFieldReader = createFieldReader;
+module.exports.withDefaults = withDefaults;
+
+/**
+ * The server version spoken, TWS 10.19 or later is needed
+ */
+module.exports.version = 166;
+
+/**
+ * Largest values that TWS treats as not set
+ */
+const UNSET_INTEGER = 2147483647;
+const UNSET_DOUBLE = Number.MAX_VALUE;
+
+/**
+ * Message ids sent to TWS
+ */
+const OUT = module.exports.outgoing = {
+    REQ_MKT_DATA: 1,
+    CANCEL_MKT_DATA: 2,
+    PLACE_ORDER: 3,
+    CANCEL_ORDER: 4,
+    REQ_OPEN_ORDERS: 5,
+    REQ_ACCT_DATA: 6,
+    REQ_EXECUTIONS: 7,
+    REQ_IDS: 8,
+    REQ_CONTRACT_DATA: 9,
+    REQ_AUTO_OPEN_ORDERS: 15,
+    REQ_ALL_OPEN_ORDERS: 16,
+    REQ_MANAGED_ACCTS: 17,
+    REQ_HISTORICAL_DATA: 20,
+    CANCEL_HISTORICAL_DATA: 25,
+    REQ_CURRENT_TIME: 49,
+    REQ_GLOBAL_CANCEL: 58,
+    REQ_MARKET_DATA_TYPE: 59,
+    REQ_POSITIONS: 61,
+    REQ_ACCOUNT_SUMMARY: 62,
+    CANCEL_ACCOUNT_SUMMARY: 63,
+    CANCEL_POSITIONS: 64,
+    START_API: 71,
+    REQ_HEAD_TIMESTAMP: 87,
+    CANCEL_HEAD_TIMESTAMP: 90,
+    REQ_PNL: 92,
+    CANCEL_PNL: 93,
+    REQ_PNL_SINGLE: 94,
+    CANCEL_PNL_SINGLE: 95
+};
+
+/**
+ * Message ids received from TWS
+ */
+const IN = module.exports.incoming = {
+    TICK_PRICE: 1,
+    TICK_SIZE: 2,
+    ORDER_STATUS: 3,
+    ERR_MSG: 4,
+    OPEN_ORDER: 5,
+    ACCT_VALUE: 6,
+    PORTFOLIO_VALUE: 7,
+    ACCT_UPDATE_TIME: 8,
+    NEXT_VALID_ID: 9,
+    CONTRACT_DATA: 10,
+    EXECUTION_DATA: 11,
+    MANAGED_ACCTS: 15,
+    HISTORICAL_DATA: 17,
+    TICK_OPTION_COMPUTATION: 21,
+    TICK_GENERIC: 45,
+    TICK_STRING: 46,
+    CURRENT_TIME: 49,
+    CONTRACT_DATA_END: 52,
+    OPEN_ORDER_END: 53,
+    ACCT_DOWNLOAD_END: 54,
+    EXECUTION_DATA_END: 55,
+    TICK_SNAPSHOT_END: 57,
+    MARKET_DATA_TYPE: 58,
+    COMMISSION_REPORT: 59,
+    POSITION_DATA: 61,
+    POSITION_END: 62,
+    ACCOUNT_SUMMARY: 63,
+    ACCOUNT_SUMMARY_END: 64,
+    TICK_REQ_PARAMS: 81,
+    HEAD_TIMESTAMP: 88,
+    HISTORICAL_DATA_UPDATE: 90,
+    PNL: 94,
+    PNL_SINGLE: 95,
+    ORDER_BOUND: 100
+};
+
+/**
+ * Wire values of the enum names used by the Java client, where they differ
+ */
+module.exports.enums = {
+    SecType: {None: ''},
+    SecIdType: {None: ''},
+    Right: {None: '', Put: 'P', Call: 'C'},
+    Method: {None: ''},
+    OrderType: {None: ''},
+    HedgeType: {None: '', Delta: 'D', Beta: 'B', Fx: 'F', Pair: 'P'},
+    Rule80A: {
+        None: '', IndivArb: 'J', IndivBigNonArb: 'K', IndivSmallNonArb: 'I',
+        INST_ARB: 'U', INST_BIG_NONARB: 'Y', INST_SMALL_NONARB: 'A'
+    }
+};
+
+/**
+ * Order condition types by their wire value
+ */
+module.exports.conditions = {1: 'Price', 3: 'Time', 4: 'Margin', 5: 'Execution', 6: 'Volume', 7: 'PercentChange'};
+
+/**
+ * The fields of the EClient calls that can be sent, by action name
+ */
+module.exports.encoders = {
+    startAPI: (clientId, optionalCapabilities) => [OUT.START_API, 2, clientId, optionalCapabilities || ''],
+    reqCurrentTime: () => [OUT.REQ_CURRENT_TIME, 1],
+    reqIds: numIds => [OUT.REQ_IDS, 1, numIds],
+    reqManagedAccts: () => [OUT.REQ_MANAGED_ACCTS, 1],
+    reqMarketDataType: marketDataType => [OUT.REQ_MARKET_DATA_TYPE, 1, marketDataType],
+    reqMktData(tickerId, contract, genericTickList, snapshot, regulatorySnapshot, mktDataOptions) {
+        const c = withDefaults('Contract', contract);
+        return [OUT.REQ_MKT_DATA, 11, tickerId, c.conid, c.symbol, enumValue('SecType', c.secType),
+            c.lastTradeDateOrContractMonth, c.strike, enumValue('Right', c.right), c.multiplier, c.exchange,
+            c.primaryExch, c.currency, c.localSymbol, c.tradingClass
+        ].concat(c.secType == 'BAG' ? [c.comboLegs.length].concat(...c.comboLegs.map(leg => {
+            const l = withDefaults('ComboLeg', leg);
+            return [l.conid, l.ratio, l.action, l.exchange];
+        })) : [], deltaNeutral(c), [genericTickList, snapshot, regulatorySnapshot, tagValues(mktDataOptions)]);
+    },
+    cancelMktData: tickerId => [OUT.CANCEL_MKT_DATA, 2, tickerId],
+    reqContractDetails(reqId, contract) {
+        const c = withDefaults('Contract', contract);
+        return [OUT.REQ_CONTRACT_DATA, 8, reqId, c.conid, c.symbol, enumValue('SecType', c.secType),
+            c.lastTradeDateOrContractMonth, c.strike, enumValue('Right', c.right), c.multiplier, c.exchange,
+            c.primaryExch, c.currency, c.localSymbol, c.tradingClass, c.includeExpired,
+            enumValue('SecIdType', c.secIdType), c.secId];
+    },
+    reqHistoricalData(tickerId, contract, endDateTime, durationStr, barSizeSetting, whatToShow, useRTH, formatDate, keepUpToDate, chartOptions) {
+        const c = withDefaults('Contract', contract);
+        return [OUT.REQ_HISTORICAL_DATA, tickerId, c.conid, c.symbol, enumValue('SecType', c.secType),
+            c.lastTradeDateOrContractMonth, c.strike, enumValue('Right', c.right), c.multiplier, c.exchange,
+            c.primaryExch, c.currency, c.localSymbol, c.tradingClass, c.includeExpired,
+            endDateTime, barSizeSetting, durationStr, useRTH, whatToShow, formatDate
+        ].concat(c.secType == 'BAG' ? [c.comboLegs.length].concat(...c.comboLegs.map(leg => {
+            const l = withDefaults('ComboLeg', leg);
+            return [l.conid, l.ratio, l.action, l.exchange];
+        })) : [], [keepUpToDate, tagValues(chartOptions)]);
+    },
+    cancelHistoricalData: tickerId => [OUT.CANCEL_HISTORICAL_DATA, 1, tickerId],
+    reqHeadTimestamp(tickerId, contract, whatToShow, useRTH, formatDate) {
+        const c = withDefaults('Contract', contract);
+        return [OUT.REQ_HEAD_TIMESTAMP, tickerId, c.conid, c.symbol, enumValue('SecType', c.secType),
+            c.lastTradeDateOrContractMonth, c.strike, enumValue('Right', c.right), c.multiplier, c.exchange,
+            c.primaryExch, c.currency, c.localSymbol, c.tradingClass, c.includeExpired,
+            useRTH, whatToShow, formatDate];
+    },
+    cancelHeadTimestamp: tickerId => [OUT.CANCEL_HEAD_TIMESTAMP, tickerId],
+    placeOrder: (id, contract, order) => placeOrderFields(id, contract, order),
+    cancelOrder: id => [OUT.CANCEL_ORDER, 1, id],
+    reqOpenOrders: () => [OUT.REQ_OPEN_ORDERS, 1],
+    reqAllOpenOrders: () => [OUT.REQ_ALL_OPEN_ORDERS, 1],
+    reqAutoOpenOrders: bAutoBind => [OUT.REQ_AUTO_OPEN_ORDERS, 1, bAutoBind],
+    reqGlobalCancel: () => [OUT.REQ_GLOBAL_CANCEL, 1],
+    reqExecutions(reqId, filter) {
+        const f = withDefaults('ExecutionFilter', filter);
+        return [OUT.REQ_EXECUTIONS, 3, reqId, f.clientId, f.acctCode, f.time, f.symbol, f.secType, f.exchange, f.side];
+    },
+    reqAccountUpdates: (subscribe, acctCode) => [OUT.REQ_ACCT_DATA, 2, subscribe, acctCode],
+    reqAccountSummary: (reqId, group, tags) => [OUT.REQ_ACCOUNT_SUMMARY, 1, reqId, group, tags],
+    cancelAccountSummary: reqId => [OUT.CANCEL_ACCOUNT_SUMMARY, 1, reqId],
+    reqPositions: () => [OUT.REQ_POSITIONS, 1],
+    cancelPositions: () => [OUT.CANCEL_POSITIONS, 1],
+    reqPnL: (reqId, account, modelCode) => [OUT.REQ_PNL, reqId, account, modelCode],
+    cancelPnL: reqId => [OUT.CANCEL_PNL, reqId],
+    reqPnLSingle: (reqId, account, modelCode, conId) => [OUT.REQ_PNL_SINGLE, reqId, account, modelCode, conId],
+    cancelPnLSingle: reqId => [OUT.CANCEL_PNL_SINGLE, reqId]
+};
+
+/**
+ * The events of the messages that can be received, by message id, each given a field reader
+ * and returning a list of [event_name, ...args]
+ */
+module.exports.decoders = {
+    [IN.TICK_PRICE](r) {
+        r.int(); // version
+        const [tickerId, field, price, size, mask] = [r.int(), r.int(), r.float(), r.decimal(), r.int()];
+        const attrib = {canAutoExecute: !!(mask & 1), pastLimit: !!(mask & 2), preOpen: !!(mask & 4)};
+        // the size of bid, ask and last prices is also given as a tick size
+        const size_field = {1: 0, 2: 3, 4: 5, 66: 69, 67: 70, 68: 71}[field];
+        return [['tickPrice', tickerId, field, price, attrib]]
+            .concat(size_field == null ? [] : [['tickSize', tickerId, size_field, size]]);
+    },
+    [IN.TICK_SIZE]: r => [['tickSize', skip(r), r.int(), r.decimal()]],
+    [IN.TICK_GENERIC]: r => [['tickGeneric', skip(r), r.int(), r.float()]],
+    [IN.TICK_STRING]: r => [['tickString', skip(r), r.int(), r.str()]],
+    [IN.TICK_OPTION_COMPUTATION](r) {
+        const [tickerId, field, tickAttrib, impliedVol, delta] = [r.int(), r.int(), r.int(), r.float(), r.float()];
+        const [optPrice, pvDividend, gamma, vega, theta, undPrice] = [r.float(), r.float(), r.float(), r.float(), r.float(), r.float()];
+        // negative values are sent when not computed
+        const unset = (value, none) => value == none ? UNSET_DOUBLE : value;
+        return [['tickOptionComputation', tickerId, field, tickAttrib, impliedVol < 0 ? UNSET_DOUBLE : impliedVol,
+            unset(delta, -2), unset(optPrice, -1), unset(pvDividend, -1), unset(gamma, -2), unset(vega, -2),
+            unset(theta, -2), unset(undPrice, -1)]];
+    },
+    [IN.TICK_SNAPSHOT_END]: r => [['tickSnapshotEnd', skip(r)]],
+    [IN.TICK_REQ_PARAMS]: r => [['tickReqParams', r.int(), r.float(), r.str(), r.int()]],
+    [IN.MARKET_DATA_TYPE]: r => [['marketDataType', skip(r), r.int()]],
+    [IN.ERR_MSG]: r => [['error', skip(r), r.int(), unescape(r.str()), unescape(r.str())]],
+    [IN.NEXT_VALID_ID]: r => [['nextValidId', skip(r)]],
+    [IN.MANAGED_ACCTS]: r => [['managedAccounts', skip(r, 'str')]],
+    [IN.CURRENT_TIME]: r => [['currentTime', skip(r)]],
+    [IN.CONTRACT_DATA](r) {
+        const reqId = r.int();
+        const details = withDefaults('ContractDetails', {});
+        const contract = details.contract = withDefaults('Contract', {symbol: r.str(), secType: r.enum('SecType')});
+        const last_trade = (r.str() || '').split(/[ -]/);
+        contract.lastTradeDateOrContractMonth = last_trade[0] || null;
+        details.lastTradeTime = last_trade[1] || null;
+        Object.assign(contract, {strike: r.float(), right: r.enum('Right'), exchange: r.str(), currency: r.str(), localSymbol: r.str()});
+        details.marketName = r.str();
+        contract.tradingClass = r.str();
+        contract.conid = r.int();
+        details.minTick = r.float();
+        contract.multiplier = r.str();
+        Object.assign(details, {
+            orderTypes: r.str(), validExchanges: r.str(), priceMagnifier: r.int(), underConid: r.int(),
+            longName: unescape(r.str())
+        });
+        contract.primaryExch = r.str();
+        Object.assign(details, {
+            contractMonth: r.str(), industry: r.str(), category: r.str(), subcategory: r.str(), timeZoneId: r.str(),
+            tradingHours: r.str(), liquidHours: r.str(), evRule: r.str(), evMultiplier: r.float(),
+            secIdList: r.list(() => ({tag: r.str(), value: r.str()})), aggGroup: r.int(), underSymbol: r.str(),
+            underSecType: r.str(), marketRuleIds: r.str(), realExpirationDate: r.str(), stockType: r.str(),
+            minSize: r.decimal(), sizeIncrement: r.decimal(), suggestedSizeIncrement: r.decimal()
+        });
+        return [['contractDetails', reqId, details]];
+    },
+    [IN.CONTRACT_DATA_END]: r => [['contractDetailsEnd', skip(r)]],
+    [IN.HISTORICAL_DATA](r) {
+        const [reqId, startDateStr, endDateStr] = [r.int(), r.str(), r.str()];
+        const bars = r.list(() => ({
+            time: r.str(), open: r.float(), high: r.float(), low: r.float(), close: r.float(),
+            volume: r.decimal(), wap: r.decimal(), count: r.int()
+        }));
+        return bars.map(bar => ['historicalData', reqId, bar]).concat([['historicalDataEnd', reqId, startDateStr, endDateStr]]);
+    },
+    [IN.HISTORICAL_DATA_UPDATE](r) {
+        const reqId = r.int();
+        const count = r.int();
+        const time = r.str();
+        const [open, close, high, low] = [r.float(), r.float(), r.float(), r.float()];
+        const [wap, volume] = [r.decimal(), r.decimal()];
+        return [['historicalDataUpdate', reqId, {time, open, high, low, close, volume, wap, count}]];
+    },
+    [IN.HEAD_TIMESTAMP]: r => [['headTimestamp', r.int(), r.str()]],
+    [IN.ORDER_STATUS]: r => [['orderStatus', r.int(), r.str(), r.decimal(), r.decimal(), r.float(), r.int(), r.int(),
+        r.float(), r.int(), r.str(), r.float()]],
+    [IN.OPEN_ORDER]: r => [['openOrder'].concat(openOrderArgs(r))],
+    [IN.OPEN_ORDER_END]: r => [['openOrderEnd']],
+    [IN.ORDER_BOUND]: r => [['orderBound', r.int(), r.int(), r.int()]],
+    [IN.EXECUTION_DATA](r) {
+        const [reqId, orderId] = [r.int(), r.int()];
+        const contract = withDefaults('Contract', {
+            conid: r.int(), symbol: r.str(), secType: r.enum('SecType'), lastTradeDateOrContractMonth: r.str(),
+            strike: r.float(), right: r.enum('Right'), multiplier: r.str(), exchange: r.str(), currency: r.str(),
+            localSymbol: r.str(), tradingClass: r.str()
+        });
+        const execution = withDefaults('Execution', {
+            orderId, execId: r.str(), time: r.str(), acctNumber: r.str(), exchange: r.str(), side: r.str(),
+            shares: r.decimal(), price: r.float(), permId: r.int(), clientId: r.int(), liquidation: r.int(),
+            cumQty: r.decimal(), avgPrice: r.float(), orderRef: r.str(), evRule: r.str(), evMultiplier: r.float(),
+            modelCode: r.str(), lastLiquidity: r.int()
+        });
+        return [['execDetails', reqId, contract, execution]];
+    },
+    [IN.EXECUTION_DATA_END]: r => [['execDetailsEnd', skip(r)]],
+    [IN.COMMISSION_REPORT]: r => [['commissionReport', withDefaults('CommissionReport', {
+        execId: skip(r, 'str'), commission: r.float(), currency: r.str(), realizedPNL: r.float(), yield: r.float(),
+        yieldRedemptionDate: r.int()
+    })]],
+    [IN.ACCT_VALUE]: r => [['updateAccountValue', skip(r, 'str'), r.str(), r.str(), r.str()]],
+    [IN.PORTFOLIO_VALUE](r) {
+        const contract = withDefaults('Contract', {
+            conid: skip(r), symbol: r.str(), secType: r.enum('SecType'), lastTradeDateOrContractMonth: r.str(),
+            strike: r.float(), right: r.enum('Right'), multiplier: r.str(), primaryExch: r.str(), currency: r.str(),
+            localSymbol: r.str(), tradingClass: r.str()
+        });
+        return [['updatePortfolio', contract, r.decimal(), r.float(), r.float(), r.float(), r.float(), r.float(), r.str()]];
+    },
+    [IN.ACCT_UPDATE_TIME]: r => [['updateAccountTime', skip(r, 'str')]],
+    [IN.ACCT_DOWNLOAD_END]: r => [['accountDownloadEnd', skip(r, 'str')]],
+    [IN.POSITION_DATA](r) {
+        const account = skip(r, 'str');
+        const contract = withDefaults('Contract', {
+            conid: r.int(), symbol: r.str(), secType: r.enum('SecType'), lastTradeDateOrContractMonth: r.str(),
+            strike: r.float(), right: r.enum('Right'), multiplier: r.str(), exchange: r.str(), currency: r.str(),
+            localSymbol: r.str(), tradingClass: r.str()
+        });
+        return [['position', account, contract, r.decimal(), r.float()]];
+    },
+    [IN.POSITION_END]: r => [['positionEnd']],
+    [IN.ACCOUNT_SUMMARY]: r => [['accountSummary', skip(r), r.str(), r.str(), r.str(), r.str()]],
+    [IN.ACCOUNT_SUMMARY_END]: r => [['accountSummaryEnd', skip(r)]],
+    [IN.PNL]: r => [['pnl', r.int(), r.float(), r.float(), r.float()]],
+    [IN.PNL_SINGLE]: r => [['pnlSingle', r.int(), r.decimal(), r.float(), r.float(), r.float(), r.float()]]
+};
+
+/**
+ * A message with its length prefix, from the given fields
+ */
+function frame(fields) {
+    const payload = Buffer.from(fields.map(value => `${field(value)}\0`).join(''), 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(payload.length);
+    return Buffer.concat([length, payload]);
+}
+
+/**
+ * The first bytes sent to TWS, asking for the server version spoken
+ */
+function handshake() {
+    const version = module.exports.version;
+    const range = Buffer.from(`v${version}..${version}`, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(range.length);
+    return Buffer.concat([Buffer.from('API\0', 'utf8'), length, range]);
+}
+
+/**
+ * Creates a function that is given the chunks received and returns the fields of each complete message
+ */
+function createFrameReader() {
+    let buffer = Buffer.alloc(0);
+    return chunk => {
+        const messages = [];
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        while (buffer.length >= 4 && buffer.length >= 4 + buffer.readUInt32BE(0)) {
+            const length = buffer.readUInt32BE(0);
+            const fields = buffer.toString('utf8', 4, 4 + length).split('\0');
+            fields.pop(); // every field is terminated
+            messages.push(fields);
+            buffer = buffer.slice(4 + length);
+        }
+        return messages;
+    };
+}
+
+/**
+ * Reads the fields of a message in order, with the conversions of the Java client
+ */
+function createFieldReader(fields) {
+    let i = 0;
+    const next = () => {
+        if (i >= fields.length) throw Error(`Message ${fields[0]} ended after ${fields.length} fields`);
+        return fields[i++];
+    };
+    const self = {
+        str: () => next() || null,
+        int: () => parseInt(next()) || 0,
+        intMax: () => {
+            const value = next();
+            return value === '' ? UNSET_INTEGER : parseInt(value) || 0;
+        },
+        float: () => parseFloat(next()) || 0,
+        floatMax: () => {
+            const value = next();
+            return value === '' ? UNSET_DOUBLE : parseFloat(value) || 0;
+        },
+        bool: () => (parseInt(next()) || 0) != 0,
+        decimal: () => {
+            const value = next();
+            const number = parseFloat(value);
+            return value === '' || number >= UNSET_INTEGER ? null : value;
+        },
+        enum: type => {
+            const value = next();
+            const names = module.exports.enums[type] || {};
+            const name = Object.keys(names).find(name => names[name] == value);
+            if (type == 'Right' && /^(PUT|CALL)$/i.test(value)) return value[0].toUpperCase() == 'P' ? 'Put' : 'Call';
+            else if (type == 'Right' && value == '?') return 'None';
+            return name || value || null;
+        },
+        list: read_item => Array.from(Array(self.int()).keys()).map(() => read_item()),
+        /**
+         * Fields that have not been read
+         */
+        rest: () => fields.slice(i)
+    };
+    return self;
+}
+
+/**
+ * Reads the version field, which is not used at this server version, then the next field
+ */
+function skip(r, type) {
+    r.int();
+    return r[type || 'int']();
+}
+
+/**
+ * Formats a value as a field, as the Java client would
+ */
+function field(value) {
+    if (value == null) return '';
+    else if (typeof value == 'boolean') return value ? '1' : '0';
+    else if (typeof value == 'number' && Math.abs(value) >= UNSET_DOUBLE) return '1.7976931348623157E308';
+    else return String(value);
+}
+
+/**
+ * An empty field for values that are not set, otherwise the value
+ */
+function unsetEmpty(value) {
+    if (value == null || value === '') return '';
+    else if (+value == UNSET_INTEGER || Math.abs(+value) >= UNSET_DOUBLE) return '';
+    else return value;
+}
+
+/**
+ * The wire value of an enum name
+ */
+function enumValue(type, value) {
+    const names = module.exports.enums[type];
+    return names && value in names ? names[value] : value;
+}
+
+/**
+ * TagValue lists are sent as tag=value; pairs in a single field
+ */
+function tagValues(list) {
+    return (list || []).map(({tag, value}) => `${tag}=${value};`).join('');
+}
+
+/**
+ * Java encodes messages as ASCII with \uXXXX escapes
+ */
+function unescape(str) {
+    return str == null ? null : str.replace(/\\u([0-9a-fA-F]{4})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * A copy of the object with the default values of its type from the recorded schema for missing properties
+ */
+function withDefaults(type, object) {
+    const properties = recorded_schema.types[type] || {};
+    return Object.keys(properties).reduce((copy, name) => {
+        if (copy[name] !== undefined) return copy;
+        const [property_type, default_value] = properties[name];
+        if (Array.isArray(default_value)) copy[name] = default_value.slice();
+        else if (default_value != null && /^(double|int|long)$/.test(property_type)) copy[name] = +default_value;
+        else copy[name] = default_value;
+        return copy;
+    }, {...object});
+}
+
+/**
+ * The delta neutral fields of a contract
+ */
+function deltaNeutral(contract) {
+    const dn = contract.deltaNeutralContract;
+    return dn ? [true, dn.conid, dn.delta, dn.price] : [false];
+}
+
+/**
+ * The fields of an order condition after its type
+ */
+function conditionFields(condition) {
+    const c = condition;
+    const fields = [c.conjunctionConnection === false ? 'o' : 'a'];
+    if (c.type == 'Execution') return fields.concat(c.secType, c.exchange, c.symbol);
+    const value = {Price: c.price, Time: c.time, Margin: c.percent, Volume: c.volume, PercentChange: c.changePercent}[c.type];
+    fields.push(!!c.isMore, value);
+    if (c.type == 'Time' || c.type == 'Margin') return fields;
+    fields.push(c.conId, c.exchange);
+    return c.type == 'Price' ? fields.concat(c.triggerMethod || 0) : fields;
+}
+
+/**
+ * Reads an order condition after its type
+ */
+function readCondition(r, type) {
+    const condition = {type, conjunctionConnection: r.str() != 'o'};
+    if (type == 'Execution') return Object.assign(condition, {secType: r.str(), exchange: r.str(), symbol: r.str()});
+    condition.isMore = r.bool();
+    const value = r.str();
+    const property = {Price: 'price', Time: 'time', Margin: 'percent', Volume: 'volume', PercentChange: 'changePercent'}[type];
+    condition[property] = type == 'Time' ? value : +value;
+    if (type == 'Time' || type == 'Margin') return condition;
+    Object.assign(condition, {conId: r.int(), exchange: r.str()});
+    if (type == 'Price') condition.triggerMethod = r.int();
+    return condition;
+}
+
+/**
+ * The fields of placeOrder, in the order of the Java client at this server version
+ */
+function placeOrderFields(id, contract, order) {
+    const c = withDefaults('Contract', contract);
+    const o = withDefaults('Order', order);
+    const conditions = Object.keys(module.exports.conditions);
+    const fields = [OUT.PLACE_ORDER, id, c.conid, c.symbol, enumValue('SecType', c.secType),
+        c.lastTradeDateOrContractMonth, c.strike, enumValue('Right', c.right), c.multiplier, c.exchange, c.primaryExch,
+        c.currency, c.localSymbol, c.tradingClass, enumValue('SecIdType', c.secIdType), c.secId,
+        o.action, o.totalQuantity, enumValue('OrderType', o.orderType), unsetEmpty(o.lmtPrice), unsetEmpty(o.auxPrice),
+        o.tif, o.ocaGroup, o.account, o.openClose, o.origin, o.orderRef, o.transmit, o.parentId, o.blockOrder,
+        o.sweepToFill, o.displaySize, o.triggerMethod, o.outsideRth, o.hidden];
+    if (c.secType == 'BAG') {
+        fields.push(c.comboLegs.length);
+        c.comboLegs.map(leg => withDefaults('ComboLeg', leg)).forEach(leg => fields.push(leg.conid, leg.ratio,
+            leg.action, leg.exchange, leg.openClose, leg.shortSaleSlot, leg.designatedLocation, leg.exemptCode));
+        fields.push(o.orderComboLegs.length);
+        o.orderComboLegs.forEach(leg => fields.push(unsetEmpty(withDefaults('OrderComboLeg', leg).price)));
+        fields.push(o.smartComboRoutingParams.length);
+        o.smartComboRoutingParams.forEach(({tag, value}) => fields.push(tag, value));
+    }
+    fields.push('', o.discretionaryAmt, o.goodAfterTime, o.goodTillDate, o.faGroup, enumValue('Method', o.faMethod),
+        o.faPercentage, o.faProfile, o.modelCode, o.shortSaleSlot, o.designatedLocation, o.exemptCode, o.ocaType,
+        enumValue('Rule80A', o.rule80A), o.settlingFirm, o.allOrNone, unsetEmpty(o.minQty), unsetEmpty(o.percentOffset),
+        false, false, '', o.auctionStrategy, unsetEmpty(o.startingPrice), unsetEmpty(o.stockRefPrice),
+        unsetEmpty(o.delta), unsetEmpty(o.stockRangeLower), unsetEmpty(o.stockRangeUpper),
+        o.overridePercentageConstraints, unsetEmpty(o.volatility), unsetEmpty(o.volatilityType),
+        o.deltaNeutralOrderType, unsetEmpty(o.deltaNeutralAuxPrice));
+    if (o.deltaNeutralOrderType) {
+        fields.push(o.deltaNeutralConId, o.deltaNeutralSettlingFirm, o.deltaNeutralClearingAccount,
+            o.deltaNeutralClearingIntent, o.deltaNeutralOpenClose, !!o.deltaNeutralShortSale,
+            o.deltaNeutralShortSaleSlot || 0, o.deltaNeutralDesignatedLocation);
+    }
+    fields.push(o.continuousUpdate, unsetEmpty(o.referencePriceType), unsetEmpty(o.trailStopPrice),
+        unsetEmpty(o.trailingPercent), unsetEmpty(o.scaleInitLevelSize), unsetEmpty(o.scaleSubsLevelSize),
+        unsetEmpty(o.scalePriceIncrement));
+    if (unsetEmpty(o.scalePriceIncrement) !== '' && o.scalePriceIncrement > 0) {
+        fields.push(unsetEmpty(o.scalePriceAdjustValue), unsetEmpty(o.scalePriceAdjustInterval),
+            unsetEmpty(o.scaleProfitOffset), o.scaleAutoReset, unsetEmpty(o.scaleInitPosition),
+            unsetEmpty(o.scaleInitFillQty), o.scaleRandomPercent);
+    }
+    fields.push(o.scaleTable, o.activeStartTime, o.activeStopTime, enumValue('HedgeType', o.hedgeType));
+    if (enumValue('HedgeType', o.hedgeType)) fields.push(o.hedgeParam);
+    fields.push(o.optOutSmartRouting, o.clearingAccount, o.clearingIntent, o.notHeld, ...deltaNeutral(c),
+        o.algoStrategy);
+    if (o.algoStrategy) {
+        fields.push(o.algoParams.length);
+        o.algoParams.forEach(({tag, value}) => fields.push(tag, value));
+    }
+    fields.push(o.algoId, o.whatIf, tagValues(o.orderMiscOptions), o.solicited, o.randomizeSize, o.randomizePrice);
+    if (o.orderType == 'PEG BENCH') {
+        fields.push(o.referenceContractId, o.isPeggedChangeAmountDecrease, o.peggedChangeAmount,
+            o.referenceChangeAmount, o.referenceExchangeId);
+    }
+    fields.push(o.conditions.length);
+    if (o.conditions.length) {
+        o.conditions.forEach(condition => {
+            const type = conditions.find(type => module.exports.conditions[type] == condition.type);
+            if (!type) throw Error(`Unknown order condition type ${condition.type}`);
+            fields.push(type, ...conditionFields(condition));
+        });
+        fields.push(o.conditionsIgnoreRth, o.conditionsCancelOrder);
+    }
+    const tier = o.softDollarTier || {};
+    fields.push(o.adjustedOrderType, o.triggerPrice, o.lmtPriceOffset, o.adjustedStopPrice, o.adjustedStopLimitPrice,
+        o.adjustedTrailingAmount, o.adjustableTrailingUnit, o.extOperator, tier.name, tier.value,
+        unsetEmpty(o.cashQty), o.mifid2DecisionMaker, o.mifid2DecisionAlgo, o.mifid2ExecutionTrader,
+        o.mifid2ExecutionAlgo, o.dontUseAutoPriceForHedge, o.isOmsContainer, o.discretionaryUpToLimitPrice,
+        o.usePriceMgmtAlgo == null ? '' : o.usePriceMgmtAlgo, unsetEmpty(o.duration), unsetEmpty(o.postToAts),
+        o.autoCancelParent, o.advancedErrorOverride);
+    return fields;
+}
+
+/**
+ * Reads the orderId, contract, order and orderState of an open order message
+ */
+function openOrderArgs(r) {
+    const orderId = r.int();
+    const contract = withDefaults('Contract', {
+        conid: r.int(), symbol: r.str(), secType: r.enum('SecType'), lastTradeDateOrContractMonth: r.str(),
+        strike: r.float(), right: r.enum('Right'), multiplier: r.str(), exchange: r.str(), currency: r.str(),
+        localSymbol: r.str(), tradingClass: r.str()
+    });
+    const order = withDefaults('Order', {orderId});
+    const read = properties => Object.keys(properties).forEach(name => order[name] = properties[name]());
+    read({
+        action: r.str, totalQuantity: r.decimal, orderType: () => r.enum('OrderType'), lmtPrice: r.floatMax,
+        auxPrice: r.floatMax, tif: r.str, ocaGroup: r.str, account: r.str, openClose: r.str, origin: r.int,
+        orderRef: r.str, clientId: r.int, permId: r.int, outsideRth: r.bool, hidden: r.bool, discretionaryAmt: r.float,
+        goodAfterTime: r.str, sharesAllocation: r.str, faGroup: r.str, faMethod: () => r.enum('Method'),
+        faPercentage: r.str, faProfile: r.str, modelCode: r.str, goodTillDate: r.str,
+        rule80A: () => r.enum('Rule80A'), percentOffset: r.floatMax, settlingFirm: r.str, shortSaleSlot: r.int,
+        designatedLocation: r.str, exemptCode: r.int, auctionStrategy: r.int, startingPrice: r.floatMax,
+        stockRefPrice: r.floatMax, delta: r.floatMax, stockRangeLower: r.floatMax, stockRangeUpper: r.floatMax,
+        displaySize: r.int, blockOrder: r.bool, sweepToFill: r.bool, allOrNone: r.bool, minQty: r.intMax,
+        ocaType: r.int, eTradeOnly: r.bool, firmQuoteOnly: r.bool, nbboPriceCap: r.floatMax, parentId: r.int,
+        triggerMethod: r.int, volatility: r.floatMax, volatilityType: r.int, deltaNeutralOrderType: r.str,
+        deltaNeutralAuxPrice: r.floatMax
+    });
+    delete order.sharesAllocation;
+    delete order.eTradeOnly;
+    delete order.firmQuoteOnly;
+    delete order.nbboPriceCap;
+    if (order.deltaNeutralOrderType) {
+        read({
+            deltaNeutralConId: r.int, deltaNeutralSettlingFirm: r.str, deltaNeutralClearingAccount: r.str,
+            deltaNeutralClearingIntent: r.str, deltaNeutralOpenClose: r.str, deltaNeutralShortSale: r.bool,
+            deltaNeutralShortSaleSlot: r.int, deltaNeutralDesignatedLocation: r.str
+        });
+    }
+    read({
+        continuousUpdate: r.bool, referencePriceType: r.int, trailStopPrice: r.floatMax, trailingPercent: r.floatMax,
+        basisPoints: r.floatMax, basisPointsType: r.intMax
+    });
+    contract.comboLegsDescrip = r.str();
+    contract.comboLegs = r.list(() => ({
+        conid: r.int(), ratio: r.int(), action: r.str(), exchange: r.str(), openClose: r.int(),
+        shortSaleSlot: r.int(), designatedLocation: r.str(), exemptCode: r.int()
+    }));
+    order.orderComboLegs = r.list(() => ({price: r.floatMax()}));
+    order.smartComboRoutingParams = r.list(() => ({tag: r.str(), value: r.str()}));
+    read({scaleInitLevelSize: r.intMax, scaleSubsLevelSize: r.intMax, scalePriceIncrement: r.floatMax});
+    if (order.scalePriceIncrement > 0 && order.scalePriceIncrement < UNSET_DOUBLE) {
+        read({
+            scalePriceAdjustValue: r.floatMax, scalePriceAdjustInterval: r.intMax, scaleProfitOffset: r.floatMax,
+            scaleAutoReset: r.bool, scaleInitPosition: r.intMax, scaleInitFillQty: r.intMax,
+            scaleRandomPercent: r.bool
+        });
+    }
+    read({hedgeType: () => r.enum('HedgeType')});
+    if (order.hedgeType != 'None') read({hedgeParam: r.str});
+    read({optOutSmartRouting: r.bool, clearingAccount: r.str, clearingIntent: r.str, notHeld: r.bool});
+    if (r.bool()) contract.deltaNeutralContract = {conid: r.int(), delta: r.float(), price: r.float()};
+    read({algoStrategy: r.str});
+    if (order.algoStrategy) order.algoParams = r.list(() => ({tag: r.str(), value: r.str()}));
+    read({solicited: r.bool, whatIf: r.bool});
+    const orderState = withDefaults('OrderState', {
+        status: r.str(), initMarginBefore: r.str(), maintMarginBefore: r.str(), equityWithLoanBefore: r.str(),
+        initMarginChange: r.str(), maintMarginChange: r.str(), equityWithLoanChange: r.str(),
+        initMarginAfter: r.str(), maintMarginAfter: r.str(), equityWithLoanAfter: r.str(),
+        commission: r.floatMax(), minCommission: r.floatMax(), maxCommission: r.floatMax(),
+        commissionCurrency: r.str(), warningText: r.str()
+    });
+    read({randomizeSize: r.bool, randomizePrice: r.bool});
+    if (order.orderType == 'PEG BENCH') {
+        read({
+            referenceContractId: r.int, isPeggedChangeAmountDecrease: r.bool, peggedChangeAmount: r.float,
+            referenceChangeAmount: r.float, referenceExchangeId: r.str
+        });
+    }
+    order.conditions = r.list(() => readCondition(r, module.exports.conditions[r.int()]));
+    if (order.conditions.length) read({conditionsIgnoreRth: r.bool, conditionsCancelOrder: r.bool});
+    read({
+        adjustedOrderType: r.str, triggerPrice: r.float, trailStopPrice: r.float, lmtPriceOffset: r.float,
+        adjustedStopPrice: r.float, adjustedStopLimitPrice: r.float, adjustedTrailingAmount: r.float,
+        adjustableTrailingUnit: r.int
+    });
+    order.softDollarTier = {name: r.str(), value: r.str(), displayName: r.str()};
+    read({
+        cashQty: r.floatMax, dontUseAutoPriceForHedge: r.bool, isOmsContainer: r.bool,
+        discretionaryUpToLimitPrice: r.bool, usePriceMgmtAlgo: r.bool, duration: r.intMax, postToAts: r.intMax,
+        autoCancelParent: r.bool
+    });
+    return [orderId, contract, order, orderState];
+}
@@ -0,0 +1,149 @@
+// vim: set filetype=javascript:
+// accounts.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+const createSubscriptions = require('../src/subscriptions.js');
+const createAccounts = require('../src/accounts.js');
+
+const aapl = {conid: 265598, symbol: 'AAPL', secType: 'STK', currency: 'USD'};
+const msft = {conid: 272093, symbol: 'MSFT', secType: 'STK', currency: 'USD'};
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {firstRequestId: 100}));
+    client.subscribe = createSubscriptions(client, {});
+    ['reqAccountSummary', 'cancelAccountSummary', 'reqPositions', 'cancelPositions', 'reqPnLSingle', 'cancelPnLSingle',
+            'reqAccountUpdates'].forEach(name => {
+        client[name] = async function() {
+            calls.push([name, ...arguments]);
+            return client;
+        };
+    });
+});
+
+async function flush() {
+    await new Promise(cont => setImmediate(cont));
+}
+
+test('managedAccounts', () => {
+    const accounts = createAccounts(client, {});
+    const changed = [];
+    accounts.on('changed', (account, kind) => changed.push([account, kind]));
+    client.emit('managedAccounts', 'DU111,DU222,');
+    expect(accounts.list()).toEqual(['DU111', 'DU222']);
+    expect(changed).toEqual([['DU111', 'account'], ['DU222', 'account']]);
+    expect(accounts.get('DU222')).toMatchObject({account: 'DU222', balances: {}, positions: {}});
+});
+
+test('watch', async() => {
+    const accounts = createAccounts(client, {});
+    client.emit('managedAccounts', 'DU111,DU222');
+    const promise = accounts.watch({tags: ['NetLiquidation', 'AccountType']});
+    expect(accounts.watch()).toBe(promise);
+    await flush();
+    expect(calls).toEqual([['reqAccountSummary', 100, 'All', 'NetLiquidation,AccountType'], ['reqPositions']]);
+    client.emit('accountSummary', 100, 'DU111', 'NetLiquidation', '100000.50', 'USD');
+    client.emit('accountSummary', 100, 'DU111', 'AccountType', 'INDIVIDUAL', '');
+    client.emit('accountSummary', 100, 'DU222', 'NetLiquidation', '2500', 'EUR');
+    client.emit('accountSummaryEnd', 100);
+    client.emit('position', 'DU111', aapl, '10', 150.25);
+    client.emit('position', 'DU222', msft, 5, 300);
+    client.emit('positionEnd');
+    await expect(promise).resolves.toBe(accounts);
+    expect(accounts.balance('DU111', 'NetLiquidation')).toBe(100000.5);
+    expect(accounts.balance('DU111', 'NetLiquidation', 'USD')).toBe(100000.5);
+    expect(accounts.balance('DU111', 'AccountType')).toBe('INDIVIDUAL');
+    expect(accounts.balance('DU222', 'NetLiquidation', 'EUR')).toBe(2500);
+    expect(accounts.position('DU111', 265598)).toMatchObject({account: 'DU111', conid: 265598, position: 10, avgCost: 150.25});
+    expect(accounts.positions().map(position => position.conid)).toEqual([265598, 272093]);
+    expect(accounts.positions('DU222').map(position => position.conid)).toEqual([272093]);
+    client.emit('position', 'DU111', aapl, 0, 0);
+    expect(accounts.positions('DU111')).toEqual([]);
+    accounts.unwatch();
+    await flush();
+    expect(calls.slice(2)).toEqual([['cancelAccountSummary', 100], ['cancelPositions']]);
+});
+
+test('pnl', async() => {
+    const accounts = createAccounts(client, {});
+    const promise = accounts.watch({pnl: true});
+    await flush();
+    client.emit('accountSummaryEnd', 100);
+    client.emit('position', 'DU111', aapl, 10, 150);
+    client.emit('positionEnd');
+    await promise;
+    expect(calls[2]).toEqual(['reqPnLSingle', 101, 'DU111', '', 265598]);
+    client.emit('pnlSingle', 101, 10, 12.5, 80, 1.7976931348623157e308, 1580);
+    await flush();
+    expect(accounts.position('DU111', 265598)).toMatchObject({position: 10, dailyPnL: 12.5, unrealizedPnL: 80,
+        realizedPnL: null, marketValue: 1580});
+    client.emit('position', 'DU111', aapl, 0, 0);
+    await flush();
+    expect(calls[3]).toEqual(['cancelPnLSingle', 101]);
+});
+
+test('accountUpdates', async() => {
+    const accounts = createAccounts(client, {});
+    const promise = accounts.watch({accountUpdates: 'DU111', tags: ['NetLiquidation']});
+    await flush();
+    expect(calls[2]).toEqual(['reqAccountUpdates', true, 'DU111']);
+    client.emit('accountSummaryEnd', 100);
+    client.emit('positionEnd');
+    client.emit('updateAccountValue', 'CashBalance', '1000', 'USD', 'DU111');
+    client.emit('updateAccountValue', 'CashBalance', '900', 'BASE', 'DU111');
+    client.emit('updatePortfolio', aapl, 10, 151, 1510, 150, 10, 0, 'DU111');
+    client.emit('updateAccountTime', '15:30');
+    client.emit('accountDownloadEnd', 'DU111');
+    await promise;
+    expect(accounts.get('DU111').balances.CashBalance).toEqual({USD: 1000, BASE: 900});
+    expect(accounts.get('DU111').accountTime).toBe('15:30');
+    expect(accounts.position('DU111', 265598)).toMatchObject({position: 10, marketPrice: 151, marketValue: 1510,
+        avgCost: 150, unrealizedPnL: 10, realizedPnL: 0});
+});
+
+test('error', async() => {
+    const accounts = createAccounts(client, {});
+    const promise = accounts.watch();
+    await flush();
+    client.emit('error', 100, 321, 'Error validating request', '');
+    await expect(promise).rejects.toThrow('Error validating request');
+    await flush();
+    expect(calls.map(call => call[0])).toEqual(['reqAccountSummary', 'reqPositions', 'cancelAccountSummary', 'cancelPositions']);
+});
+
+test('snapshot', async() => {
+    const accounts = createAccounts(client, {});
+    client.emit('managedAccounts', 'DU111');
+    accounts.watch();
+    await flush();
+    client.emit('accountSummary', 100, 'DU111', 'NetLiquidation', '1000', 'USD');
+    client.emit('position', 'DU111', aapl, 10, 150);
+    const snapshot = accounts.snapshot();
+    client.emit('accountSummary', 100, 'DU111', 'NetLiquidation', '2000', 'USD');
+    expect(snapshot.accounts.DU111.balances).toEqual({NetLiquidation: {USD: 1000}});
+    expect(snapshot.accounts.DU111.positions['265598']).toMatchObject({contract: aapl, position: 10});
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+    expect(typeof snapshot.time).toBe('number');
+    accounts.unwatch();
+});
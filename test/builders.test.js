@@ -0,0 +1,84 @@
+// vim: set filetype=javascript:
+// builders.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { order, bracket, oca, condition, validate } = require('../src/builders.js');
+const { ValidationError } = require('../src/errors.js');
+
+test('order types', () => {
+    expect(order('BUY', 10).build()).toEqual({action: 'BUY', totalQuantity: '10', orderType: 'MKT'});
+    expect(order('BUY', 10).limit(150).tif('GTC').outsideRth().build())
+        .toEqual({action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 150, tif: 'GTC', outsideRth: true});
+    expect(order('SELL', 10).stopLimit(140, 139.5).build()).toMatchObject({orderType: 'STP LMT', auxPrice: 140, lmtPrice: 139.5});
+    expect(order('SELL', 10).trailing({percent: 2}).build()).toMatchObject({orderType: 'TRAIL', trailingPercent: 2});
+    expect(order('SELL', 10).trailingLimit({amount: 1.5, limitOffset: 0.1, stopPrice: 148}).build())
+        .toMatchObject({orderType: 'TRAIL LIMIT', auxPrice: 1.5, lmtPriceOffset: 0.1, trailStopPrice: 148});
+    expect(order('BUY', 10).limit(150).adaptive('Patient').build())
+        .toMatchObject({algoStrategy: 'Adaptive', algoParams: [{tag: 'adaptivePriority', value: 'Patient'}]});
+});
+
+test('conditions', () => {
+    const built = order('BUY', 10).limit(150)
+        .when(condition.price(265598, 'SMART', '>=', 200))
+        .orWhen(condition.time('>', '20261019 09:30:00 US/Eastern'))
+        .when(condition.margin('<', 30))
+        .when(condition.volume(265598, 'SMART', '>', 100000))
+        .build();
+    expect(built.conditions).toEqual([
+        {type: 'Price', conjunctionConnection: true, isMore: true, price: 200, conId: 265598, exchange: 'SMART', triggerMethod: 0},
+        {type: 'Time', conjunctionConnection: false, isMore: true, time: '20261019 09:30:00 US/Eastern'},
+        {type: 'Margin', conjunctionConnection: true, isMore: false, percent: 30},
+        {type: 'Volume', conjunctionConnection: true, isMore: true, volume: 100000, conId: 265598, exchange: 'SMART'}
+    ]);
+    expect(() => condition.margin('=', 30)).toThrow('Unknown condition operator =');
+});
+
+test('invalid orders', () => {
+    expect(() => order('BUY', 10).set({orderType: 'LMT'}).build()).toThrow('LMT order needs a lmtPrice');
+    expect(() => order('BUY', 10).set({orderType: 'LMT', lmtPrice: Number.MAX_VALUE}).build()).toThrow(ValidationError);
+    expect(() => order('SELL', 10).set({orderType: 'STP'}).build()).toThrow('STP order needs an auxPrice');
+    expect(() => order('SELL', 10).trailing({}).build()).toThrow('Expected auxPrice NaN to be a(n) double');
+    expect(() => order('SELL', 10).trailing({percent: 1}).set({auxPrice: 1}).build()).toThrow('either a trailing amount');
+    expect(() => order('BUY', 0).build()).toThrow('Order needs a totalQuantity');
+    expect(() => order('HOLD', 10).build()).toThrow('Expected action HOLD to be one of BUY, SELL, SSHORT');
+    expect(() => order('BUY', 10).limit(1).tif('GTD').build()).toThrow('GTD order needs a goodTillDate');
+    expect(() => order('BUY', 10).stop(1).adaptive().build()).toThrow('The Adaptive algo cannot be used with STP orders');
+    expect(() => order('BUY', 10).set({lmtPirce: 1}).build()).toThrow('Unknown Order property lmtPirce');
+    expect(() => validate({action: 'BUY', totalQuantity: '1', orderType: 'MKT', transmit: 'yes'})).toThrow('to be a(n) boolean');
+});
+
+test('bracket', () => {
+    const orders = bracket('BUY', 10, {entry: 150, takeProfit: 160, stopLoss: 145});
+    expect(orders.bracket).toBe(true);
+    expect(Array.from(orders)).toEqual([
+        {action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 150, transmit: false, tif: 'DAY'},
+        {action: 'SELL', totalQuantity: '10', orderType: 'LMT', lmtPrice: 160, transmit: false, tif: 'DAY'},
+        {action: 'SELL', totalQuantity: '10', orderType: 'STP', auxPrice: 145, transmit: true, tif: 'DAY'}
+    ]);
+    expect(() => bracket('BUY', 10, {entry: 150, takeProfit: 140})).toThrow('Take profit 140 must be above the entry 150');
+    expect(() => bracket('SELL', 10, {entry: 150, stopLoss: 140})).toThrow('Stop loss 140 must be above the entry 150');
+    expect(() => bracket('BUY', 10, {takeProfit: 140, stopLoss: 145})).toThrow('Take profit 140 must be above the stop loss 145');
+    expect(() => bracket('BUY', 10, {entry: 150})).toThrow('A bracket needs a takeProfit or stopLoss');
+});
+
+test('one-cancels-all', () => {
+    const orders = oca([order('SELL', 10).limit(160), order('SELL', 10).stop(140).build()], 'exit-1');
+    expect(orders.map(o => [o.orderType, o.ocaGroup, o.ocaType])).toEqual([['LMT', 'exit-1', 1], ['STP', 'exit-1', 1]]);
+    expect(() => oca([order('SELL', 10).limit(160)], 'exit-2')).toThrow('at least two orders');
+    expect(() => oca([order('SELL', 10), order('SELL', 10)], 'exit-3', 4)).toThrow('Unknown ocaType 4');
+});
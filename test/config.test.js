@@ -0,0 +1,113 @@
+// vim: set filetype=javascript:
+// config.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const resolveConfig = require('../src/config.js');
+const { ConfigError } = require('../src/errors.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+let dir;
+let env;
+
+beforeEach(async() => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-config-'));
+    fs.mkdirSync(path.join(dir, 'home', 'ib-tws-node'), {recursive: true});
+    fs.mkdirSync(path.join(dir, 'project'));
+    env = {XDG_CONFIG_HOME: path.join(dir, 'home')};
+});
+
+afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ * Writes the user config file and the project config file
+ */
+function write(user, project) {
+    if (user) fs.writeFileSync(path.join(dir, 'home', 'ib-tws-node', 'config.json'), JSON.stringify(user));
+    if (project) fs.writeFileSync(path.join(dir, 'project', 'ib-tws-node.json'), project);
+}
+
+/**
+ * Resolves the settings in the project directory with the test environment
+ */
+function resolve(settings, vars) {
+    return resolveConfig(settings, {env: {...env, ...vars}, cwd: path.join(dir, 'project')});
+}
+
+test('files, profiles, environment and settings', async() => {
+    write({
+        'java-home': '~/jre',
+        'client-id': 3,
+        profiles: {paper: {twsApiPort: 7497}, live: {twsApiPort: 7496, risk: {maxQuantity: 100}}}
+    }, JSON.stringify({
+        profile: 'paper',
+        jtsInstallDir: 'Jts',
+        profiles: {live: {clientId: 9}}
+    }));
+    expect(await resolve()).toEqual({
+        profile: 'paper',
+        javaHome: path.join(os.homedir(), 'jre'),
+        jtsInstallDir: path.join(dir, 'project', 'Jts'),
+        clientId: 3,
+        twsApiPort: 7497
+    });
+    expect(await resolve({profile: 'live'})).toMatchObject({profile: 'live', clientId: 9, twsApiPort: 7496, risk: {maxQuantity: 100}});
+    expect(await resolve({}, {IB_PROFILE: 'live', IB_TWS_API_PORT: '4002', IB_SIMULATE: '{"latency":5}', IB_PACING: 'false'}))
+        .toMatchObject({profile: 'live', twsApiPort: 4002, simulate: {latency: 5}, pacing: false});
+    expect(await resolve({'tws-api-port': '4001', clientId: undefined, schema: 'unchecked'}, {IB_TWS_API_PORT: '4002'}))
+        .toMatchObject({twsApiPort: 4001, clientId: 3, schema: 'unchecked'});
+    expect(await resolve({config: false}, {IB_TWS_API_PORT: '4002'})).toEqual({config: false});
+});
+
+test('config file setting', async() => {
+    fs.writeFileSync(path.join(dir, 'live.json'), JSON.stringify({twsApiHost: 'gateway', twsApiPort: 4001}));
+    expect(await resolve({config: '../live.json'})).toEqual({config: path.join(dir, 'live.json'), twsApiHost: 'gateway', twsApiPort: 4001});
+    await expect(resolve({}, {IB_CONFIG: path.join(dir, 'missing.json')})).rejects.toThrow('Could not read config file');
+});
+
+test('launch and subscription settings', async() => {
+    write(null, JSON.stringify({
+        'tws-version': '1019',
+        twsPath: 'Jts',
+        noLaunch: true,
+        profiles: {ticks: {highWaterMark: '100', overflow: 'drop'}}
+    }));
+    expect(await resolve()).toEqual({twsVersion: '1019', twsPath: path.join(dir, 'project', 'Jts'), noLaunch: true});
+    expect(await resolve({profile: 'ticks'}, {IB_TWS_VERSION: '1030'}))
+        .toMatchObject({twsVersion: '1030', highWaterMark: 100, overflow: 'drop'});
+});
+
+test('invalid settings', async() => {
+    await expect(resolve({twsApiPort: 'abc'})).rejects.toThrow('Setting twsApiPort in settings must be an integer, not "abc"');
+    await expect(resolve({}, {IB_OFFLINE_POLICY: 'drop'})).rejects.toThrow('Setting offlinePolicy in IB_OFFLINE_POLICY must be one of queue, reject, not "drop"');
+    await expect(resolve({schemaCache: true})).rejects.toThrow('must be a path or false, not true');
+    await expect(resolve({profile: 'paper'})).rejects.toThrow('Unknown profile paper, add it to the profiles of');
+    write(null, JSON.stringify({twsApiPrt: 7497}));
+    await expect(resolve()).rejects.toThrow(`Unknown setting twsApiPrt in ${path.join(dir, 'project', 'ib-tws-node.json')}`);
+    write(null, JSON.stringify({profiles: {paper: {risk: 5}}}));
+    await expect(resolve({profile: 'live'})).rejects.toThrow('Setting risk in');
+    write(null, JSON.stringify({profiles: {paper: {}}}));
+    await expect(resolve({profile: 'live'})).rejects.toThrow(new ConfigError('Unknown profile live, the profiles are paper'));
+    write(null, '{"twsApiPort": 7497,}');
+    await expect(resolve()).rejects.toThrow(ConfigError);
+});
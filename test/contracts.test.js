@@ -0,0 +1,172 @@
+// vim: set filetype=javascript:
+// contracts.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createIds = require('../src/ids.js');
+const createRequests = require('../src/requests.js');
+const createOrders = require('../src/orders.js');
+const createContractResolver = require('../src/contracts.js');
+const { AmbiguousContractError } = require('../src/errors.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+const { parse, format } = createContractResolver;
+
+const aapl = {conid: 265598, symbol: 'AAPL', secType: 'STK', exchange: 'SMART', primaryExch: 'NASDAQ', currency: 'USD'};
+
+let client;
+let calls;
+let listings;
+let dir;
+let cache_file;
+
+beforeEach(async() => {
+    calls = [];
+    listings = {AAPL: [aapl]};
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {firstRequestId: 100}));
+    client.request = createRequests(client, {});
+    // answers with the listings of the symbol that match the other properties given
+    client.reqContractDetails = async function(reqId, contract) {
+        calls.push(['reqContractDetails', ...arguments]);
+        setImmediate(() => {
+            (listings[contract.symbol] || []).filter(listing => Object.keys(contract).every(name => {
+                return name == 'exchange' && contract.exchange == 'SMART' || listing[name] == contract[name];
+            })).forEach(listing => client.emit('contractDetails', reqId, {contract: listing, longName: listing.symbol}));
+            client.emit('contractDetailsEnd', reqId);
+        });
+        return client;
+    };
+    client.reqMatchingSymbols = async function(reqId, pattern) {
+        calls.push(['reqMatchingSymbols', ...arguments]);
+        setImmediate(() => client.emit('symbolSamples', reqId, [{contract: aapl, derivativeSecTypes: ['OPT', 'WAR']}]));
+        return client;
+    };
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-contracts-'));
+    cache_file = path.join(dir, 'contract-cache.json');
+});
+
+afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+});
+
+test('parse', () => {
+    expect(parse('AAPL STK SMART USD')).toEqual({symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'});
+    expect(parse('aapl')).toEqual({symbol: 'AAPL', secType: 'STK', exchange: 'SMART'});
+    expect(parse('ES FUT 202612')).toEqual({symbol: 'ES', secType: 'FUT', lastTradeDateOrContractMonth: '202612'});
+    expect(parse('ES 202612 CME')).toEqual({symbol: 'ES', secType: 'FUT', lastTradeDateOrContractMonth: '202612', exchange: 'CME'});
+    expect(parse('AAPL  261218C00200000')).toEqual({
+        symbol: 'AAPL', secType: 'OPT', lastTradeDateOrContractMonth: '20261218', strike: 200, right: 'Call', exchange: 'SMART', currency: 'USD'
+    });
+    expect(parse('SPY 20261218 452.5 PUT')).toMatchObject({secType: 'OPT', strike: 452.5, right: 'Put', exchange: 'SMART'});
+    expect(parse('EUR.USD')).toEqual({symbol: 'EUR', secType: 'CASH', currency: 'USD', exchange: 'IDEALPRO'});
+    expect(parse('AAPL STK SMART/NASDAQ')).toMatchObject({exchange: 'SMART', primaryExch: 'NASDAQ'});
+    expect(() => parse('AAPL STK SMART ARCA')).toThrow('Cannot parse ARCA in contract AAPL STK SMART ARCA');
+    expect(format(aapl)).toBe('AAPL STK SMART/NASDAQ USD (265598)');
+});
+
+test('resolve and cache', async() => {
+    const resolver = createContractResolver(client, {contractCache: cache_file});
+    const [first, second] = await Promise.all([resolver.resolve('AAPL STK SMART USD'), resolver.resolve('AAPL STK SMART USD')]);
+    expect(first).toEqual(aapl);
+    expect(second).toEqual(aapl);
+    expect(calls.length).toBe(1);
+    expect(calls[0]).toEqual(['reqContractDetails', 100, {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'}]);
+    expect(await resolver.resolve({currency: 'USD', symbol: 'AAPL', secType: 'STK', exchange: 'SMART', right: 'None'})).toEqual(aapl);
+    expect(calls.length).toBe(1);
+    // another resolver reads the cache file, once it is written
+    await resolver.flush();
+    const other = createContractResolver(client, {contractCache: cache_file});
+    expect((await other.details('AAPL STK SMART USD'))[0].longName).toBe('AAPL');
+    expect(calls.length).toBe(1);
+    await other.resolve('AAPL STK SMART USD', {refresh: true});
+    expect(calls.length).toBe(2);
+    await other.clear();
+    expect(fs.existsSync(cache_file)).toBe(false);
+});
+
+test('cache write failures', async() => {
+    // the cache file is in a folder that is a file
+    fs.writeFileSync(cache_file, '');
+    const resolver = createContractResolver(client, {contractCache: path.join(cache_file, 'cache.json')});
+    expect(await resolver.resolve('AAPL')).toEqual(aapl);
+    await resolver.flush();
+    listings.MSFT = [{...aapl, conid: 272093, symbol: 'MSFT'}];
+    const warned = new Promise(ready => client.once('warning', ready));
+    expect(await resolver.resolve('MSFT')).toMatchObject({conid: 272093});
+    expect(await warned).toHaveProperty('code');
+    await resolver.flush();
+});
+
+test('cache size', async() => {
+    listings.MSFT = [{...aapl, conid: 272093, symbol: 'MSFT'}];
+    const resolver = createContractResolver(client, {contractCache: cache_file, contractCacheSize: 1});
+    await resolver.resolve('AAPL');
+    await resolver.resolve('MSFT');
+    await resolver.flush();
+    expect(Object.keys(JSON.parse(fs.readFileSync(cache_file, 'utf8'))).map(key => JSON.parse(key).symbol)).toEqual(['MSFT']);
+});
+
+test('expiry', async() => {
+    listings.ES = [{conid: 1, symbol: 'ES', secType: 'FUT', lastTradeDateOrContractMonth: '20200918', exchange: 'CME', currency: 'USD'}];
+    const resolver = createContractResolver(client, {contractCache: false});
+    await resolver.resolve('ES FUT 20200918');
+    await resolver.resolve('ES FUT 20200918');
+    expect(calls.length).toBe(2);
+    const short = createContractResolver(client, {contractCache: false, contractCacheTtl: 0});
+    await short.resolve('AAPL');
+    await short.resolve('AAPL');
+    expect(calls.length).toBe(4);
+});
+
+test('ambiguous contract', async() => {
+    listings.ES = [
+        {conid: 1, symbol: 'ES', secType: 'FUT', lastTradeDateOrContractMonth: '29991219', exchange: 'CME', currency: 'USD'},
+        {conid: 2, symbol: 'ES', secType: 'FUT', lastTradeDateOrContractMonth: '29990320', exchange: 'CME', currency: 'USD'}
+    ];
+    const resolver = createContractResolver(client, {contractCache: false});
+    const err = await resolver.resolve('ES FUT').catch(err => err);
+    expect(err).toBeInstanceOf(AmbiguousContractError);
+    expect(err.message).toBe('Ambiguous contract ES FUT matches ES FUT 29991219 CME USD (1), ES FUT 29990320 CME USD (2)');
+    expect(err.candidates.map(candidate => candidate.conid)).toEqual([1, 2]);
+    expect(await resolver.resolve('ES FUT 29990320')).toMatchObject({conid: 2});
+    await expect(resolver.resolve('MSFT')).rejects.toThrow('No contract matches MSFT STK SMART');
+});
+
+test('search', async() => {
+    const resolver = createContractResolver(client, {contractCache: false});
+    expect(await resolver.search('AAP')).toEqual([{contract: aapl, derivativeSecTypes: ['OPT', 'WAR']}]);
+    expect(calls[0]).toEqual(['reqMatchingSymbols', 100, 'AAP']);
+});
+
+test('place order for a contract string', async() => {
+    client.contracts = createContractResolver(client, {contractCache: false});
+    client.nextOrderId = async() => 7;
+    client.placeOrder = async function() {
+        calls.push(['placeOrder', ...arguments]);
+        return client;
+    };
+    const orders = createOrders(client, {});
+    await orders.place('AAPL', {action: 'BUY', totalQuantity: '1', orderType: 'MKT'});
+    expect(calls[1]).toEqual(['placeOrder', 7, aapl, {action: 'BUY', totalQuantity: '1', orderType: 'MKT'}]);
+});
@@ -0,0 +1,95 @@
+// vim: set filetype=javascript:
+// doctor.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const diagnose = require('../src/doctor.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+let dir;
+let server;
+
+beforeEach(async() => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-doctor-'));
+    server = net.createServer(socket => socket.destroy());
+    await new Promise(ready => server.listen(0, ready));
+});
+
+afterEach(async() => {
+    await new Promise(ready => server.close(ready));
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ * A port that nothing is listening on
+ */
+async function closedPort() {
+    const closed = net.createServer();
+    await new Promise(ready => closed.listen(0, ready));
+    const port = closed.address().port;
+    await new Promise(ready => closed.close(ready));
+    return port;
+}
+
+test('found and listening', async() => {
+    const jar = path.join(dir, 'IBJts', 'source', 'JavaClient', 'TwsApi.jar');
+    fs.mkdirSync(path.dirname(jar), {recursive: true});
+    fs.writeFileSync(jar, '');
+    const jre = path.join(dir, 'jre');
+    fs.mkdirSync(path.join(jre, 'bin'), {recursive: true});
+    fs.writeFileSync(path.join(jre, 'bin', 'java'), '#!/bin/sh\necho \'openjdk version "17.0.2" 2022-01-18\' >&2\n', {mode: 0o755});
+    const json_port = await closedPort();
+    const report = await diagnose({
+        config: false, twsApiPath: path.join(dir, 'IBJts'), javaHome: jre,
+        twsApiPort: server.address().port, jsonApiPort: json_port
+    });
+    expect(report.twsApiJar).toEqual({searched: [path.join(dir, 'IBJts')], file: jar});
+    expect(report.java).toEqual({searched: [jre], home: jre, exe: path.join(jre, 'bin', 'java'), version: '17.0.2'});
+    expect(report.ports).toEqual([{
+        host: null, port: server.address().port, listening: true, jsonHost: null, jsonPort: json_port, jsonListening: false
+    }]);
+    expect(report.hints.filter(hint => !hint.includes('ib-tws-json.jar'))).toEqual([
+        `TWS is listening on ${server.address().port} but the JSON API is not on ${json_port}, so ib-tws-json will be started to connect to it, or run ib-tws-json --install and restart TWS`
+    ]);
+    const text = diagnose.format(report);
+    expect(text).toContain(`TwsApi.jar: ${jar}`);
+    expect(text).toContain(`Java: ${path.join(jre, 'bin', 'java')} (version 17.0.2)`);
+    expect(text).toContain(`TWS API localhost:${server.address().port} listening, JSON API localhost:${json_port} not listening`);
+});
+
+test('missing and not listening', async() => {
+    const tws_port = await closedPort();
+    const report = await diagnose({
+        config: false, twsApiJar: path.join(dir, 'TwsApi.jar'), javaHome: path.join(dir, 'jre'),
+        twsApiPort: tws_port, jsonApiPortOffset: 1
+    });
+    expect(report.ok).toBe(false);
+    expect(report.twsApiJar.file).toBe(null);
+    expect(report.java.version).toBe(null);
+    expect(report.ports[0]).toMatchObject({port: tws_port, listening: false, jsonPort: tws_port + 1});
+    expect(report.hints).toEqual(expect.arrayContaining([
+        `The tws-api-jar ${path.join(dir, 'TwsApi.jar')} does not exist`,
+        'Could not find a JRE or run java, install TWS or IB Gateway, or use --java-home <path> of the JRE that came with it',
+        expect.stringMatching(`^Nothing is listening on ${tws_port}, start TWS or IB Gateway`)
+    ]));
+    expect(diagnose.format(report)).toContain('TwsApi.jar: not found');
+});
@@ -0,0 +1,61 @@
+// vim: set filetype=javascript:
+// errors.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { AssertionError } = require('assert');
+const { TwsError, ValidationError, classify, isWarning } = require('../src/errors.js');
+
+test('classify', () => {
+    expect(classify(2104)).toBe('notice');
+    expect(classify('2158')).toBe('notice');
+    expect(classify(2103)).toBe('warning');
+    expect(classify(2199)).toBe('warning');
+    expect(classify(10167)).toBe('warning');
+    expect(classify(1100)).toBe('connection');
+    expect(classify(504)).toBe('connection');
+    expect(classify(null)).toBe('connection');
+    expect(classify(200)).toBe('request');
+    expect(classify(201)).toBe('request');
+    expect(isWarning(2106)).toBe(true);
+    expect(isWarning(399)).toBe(true);
+    expect(isWarning(201)).toBe(false);
+});
+
+test('TwsError from id/code/msg', () => {
+    const err = TwsError.from([7, 201, 'Order rejected', '{"errorCode":"X"}']);
+    expect(err).toBeInstanceOf(Error);
+    expect(err.name).toBe('TwsError');
+    expect(err).toMatchObject({reqId: 7, code: 201, message: 'Order rejected',
+        advancedOrderRejectJson: '{"errorCode":"X"}', category: 'request'});
+});
+
+test('TwsError from string or exception', () => {
+    expect(TwsError.from(['Socket closed'])).toMatchObject({reqId: -1, code: null, message: 'Socket closed', category: 'connection'});
+    expect(TwsError.from([{message: 'Connection reset'}])).toMatchObject({message: 'Connection reset', category: 'connection'});
+});
+
+test('ValidationError', () => {
+    const err = new ValidationError({message: 'Expected 1 to be a(n) String'});
+    expect(err).toBeInstanceOf(AssertionError);
+    expect(err.name).toBe('ValidationError');
+    expect(err.code).toBe('ERR_ASSERTION');
+    const converted = ValidationError.from(new AssertionError({message: 'x', actual: 1, expected: 2, operator: 'strictEqual'}));
+    expect(converted).toBeInstanceOf(ValidationError);
+    expect(converted.message).toContain('x');
+    expect(converted).toMatchObject({actual: 1, expected: 2, operator: 'strictEqual'});
+});
@@ -0,0 +1,243 @@
+// vim: set filetype=javascript:
+// gateway.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const WebSocket = require('ws');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createGateway = require('../src/gateway.js');
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let server;
+let client;
+let gateway;
+let sockets;
+
+beforeEach(async() => {
+    sockets = [];
+    server = await createMockServer({nextValidId: 100});
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false});
+    await new Promise((ready, abort) => {
+        client.once('nextValidId', ready);
+        client.eConnect(0, false).catch(abort);
+    });
+    gateway = await createGateway(client, {tokens: {secret: '*', viewer: 'read-only', clock: ['reqCurrentTime']}});
+});
+
+afterEach(async() => {
+    sockets.forEach(ws => ws.terminate());
+    await new Promise(ready => gateway.close(ready));
+    await client.exit();
+    await new Promise(ready => server.close(ready));
+});
+
+/**
+ * Opens a WebSocket to the gateway that collects the events it receives and can make calls
+ */
+async function connect(token) {
+    const ws = new WebSocket(`ws://localhost:${gateway.address().port}/?token=${token}`);
+    sockets.push(ws);
+    const events = [];
+    const replies = new Map();
+    let next_id = 1;
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.event) events.push(message);
+        else if (replies.has(message.id)) replies.get(message.id)(message);
+    });
+    await new Promise((ready, fail) => ws.once('open', ready).once('error', fail));
+    return Object.assign(ws, {
+        events,
+        call(method, params) {
+            const id = next_id++;
+            ws.send(JSON.stringify({id, method, params}));
+            return new Promise(ready => replies.set(id, ready));
+        },
+        until(event_name, count) {
+            return new Promise(ready => {
+                const check = () => {
+                    if (events.filter(e => e.event == event_name).length >= (count || 1)) ready(events);
+                    else setTimeout(check, 5);
+                };
+                check();
+            });
+        }
+    });
+}
+
+/**
+ * Resolves with the calls the server has received of the action, once there are count of them
+ */
+function received(action_name, count) {
+    return new Promise(ready => {
+        const check = () => {
+            const calls = server.calls.filter(call => call[0] == action_name);
+            if (calls.length >= count) ready(calls);
+            else setTimeout(check, 5);
+        };
+        check();
+    });
+}
+
+test('token required', async() => {
+    await expect(connect('wrong')).rejects.toThrow('401');
+    await expect(connect('constructor')).rejects.toThrow('401');
+    await expect(connect('toString')).rejects.toThrow('401');
+    await expect(connect('')).rejects.toThrow('401');
+    expect(gateway.size).toBe(0);
+});
+
+test('close removes its listeners', async() => {
+    const exits = client.listenerCount('exit');
+    const statuses = client.listenerCount('orderStatus');
+    const other = await createGateway(client, {tokens: {secret: '*'}});
+    expect(client.listenerCount('exit')).toBe(exits + 1);
+    await new Promise(ready => other.close(ready));
+    expect(client.listenerCount('exit')).toBe(exits);
+    expect(client.listenerCount('orderStatus')).toBe(statuses);
+});
+
+test('request with schema parameter names', async() => {
+    server.respond('reqContractDetails', (session, reqId, contract) => {
+        session.send('contractDetails', reqId, {contract: {...contract, conid: 265598}});
+        session.send('contractDetailsEnd', reqId);
+    });
+    const ws = await connect('secret');
+    expect(await ws.call('reqContractDetails', {reqId: 7, contract})).toEqual({id: 1, result: 7});
+    await ws.until('contractDetailsEnd');
+    expect(ws.events).toEqual([
+        {event: 'contractDetails', params: {reqId: 7, contractDetails: {contract: {...contract, conid: 265598}}}},
+        {event: 'contractDetailsEnd', params: {reqId: 7}}
+    ]);
+    const call = server.calls.find(call => call[0] == 'reqContractDetails');
+    expect(call[1]).not.toBe(7);
+});
+
+test('read-only token', async() => {
+    const ws = await connect('viewer');
+    const reply = await ws.call('placeOrder', {contract, order: {action: 'BUY', totalQuantity: '1', orderType: 'MKT'}});
+    expect(reply.error.message).toBe('Not allowed to call placeOrder');
+    expect((await ws.call('eDisconnect', {})).error.message).toBe('Unknown method eDisconnect');
+    expect((await ws.call('reqCurrentTime', {})).result).toBe(null);
+    expect((await ws.call('reqPositions', {})).error.message).toBe('Not allowed to call reqPositions');
+    expect((await ws.call('describe', {name: 'reqCurrentTime'})).result).toMatchObject({param_names: []});
+    expect(server.calls.map(call => call[0])).not.toContain('placeOrder');
+});
+
+test('token with a list of methods', async() => {
+    const ws = await connect('clock');
+    expect((await ws.call('reqCurrentTime', {})).result).toBe(null);
+    expect((await ws.call('describe', {})).error.message).toBe('Not allowed to call describe');
+    expect((await ws.call('reqContractDetails', {reqId: 1, contract})).error.message).toBe('Not allowed to call reqContractDetails');
+});
+
+test('order and account events', async() => {
+    const trader = await connect('secret');
+    const viewer = await connect('viewer');
+    expect((await trader.call('placeOrder', {id: 1, contract, order: {action: 'BUY', totalQuantity: '1', orderType: 'MKT'}})).result).toBe(1);
+    expect((await trader.call('reqPositions', {})).result).toBe(null);
+    server.broadcast('orderStatus', 100, 'Submitted', '0', '1', 0, 1, 0, 0, 0, '', 0);
+    server.broadcast('execDetails', -1, contract, {orderId: 100, execId: 'e1', shares: '1', price: 189.5});
+    server.broadcast('commissionReport', {execId: 'e1', commission: 1, currency: 'USD'});
+    server.broadcast('position', 'DU1234567', contract, '1', 189.5);
+    server.broadcast('currentTime', 1700000000);
+    await trader.until('currentTime');
+    await viewer.until('currentTime');
+    expect(trader.events.map(e => e.event)).toEqual(['orderStatus', 'execDetails', 'commissionReport', 'position', 'currentTime']);
+    expect(trader.events[0].params).toMatchObject({orderId: 1, status: 'Submitted'});
+    expect(trader.events[1].params).toMatchObject({reqId: -1, execution: {orderId: 1, execId: 'e1'}});
+    expect(viewer.events.map(e => e.event)).toEqual(['currentTime']);
+});
+
+test('order ids per connection', async() => {
+    const first = await connect('secret');
+    const second = await connect('secret');
+    const order = {action: 'BUY', totalQuantity: '1', orderType: 'MKT'};
+    expect((await first.call('placeOrder', [1, contract, order])).result).toBe(1);
+    expect((await second.call('placeOrder', [1, contract, order])).result).toBe(1);
+    expect((await received('placeOrder', 2)).map(call => call[1])).toEqual([100, 101]);
+    server.broadcast('orderStatus', 101, 'Submitted', '0', '1', 0, 2, 0, 0, 0, '', 0);
+    server.broadcast('error', 101, 399, 'Order Message: Warning', '');
+    server.broadcast('currentTime', 1700000000);
+    await first.until('currentTime');
+    await second.until('currentTime');
+    expect(first.events.map(e => e.event)).toEqual(['currentTime']);
+    expect(second.events[0].params).toMatchObject({orderId: 1, permId: 2});
+    expect(second.events[1].params).toMatchObject({id: 1, errorCode: 399});
+    expect((await first.call('cancelOrder', {id: 2, manualOrderCancelTime: ''})).error.message).toBe('Unknown order id 2');
+    expect((await first.call('cancelOrder', {id: 1, manualOrderCancelTime: ''})).result).toBe(null);
+    expect((await received('cancelOrder', 1)).map(call => call[1])).toEqual([100]);
+});
+
+test('place order', async() => {
+    const ws = await connect('secret');
+    const reply = await ws.call('placeOrder', {contract, order: {action: 'BUY', totalQuantity: '1', orderType: 'MKT'}});
+    expect(reply.result).toBe(100);
+    server.broadcast('orderStatus', 100, 'Submitted', '0', '1', 0, 1, 0, 0, 0, '', 0);
+    await ws.until('orderStatus');
+    expect(ws.events[0].params).toMatchObject({orderId: 100, status: 'Submitted'});
+});
+
+test('shared market data', async() => {
+    server.respond('reqMktData', (session, tickerId) => {
+        session.send('tickPrice', tickerId, 1, 189.5, {canAutoExecute: true});
+    });
+    const first = await connect('secret');
+    const second = await connect('viewer');
+    await first.call('reqMktData', {tickerId: 1, contract, genericTickList: '', snapshot: false, regulatorySnapshot: false, mktDataOptions: []});
+    await first.until('tickPrice');
+    await second.call('reqMktData', [2, contract, '', false, false, []]);
+    await second.until('tickPrice');
+    expect(server.calls.filter(call => call[0] == 'reqMktData').length).toBe(1);
+    expect(first.events[0].params).toEqual({tickerId: 1, field: 1, price: 189.5, attrib: {canAutoExecute: true}});
+    expect(second.events[0].params).toEqual({tickerId: 2, field: 1, price: 189.5, attrib: {canAutoExecute: true}});
+    const upstream_id = server.calls.find(call => call[0] == 'reqMktData')[1];
+    server.broadcast('tickPrice', upstream_id, 2, 189.6, {});
+    await first.until('tickPrice', 2);
+    await second.until('tickPrice', 2);
+    expect(second.events[1].params).toMatchObject({tickerId: 2, field: 2, price: 189.6});
+    await first.call('cancelMktData', {tickerId: 1});
+    expect(server.calls.map(call => call[0])).not.toContain('cancelMktData');
+    second.close();
+    await new Promise(ready => server.on('call', (session, name) => name == 'cancelMktData' && ready()));
+    expect(server.calls.find(call => call[0] == 'cancelMktData')[1]).toBe(upstream_id);
+});
+
+test('market data options are not shared', async() => {
+    const first = await connect('secret');
+    const second = await connect('secret');
+    await first.call('reqMktData', [1, contract, '', false, false, []]);
+    await second.call('reqMktData', [1, contract, '', false, false, [{tag: 'XYZ', value: '1'}]]);
+    expect((await received('reqMktData', 2)).map(call => call[6])).toEqual([[], [{tag: 'XYZ', value: '1'}]]);
+});
+
+test('failed market data is not shared', async() => {
+    server.respond('reqMktData', (session, tickerId) => {
+        session.error(tickerId, 200, 'No security definition has been found for the request');
+    });
+    const first = await connect('secret');
+    const second = await connect('viewer');
+    await first.call('reqMktData', [1, contract, '', false, false, []]);
+    await first.until('error');
+    expect(first.events[0].params).toMatchObject({id: 1, errorCode: 200});
+    await second.call('reqMktData', [2, contract, '', false, false, []]);
+    await second.until('error');
+    expect(second.events[0].params).toMatchObject({id: 2, errorCode: 200});
+    expect((await received('reqMktData', 2)).length).toBe(2);
+});
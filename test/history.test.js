@@ -0,0 +1,141 @@
+// vim: set filetype=javascript:
+// history.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createIds = require('../src/ids.js');
+const createRequests = require('../src/requests.js');
+const createHistory = require('../src/history.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+const day = 24 * 60 * 60 * 1000;
+const first_day = Date.UTC(2023, 0, 2);
+
+let client;
+let calls;
+let days;
+let errors;
+let dir;
+
+beforeEach(async() => {
+    calls = [];
+    errors = [];
+    days = Array.from(Array(10).keys()).map(i => first_day + i * day);
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {firstRequestId: 100}));
+    client.request = createRequests(client, {});
+    // answers with the three daily bars up to endDateTime
+    client.reqHistoricalData = async function(reqId, contract, endDateTime, durationStr) {
+        calls.push(['reqHistoricalData', ...arguments]);
+        const m = endDateTime.match(/^(\d{4})(\d{2})(\d{2})-(\d{2}):(\d{2}):(\d{2})$/);
+        const end = m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : Infinity;
+        setImmediate(() => {
+            if (errors.length) return client.emit('error', reqId, ...errors.shift());
+            days.filter(time => time <= end).slice(-3).forEach(time => client.emit('historicalData', reqId, {
+                time: String(time / 1000), open: 1, high: 2, low: 0.5, close: 1.5, volume: '100', wap: 1.2, count: 10
+            }));
+            client.emit('historicalDataEnd', reqId, '', '');
+        });
+        return client;
+    };
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-history-'));
+});
+
+afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+});
+
+test('download', async() => {
+    const chunks = [];
+    const bars = await createHistory(client, {}).download(contract, {onChunk: chunk => chunks.push(chunk.length)});
+    expect(bars.map(bar => +bar.time * 1000)).toEqual(days);
+    expect(chunks).toEqual([3, 3, 3, 3, 2, 1]);
+    expect(calls[0]).toEqual(['reqHistoricalData', 100, contract, '', '1 Y', '1 day', 'TRADES', 1, 2, false, []]);
+    expect(calls[1][3]).toBe('20230109-00:00:00');
+    expect(calls[2][3]).toBe('20230107-00:00:00');
+});
+
+test('start and end', async() => {
+    const bars = await createHistory(client, {}).download(contract, {
+        barSize: '1 day',
+        whatToShow: 'MIDPOINT',
+        useRTH: false,
+        start: new Date(first_day + 2 * day),
+        end: '20230109'
+    });
+    expect(bars.map(bar => +bar.time * 1000)).toEqual(days.slice(2, 8));
+    expect(calls[0].slice(3, 8)).toEqual(['20230109-00:00:00', '1 Y', '1 day', 'MIDPOINT', 0]);
+    expect(calls.length).toBe(3);
+});
+
+test('unknown bar size', async() => {
+    await expect(createHistory(client, {}).download(contract, {barSize: '7 mins'})).rejects.toThrow('Unknown bar size');
+    expect(calls).toEqual([]);
+});
+
+test('no data', async() => {
+    errors.push([162, 'Historical Market Data Service error message:HMDS query returned no data: AAPL@SMART Trades', '']);
+    expect(await createHistory(client, {}).download(contract)).toEqual([]);
+    expect(calls.length).toBe(1);
+});
+
+test('pacing violation', async() => {
+    errors.push([162, 'Historical Market Data Service error message:Historical data request pacing violation', '']);
+    const bars = await createHistory(client, {}).download(contract, {retryDelay: 1});
+    expect(bars.length).toBe(10);
+    expect(calls[1].slice(2)).toEqual(calls[0].slice(2));
+});
+
+test('request error', async() => {
+    errors.push([200, 'No security definition has been found for the request', '']);
+    await expect(createHistory(client, {}).download(contract)).rejects.toMatchObject({reqId: 100, code: 200});
+    expect(calls.length).toBe(1);
+});
+
+test('csv file', async() => {
+    const file = path.join(dir, 'AAPL.csv');
+    const bars = await createHistory(client, {}).download(contract, {file});
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    expect(lines[0]).toBe('time,open,high,low,close,volume,wap,count');
+    expect(lines[1]).toBe(`${first_day / 1000},1,2,0.5,1.5,100,1.2,10`);
+    expect(lines.length).toBe(12);
+    expect(fs.readdirSync(dir)).toEqual(['AAPL.csv']);
+    expect(bars.length).toBe(10);
+});
+
+test('resume jsonl file', async() => {
+    const file = path.join(dir, 'AAPL.jsonl');
+    const history = createHistory(client, {});
+    days = days.slice(3, 7);
+    await history.download(contract, {file, start: first_day + 3 * day});
+    expect(fs.readFileSync(file, 'utf8').split('\n').filter(line => line).map(line => JSON.parse(line).time))
+        .toEqual(days.map(time => String(time / 1000)));
+    days = Array.from(Array(10).keys()).map(i => first_day + i * day);
+    calls = [];
+    const bars = await history.download(contract, {file, start: first_day});
+    expect(bars.map(bar => +bar.time * 1000)).toEqual(days);
+    // walks back from now until the last bar in the file, then back from the first bar in the file
+    expect(calls.map(call => call[3])).toEqual(['', '20230109-00:00:00', '20230105-00:00:00', '20230103-00:00:00']);
+    expect(fs.readFileSync(file, 'utf8').split('\n').filter(line => line).length).toBe(10);
+});
@@ -0,0 +1,118 @@
+// vim: set filetype=javascript:
+// ib-tws-json.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const createMockServer = require('../src/ib-tws-mock.js');
+const { listInstallations, selectInstallation, parseInstallation } = require('../src/ib-tws-json.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+let dir;
+
+beforeEach(async() => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-json-'));
+    fs.mkdirSync(path.join(dir, 'jre'));
+    fs.writeFileSync(path.join(dir, 'jts.ini'), '');
+    fs.mkdirSync(path.join(dir, 'abcdefghij'));
+    install('1019', 'tws', path.join(dir, 'jre'));
+    install('1030', 'tws');
+    install(path.join('ibgateway', '1012'), 'ibgateway', path.join(dir, 'jre'));
+    install(path.join('ibgateway', '1025'), 'ibgateway');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/**
+ * Creates an install folder with its exe and, if given a jre, an .install4j folder that refers to it
+ */
+function install(name, exe, jre) {
+    fs.mkdirSync(path.join(dir, name), {recursive: true});
+    fs.writeFileSync(path.join(dir, name, exe), '');
+    if (jre) {
+        fs.mkdirSync(path.join(dir, name, '.install4j'));
+        fs.writeFileSync(path.join(dir, name, '.install4j', 'inst_jre.cfg'), `${jre}\n`);
+    }
+}
+
+test('list installations', async() => {
+    expect(await listInstallations({'tws-path': dir})).toEqual([
+        {product: 'tws', version: '1030', path: path.join(dir, '1030'), install4j: null, jre: null, exeName: 'tws'},
+        {
+            product: 'tws', version: '1019', path: path.join(dir, '1019'), install4j: path.join(dir, '1019', '.install4j'),
+            jre: path.join(dir, 'jre'), exeName: 'tws'
+        }
+    ]);
+    expect((await listInstallations({'tws-path': path.join(dir, 'ibgateway')})).map(i => [i.product, i.version])).toEqual([
+        ['gateway', '1025'], ['gateway', '1012']
+    ]);
+});
+
+test('select installation', async() => {
+    const select = async(installation, install_dir) => {
+        const selected = await selectInstallation({'installation': installation, 'jts-install-dir': install_dir || dir});
+        return selected && [selected.product, selected.version];
+    };
+    expect(await select()).toEqual(['tws', '1030']);
+    expect(await select('gateway')).toEqual(['gateway', '1025']);
+    expect(await select('gateway <1020')).toEqual(['gateway', '1012']);
+    expect(await select({product: 'tws', version: '10.19'})).toEqual(['tws', '1019']);
+    expect(await select('>=1020 <1030')).toEqual(['gateway', '1025']);
+    expect(await select(null, path.join(dir, 'ibgateway', '1012'))).toEqual(['gateway', '1012']);
+    expect(await select(null, path.join(dir, 'abcdefghij'))).toBe(null);
+    await expect(select('gateway >=2000')).rejects
+        .toThrow('No TWS or IB Gateway installation matches gateway >=2000, found tws 1030, tws 1019, gateway 1025, gateway 1012');
+});
+
+test('parse installation', () => {
+    expect(parseInstallation('IB Gateway 1019')).toEqual({product: 'gateway', versions: [['=', '1019']]});
+    expect(parseInstallation({product: 'TWS', version: '>=10.19 <1030'}))
+        .toEqual({product: 'tws', versions: [['>=', '1019'], ['<', '1030']]});
+    expect(parseInstallation()).toEqual({product: undefined, versions: []});
+    expect(() => parseInstallation('client')).toThrow('Unknown installation product client, use tws or gateway');
+    expect(() => parseInstallation('tws ~1019')).toThrow('Invalid installation version ~1019');
+});
+
+test('serve WebSocket without a client id', async() => {
+    const server = await createMockServer();
+    // the CLI's connection is reset when it is stopped
+    server.on('error', err => err.code == 'ECONNRESET' || console.error(err));
+    const cli = spawn(process.execPath, [
+        path.resolve(__dirname, '../src/ib-tws-json.js'), '--serve-ws', '0', '--ws-token', 't',
+        '--json-api-host', 'localhost', '--json-api-port', String(server.address().port)
+    ], {cwd: dir, env: {PATH: process.env.PATH, HOME: dir, XDG_CONFIG_HOME: dir}});
+    try {
+        let stderr = '';
+        await new Promise((ready, fail) => {
+            cli.stderr.on('data', chunk => (stderr += chunk).includes('serving WebSocket') && ready());
+            cli.once('exit', code => fail(Error(`Exited with ${code}: ${stderr}`)));
+            setTimeout(() => fail(Error(`Not serving: ${stderr}`)), 5000);
+        });
+        expect(server.calls.find(call => call[0] == 'eConnect')).toEqual(['eConnect', 0, false]);
+    } finally {
+        const exit = new Promise(ready => cli.once('exit', ready));
+        cli.kill('SIGINT');
+        await exit;
+        await new Promise(ready => server.close(ready));
+    }
+}, 10000);
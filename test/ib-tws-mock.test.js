@@ -0,0 +1,74 @@
+// vim: set filetype=javascript:
+// ib-tws-mock.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const net = require('net');
+const createMockServer = require('../src/ib-tws-mock.js');
+
+let server;
+let socket;
+
+beforeEach(async() => {
+    server = await createMockServer();
+    socket = net.createConnection(server.address().port, 'localhost');
+    socket.setEncoding('utf8');
+    await new Promise(ready => socket.once('connect', ready));
+});
+
+afterEach(async() => {
+    socket.destroy();
+    await new Promise(ready => server.close(ready));
+});
+
+function readLines(count) {
+    return new Promise(ready => {
+        let buffer = '';
+        const ondata = chunk => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            if (lines.length > count) {
+                socket.removeListener('data', ondata);
+                ready(lines.slice(0, count));
+            }
+        };
+        socket.on('data', ondata);
+    });
+}
+
+test('help enum', async() => {
+    socket.write('help\t"Right"\t\n');
+    expect(await readLines(4)).toEqual([
+        'help\t"Right"\t"None"',
+        'help\t"Right"\t"Put"',
+        'help\t"Right"\t"Call"',
+        'helpEnd\t"Right"'
+    ]);
+});
+
+test('respond after connect', async() => {
+    server.respond('reqCurrentTime', session => session.send('currentTime', 1600000000));
+    socket.write('reqCurrentTime\t\nsleep\t10\t\neConnect\t0\tfalse\t\nreqCurrentTime\t\n');
+    expect(await readLines(5)).toEqual([
+        'error\t-1\t504\t"Not connected"\t""',
+        'connectAck',
+        'managedAccounts\t"DU1234567"',
+        'nextValidId\t1',
+        'currentTime\t1600000000'
+    ]);
+    expect(server.calls.map(call => call[0])).toEqual(['reqCurrentTime', 'sleep', 'eConnect', 'reqCurrentTime']);
+});
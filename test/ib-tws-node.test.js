@@ -22,19 +22,21 @@ const util = require('util');
 const fs = require('fs');
 const path = require('path');
 const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
 const mkdtemp = util.promisify(fs.mkdtemp);
 const mkdir = util.promisify(fs.mkdir);
 
+let server;
 let client;
 
-jest.setTimeout(1200000); // 2 minutes timeout for human input
-
 beforeEach(async() => {
-    client = await Client({twsApiPort: 7496, twsApiHost: 'localhost'});
+    server = await createMockServer();
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false});
 });
 
 afterEach(async() => {
     await client.exit();
+    await new Promise(ready => server.close(ready));
 });
 
 function deleteFolderRecursive(path) {
@@ -72,6 +74,48 @@ test('error', done => {
     client.reqIds(-1);
 });
 
+test('connectionError', done => {
+    client.on('connectionError', err => {
+        expect(err).toBeInstanceOf(Client.TwsError);
+        expect(err).toMatchObject({reqId: -1, code: 504, category: 'connection'});
+        done();
+    });
+    client.reqIds(-1);
+});
+
+test('notice and requestError', async() => {
+    const errors = [];
+    client.on('error', (...args) => errors.push(['error', ...args]));
+    client.on('notice', err => errors.push(['notice', err.code]));
+    client.on('requestError', err => errors.push(['requestError', err.reqId, err.code]));
+    server.broadcast('error', -1, 2104, 'Market data farm connection is OK:usfarm', '');
+    server.broadcast('error', 5, 200, 'No security definition has been found for the request', '');
+    await new Promise(ready => client.once('requestError', () => ready()));
+    expect(errors).toEqual([
+        ['error', -1, 2104, 'Market data farm connection is OK:usfarm', ''],
+        ['notice', 2104],
+        ['error', 5, 200, 'No security definition has been found for the request', ''],
+        ['requestError', 5, 200]
+    ]);
+});
+
+test('notice without error listener', async() => {
+    const notice = new Promise(ready => client.once('notice', ready));
+    server.broadcast('error', -1, 2106, 'HMDS data farm connection is OK:ushmds', '');
+    await expect(notice).resolves.toMatchObject({code: 2106, category: 'notice'});
+});
+
+test('pacer', async() => {
+    await client.eConnect(0, false);
+    await client.reqCurrentTime();
+    await client.isConnected();
+    expect(client.pacer.stats()).toMatchObject({queued: 0, sent: 2});
+});
+
+test('ValidationError', async() => {
+    await expect(client.sleep("two")).rejects.toBeInstanceOf(Client.ValidationError);
+});
+
 test('param length', async() => {
     await expect(client.help()).rejects.toThrow();
 });
@@ -117,10 +161,14 @@ test('param boolean', async() => {
     await expect(client.reqContractDetails(1, {includeExpired: 'yes'})).rejects.toThrow();
 });
 
-test.skip('placeOrder', async() => {
-    client.on('error', console.log);
+test('placeOrder', async() => {
+    server.respond('placeOrder', (session, id, contract, order) => {
+        session.send('openOrder', id, contract, order, {status: 'PreSubmitted'});
+        session.send('orderStatus', id, 'PreSubmitted', 0, order.totalQuantity, 0, 1001, 0, 0, session.clientId, '', 0);
+    }).respond('reqOpenOrders', session => {
+        session.send('openOrderEnd');
+    });
 
-    // TWS might need moment after enabling the API before it is ready to connect
     let nextValidId = await new Promise((ready, abort) => {
         client.on('error', (e_str_msg, code, msg) => !isFinite(e_str_msg) && abort(e_str_msg));
         client.once('nextValidId', ready);
@@ -145,13 +193,11 @@ test.skip('placeOrder', async() => {
         let order_status;
         client.on('error', (e_str_msg, code, msg) => !isFinite(e_str_msg) && abort(e_str_msg));
         client.on('orderStatus', (orderId, status, filled, remaining, avgFillPrice, permId, parentId, lastFillPrice, clientId, whyHeld, mktCapPrice) => {
-            if (id == orderId) {
-                order_status = status;
-                if (~['ApiCancelled', 'Cancelled', 'Filled'].indexOf(status)) ready(orderId);
-                else console.log(orderId, status, filled, lastFillPrice);
-            }
+            if (id == orderId) order_status = status;
         });
-        setTimeout(() => ready(order_status), 1000);
+        client.once('openOrderEnd', () => ready(order_status));
         client.reqOpenOrders().catch(abort);
     });
+    expect(order_status).toBe('PreSubmitted');
+    expect(server.calls.filter(call => call[0] == 'placeOrder').map(call => call[1])).toEqual([id]);
 });
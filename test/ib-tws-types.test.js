@@ -0,0 +1,62 @@
+// vim: set filetype=javascript:
+// ib-tws-types.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const emitTypes = require('../src/ib-tws-types.js');
+
+let server;
+let client;
+
+beforeEach(async() => {
+    server = await createMockServer();
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false});
+});
+
+afterEach(async() => {
+    await client.exit();
+    await new Promise(ready => server.close(ready));
+});
+
+test('describe', async() => {
+    const top = await client.describe();
+    expect(top.actions.Shell).toEqual(['help', 'sleep', 'exit']);
+    expect(top.events.EWrapper).toContain('orderStatus');
+    const event = await client.describe('nextValidId');
+    expect(event).toMatchObject({event_name: 'nextValidId', param_names: ['orderId'], param_types: ['int']});
+    expect(await client.describe('Contract')).toMatchObject({object_properties: {right: 'Right'}});
+    expect(await client.describe('Right')).toMatchObject({values: ['None', 'Put', 'Call']});
+});
+
+test('declarations', async() => {
+    const types = await emitTypes(client);
+    expect(types).toContain('placeOrder(id: number, contract: Contract, order: Order): Promise<Client>;');
+    expect(types).toContain('nextValidId: [orderId: number];');
+    expect(types).toContain('type SecType = "None" | "STK"');
+    expect(types).toContain('secType?: SecType | null;');
+    expect(types).toContain('contractDetails(contract: Parameters<Actions[\'reqContractDetails\']>[1]): Promise<any>;');
+});
+
+test('shipped declarations are up to date', async() => {
+    // regenerate with: ib-tws-mock & ib-tws-json --json-api-port 7596 --emit-types src/ib-tws-node.d.ts
+    const shipped = fs.readFileSync(path.resolve(__dirname, '../src/ib-tws-node.d.ts'), 'utf8');
+    expect(await emitTypes(client)).toEqual(shipped);
+});
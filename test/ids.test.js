@@ -0,0 +1,69 @@
+// vim: set filetype=javascript:
+// ids.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    client.reqIds = async function() {
+        calls.push(['reqIds', ...arguments]);
+        return client;
+    };
+    Object.assign(client, createIds(client, {firstRequestId: 1000}));
+});
+
+test('nextRequestId', () => {
+    expect([client.nextRequestId(), client.nextRequestId()]).toEqual([1000, 1001]);
+});
+
+test('nextOrderId waits for nextValidId', async() => {
+    const first = client.nextOrderId();
+    const second = client.nextOrderId();
+    client.emit('nextValidId', 5);
+    await expect(Promise.all([first, second])).resolves.toEqual([5, 6]);
+    expect(calls).toEqual([]);
+});
+
+test('nextOrderId after reconnect', async() => {
+    client.emit('connectAck');
+    client.emit('nextValidId', 5);
+    await expect(client.nextOrderId()).resolves.toBe(5);
+    client.emit('connectAck');
+    const next = client.nextOrderId();
+    await Promise.resolve();
+    expect(calls).toEqual([['reqIds', -1]]);
+    client.emit('nextValidId', 9);
+    await expect(next).resolves.toBe(9);
+});
+
+test('syncIds keeps ids increasing', async() => {
+    client.emit('connectAck');
+    client.emit('nextValidId', 5);
+    await client.nextOrderId();
+    await client.nextOrderId();
+    const synced = client.syncIds();
+    client.emit('nextValidId', 3);
+    await expect(synced).resolves.toBe(7);
+    await expect(client.nextOrderId()).resolves.toBe(7);
+});
@@ -0,0 +1,134 @@
+// vim: set filetype=javascript:
+// middleware.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createMiddleware = require('../src/middleware.js');
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let server;
+let client;
+
+beforeEach(async() => {
+    server = await createMockServer();
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false});
+});
+
+afterEach(async() => {
+    await client.exit();
+    await new Promise(ready => server.close(ready));
+});
+
+/**
+ * Resolves once the mock server has received a call of the action
+ */
+function received(action_name) {
+    return new Promise(ready => server.on('call', (session, name, args) => name == action_name && ready(args)));
+}
+
+test('call order and named params', async() => {
+    const seen = [];
+    client.use({
+        async call(ctx, next) {
+            seen.push(['first', ctx.name, {...ctx.params}]);
+            ctx.params.genericTickList = '233';
+            await next();
+            seen.push(['first done']);
+        }
+    });
+    client.use({
+        call(ctx, next) {
+            seen.push(['second', ctx.params.genericTickList]);
+            return next();
+        }
+    });
+    const call = received('reqMktData');
+    await client.reqMktData(1, contract, '', false, false, []);
+    expect(await call).toEqual([1, contract, '233', false, false, []]);
+    expect(seen).toEqual([
+        ['first', 'reqMktData', {tickerId: 1, contract, genericTickList: '', snapshot: false, regulatorySnapshot: false, mktDataOptions: []}],
+        ['second', '233'],
+        ['first done']
+    ]);
+});
+
+test('short-circuit, reject and remove', async() => {
+    const remove = client.use({
+        async call(ctx, next) {
+            if (ctx.name == 'reqCurrentTime') return setImmediate(() => client.emit('currentTime', 1697724000));
+            if (ctx.name == 'reqIds') throw Error('reqIds is blocked');
+            return next();
+        }
+    });
+    const time = new Promise(ready => client.once('currentTime', ready));
+    await client.reqCurrentTime();
+    expect(await time).toBe(1697724000);
+    await expect(client.reqIds(1)).rejects.toThrow('reqIds is blocked');
+    remove();
+    const call = received('reqCurrentTime');
+    await client.reqCurrentTime();
+    await call;
+    expect(server.calls.map(call => call[0]).filter(name => name != 'help')).toEqual(['reqCurrentTime']);
+});
+
+test('changed params are validated', async() => {
+    client.use({
+        call(ctx, next) {
+            ctx.params.contract = {...ctx.params.contract, secType: 'SHARE'};
+            return next();
+        }
+    });
+    await expect(client.reqContractDetails(1, contract)).rejects.toThrow('Expected SHARE to be one of');
+});
+
+test('events are transformed, dropped and kept in order', async() => {
+    server.respond('reqMktData', (session, tickerId) => {
+        session.send('tickPrice', tickerId, 1, 189.5, {});
+        session.send('tickSize', tickerId, 0, '300');
+        session.send('tickPrice', tickerId, 2, 189.6, {});
+        session.send('tickSnapshotEnd', tickerId);
+    });
+    client.use({
+        async event(ctx, next) {
+            if (ctx.name == 'tickSize') return;
+            if (ctx.name == 'tickPrice') {
+                // the first event waits longer, but is still emitted first
+                await new Promise(ready => setTimeout(ready, ctx.params.field == 1 ? 20 : 0));
+                ctx.params.price = Math.round(ctx.params.price);
+            }
+            return next();
+        }
+    });
+    const events = [];
+    ['tickPrice', 'tickSize'].forEach(name => client.on(name, (...args) => events.push([name, ...args])));
+    const end = new Promise(ready => client.once('tickSnapshotEnd', ready));
+    await client.eConnect(0, false);
+    await client.reqMktData(1, contract, '', true, false, []);
+    await end;
+    expect(events).toEqual([['tickPrice', 1, 1, 190, {}], ['tickPrice', 1, 2, 190, {}]]);
+});
+
+test('use needs a call or event function', () => {
+    expect(() => client.use(() => {})).toThrow('Middleware needs a call(ctx, next) or event(ctx, next) function');
+    const stack = createMiddleware([{call: (ctx, next) => next()}]);
+    expect(stack.hasEvents()).toBe(false);
+    stack.use({event: (ctx, next) => next()});
+    expect(stack.hasEvents()).toBe(true);
+});
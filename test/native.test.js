@@ -0,0 +1,234 @@
+// vim: set filetype=javascript:
+// native.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const net = require('net');
+const Client = require('../src/ib-tws-node.js');
+const wire = require('../src/wire.js');
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let tws;
+let client;
+
+beforeEach(async() => {
+    tws = await createFakeTws();
+    client = await Client({native: true, twsApiPort: tws.address().port, schemaCache: false});
+});
+
+afterEach(async() => {
+    await client.exit();
+    await new Promise(ready => tws.close(ready));
+});
+
+/**
+ * A TWS API socket server that answers the handshake at the given server version
+ * and the messages it receives with the handlers given to respond
+ */
+async function createFakeTws(server_version) {
+    const handlers = {};
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        let handshake = Buffer.alloc(0);
+        let read = null;
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket)).on('error', () => {}).on('data', chunk => {
+            if (!read) {
+                handshake = Buffer.concat([handshake, chunk]);
+                if (handshake.length < 8 || handshake.length < 8 + handshake.readUInt32BE(4)) return;
+                expect(handshake.toString('utf8', 0, 4)).toBe('API\0');
+                expect(handshake.toString('utf8', 8)).toBe('v166..166');
+                read = wire.createFrameReader();
+                socket.write(wire.frame([server_version || 166, '20231019 10:00:00 EST']));
+                return;
+            }
+            read(chunk).forEach(fields => {
+                messages.push(fields);
+                const send = (...fields) => socket.write(wire.frame(fields));
+                if (handlers[fields[0]]) handlers[fields[0]](send, ...fields.slice(1));
+            });
+        });
+    });
+    handlers[wire.outgoing.START_API] = send => {
+        send(wire.incoming.MANAGED_ACCTS, 1, 'DU1234567');
+        send(wire.incoming.NEXT_VALID_ID, 1, 100);
+    };
+    Object.assign(server, {
+        messages,
+        respond(message_id, handler) {
+            handlers[message_id] = handler;
+            return server;
+        },
+        close(callback) {
+            sockets.forEach(socket => socket.destroy());
+            return net.Server.prototype.close.call(server, callback);
+        }
+    });
+    await new Promise(ready => server.listen(0, 'localhost', ready));
+    return server;
+}
+
+async function connect() {
+    await new Promise((ready, abort) => {
+        client.once('nextValidId', ready);
+        client.eConnect(0, false).catch(abort);
+    });
+}
+
+test('connect', async() => {
+    const accounts = new Promise(ready => client.once('managedAccounts', ready));
+    await connect();
+    expect(await accounts).toBe('DU1234567');
+    expect(await client.nextOrderId()).toBe(100);
+    expect(tws.messages[0]).toEqual(['71', '2', '0', '']);
+    const version = new Promise(ready => client.once('serverVersion', ready));
+    await client.serverVersion();
+    expect(await version).toBe(166);
+});
+
+test('not connected', async() => {
+    const error = new Promise(ready => client.once('error', (id, code) => ready(code)));
+    await client.reqCurrentTime();
+    expect(await error).toBe(504);
+});
+
+test('unsupported version', async() => {
+    await new Promise(ready => tws.close(ready));
+    tws = await createFakeTws(157);
+    await client.exit();
+    client = await Client({native: true, twsApiPort: tws.address().port, schemaCache: false});
+    const error = new Promise(ready => client.once('error', (id, code) => ready(code)));
+    await client.eConnect(0, false);
+    expect(await error).toBe(506);
+});
+
+test('contract details', async() => {
+    tws.respond(wire.outgoing.REQ_CONTRACT_DATA, (send, version, reqId, conId, symbol, secType) => {
+        expect([symbol, secType]).toEqual(['AAPL', 'STK']);
+        send(wire.incoming.CONTRACT_DATA, reqId, 'AAPL', 'STK', '', 0, '', 'SMART', 'USD', 'AAPL', 'NMS', 'NMS',
+            265598, 0.01, '', 'LMT,MKT', 'SMART,NASDAQ', 1, 0, 'APPLE INC', 'NASDAQ', '', 'Technology',
+            'Computers', 'Computers', 'US/Eastern', '', '', '', '', 1, 'ISIN', 'US0378331005', 1, '', '', '26', '',
+            'COMMON', '0.0001', '0.0001', '100');
+        send(wire.incoming.CONTRACT_DATA_END, 1, reqId);
+    });
+    await connect();
+    const details = await client.request.contractDetails(contract);
+    expect(details.length).toBe(1);
+    expect(details[0].contract).toMatchObject({conid: 265598, symbol: 'AAPL', secType: 'STK', right: 'None', primaryExch: 'NASDAQ'});
+    expect(details[0]).toMatchObject({minTick: 0.01, longName: 'APPLE INC', secIdList: [{tag: 'ISIN', value: 'US0378331005'}], minSize: '0.0001'});
+});
+
+test('market data', async() => {
+    tws.respond(wire.outgoing.REQ_MKT_DATA, (send, version, reqId) => {
+        send(wire.incoming.TICK_PRICE, 6, reqId, 1, 189.5, 300, 3);
+        send(wire.incoming.TICK_STRING, 6, reqId, 45, '1697724000');
+    });
+    await connect();
+    const ticks = [];
+    const string = new Promise(ready => client.on('tickString', ready));
+    client.on('tickPrice', (...args) => ticks.push(['tickPrice', ...args]));
+    client.on('tickSize', (...args) => ticks.push(['tickSize', ...args]));
+    await client.reqMktData(1, contract, '', false, false, []);
+    await string;
+    expect(ticks).toEqual([
+        ['tickPrice', 1, 1, 189.5, {canAutoExecute: true, pastLimit: true, preOpen: false}],
+        ['tickSize', 1, 0, '300']
+    ]);
+    expect(tws.messages[1]).toEqual(['1', '11', '1', '0', 'AAPL', 'STK', '', '0', '', '', 'SMART', '', 'USD', '', '', '0', '', '0', '0', '']);
+});
+
+test('historical data', async() => {
+    tws.respond(wire.outgoing.REQ_HISTORICAL_DATA, (send, reqId) => {
+        send(wire.incoming.HISTORICAL_DATA, reqId, '20231016', '20231018', 2,
+            '20231016', 176.75, 179.08, 176.51, 178.72, 5020117, 178.2, 25000,
+            '20231017', 176.65, 178.42, 174.8, 177.15, 5703302, 176.9, 31000);
+    });
+    await connect();
+    const bars = await client.request.historicalData(contract, '', '2 D', '1 day', 'TRADES', 1, 1, false, []);
+    expect(bars).toEqual([
+        {time: '20231016', open: 176.75, high: 179.08, low: 176.51, close: 178.72, volume: '5020117', wap: '178.2', count: 25000},
+        {time: '20231017', open: 176.65, high: 178.42, low: 174.8, close: 177.15, volume: '5703302', wap: '176.9', count: 31000}
+    ]);
+    expect(tws.messages[1].slice(15, 21)).toEqual(['', '1 day', '2 D', '1', 'TRADES', '1']);
+});
+
+test('place order', async() => {
+    tws.respond(wire.outgoing.PLACE_ORDER, (send, orderId) => {
+        send(wire.incoming.ORDER_STATUS, orderId, 'Submitted', '0', '10', 0, 12345, 0, 0, 0, '', 0);
+        send(wire.incoming.ORDER_STATUS, orderId, 'Filled', '10', '0', 189.5, 12345, 0, 189.5, 0, '', 0);
+    });
+    await connect();
+    const order = await client.orders.place(contract, {action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 190});
+    await order.filled();
+    expect(order).toMatchObject({state: 'Filled', filledQuantity: 10, avgFillPrice: 189.5});
+    const fields = tws.messages[1];
+    expect(fields.slice(0, 3)).toEqual(['3', '100', '0']);
+    expect(fields.slice(16, 21)).toEqual(['BUY', '10', 'LMT', '190', '']);
+});
+
+test('open order', async() => {
+    const conditions = [{type: 'Price', conjunctionConnection: true, isMore: true, price: 200, conId: 265598, exchange: 'SMART', triggerMethod: 0}];
+    // echoes the order in the fields of an open order message
+    tws.respond(wire.outgoing.REQ_OPEN_ORDERS, send => {
+        send(wire.incoming.OPEN_ORDER, 100,
+            265598, 'AAPL', 'STK', '', 0, '?', '', 'SMART', 'USD', 'AAPL', 'NMS',
+            'BUY', '10', 'LMT', 190, '', 'DAY', '', 'DU1234567', '', 0, '', 0, 12345, 0, 0, 0, '',
+            '', '', '', '', '', '', '', '', '', '', 0, '', -1, 0, '', '', '', '', '',
+            0, 0, 0, 0, '', 0, 0, 0, '', 0, 0, '', 0, '', '',
+            0, 0, '', '', '', '', '', 0, 0, 0, '', '', '', '', 0, '', '', 0,
+            0, '', 0, 0, 'Submitted', '', '', '', '', '', '', '', '', '', '', '', '', '', '', 0, 0,
+            1, 1, 'a', 1, 200, 265598, 'SMART', 0, 0, 0,
+            '', '', '', '', '', '', '', 0, '', '', '', '', 0, 0, 0, 0, '', '', 0);
+        send(wire.incoming.OPEN_ORDER_END, 1);
+    });
+    await connect();
+    const orders = await client.request.openOrders();
+    expect(orders.length).toBe(1);
+    const [orderId, contract, order, orderState] = orders[0];
+    expect(orderId).toBe(100);
+    expect(contract).toMatchObject({conid: 265598, symbol: 'AAPL', secType: 'STK', right: 'None'});
+    expect(order).toMatchObject({action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 190, permId: 12345, conditions});
+    expect(order.auxPrice).toBe(Number.MAX_VALUE);
+    expect(orderState.status).toBe('Submitted');
+});
+
+test('positions and account summary', async() => {
+    tws.respond(wire.outgoing.REQ_POSITIONS, send => {
+        send(wire.incoming.POSITION_DATA, 3, 'DU1234567', 265598, 'AAPL', 'STK', '', 0, '', '', 'NASDAQ', 'USD', 'AAPL', 'NMS', '10', 150.25);
+        send(wire.incoming.POSITION_END, 1);
+    }).respond(wire.outgoing.REQ_ACCOUNT_SUMMARY, (send, version, reqId) => {
+        send(wire.incoming.ACCOUNT_SUMMARY, 1, reqId, 'DU1234567', 'NetLiquidation', '100000.00', 'USD');
+        send(wire.incoming.ACCOUNT_SUMMARY_END, 1, reqId);
+    });
+    await connect();
+    const positions = await client.request.positions();
+    expect(positions).toEqual([['DU1234567', expect.objectContaining({conid: 265598, symbol: 'AAPL'}), '10', 150.25]]);
+    const summary = await client.request.accountSummary('All', 'NetLiquidation');
+    expect(summary).toEqual([['DU1234567', 'NetLiquidation', '100000.00', 'USD']]);
+});
+
+test('connection closed', async() => {
+    await connect();
+    const closed = new Promise(ready => client.once('connectionClosed', ready));
+    tws.close();
+    await closed;
+    const connected = new Promise(ready => client.once('isConnected', ready));
+    await client.isConnected();
+    expect(await connected).toBe(false);
+});
@@ -0,0 +1,198 @@
+// vim: set filetype=javascript:
+// orders.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+const createOrders = require('../src/orders.js');
+const { bracket } = require('../src/builders.js');
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+const order = {action: 'BUY', totalQuantity: 10, orderType: 'LMT', lmtPrice: 150};
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {}));
+    ['placeOrder', 'cancelOrder'].forEach(name => {
+        client[name] = async function() {
+            calls.push([name, ...arguments]);
+            return client;
+        };
+    });
+});
+
+test('filled', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 7);
+    const handle = await orders.place(contract, order);
+    expect(handle.id).toBe(7);
+    expect(calls).toEqual([['placeOrder', 7, contract, order]]);
+    client.emit('orderStatus', 7, 'Submitted', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    expect(handle.state).toBe('Submitted');
+    client.emit('execDetails', -1, contract, {orderId: 7, execId: 'e1', shares: 4, price: 149.5, cumQty: 4, avgPrice: 149.5});
+    client.emit('orderStatus', 7, 'Submitted', 4, 6, 149.5, 123, 0, 149.5, 0, '', 0);
+    expect(handle.state).toBe('PartiallyFilled');
+    client.emit('commissionReport', {execId: 'e1', commission: 1, currency: 'USD'});
+    client.emit('execDetails', -1, contract, {orderId: 7, execId: 'e2', shares: 6, price: 150, cumQty: 10, avgPrice: 149.8});
+    client.emit('orderStatus', 7, 'Filled', 10, 0, 149.8, 123, 0, 150, 0, '', 0);
+    client.emit('orderStatus', 7, 'Submitted', 4, 6, 149.5, 123, 0, 149.5, 0, '', 0);
+    client.emit('commissionReport', {execId: 'e2', commission: 1.5, currency: 'USD'});
+    await expect(handle.filled()).resolves.toBe(handle);
+    await expect(handle.done()).resolves.toBe(handle);
+    expect(handle.state).toBe('Filled');
+    expect(handle.filledQuantity).toBe(10);
+    expect(handle.fills.map(fill => fill.execId)).toEqual(['e1', 'e2']);
+    expect(handle.commission).toBe(2.5);
+    expect(orders.get(7)).toBeUndefined();
+    expect(orders.list()).toEqual([]);
+});
+
+test('commission reports before their executions', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    client.emit('commissionReport', {execId: 'e0', commission: 5, currency: 'USD'});
+    const handle = await orders.place(contract, order);
+    client.emit('commissionReport', {execId: 'e1', commission: 1, currency: 'USD'});
+    client.emit('commissionReport', {execId: 'e2', commission: 2, currency: 'USD'});
+    for (let i = 0; i < 100; i++) client.emit('commissionReport', {execId: `other${i}`, commission: 1, currency: 'USD'});
+    client.emit('commissionReport', {execId: 'e3', commission: 3, currency: 'USD'});
+    ['e0', 'e1', 'e2', 'e3'].forEach((execId, i) => {
+        client.emit('execDetails', -1, contract, {orderId: 1, execId, shares: 1, price: 150, cumQty: i + 1, avgPrice: 150});
+    });
+    expect(handle.fills.length).toBe(4);
+    expect(handle.commission).toBe(3);
+});
+
+test('next order id', async() => {
+    const orders = createOrders(client, {});
+    const placed = orders.place(contract, order);
+    client.emit('nextValidId', 3);
+    const first = await placed;
+    const second = await orders.place(contract, order);
+    expect([first.id, second.id]).toEqual([3, 4]);
+});
+
+test('no order id', async() => {
+    const orders = createOrders(client, {requestTimeout: 10});
+    await expect(orders.place(contract, order)).rejects.toThrow('Order BUY 10 AAPL LMT was not placed, ' +
+        'as no order id was received from TWS within 10ms');
+    expect(calls).toEqual([]);
+});
+
+test('rejected', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    const handle = await orders.place(contract, order);
+    client.emit('error', 1, 399, 'Order Message: Warning: your order will not be placed at the exchange until');
+    client.emit('error', 1, 201, 'Order rejected - reason: insufficient funds');
+    await expect(handle.filled()).rejects.toThrow('insufficient funds');
+    await expect(handle.done()).rejects.toThrow('insufficient funds');
+    expect(client.listenerCount('error')).toBe(0);
+});
+
+test('cancel', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    const handle = await orders.place(contract, order);
+    client.emit('orderStatus', 1, 'Submitted', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    const cancelled = handle.cancel();
+    await Promise.resolve();
+    client.emit('orderStatus', 1, 'PendingCancel', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    client.emit('orderStatus', 1, 'Cancelled', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    await expect(cancelled).resolves.toBe(handle);
+    await expect(handle.filled()).rejects.toThrow('Cancelled');
+    await expect(handle.done()).resolves.toBe(handle);
+    expect(calls[1]).toEqual(['cancelOrder', 1, '']);
+});
+
+test('cancel confirmed before its order status', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    const handle = await orders.place(contract, order);
+    client.emit('orderStatus', 1, 'Submitted', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    const errors = [];
+    client.on('requestError', err => errors.push(err));
+    const cancelled = handle.cancel();
+    await Promise.resolve();
+    client.emit('error', 1, 202, 'Order Canceled - reason:');
+    await expect(cancelled).resolves.toBe(handle);
+    expect(handle.state).toBe('Cancelled');
+    client.emit('orderStatus', 1, 'Cancelled', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    await expect(handle.done()).resolves.toBe(handle);
+    expect(errors).toEqual([]);
+});
+
+test('modify rejected', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    const handle = await orders.place(contract, order);
+    client.emit('orderStatus', 1, 'Submitted', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    const modified = handle.modify({lmtPrice: 151});
+    await Promise.resolve();
+    expect(calls[1]).toEqual(['placeOrder', 1, contract, {...order, lmtPrice: 151}]);
+    client.emit('error', 1, 10147, 'OrderId 1 that needs to be modified is not found');
+    await expect(modified).rejects.toThrow('not found');
+    client.emit('orderStatus', 1, 'Filled', 10, 0, 150, 123, 0, 150, 0, '', 0);
+    await expect(handle.filled()).resolves.toBe(handle);
+});
+
+test('modify fails after it was acknowledged', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 1);
+    const handle = await orders.place(contract, order);
+    client.emit('orderStatus', 1, 'Submitted', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    let fail;
+    client.placeOrder = () => new Promise((resolve, reject) => fail = reject);
+    const modified = handle.modify({lmtPrice: 151});
+    client.emit('openOrder', 1, contract, {...order, lmtPrice: 151}, {status: 'Submitted'});
+    const cancelled = handle.cancel();
+    fail(Error('not connected'));
+    await expect(modified).rejects.toThrow('not connected');
+    client.emit('orderStatus', 1, 'Cancelled', 0, 10, 0, 123, 0, 0, 0, '', 0);
+    await expect(cancelled).resolves.toBe(handle);
+    expect(orders.get(1)).toBeUndefined();
+});
+
+test('place bracket', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 20);
+    const handles = await orders.placeGroup(contract, bracket('BUY', 10, {entry: 150, takeProfit: 160, stopLoss: 145}));
+    expect(handles.map(handle => handle.id)).toEqual([20, 21, 22]);
+    expect(calls.map(call => [call[1], call[3].orderType, call[3].parentId, call[3].transmit])).toEqual([
+        [20, 'LMT', undefined, false], [21, 'LMT', 20, false], [22, 'STP', 20, true]
+    ]);
+});
+
+test('place group rejected before sending', async() => {
+    const orders = createOrders(client, {});
+    client.emit('nextValidId', 20);
+    const invalid = Object.assign([{action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 150}, {...order, action: 'BUY'}], {bracket: true});
+    await expect(orders.placeGroup(contract, invalid)).rejects.toThrow('Bracket exit orders must SELL');
+    expect(calls).toEqual([]);
+    client.placeOrder = async function(id) {
+        calls.push(['placeOrder', ...arguments]);
+        if (id == 21) throw Error('not connected');
+        return client;
+    };
+    await expect(orders.placeGroup(contract, bracket('BUY', 10, {takeProfit: 160, stopLoss: 145}))).rejects.toThrow('not connected');
+    expect(calls.map(call => call.slice(0, 2))).toEqual([['placeOrder', 20], ['placeOrder', 21], ['cancelOrder', 20]]);
+});
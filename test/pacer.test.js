@@ -0,0 +1,161 @@
+// vim: set filetype=javascript:
+// pacer.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const createPacer = require('../src/pacer.js');
+
+let sent;
+
+beforeEach(() => {
+    jest.useFakeTimers({doNotFake: ['performance']});
+    sent = [];
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+async function flush() {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+function schedule(pacer, name, args) {
+    return pacer.schedule(name, args || []).then(() => sent.push(args && args.length ? [name, ...args] : name));
+}
+
+const bars = (id, duration, contract) => [id, contract || {symbol: 'AAPL', secType: 'STK'}, '', duration || '1 D', '5 secs', 'TRADES', 1, 1, false, []];
+
+test('token bucket', async() => {
+    const pacer = createPacer({maxMessagesPerSecond: 2});
+    ['reqIds', 'reqCurrentTime', 'reqManagedAccts', 'reqPositions'].forEach(name => schedule(pacer, name));
+    await flush();
+    expect(sent).toEqual(['reqIds', 'reqCurrentTime']);
+    expect(pacer.stats()).toMatchObject({queued: 2, lanes: {order: 0, default: 2, bulk: 0}, sent: 2});
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(sent).toEqual(['reqIds', 'reqCurrentTime', 'reqManagedAccts']);
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(sent).toEqual(['reqIds', 'reqCurrentTime', 'reqManagedAccts', 'reqPositions']);
+    expect(pacer.stats()).toMatchObject({queued: 0, sent: 4, delayed: 2, averageWait: 375, maxWait: 1000});
+});
+
+test('unpaced', async() => {
+    const pacer = createPacer({maxMessagesPerSecond: 1});
+    ['reqIds', 'reqCurrentTime', 'isConnected'].forEach(name => schedule(pacer, name));
+    await flush();
+    expect(sent).toEqual(['reqIds', 'isConnected']);
+    pacer.close();
+});
+
+test('priority lanes', async() => {
+    const pacer = createPacer({maxMessagesPerSecond: 1});
+    schedule(pacer, 'reqContractDetails', [1]);
+    schedule(pacer, 'reqContractDetails', [2]);
+    schedule(pacer, 'reqMktData', [3]);
+    schedule(pacer, 'cancelOrder', [4]);
+    await flush();
+    expect(sent).toEqual([['reqContractDetails', 1]]);
+    expect(pacer.stats().lanes).toEqual({order: 1, default: 1, bulk: 1});
+    jest.advanceTimersByTime(3000);
+    await flush();
+    expect(sent).toEqual([['reqContractDetails', 1], ['cancelOrder', 4], ['reqMktData', 3], ['reqContractDetails', 2]]);
+});
+
+test('priorities setting', async() => {
+    const pacer = createPacer({maxMessagesPerSecond: 1, priorities: {reqMktData: 'bulk', reqContractDetails: 'order'}});
+    schedule(pacer, 'reqIds', [-1]);
+    schedule(pacer, 'reqMktData', [1]);
+    schedule(pacer, 'reqContractDetails', [2]);
+    jest.advanceTimersByTime(2000);
+    await flush();
+    expect(sent.map(call => call[0])).toEqual(['reqIds', 'reqContractDetails', 'reqMktData']);
+});
+
+test('identical historical requests', async() => {
+    const pacer = createPacer({});
+    schedule(pacer, 'reqHistoricalData', bars(1));
+    schedule(pacer, 'reqHistoricalData', bars(2));
+    schedule(pacer, 'reqHistoricalData', bars(3, '2 D'));
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([1, 3]);
+    jest.advanceTimersByTime(14000);
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([1, 3]);
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([1, 3, 2]);
+});
+
+test('cancel after its paced request', async() => {
+    const pacer = createPacer({});
+    schedule(pacer, 'reqHistoricalData', bars(1));
+    schedule(pacer, 'reqHistoricalData', bars(2));
+    schedule(pacer, 'cancelHistoricalData', [2]);
+    schedule(pacer, 'cancelHistoricalData', [1]);
+    schedule(pacer, 'reqMktData', [3]);
+    await flush();
+    expect(sent).toEqual([['reqHistoricalData', ...bars(1)], ['cancelHistoricalData', 1], ['reqMktData', 3]]);
+    expect(pacer.stats().lanes).toEqual({order: 0, default: 0, bulk: 2});
+    jest.advanceTimersByTime(15000);
+    await flush();
+    expect(sent.slice(3)).toEqual([['reqHistoricalData', ...bars(2)], ['cancelHistoricalData', 2]]);
+});
+
+test('historical requests for the same contract', async() => {
+    const pacer = createPacer({});
+    ['1 D', '2 D', '3 D', '4 D', '5 D', '6 D'].forEach((duration, i) => schedule(pacer, 'reqHistoricalData', bars(i, duration)));
+    schedule(pacer, 'reqHistoricalData', bars(6, '1 D', {symbol: 'MSFT', secType: 'STK'}));
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([0, 1, 2, 3, 4, 6]);
+    jest.advanceTimersByTime(2000);
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([0, 1, 2, 3, 4, 6, 5]);
+});
+
+test('historical requests for larger bars', async() => {
+    const pacer = createPacer({});
+    const daily = (id, duration) => [id, {symbol: 'AAPL', secType: 'STK'}, '', duration, '1 day', 'TRADES', 1, 1, false, []];
+    for (let i = 0; i < 70; i++) schedule(pacer, 'reqHistoricalData', daily(i, '1 Y'));
+    schedule(pacer, 'reqHistoricalData', daily(70, '1 Y'));
+    schedule(pacer, 'reqHistoricalData', [71, ...bars(0).slice(1, 4), '1 hour', ...bars(0).slice(5)]);
+    jest.advanceTimersByTime(2000);
+    await flush();
+    expect(sent.length).toBe(72);
+    expect(pacer.stats().historicalRequests).toBe(0);
+    expect(['30 secs', '1 secs', '1 min', '2 hours', '1 day', '1 week', '1 month', 'bogus'].map(createPacer.smallBars))
+        .toEqual([true, true, false, false, false, false, false, true]);
+});
+
+test('historicalPacing false', async() => {
+    const pacer = createPacer({historicalPacing: false});
+    schedule(pacer, 'reqHistoricalData', bars(1));
+    schedule(pacer, 'reqHistoricalData', bars(2));
+    await flush();
+    expect(sent.map(call => call[1])).toEqual([1, 2]);
+});
+
+test('close', async() => {
+    const pacer = createPacer({maxMessagesPerSecond: 1});
+    schedule(pacer, 'reqIds', [-1]);
+    schedule(pacer, 'reqCurrentTime');
+    pacer.close();
+    await flush();
+    expect(sent).toEqual([['reqIds', -1], 'reqCurrentTime']);
+    expect(jest.getTimerCount()).toBe(0);
+});
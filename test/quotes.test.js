@@ -0,0 +1,135 @@
+// vim: set filetype=javascript:
+// quotes.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+const createQuoteBook = require('../src/quotes.js');
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {firstRequestId: 100}));
+    ['reqMktData', 'cancelMktData'].forEach(name => {
+        client[name] = async function() {
+            calls.push([name, ...arguments]);
+            return client;
+        };
+    });
+});
+
+test('watch', async() => {
+    const book = createQuoteBook(client, {});
+    const events = [];
+    book.on('quote', (quote, fields) => events.push(fields));
+    const quote = await book.watch(contract, {genericTickList: '233'});
+    expect(calls).toEqual([['reqMktData', 100, contract, '233', false, false, []]]);
+    expect(book.contract(100)).toBe(contract);
+    expect(await book.watch({...contract})).toBe(quote);
+    expect(calls.length).toBe(1);
+    client.emit('tickPrice', 100, 1, 149.5, {canAutoExecute: true});
+    client.emit('tickSize', 100, 0, '300');
+    client.emit('tickPrice', 100, 2, 149.6, {});
+    client.emit('tickPrice', 100, 1, 149.55, {});
+    client.emit('tickString', 100, 45, '1700000000');
+    client.emit('tickGeneric', 100, 49, 0);
+    client.emit('tickPrice', 101, 1, 10, {});
+    await new Promise(cont => setTimeout(cont, 10));
+    expect(events).toEqual([['bid', 'bidSize', 'ask', 'lastTimestamp', 'halted']]);
+    expect(quote).toMatchObject({bid: 149.55, bidSize: 300, ask: 149.6, lastTimestamp: 1700000000000, halted: false, delayed: false});
+    expect(quote.updated.bid).toBeLessThanOrEqual(quote.time);
+    expect(quote.updated.halted).toBe(quote.time);
+    expect(book.get(contract)).toBe(quote);
+    expect(book.list()).toEqual([quote]);
+    await book.unwatch(contract);
+    expect(calls[1]).toEqual(['cancelMktData', 100]);
+    expect(book.get(contract)).toBeUndefined();
+    expect(book.contract(100)).toBeUndefined();
+    client.emit('tickPrice', 100, 1, 150, {});
+    expect(quote.bid).toBe(149.55);
+});
+
+test('delayed', async() => {
+    const book = createQuoteBook(client, {});
+    const quote = await book.watch(contract);
+    client.emit('error', 100, 10167, 'Requested market data is not subscribed. Displaying delayed market data.', '');
+    client.emit('marketDataType', 100, 3);
+    client.emit('tickPrice', 100, 66, 149.5, {});
+    client.emit('tickSize', 100, 74, 1000);
+    client.emit('tickSize', 100, 21, 5000);
+    client.emit('tickPrice', 100, 37, 149.52, {});
+    client.emit('tickGeneric', 100, 49, 0);
+    expect(quote).toMatchObject({bid: 149.5, volume: 1000, avgVolume: 5000, markPrice: 149.52, halted: false});
+    expect(quote).toMatchObject({marketDataType: 3, delayed: true, error: null});
+    client.emit('marketDataType', 100, 1);
+    client.emit('tickPrice', 100, 1, 149.6, {});
+    expect(quote).toMatchObject({bid: 149.6, marketDataType: 1, delayed: false});
+});
+
+test('no price', async() => {
+    const book = createQuoteBook(client, {});
+    const quote = await book.watch(contract);
+    client.emit('tickPrice', 100, 1, 149.5, {});
+    client.emit('tickPrice', 100, 1, -1, {});
+    client.emit('tickPrice', 100, 2, -1, {});
+    client.emit('tickPrice', 100, 4, 149.6, {});
+    expect(quote).toMatchObject({bid: null, ask: null, last: 149.6});
+});
+
+test('greeks', async() => {
+    const book = createQuoteBook(client, {});
+    const option = {symbol: 'AAPL', secType: 'OPT', lastTradeDateOrContractMonth: '20240119', strike: 150, right: 'C'};
+    const quote = await book.watch(option);
+    client.emit('tickOptionComputation', 100, 13, 1, 0.25, 0.5, 3.2, 0, 0.04, 0.12, -0.05, 150);
+    client.emit('tickOptionComputation', 100, 10, 1, 1.7976931348623157e308, 0.49, 3.1, 0, 0.04, 0.12, -0.05, 150);
+    expect(quote.modelGreeks).toEqual({tickAttrib: 1, impliedVol: 0.25, delta: 0.5, optPrice: 3.2, pvDividend: 0,
+        gamma: 0.04, vega: 0.12, theta: -0.05, undPrice: 150});
+    expect(quote.bidGreeks.impliedVol).toBeNull();
+});
+
+test('error', async() => {
+    const book = createQuoteBook(client, {});
+    const quote = await book.watch({symbol: 'BOGUS'});
+    const event = new Promise(ready => book.once('quote', (quote, fields) => ready(fields)));
+    client.emit('error', 100, 200, 'No security definition has been found for the request', '');
+    await expect(event).resolves.toEqual(['error']);
+    expect(quote.error).toMatchObject({reqId: 100, code: 200, category: 'request'});
+    expect(book.list()).toEqual([]);
+});
+
+test('snapshot', async() => {
+    const book = createQuoteBook(client, {});
+    const promise = book.snapshot(contract);
+    await Promise.resolve();
+    expect(calls).toEqual([['reqMktData', 100, contract, '', true, false, []]]);
+    client.emit('tickPrice', 100, 4, 149.7, {});
+    client.emit('tickSize', 100, 8, 12345);
+    client.emit('tickSnapshotEnd', 100);
+    await expect(promise).resolves.toMatchObject({contract, last: 149.7, volume: 12345});
+    expect(book.list()).toEqual([]);
+});
+
+test('snapshot timeout', async() => {
+    const book = createQuoteBook(client, {});
+    await expect(book.snapshot(contract, {timeout: 10})).rejects.toThrow('timed out');
+});
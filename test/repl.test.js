@@ -0,0 +1,97 @@
+// vim: set filetype=javascript:
+// repl.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const { PassThrough } = require('stream');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const startRepl = require('../src/ib-tws-repl.js');
+const { complete, signature, formatEvent } = startRepl;
+
+let server;
+let client;
+
+beforeEach(async() => {
+    server = await createMockServer();
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false});
+});
+
+afterEach(async() => {
+    await client.exit();
+    await new Promise(ready => server.close(ready));
+});
+
+test('complete action names', async() => {
+    const [completions, token] = await complete(client, 'await reqMkt');
+    expect(completions).toEqual(['reqMktData', 'reqMktDepth', 'reqMktDepthExchanges']);
+    expect(token).toBe('reqMkt');
+});
+
+test('complete parameter properties', async() => {
+    expect(await complete(client, 'reqMktData(1, {sym')).toEqual([['symbol: '], 'sym']);
+    expect(await complete(client, "reqContractDetails(2, {symbol: 'AAPL', sec")).toEqual([['secId: ', 'secIdType: ', 'secType: '], 'sec']);
+    expect(await complete(client, "reqMktData(1, contract, '', false, false, [{ta")).toEqual([['tag: '], 'ta']);
+    expect(await complete(client, "placeOrder(1, {comboLegs: [{act")).toEqual([['action: '], 'act']);
+});
+
+test('complete enum values', async() => {
+    expect(await complete(client, "reqMktData(1, {symbol: 'AAPL', secType: 'ST")).toEqual([["STK'"], 'ST']);
+    expect(await complete(client, 'placeOrder(1, contract, {action: "S')).toEqual([['SELL"', 'SSHORT"'], 'S']);
+    expect(await complete(client, "reqMktData(1, {right: '")).toEqual([["None'", "Put'", "Call'"], '']);
+    expect(await complete(client, "reqMktData(1, {symbol: 'AA")).toBe(null);
+});
+
+test('signature', async() => {
+    expect(signature(await client.describe('reqContractDetails'))).toBe('reqContractDetails(reqId: int, contract: Contract)');
+    expect(signature(await client.describe('currentTime'))).toBe('currentTime(time: long)');
+});
+
+test('format event', () => {
+    expect(formatEvent('tickPrice', ['tickerId', 'field', 'price', 'attrib'], [1, 1, 189.5, {preOpen: false}], false))
+        .toBe('tickPrice { tickerId: 1, field: 1, price: 189.5, attrib: { preOpen: false } }');
+});
+
+test('await calls and print events', async() => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let text = '';
+    output.setEncoding('utf8').on('data', chunk => text += chunk);
+    server.respond('reqCurrentTime', session => session.send('currentTime', 1697724000));
+    const repl = await startRepl(client, {input, output, terminal: false});
+    const closed = new Promise(ready => repl.once('exit', ready));
+    // each line is written once the previous line has been evaluated
+    const run = line => new Promise(ready => {
+        const prompts = text.split('ib-tws> ').length;
+        const check = () => text.split('ib-tws> ').length > prompts ? ready() : setTimeout(check, 5);
+        input.write(`${line}\n`);
+        check();
+    });
+    const connected = new Promise(ready => client.once('nextValidId', ready));
+    await run('await client.eConnect(0, false)');
+    await connected;
+    const time = new Promise(ready => client.once('currentTime', () => setImmediate(ready)));
+    await run('await reqCurrentTime()');
+    await time;
+    await run('client.nextRequestId()');
+    input.end();
+    await closed;
+    expect(text).toContain('nextValidId { orderId: 1 }');
+    expect(text).toContain('currentTime { time: 1697724000 }');
+    expect(text).toContain('1073741824');
+    expect(text).not.toContain('EventEmitter');
+});
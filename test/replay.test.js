@@ -0,0 +1,143 @@
+// vim: set filetype=javascript:
+// replay.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createReplayShell = require('../src/replay.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let dir;
+
+beforeEach(async() => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'ib-tws-replay-'));
+});
+
+afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+});
+
+/**
+ * Connects to the mock server and requests the contract details
+ */
+async function session(client) {
+    await new Promise((ready, abort) => {
+        client.once('nextValidId', ready);
+        client.eConnect(0, false).catch(abort);
+    });
+    const details = await client.request.contractDetails(contract);
+    await client.exit();
+    return details;
+}
+
+test('record and replay', async() => {
+    const file = path.join(dir, 'session.jsonl');
+    const server = await createMockServer({nextValidId: 100});
+    server.respond('reqContractDetails', (session, reqId, contract) => {
+        session.send('contractDetails', reqId, {contract: {...contract, conid: 265598}, minTick: 0.01});
+        session.send('contractDetailsEnd', reqId);
+    });
+    try {
+        const client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false, record: file});
+        const details = await session(client);
+        expect(details[0].contract.conid).toBe(265598);
+    } finally {
+        await new Promise(ready => server.close(ready));
+    }
+    const entries = fs.readFileSync(file, 'utf8').split('\n').filter(line => line).map(line => JSON.parse(line));
+    expect(entries[0].send).toBe('help\t');
+    expect(entries.map(entry => entry.send).filter(line => line && !line.startsWith('help')).map(line => line.split('\t')[0]))
+        .toEqual(['eConnect', 'reqContractDetails', 'exit']);
+    expect(entries.some(entry => entry.receive && entry.receive.startsWith('nextValidId\t100'))).toBe(true);
+    expect(entries.map(entry => entry.time)).toEqual(entries.map(entry => entry.time).sort((a, b) => a - b));
+    const calls = [];
+    const replay = await Client({replay: file, replaySpeed: 0, schemaCache: false});
+    const details = await session(replay.on('contractDetails', (reqId, details) => calls.push(reqId)));
+    expect(details[0]).toEqual({contract: {...contract, conid: 265598}, minTick: 0.01});
+    expect(calls.length).toBe(1);
+});
+
+test('replay speed', async() => {
+    const input = new PassThrough();
+    const shell = await createReplayShell(input, {replaySpeed: 4, replaySync: false});
+    const received = [];
+    shell.on('data', chunk => received.push([chunk, Date.now()]));
+    const closed = new Promise(ready => shell.once('close', ready));
+    input.end([
+        {time: 1000, send: 'help\t'},
+        {time: 1000.5, receive: 'currentTime\t1'},
+        {time: 1400, receive: 'currentTime\t2'}
+    ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    const started = Date.now();
+    shell.write('help\t\n');
+    await closed;
+    expect(received.map(([chunk]) => chunk)).toEqual(['currentTime\t1\n', 'currentTime\t2\n']);
+    expect(received[1][1] - started).toBeGreaterThanOrEqual(95);
+    expect(received[1][1] - started).toBeLessThan(400);
+});
+
+test('replay waits for calls', async() => {
+    const input = new PassThrough();
+    const shell = await createReplayShell(input, {replaySpeed: 0});
+    const received = [];
+    shell.on('data', chunk => received.push(chunk));
+    input.end([
+        {time: 1000, send: 'help\t'},
+        {time: 1001, send: 'reqCurrentTime\t'},
+        {time: 1002, receive: 'currentTime\t1'}
+    ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    shell.write('help\t\n');
+    await new Promise(cont => setTimeout(cont, 20));
+    expect(received).toEqual([]);
+    shell.write('reqCurrentTime\t\n');
+    await new Promise(ready => shell.once('close', ready));
+    expect(received).toEqual(['currentTime\t1\n']);
+});
+
+test('replay gives up waiting for a call', async() => {
+    const input = new PassThrough();
+    const shell = await createReplayShell(input, {replaySpeed: 0, replaySyncTimeout: 20});
+    const received = [];
+    shell.on('data', chunk => received.push(chunk));
+    const failed = new Promise(ready => shell.once('error', ready));
+    const closed = new Promise(ready => shell.once('close', ready));
+    input.end([
+        {time: 1000, send: 'help\t'},
+        {time: 1001, send: 'reqCurrentTime\t'},
+        {time: 1002, receive: 'currentTime\t1'}
+    ].map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    shell.write('help\t\n');
+    shell.write('reqIds\t1\n');
+    const err = await failed;
+    expect(err.message).toBe('The replay waited 20ms for the client to make call 1 of reqCurrentTime in the recording, ' +
+        'but its last call was reqIds');
+    await closed;
+    expect(received).toEqual([]);
+});
+
+test('missing recording', async() => {
+    await expect(createReplayShell(path.join(dir, 'missing.jsonl'), {})).rejects.toMatchObject({code: 'ENOENT'});
+});
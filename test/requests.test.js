@@ -0,0 +1,121 @@
+// vim: set filetype=javascript:
+// requests.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+const createRequests = require('../src/requests.js');
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {}));
+    [
+        'reqContractDetails', 'reqHistoricalData', 'cancelHistoricalData', 'reqCurrentTime', 'reqMatchingSymbols',
+        'reqHeadTimestamp', 'cancelHeadTimestamp'
+    ].forEach(name => {
+        client[name] = async function() {
+            calls.push([name, ...arguments]);
+            return client;
+        };
+    });
+});
+
+test('contractDetails', async() => {
+    const request = createRequests(client, {});
+    const promise = request.contractDetails({symbol: 'AAPL'});
+    await Promise.resolve();
+    const req_id = calls[0][1];
+    expect(calls[0]).toEqual(['reqContractDetails', req_id, {symbol: 'AAPL'}]);
+    client.emit('contractDetails', req_id, {marketName: 'NMS'});
+    client.emit('contractDetails', req_id + 1, {marketName: 'other'});
+    client.emit('contractDetailsEnd', req_id);
+    await expect(promise).resolves.toEqual([{marketName: 'NMS'}]);
+});
+
+test('single response', async() => {
+    const request = createRequests(client, {});
+    const promise = request.matchingSymbols('AAPL');
+    await Promise.resolve();
+    client.emit('symbolSamples', calls[0][1], [{contract: {symbol: 'AAPL'}}]);
+    await expect(promise).resolves.toEqual([{contract: {symbol: 'AAPL'}}]);
+});
+
+test('single response cancelled', async() => {
+    const request = createRequests(client, {});
+    const promise = request.headTimestamp({symbol: 'AAPL'}, 'TRADES', 1, 1);
+    await Promise.resolve();
+    const req_id = calls[0][1];
+    client.emit('headTimestamp', req_id, '20040102-14:30:00');
+    await expect(promise).resolves.toEqual('20040102-14:30:00');
+    expect(calls).toEqual([
+        ['reqHeadTimestamp', req_id, {symbol: 'AAPL'}, 'TRADES', 1, 1],
+        ['cancelHeadTimestamp', req_id]
+    ]);
+    client.emit('headTimestamp', req_id, '20040102-14:30:00');
+    expect(calls.length).toBe(2);
+});
+
+test('without request id', async() => {
+    const request = createRequests(client, {});
+    const promise = request.currentTime();
+    await Promise.resolve();
+    expect(calls[0]).toEqual(['reqCurrentTime']);
+    client.emit('currentTime', 1700000000);
+    await expect(promise).resolves.toEqual(1700000000);
+});
+
+test('error', async() => {
+    const request = createRequests(client, {});
+    const promise = request.contractDetails({symbol: 'BOGUS'});
+    await Promise.resolve();
+    client.emit('error', calls[0][1], 2104, 'Market data farm connection is OK');
+    client.emit('error', calls[0][1], 200, 'No security definition has been found for the request');
+    await expect(promise).rejects.toThrow('No security definition');
+});
+
+test('timeout', async() => {
+    const request = createRequests(client, {requestTimeout: 10});
+    const promise = request.historicalData({symbol: 'AAPL'}, '', '1 D', '1 min', 'TRADES', 1, 1, false, []);
+    await expect(promise).rejects.toThrow('timed out');
+    expect(calls[1]).toEqual(['cancelHistoricalData', calls[0][1]]);
+});
+
+test('define', async() => {
+    const request = createRequests(client, {}).define('bars', {
+        call: 'reqHistoricalData',
+        data: ['historicalData'],
+        end: 'historicalDataEnd'
+    });
+    const promise = request.bars({symbol: 'AAPL'});
+    await Promise.resolve();
+    client.emit('historicalData', calls[0][1], {time: '1'});
+    client.emit('historicalDataEnd', calls[0][1], '', '');
+    await expect(promise).resolves.toEqual([{time: '1'}]);
+    expect(createRequests.requests.bars).toBeUndefined();
+});
+
+test('exit', async() => {
+    const request = createRequests(client, {});
+    const promise = request('contractDetails', [{symbol: 'AAPL'}], {timeout: 0});
+    client.emit('exit');
+    await expect(promise).rejects.toThrow('closed');
+});
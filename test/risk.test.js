@@ -0,0 +1,132 @@
+// vim: set filetype=javascript:
+// risk.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createRisk = require('../src/risk.js');
+const { RiskRejectedError } = require('../src/errors.js');
+
+const contract = {conid: 265598, symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+const order = {action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 150};
+
+let client;
+let quote;
+let positions;
+let working;
+let calls;
+
+beforeEach(() => {
+    quote = {bid: 149.9, ask: 150.1, last: 150};
+    positions = [];
+    working = [];
+    calls = [];
+    client = Object.assign(new EventEmitter(), {
+        quotes: {get: contract => quote},
+        accounts: {list: () => ['DU1234567'], positions: account => positions},
+        orders: {list: () => working},
+        async reqGlobalCancel() {
+            calls.push(['reqGlobalCancel']);
+            return client;
+        }
+    });
+});
+
+/**
+ * The rule that rejects the order with the given limits, or null if it is accepted
+ */
+async function rejected(limits, id, c, o) {
+    const risk = createRisk(client, {risk: limits});
+    return risk.check(id || 1, c || contract, o || order).then(() => null, err => {
+        expect(err).toBeInstanceOf(RiskRejectedError);
+        return err.rule;
+    });
+}
+
+test('order limits', async() => {
+    expect(await rejected({})).toBe(null);
+    expect(await rejected({maxQuantity: 5})).toBe('maxQuantity');
+    expect(await rejected({maxNotional: 1000})).toBe('maxNotional');
+    expect(await rejected({maxNotional: 1500})).toBe(null);
+    expect(await rejected({maxNotional: 1500}, 1, {...contract, multiplier: '100'})).toBe('maxNotional');
+    expect(await rejected({symbols: ['MSFT']})).toBe('symbols');
+    expect(await rejected({secTypes: ['STK', 'OPT']})).toBe(null);
+    expect(await rejected({secTypes: ['FUT']})).toBe('secTypes');
+    quote = null;
+    expect(await rejected({maxNotional: 100000}, 1, contract, {...order, orderType: 'MKT', lmtPrice: undefined})).toBe('maxNotional');
+});
+
+test('price collar', async() => {
+    expect(await rejected({collar: 0.05}, 1, contract, {...order, lmtPrice: 158})).toBe('collar');
+    expect(await rejected({collar: 0.05}, 1, contract, {...order, lmtPrice: 152})).toBe(null);
+    expect(await rejected({collar: 0.05}, 1, contract, {action: 'SELL', totalQuantity: '10', orderType: 'TRAIL', auxPrice: 1})).toBe(null);
+    quote = {bid: 99, ask: 101};
+    expect(await rejected({collar: 0.05}, 1, contract, {...order, lmtPrice: 150})).toBe('collar');
+});
+
+test('position limits', async() => {
+    positions = [{account: 'DU1234567', conid: 265598, contract, position: 95}];
+    expect(await rejected({maxPosition: 100}, 1, contract, {...order, totalQuantity: '5'})).toBe(null);
+    expect(await rejected({maxPosition: {AAPL: 100, '*': 1000}})).toBe('maxPosition');
+    expect(await rejected({maxPosition: {MSFT: 100, '*': 1000}})).toBe(null);
+    expect(await rejected({maxPosition: 100}, 1, contract, {...order, action: 'SELL'})).toBe(null);
+    working = [{id: 2, completed: false, contract, order: {action: 'BUY'}, remaining: 5}];
+    expect(await rejected({maxPosition: 100}, 1, contract, {...order, totalQuantity: '5'})).toBe('maxPosition');
+    // a modified order replaces its own remaining quantity
+    expect(await rejected({maxPosition: 100}, 2, contract, {...order, totalQuantity: '5'})).toBe(null);
+});
+
+test('orders per minute and audit', async() => {
+    const risk = createRisk(client, {risk: {maxOrdersPerMinute: 2}});
+    const audit = [];
+    risk.on('audit', record => audit.push(record));
+    await risk.check(1, contract, order);
+    await risk.check(2, contract, order);
+    await expect(risk.check(3, contract, order)).rejects.toThrow('Over the limit of 2 orders per minute');
+    expect(audit.map(record => [record.decision, record.orderId, record.rule])).toEqual([
+        ['accepted', 1, undefined], ['accepted', 2, undefined], ['rejected', 3, 'maxOrdersPerMinute']
+    ]);
+});
+
+test('kill switch', async() => {
+    const risk = createRisk(client, {});
+    await risk.kill('strategy halted');
+    expect(calls).toEqual([['reqGlobalCancel']]);
+    expect(risk.killed).toBe('strategy halted');
+    await expect(risk.check(1, contract, order)).rejects.toThrow('Trading is stopped: strategy halted');
+    risk.resume();
+    await risk.check(1, contract, order);
+});
+
+test('rejected before sending', async() => {
+    const server = await createMockServer();
+    const tws = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false, risk: {maxQuantity: 5}});
+    try {
+        const audit = new Promise(ready => tws.risk.once('audit', ready));
+        await expect(tws.placeOrder(1, contract, order)).rejects.toThrow('Order quantity 10 is over the limit of 5');
+        expect(await audit).toMatchObject({decision: 'rejected', rule: 'maxQuantity', orderId: 1});
+        const received = new Promise(ready => server.on('call', (session, name) => name == 'reqCurrentTime' && ready()));
+        await tws.reqCurrentTime();
+        await received;
+        expect(server.calls.map(call => call[0])).not.toContain('placeOrder');
+    } finally {
+        await tws.exit();
+        await new Promise(ready => server.close(ready));
+    }
+});
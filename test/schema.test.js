@@ -0,0 +1,81 @@
+// vim: set filetype=javascript:
+// schema.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const util = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createSchema = require('../src/schema.js');
+const mkdtemp = util.promisify(fs.mkdtemp);
+
+let server;
+let cache_file;
+
+beforeEach(async() => {
+    server = await createMockServer();
+    cache_file = path.resolve(await mkdtemp(path.join(os.tmpdir(), 'ib-tws-node-')), 'schema-cache.json');
+});
+
+afterEach(async() => {
+    await new Promise(ready => server.close(ready));
+    fs.rmSync(path.dirname(cache_file), {recursive: true, force: true});
+});
+
+test('cache', async() => {
+    const settings = {jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: cache_file};
+    const first = await Client(settings);
+    await expect(first.reqContractDetails(1, {secType: 'BOGUS'})).rejects.toThrow('to be one of');
+    await first.exit();
+    while (!fs.existsSync(cache_file)) {
+        await new Promise(cont => setTimeout(cont, 10));
+    }
+    server.calls.splice(0);
+    const second = await Client(settings);
+    await expect(second.reqContractDetails(1, {secType: 'BOGUS'})).rejects.toThrow('to be one of');
+    await second.exit();
+    expect(server.calls.filter(call => call[0] == 'help')).toEqual([['help']]);
+});
+
+test('cache mismatch', async() => {
+    const key = await createSchema.cacheKey({});
+    const cached = createSchema.fromRecorded({
+        actions: {EClient: {reqBogus: [['reqId', 'int']]}},
+        events: {},
+        types: {}
+    });
+    await createSchema.writeCache(cache_file, key, cached);
+    const client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: cache_file});
+    expect(typeof client.reqBogus).toBe('function');
+    await new Promise(ready => client.on('helpEnd', name => name == null && client.placeOrder && ready()));
+    expect(client.reqBogus).toBeUndefined();
+    await expect(client.reqContractDetails(1, {secType: 'BOGUS'})).rejects.toThrow('to be one of');
+    await client.exit();
+});
+
+test('validate offline', async() => {
+    const contract = {symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+    const order = {action: 'BUY', totalQuantity: 1, orderType: 'LMT', lmtPrice: 150};
+    await Client.validate('placeOrder', [1, contract, order], {schemaCache: false});
+    await expect(Client.validate('placeOrder', [1, {...contract, secType: 'BOGUS'}, order], {schemaCache: false}))
+        .rejects.toThrow('to be one of');
+    await expect(Client.validate('placeOrder', [1, contract], {schemaCache: false})).rejects.toThrow('Incorrect parameters');
+    await expect(Client.validate('placeOrdr', [], {schemaCache: false})).rejects.toThrow('Unknown action');
+});
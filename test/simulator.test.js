@@ -0,0 +1,168 @@
+// vim: set filetype=javascript:
+// simulator.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const Client = require('../src/ib-tws-node.js');
+const createMockServer = require('../src/ib-tws-mock.js');
+const createSimulator = require('../src/simulator.js');
+const { bracket } = require('../src/builders.js');
+
+const contract = {conid: 265598, symbol: 'AAPL', secType: 'STK', exchange: 'SMART', currency: 'USD'};
+
+let client;
+let events;
+
+beforeEach(() => {
+    client = new EventEmitter();
+    events = [];
+});
+
+/**
+ * A simulator whose events are collected, and a function to make calls to it
+ */
+function simulate(options) {
+    const simulator = createSimulator(client, {simulate: options || true}, (name, args) => events.push([name, ...args]));
+    const call = (name, ...args) => simulator.call({name, args}, () => events.push(['sent', name]));
+    return [simulator, call];
+}
+
+/**
+ * Waits for the simulated events to be emitted
+ */
+function settle() {
+    return new Promise(ready => setTimeout(ready, 5));
+}
+
+/**
+ * The orderStatus events as [orderId, status, filled, remaining, avgFillPrice]
+ */
+function statuses() {
+    return events.filter(event => event[0] == 'orderStatus').map(event => event.slice(1, 6));
+}
+
+test('market and limit orders', async() => {
+    const [simulator, call] = simulate({account: 'DU1234567', commission: 0.01, slippage: 0.02});
+    call('placeOrder', 1, contract, {action: 'BUY', totalQuantity: '100', orderType: 'LMT', lmtPrice: 150});
+    simulator.price(contract, {bid: 150.1, ask: 150.2, last: 150.15});
+    call('placeOrder', 2, contract, {action: 'SELL', totalQuantity: '40', orderType: 'MKT'});
+    call('reqCurrentTime');
+    expect(events).toEqual([['sent', 'reqCurrentTime']]);
+    simulator.price(contract, {ask: 150});
+    await settle();
+    expect(statuses()).toEqual([
+        [1, 'Submitted', '0', '100', 0],
+        [2, 'Submitted', '0', '40', 0],
+        [2, 'Filled', '40', '0', expect.closeTo(150.08, 6)],
+        [1, 'Filled', '100', '0', 150]
+    ]);
+    const execution = events.find(event => event[0] == 'execDetails' && event[3].orderId == 1)[3];
+    expect(execution).toMatchObject({acctNumber: 'DU1234567', side: 'BOT', shares: '100', price: 150, cumQty: '100', permId: 1});
+    const reports = events.filter(event => event[0] == 'commissionReport').map(event => event[1]);
+    expect(reports.map(report => [report.commission, report.currency, report.realizedPNL])).toEqual([
+        [0.4, 'USD', Number.MAX_VALUE], [1, 'USD', expect.closeTo(3.2 - 0.8, 6)]
+    ]);
+    expect(simulator.positions()).toEqual([{account: 'DU1234567', contract: expect.objectContaining(contract), position: 60, avgCost: expect.closeTo(150.01, 6)}]);
+    expect(events.filter(event => event[0] == 'position').map(event => event[3])).toEqual(['-40', '60']);
+});
+
+test('stop, stop limit and trailing orders', async() => {
+    const [simulator, call] = simulate();
+    simulator.price(contract, {bid: 99.9, ask: 100.1, last: 100});
+    call('placeOrder', 1, contract, {action: 'SELL', totalQuantity: '10', orderType: 'STP', auxPrice: 98});
+    call('placeOrder', 2, contract, {action: 'BUY', totalQuantity: '10', orderType: 'STP LMT', auxPrice: 102, lmtPrice: 102.5});
+    call('placeOrder', 3, contract, {action: 'SELL', totalQuantity: '10', orderType: 'TRAIL', auxPrice: 2});
+    call('placeOrder', 4, contract, {action: 'SELL', totalQuantity: '10', orderType: 'TRAIL LIMIT', trailingPercent: 5, lmtPriceOffset: 0.5});
+    simulator.price(contract, {bid: 104.9, ask: 105.1, last: 105});
+    // the stop limit is triggered, but the market is above its limit
+    expect(simulator.orders().map(order => order.status)).toEqual(['Submitted', 'Submitted', 'Submitted', 'Submitted']);
+    simulator.price(contract, {bid: 102.4, ask: 102.5, last: 102.9});
+    simulator.price(contract, {bid: 99.7, ask: 99.8, last: 99.75});
+    simulator.price(contract, {bid: 97.9, ask: 98, last: 97.95});
+    expect(simulator.orders().map(order => [order.status, order.avgFillPrice])).toEqual([
+        ['Filled', 97.9], ['Filled', 102.5], ['Filled', 102.4], ['Filled', 99.7]
+    ]);
+    call('placeOrder', 5, contract, {action: 'BUY', totalQuantity: '10', orderType: 'MOC'});
+    call('cancelOrder', 1, '');
+    call('placeOrder', 1, contract, {action: 'SELL', totalQuantity: '10', orderType: 'STP', auxPrice: 97});
+    await settle();
+    expect(events.filter(event => event[0] == 'error')).toEqual([
+        ['error', 5, 201, 'Order rejected - reason:The simulator does not support MOC orders', ''],
+        ['error', 1, 10148, 'OrderId 1 that needs to be cancelled cannot be cancelled, state: Filled.', ''],
+        ['error', 1, 104, "Can't modify a filled order.", '']
+    ]);
+});
+
+test('brackets, OCA groups and cancels', async() => {
+    const [simulator, call] = simulate();
+    const [entry, profit, loss] = bracket('BUY', 10, {entry: 100, takeProfit: 110, stopLoss: 95});
+    call('placeOrder', 1, contract, entry);
+    call('placeOrder', 2, contract, {...profit, parentId: 1});
+    call('placeOrder', 3, contract, {...loss, parentId: 1});
+    simulator.price(contract, {bid: 111, ask: 111.2, last: 111.1});
+    expect(simulator.orders().map(order => order.status)).toEqual(['Submitted', 'PreSubmitted', 'PreSubmitted']);
+    simulator.price(contract, {bid: 99.8, ask: 100, last: 99.9});
+    simulator.price(contract, {bid: 94.8, ask: 95, last: 94.9});
+    expect(simulator.orders().map(order => order.status)).toEqual(['Filled', 'Cancelled', 'Filled']);
+    const exit = {action: 'SELL', totalQuantity: '10', ocaGroup: 'exit', ocaType: 1};
+    call('placeOrder', 4, contract, {...exit, orderType: 'LMT', lmtPrice: 96});
+    call('placeOrder', 5, contract, {...exit, orderType: 'STP', auxPrice: 90});
+    call('placeOrder', 6, contract, {action: 'BUY', totalQuantity: '10', orderType: 'LMT', lmtPrice: 50});
+    simulator.price(contract, {bid: 96, ask: 96.2, last: 96.1});
+    expect(simulator.orders().slice(3).map(order => order.status)).toEqual(['Filled', 'Cancelled', 'Submitted']);
+    call('reqOpenOrders');
+    call('cancelOrder', 7, '');
+    call('reqGlobalCancel');
+    await settle();
+    const end = events.findIndex(event => event[0] == 'openOrderEnd');
+    expect(events.slice(end - 2, end).map(event => event.slice(0, 3))).toEqual([
+        ['openOrder', 6, expect.objectContaining(contract)], ['orderStatus', 6, 'Submitted']
+    ]);
+    expect(events.slice(end + 1)).toEqual([
+        ['error', 7, 10147, 'OrderId 7 that needs to be cancelled is not found.', ''],
+        ['orderStatus', 6, 'Cancelled', '0', '10', 0, 6, 0, 0, 0, '', 0]
+    ]);
+    expect(simulator.positions().map(position => position.position)).toEqual([-10]);
+});
+
+test('orders are filled from market data instead of TWS', async() => {
+    const server = await createMockServer();
+    server.respond('reqMktData', (session, tickerId) => {
+        session.send('tickPrice', tickerId, 1, 189.5, {});
+        session.send('tickPrice', tickerId, 2, 189.6, {});
+    });
+    const tws = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, schemaCache: false, simulate: {latency: 10}});
+    try {
+        await tws.eConnect(0, false);
+        const handle = await tws.orders.place(contract, {action: 'BUY', totalQuantity: '5', orderType: 'MKT'});
+        expect(handle.state).toBe('PendingSubmit');
+        const quote = await tws.quotes.watch(contract);
+        await handle.filled();
+        expect([quote.ask, handle.avgFillPrice, handle.fills.map(fill => fill.shares)]).toEqual([189.6, 189.6, [5]]);
+        const positions = [];
+        tws.on('position', (account, c, pos) => positions.push([account, c.symbol, pos]));
+        const end = new Promise(ready => tws.once('positionEnd', ready));
+        await tws.reqPositions();
+        await end;
+        expect(positions.slice(-1)).toEqual([['DU1234567', 'AAPL', '5']]);
+        expect(server.calls.map(call => call[0])).not.toContain('placeOrder');
+    } finally {
+        await tws.exit();
+        await new Promise(ready => server.close(ready));
+    }
+});
@@ -0,0 +1,123 @@
+// vim: set filetype=javascript:
+// subscriptions.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const EventEmitter = require('events');
+const createIds = require('../src/ids.js');
+const createSubscriptions = require('../src/subscriptions.js');
+
+let client;
+let calls;
+
+beforeEach(() => {
+    calls = [];
+    client = new EventEmitter();
+    Object.assign(client, createIds(client, {}));
+    ['reqMktData', 'cancelMktData', 'reqAccountUpdates', 'reqPnL', 'cancelPnL'].forEach(name => {
+        client[name] = async function() {
+            calls.push([name, ...arguments]);
+            return client;
+        };
+    });
+});
+
+test('break cancels', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const ticks = subscribe.mktData({symbol: 'AAPL'}, '', false, false, []);
+    const req_id = ticks.reqId;
+    setImmediate(() => {
+        client.emit('tickPrice', req_id, 1, 150.25, {});
+        client.emit('tickPrice', req_id + 1, 1, 99, {});
+        client.emit('tickSize', req_id, 0, 100);
+    });
+    const events = [];
+    for await (const tick of ticks) {
+        events.push(tick);
+        if (events.length == 2) break;
+    }
+    expect(events).toEqual([
+        {event: 'tickPrice', args: [1, 150.25, {}]},
+        {event: 'tickSize', args: [0, 100]}
+    ]);
+    expect(calls).toEqual([
+        ['reqMktData', req_id, {symbol: 'AAPL'}, '', false, false, []],
+        ['cancelMktData', req_id]
+    ]);
+});
+
+test('close', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const updates = subscribe.accountUpdates('U1234');
+    setImmediate(() => {
+        client.emit('updateAccountValue', 'NetLiquidation', '1000', 'USD', 'U1234');
+        updates.close();
+        client.emit('updateAccountValue', 'NetLiquidation', '2000', 'USD', 'U1234');
+    });
+    const events = [];
+    for await (const update of updates) {
+        events.push(update);
+    }
+    expect(events).toEqual([{event: 'updateAccountValue', args: ['NetLiquidation', '1000', 'USD', 'U1234']}]);
+    expect(calls).toEqual([['reqAccountUpdates', true, 'U1234'], ['reqAccountUpdates', false, 'U1234']]);
+});
+
+test('abort signal', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const controller = new AbortController();
+    const pnl = subscribe('pnl', ['U1234', ''], {signal: controller.signal});
+    setImmediate(() => controller.abort());
+    for await (const update of pnl) {
+        // no updates
+    }
+    expect(calls).toEqual([['reqPnL', pnl.reqId, 'U1234', ''], ['cancelPnL', pnl.reqId]]);
+});
+
+test('error', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const ticks = subscribe.mktData({symbol: 'BOGUS'}, '', false, false, []);
+    setImmediate(() => client.emit('error', ticks.reqId, 200, 'No security definition has been found'));
+    await expect((async() => {
+        for await (const tick of ticks) {}
+    })()).rejects.toThrow('No security definition');
+});
+
+test('overflow latest', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const ticks = subscribe('mktData', [{symbol: 'AAPL'}, '', false, false, []], {highWaterMark: 2});
+    [1, 2, 3, 4].forEach(price => client.emit('tickPrice', ticks.reqId, 4, price, {}));
+    const prices = [];
+    for await (const tick of ticks) {
+        prices.push(tick.args[1]);
+        if (prices.length == 2) break;
+    }
+    expect(prices).toEqual([3, 4]);
+    expect(ticks.dropped).toBe(2);
+});
+
+test('overflow drop', async() => {
+    const subscribe = createSubscriptions(client, {});
+    const ticks = subscribe('mktData', [{symbol: 'AAPL'}, '', false, false, []], {highWaterMark: 2, overflow: 'drop'});
+    [1, 2, 3, 4].forEach(price => client.emit('tickPrice', ticks.reqId, 4, price, {}));
+    const prices = [];
+    for await (const tick of ticks) {
+        prices.push(tick.args[1]);
+        if (prices.length == 2) break;
+    }
+    expect(prices).toEqual([1, 2]);
+    expect(ticks.dropped).toBe(2);
+});
@@ -0,0 +1,121 @@
+// vim: set filetype=javascript:
+// supervisor.test.js
+/* 
+ * Copyright (c) 2020-2023 James Leigh
+ * 
+ * This program is free software: you can redistribute it and/or modify  
+ * it under the terms of the GNU General Public License as published by  
+ * the Free Software Foundation, version 3.
+ *
+ * This program is distributed in the hope that it will be useful, but 
+ * WITHOUT ANY WARRANTY; without even the implied warranty of 
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU 
+ * General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License 
+ * along with this program. If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+const net = require('net');
+const Client = require('../src/ib-tws-node.js');
+
+const help = {
+    '': [
+        ['actions', 'EClient'], ['EClient', 'eConnect'], ['EClient', 'reqMktData'], ['EClient', 'reqCurrentTime'],
+        ['actions', 'Shell'], ['Shell', 'exit']
+    ],
+    eConnect: [['eConnect', 'clientId', 'int'], ['eConnect', 'extraAuth', 'boolean']],
+    reqMktData: [
+        ['reqMktData', 'tickerId', 'int'], ['reqMktData', 'contract', 'Contract'],
+        ['reqMktData', 'genericTickList', 'String'], ['reqMktData', 'snapshot', 'boolean'],
+        ['reqMktData', 'regulatorySnapshot', 'boolean'], ['reqMktData', 'mktDataOptions', '[TagValue]']
+    ],
+    Contract: [['Contract', 'symbol', 'String', null]],
+    TagValue: [['TagValue', 'tag', 'String', null], ['TagValue', 'value', 'String', null]]
+};
+
+let server;
+let sockets;
+let received;
+let client;
+
+beforeEach(async() => {
+    sockets = [];
+    received = [];
+    server = net.createServer(socket => {
+        sockets.push(socket);
+        socket.setEncoding('utf8');
+        let buffer = '';
+        socket.on('data', chunk => {
+            const lines = (buffer + chunk).split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => {
+                const [name, ...args] = line.split('\t').filter(json => json).map((json, i) => i ? JSON.parse(json) : json);
+                received.push([sockets.indexOf(socket), name, ...args]);
+                if (name == 'help') {
+                    const lines = (help[args[0] || ''] || []).map(row => ['help'].concat(row.map(v => JSON.stringify(v))).join('\t'));
+                    socket.write(lines.concat(args.length ? `helpEnd\t${JSON.stringify(args[0])}` : 'helpEnd').join('\n') + '\n');
+                } else if (name == 'eConnect') {
+                    socket.write('connectAck\nnextValidId\t1\n');
+                } else if (name == 'exit') {
+                    socket.end();
+                }
+            });
+        });
+    });
+    await new Promise(ready => server.listen(0, 'localhost', ready));
+});
+
+afterEach(async() => {
+    if (client) client.kill();
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(ready => server.close(ready));
+});
+
+test('reconnect and replay', async() => {
+    client = await Client({
+        jsonApiHost: 'localhost', jsonApiPort: server.address().port, reconnect: true, reconnectDelay: 10, schemaCache: false
+    });
+    const events = [];
+    ['disconnected', 'reconnecting', 'reconnected', 'exit'].forEach(name => client.on(name, () => events.push(name)));
+    await client.eConnect(1, false);
+    await client.nextOrderId();
+    await client.reqMktData(5, {symbol: 'AAPL'}, '', false, false, []);
+    const reconnected = new Promise(ready => client.once('reconnected', ready));
+    sockets[0].destroy();
+    await new Promise(ready => client.once('reconnecting', ready));
+    const queued = client.reqCurrentTime();
+    await reconnected;
+    await queued;
+    while (!received.find(row => row[1] == 'reqCurrentTime')) {
+        await new Promise(cont => setTimeout(cont, 10));
+    }
+    expect(events).toEqual(['disconnected', 'reconnecting', 'reconnected']);
+    const replayed = received.filter(row => row[0] == 1 && row[1] != 'help');
+    expect(replayed).toEqual([
+        [1, 'eConnect', 1, false],
+        [1, 'reqMktData', 5, {symbol: 'AAPL'}, '', false, false, []],
+        [1, 'reqCurrentTime']
+    ]);
+});
+
+test('reject while offline', async() => {
+    client = await Client({
+        jsonApiHost: 'localhost', jsonApiPort: server.address().port,
+        reconnect: true, reconnectDelay: 10, offlinePolicy: 'reject', schemaCache: false
+    });
+    sockets[0].destroy();
+    await new Promise(ready => client.once('reconnecting', ready));
+    await expect(client.reqCurrentTime()).rejects.toThrow('reconnecting');
+    await new Promise(ready => client.once('reconnected', ready));
+    await client.reqCurrentTime();
+});
+
+test('exit without reconnect', async() => {
+    client = await Client({jsonApiHost: 'localhost', jsonApiPort: server.address().port, reconnect: true, schemaCache: false});
+    const events = [];
+    ['disconnected', 'exit'].forEach(name => client.on(name, () => events.push(name)));
+    await client.exit();
+    expect(events).toEqual(['exit']);
+});